@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Build Embeddings - Bring the semantic index's collections up to date
+ *
+ * Embeds red-team facts, every NPC's knowledge_base and every adventure's
+ * scene stages into data/embeddings (or VECTOR_STORE_DIR) with the
+ * configured embedder, re-embedding only what changed. With --query, searches
+ * the collections instead and prints the closest matches.
+ *
+ * Usage: node scripts/build-embeddings.js [--query "text"] [--npc id] [--adventure id] [--limit n]
+ *   --query      Search instead of building
+ *   --npc        Search this NPC's knowledge as well
+ *   --adventure  Scene stages to search (default high-and-dry)
+ *   --limit      Matches per collection (default 5)
+ */
+
+const semanticIndex = require('../src/semantic-index');
+const { listPersonas, loadPersona } = require('../src/persona');
+const { listAdventures } = require('../src/story-engine');
+const { getEmbedder } = require('../src/embeddings');
+
+/**
+ * Index everything
+ * @returns {Object[]} Per-collection results { collection, added, updated, unchanged, removed }
+ */
+function buildAll() {
+  const results = [{ collection: semanticIndex.FACTS_COLLECTION, ...semanticIndex.indexRedTeamFacts() }];
+
+  for (const npcId of listPersonas()) {
+    let persona;
+    try {
+      persona = loadPersona(npcId);
+    } catch (e) {
+      continue;
+    }
+    results.push({ collection: semanticIndex.npcCollection(npcId), ...semanticIndex.indexNpcKnowledge(persona) });
+  }
+
+  for (const adventureId of listAdventures()) {
+    results.push({ collection: semanticIndex.scenesCollection(adventureId), ...semanticIndex.indexSceneStages(adventureId) });
+  }
+  return results;
+}
+
+/**
+ * Read a flag's value from argv
+ * @param {string[]} args - Arguments
+ * @param {string} flag - e.g. "--query"
+ * @returns {string|null} Value
+ */
+function getFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : null;
+}
+
+/**
+ * Print matches under a heading
+ * @param {string} heading - Collection description
+ * @param {Object[]} hits - { id, text, score }
+ */
+function printHits(heading, hits) {
+  console.log(`\n${heading}`);
+  if (hits.length === 0) console.log('  (no matches)');
+  hits.forEach(hit => console.log(`  ${hit.score.toFixed(3)}  ${hit.id}  ${hit.text.substring(0, 100)}`));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const query = getFlag(args, '--query');
+  const limit = parseInt(getFlag(args, '--limit'), 10) || 5;
+
+  if (query) {
+    printHits('Red-team facts:', semanticIndex.findSimilarFacts(query, { limit }));
+    const adventureId = getFlag(args, '--adventure') || 'high-and-dry';
+    printHits(`Scene stages (${adventureId}):`, semanticIndex.findSimilarStages(adventureId, query, { limit }));
+    const npcId = getFlag(args, '--npc');
+    if (npcId) {
+      printHits(`Knowledge (${npcId}):`, semanticIndex.findSimilarKnowledge(loadPersona(npcId), query, { limit }));
+    }
+    return;
+  }
+
+  console.log(`Embedder: ${getEmbedder().name}`);
+  for (const result of buildAll()) {
+    console.log(`  ${result.collection}: +${result.added} ~${result.updated} =${result.unchanged} -${result.removed}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Build failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildAll
+};
@@ -8,7 +8,7 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
-const { createClient, chat, HAIKU_MODEL } = require('../src/ai-client');
+const { createClient, chat, HAIKU_MODEL, USAGE_CALLERS } = require('../src/ai-client');
 const { detectTablePages } = require('./csc-detect-tables');
 
 const TEXT_DIR = path.join(__dirname, '../data/equipment/text');
@@ -74,7 +74,8 @@ async function extractPage(client, pageNum) {
       { role: 'user', content: 'Extract all equipment items as JSON array.' }
     ], {
       model: HAIKU_MODEL,
-      maxTokens: 4000
+      maxTokens: 4000,
+      caller: USAGE_CALLERS.CSC_EXTRACT
     });
 
     // Parse JSON from response
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Import Subsectors - Build data/subsectors/*.json from local sector files
+ *
+ * Reads SEC, T5 column or tab-delimited sector files (the formats Traveller
+ * Map and the Second Survey publish), validates every world and writes one
+ * JSON file per subsector for subsector-data to index. No network access:
+ * download or copy the sector files first.
+ *
+ * Usage: node scripts/import-subsectors.js <file>... [--sector "Spinward Marches"] [--out dir] [--dry-run]
+ *   --sector  Sector name (default: from the file name, e.g. spinward-marches.tab)
+ *   --out     Output directory (default: data/subsectors, or SUBSECTORS_DIR)
+ *   --dry-run Validate and report without writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importSector, getSubsectorFileName } = require('../src/subsector-import');
+const { getSubsectorsDir } = require('../src/subsector-data');
+
+/**
+ * Sector name from a file name
+ * @param {string} file - e.g. "data/sectors/spinward-marches.sec"
+ * @returns {string} e.g. "Spinward Marches"
+ */
+function sectorFromFileName(file) {
+  return path.basename(file, path.extname(file))
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Import sector files and write subsector JSON
+ * @param {string[]} files - Sector file paths
+ * @param {Object} options - { sector, outDir, dryRun }
+ * @returns {Object[]} Per-file results { file, format, written: string[], worlds, errors, warnings }
+ */
+function importFiles(files, options = {}) {
+  const outDir = options.outDir || getSubsectorsDir();
+  const results = [];
+
+  for (const file of files) {
+    const sector = options.sector || sectorFromFileName(file);
+    const result = importSector(fs.readFileSync(file, 'utf8'), { sector });
+    const written = [];
+
+    if (!options.dryRun) {
+      fs.mkdirSync(outDir, { recursive: true });
+      for (const subsector of result.subsectors) {
+        const outFile = path.join(outDir, getSubsectorFileName(subsector));
+        fs.writeFileSync(outFile, JSON.stringify({ ...subsector, imported_from: path.basename(file) }, null, 2));
+        written.push(outFile);
+      }
+    }
+
+    results.push({
+      file,
+      format: result.format,
+      written,
+      worlds: result.subsectors.reduce((sum, s) => sum + s.systems.length, 0),
+      errors: result.errors,
+      warnings: result.warnings
+    });
+  }
+  return results;
+}
+
+/**
+ * Read a flag's value from argv
+ * @param {string[]} args - Arguments
+ * @param {string} flag - e.g. "--out"
+ * @returns {string|null} Value
+ */
+function getFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const sector = getFlag(args, '--sector');
+  const outDir = getFlag(args, '--out');
+  const files = args.filter((arg, i) => !arg.startsWith('--') && !['--sector', '--out'].includes(args[i - 1]));
+
+  if (files.length === 0) {
+    console.log('Usage: node scripts/import-subsectors.js <file>... [--sector "Name"] [--out dir] [--dry-run]');
+    process.exit(1);
+  }
+
+  const results = importFiles(files, { sector, outDir, dryRun });
+  for (const result of results) {
+    console.log(`${result.errors.length > 0 ? '!' : '✓'} ${result.file} (${result.format}): ${result.worlds} worlds`);
+    result.errors.forEach(e => console.log(`    ✗ line ${e.line} ${e.hex || ''} ${e.name || ''}: ${e.message}`));
+    result.warnings.forEach(w => console.log(`    ~ line ${w.line} ${w.hex || ''} ${w.name || ''}: ${w.message}`));
+    result.written.forEach(f => console.log(`    wrote ${f}`));
+  }
+
+  if (results.some(r => r.worlds === 0)) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Import failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  sectorFromFileName,
+  importFiles
+};
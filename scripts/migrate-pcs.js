@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Migrate PCs - Rewrite data/pcs/*.json in character sheet form
+ *
+ * Reads each PC through normalizeCharacter(), links weapons and equipment
+ * whose name matches a catalog entry, validates the result and writes it back.
+ * Safe to re-run: PCs already migrated come out unchanged.
+ *
+ * Usage: node scripts/migrate-pcs.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeCharacter } = require('../src/character-sheet');
+const { validateCharacter } = require('../src/character-validator');
+const { queryCatalog } = require('../src/equipment-catalog');
+
+const PCS_DIR = path.join(__dirname, '../data/pcs');
+
+// Who the PC is first, then the sheet, then everything else
+const KEY_ORDER = [
+  'id', 'name', 'species', 'homeworld', 'background', 'traits', 'appearance', 'motivations',
+  'sheet_version', 'upp', 'characteristics', 'skills', 'wounds', 'credits', 'credits_source',
+  'equipment', 'personal_weapons'
+];
+
+/**
+ * Order a PC's fields for the file
+ * @param {Object} pc - PC data
+ * @returns {Object} Same fields in KEY_ORDER, others after
+ */
+function orderFields(pc) {
+  const ordered = {};
+  for (const key of KEY_ORDER) {
+    if (pc[key] !== undefined) ordered[key] = pc[key];
+  }
+  return { ...ordered, ...pc };
+}
+
+/**
+ * Link an item to the lowest-TL catalog entry with exactly its name
+ * @param {Object} item - Equipment or weapon entry
+ * @returns {Object} Entry with catalog_id, if a match was found
+ */
+function linkCatalogItem(item) {
+  if (item.catalog_id) return item;
+  const name = String(item.name || '').toLowerCase();
+  const match = queryCatalog({ text: name })
+    .filter(entry => entry.name.toLowerCase() === name)
+    .sort((a, b) => a.tl - b.tl)[0];
+  return match ? { ...item, catalog_id: match.id } : item;
+}
+
+/**
+ * Migrate one PC
+ * @param {Object} pc - PC data in either form
+ * @returns {Object} { pc, unlinked: string[], errors: string[] }
+ */
+function migratePC(pc) {
+  const sheet = normalizeCharacter(pc);
+  sheet.equipment = sheet.equipment.map(linkCatalogItem);
+  if (sheet.personal_weapons) {
+    sheet.personal_weapons = sheet.personal_weapons.map(linkCatalogItem);
+  }
+
+  const unlinked = [...sheet.equipment, ...(sheet.personal_weapons || [])]
+    .filter(item => !item.catalog_id)
+    .map(item => item.name);
+
+  return { pc: orderFields(sheet), unlinked, errors: validateCharacter(sheet).errors };
+}
+
+/**
+ * Migrate every PC file
+ * @param {Object} options - { dryRun }
+ * @returns {Object[]} Per-file results { id, changed, unlinked, errors }
+ */
+function migrateAll(options = {}) {
+  const results = [];
+  for (const file of fs.readdirSync(PCS_DIR).filter(f => f.endsWith('.json'))) {
+    const filePath = path.join(PCS_DIR, file);
+    const before = fs.readFileSync(filePath, 'utf8');
+    const { pc, unlinked, errors } = migratePC(JSON.parse(before));
+    const after = JSON.stringify(pc, null, 2);
+
+    const changed = after !== before.trim();
+    if (changed && !options.dryRun && errors.length === 0) {
+      fs.writeFileSync(filePath, after);
+    }
+    results.push({ id: pc.id, changed, unlinked, errors });
+  }
+  return results;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const results = migrateAll({ dryRun });
+
+  for (const result of results) {
+    const status = result.errors.length > 0 ? '✗' : result.changed ? (dryRun ? '~' : '✓') : '=';
+    console.log(`${status} ${result.id}`);
+    result.errors.forEach(err => console.log(`    ${err}`));
+    if (result.unlinked.length > 0) {
+      console.log(`    Not in catalog (link by hand if needed): ${result.unlinked.join(', ')}`);
+    }
+  }
+
+  if (results.some(r => r.errors.length > 0)) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  linkCatalogItem,
+  migratePC,
+  migrateAll
+};
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Red Team Dashboard
+ *
+ * Shows pass-rate trends per NPC and per tier across saved validation runs,
+ * and the regressions that followed persona edits or learner patches.
+ *
+ * Usage: node scripts/red-team-dashboard.js [--html[=<path>]] [--all]
+ *
+ * --html  also export a static HTML page
+ *         (default data/validation-results/dashboard.html)
+ * --all   list every regression, not just the most recent
+ */
+
+const { dashboard } = require('../src/red-team');
+
+// Parse args
+const args = process.argv.slice(2);
+const htmlArg = args.find(a => a === '--html' || a.startsWith('--html='));
+const htmlPath = htmlArg?.includes('=') ? htmlArg.split('=')[1] : dashboard.HTML_FILE;
+const showAll = args.includes('--all');
+
+const data = dashboard.buildDashboard();
+console.log(dashboard.formatDashboard(data, showAll ? { maxRegressions: Infinity } : {}));
+
+if (htmlArg) {
+  console.log(`\nExported: ${dashboard.exportDashboardHtml(data, htmlPath)}`);
+}
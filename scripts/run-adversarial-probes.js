@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Adversarial Probe Runner
+ *
+ * Plays the multi-turn adversarial scripts (data/red-team/adversarial-scripts.json)
+ * against NPCs through the full prompt pipeline and reports leaks of gated
+ * information and contradictions of known facts.
+ *
+ * Usage: node scripts/run-adversarial-probes.js [npc-id ...] [--attack=<type>] [--dry-run]
+ *
+ * --attack   only scripts of one type (social_engineering, false_premise,
+ *            persistence, role_confusion)
+ * --dry-run  mock the NPC replies (no API calls)
+ */
+
+require('dotenv').config();
+
+const { loadPersona } = require('../src/persona');
+const { createClient } = require('../src/ai-client');
+const { adversarial } = require('../src/red-team');
+
+// Parse args
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const attack = args.find(a => a.startsWith('--attack='))?.split('=')[1] || null;
+const requestedNpcs = args.filter(a => !a.startsWith('--'));
+
+/**
+ * Main execution
+ */
+async function main() {
+  const scripts = adversarial.loadAdversarialScripts();
+  const npcIds = requestedNpcs.length > 0
+    ? requestedNpcs
+    : [...new Set(scripts.map(s => s.npc_id))];
+
+  if (attack && !Object.values(adversarial.ATTACKS).includes(attack)) {
+    console.error(`Unknown attack type: ${attack}`);
+    process.exit(1);
+  }
+
+  console.log(`Adversarial probes: ${npcIds.join(', ')}`);
+  console.log(`Options: attack=${attack || 'all'}, dry-run=${dryRun}`);
+
+  let client = null;
+  if (!dryRun) {
+    try {
+      client = createClient();
+    } catch (error) {
+      console.error(`\nFailed to create AI client: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let failures = 0;
+
+  for (const npcId of npcIds) {
+    try {
+      const npc = loadPersona(npcId);
+      const report = await adversarial.runAdversarialProbes(npcId, npc, client, { attack });
+
+      if (report.results.length === 0) {
+        console.log(`\n  ${npcId}: no adversarial scripts`);
+        continue;
+      }
+
+      console.log(adversarial.formatAdversarialReport(report));
+      if (!dryRun) {
+        console.log(`  Report: ${adversarial.saveAdversarialReport(report)}`);
+      }
+      failures += report.summary.scripts - report.summary.held;
+    } catch (error) {
+      console.error(`\nError probing ${npcId}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '✓ Every script held.' : `✗ ${failures} script(s) broke the NPC.`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -5,14 +5,17 @@
  * Runs all CRITICAL (Tier 1) queries against target NPCs,
  * validates responses, and runs auto-learn cycle for failures.
  *
- * Usage: node scripts/run-tier1-validation.js [--auto-learn] [--force]
+ * Usage: node scripts/run-tier1-validation.js [--auto-learn] [--force] [--judge]
+ *
+ * --judge asks an LLM judge for a second verdict on every response; the
+ * judge's verdict is used and its agreement with the keywords reported.
  */
 
 require('dotenv').config();
 
 const { loadPersona } = require('../src/persona');
 const { buildSystemPrompt } = require('../src/prompts');
-const { createClient, chat, HAIKU_MODEL } = require('../src/ai-client');
+const { createClient, chat, HAIKU_MODEL, USAGE_CALLERS } = require('../src/ai-client');
 const {
   queryEngine,
   validator,
@@ -23,6 +26,7 @@ const {
 const args = process.argv.slice(2);
 const autoLearn = args.includes('--auto-learn');
 const forceRun = args.includes('--force');
+const useJudge = args.includes('--judge');
 
 // Target NPCs for Tier 1 validation
 const TARGET_NPCS = [
@@ -44,7 +48,8 @@ async function executeQueryWithPersona(query, npcId, client) {
   ];
 
   const response = await chat(client, systemPrompt, messages, {
-    maxTokens: 500
+    maxTokens: 500,
+    caller: USAGE_CALLERS.RED_TEAM_PROBE
   });
 
   return {
@@ -126,14 +131,18 @@ async function validateNpc(npcId, client) {
     tier: 1,
     timestamp: new Date().toISOString(),
     results,
-    summary: {
-      total: results.length,
-      pass: results.filter(r => r.verdict === 'PASS').length,
-      warn: results.filter(r => r.verdict === 'WARN').length,
-      fail: results.filter(r => r.verdict === 'FAIL').length
-    }
+    summary: validator.tallyVerdicts(results)
   };
 
+  if (useJudge) {
+    await validator.judgeReport(report, { client });
+    for (const result of report.results.filter(r => r.judge_verdict && r.judge_verdict !== r.keyword_verdict)) {
+      console.log(`  Judge overrides ${result.query_id}: ${result.keyword_verdict} → ${result.judge_verdict} (${result.judge_rationale})`);
+    }
+    const { agreed, judged } = report.summary.agreement;
+    console.log(`  Judge agreement: ${agreed}/${judged}`);
+  }
+
   // Update cache
   validator.updateValidationCache(npcId, report);
 
@@ -208,7 +217,7 @@ async function main() {
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║           TIER 1 (CRITICAL) VALIDATION RUNNER              ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
-  console.log(`\nOptions: auto-learn=${autoLearn}, force=${forceRun}`);
+  console.log(`\nOptions: auto-learn=${autoLearn}, force=${forceRun}, judge=${useJudge}`);
   console.log(`Target NPCs: ${TARGET_NPCS.join(', ')}`);
 
   // Create AI client
@@ -232,6 +232,71 @@ function getRelevantChecks(sceneId, adventureId) {
   }));
 }
 
+/**
+ * Load the skill check references a scene declares, stage entries first
+ * @param {string} sceneId - Scene identifier
+ * @param {string} adventureId - Adventure identifier
+ * @returns {Object[]} Scene entries ({ ref, trigger, on_success, ... })
+ */
+function loadSceneCheckRefs(sceneId, adventureId) {
+  const filePath = path.join(ADVENTURES_DIR, adventureId, 'scenes', `${sceneId}.json`);
+  try {
+    if (!fs.existsSync(filePath)) return [];
+    const scene = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const stageChecks = (scene.stages || []).flatMap(stage => stage?.skill_checks || []);
+    return [...stageChecks, ...(scene.skill_checks || [])];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Normalize a skill name for matching ("Vacc Suit" → "vacc_suit", "END check" → "end",
+ * "Electronics (computers)" → "electronics")
+ * @param {string} skill - Skill name
+ * @returns {string}
+ */
+function normalizeCheckSkill(skill) {
+  return String(skill || '').toLowerCase()
+    .replace(/\(.*\)/, '')
+    .replace(/\s*check$/, '')
+    .trim()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Find the scene's data for a check that was just rolled
+ * Merges the scene entry (on_success/on_failure and band variants) over the
+ * skill-checks.json entry it refers to. When several entries use the skill,
+ * the one whose trigger or description shares most words with the check's
+ * reason wins.
+ * @param {string} sceneId - Scene identifier
+ * @param {string} adventureId - Adventure identifier
+ * @param {Object} check - { skill, reason }
+ * @returns {Object|null} Merged check data or null
+ */
+function findSceneCheck(sceneId, adventureId, check) {
+  if (!sceneId || !adventureId || !check?.skill) return null;
+
+  const wanted = normalizeCheckSkill(check.skill);
+  const reasonWords = new Set(String(check.reason || '').toLowerCase().match(/[a-z]{4,}/g) || []);
+
+  let best = null;
+  let bestScore = -1;
+  for (const entry of loadSceneCheckRefs(sceneId, adventureId)) {
+    const merged = { ...(entry.ref ? getSkillCheck(entry.ref, adventureId) : null), ...entry };
+    if (normalizeCheckSkill(merged.skill) !== wanted) continue;
+
+    const text = [merged.trigger, merged.description, merged.id].join(' ').toLowerCase();
+    const score = [...reasonWords].filter(word => text.includes(word)).length;
+    if (score > bestScore) {
+      best = merged;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
 /**
  * Get timeline knowledge for an NPC
  * @param {string} npcId - NPC identifier
@@ -294,6 +359,7 @@ module.exports = {
   getItemsByRole,
   getSkillCheck,
   getRelevantChecks,
+  findSceneCheck,
   getNpcTimingKnowledge,
   getTravelDuration,
   getCreature
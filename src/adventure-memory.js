@@ -0,0 +1,171 @@
+/**
+ * Adventure Memory - Persistent NPC conversation memory for adventure mode
+ *
+ * Pattern: Repository (load/save) keyed by adventure + PC
+ * One file per adventure/PC pair holds a memory object (see memory.js)
+ * for every NPC the PC has talked to in that adventure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemory, applySummary, RECENT_MESSAGE_LIMIT } = require('./memory');
+const { quickChat, USAGE_CALLERS } = require('./ai-client');
+
+const MEMORY_DIR = path.join(__dirname, '../data/state/npc-memory');
+
+// Messages one exchange adds (the player's line and the NPC's reply)
+const EXCHANGE_MESSAGES = 2;
+
+/**
+ * Get memory file path for an adventure/PC pair
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} pcId - PC identifier
+ * @returns {string} File path
+ */
+function getMemoryPath(adventureId, pcId) {
+  return path.join(MEMORY_DIR, `${adventureId}-${pcId}.json`);
+}
+
+/**
+ * Load the memory store for an adventure/PC pair
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} pcId - PC identifier
+ * @returns {Object} Store { adventureId, pcId, npcs, lastSaved }
+ */
+function loadMemoryStore(adventureId, pcId) {
+  const filepath = getMemoryPath(adventureId, pcId);
+  try {
+    if (fs.existsSync(filepath)) {
+      const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      return { adventureId, pcId, npcs: data.npcs || {}, lastSaved: data.lastSaved || null };
+    }
+  } catch (e) {
+    // Return empty store on error
+  }
+  return { adventureId, pcId, npcs: {}, lastSaved: null };
+}
+
+/**
+ * Save the memory store for an adventure/PC pair
+ * @param {Object} store - Store from loadMemoryStore
+ */
+function saveMemoryStore(store) {
+  if (!fs.existsSync(MEMORY_DIR)) {
+    fs.mkdirSync(MEMORY_DIR, { recursive: true });
+  }
+  store.lastSaved = new Date().toISOString();
+  fs.writeFileSync(getMemoryPath(store.adventureId, store.pcId), JSON.stringify(store, null, 2));
+}
+
+/**
+ * Load an NPC's memory of a PC within an adventure
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} pcId - PC identifier
+ * @param {string} npcId - NPC identifier
+ * @returns {Object|null} Memory object or null if the NPC has no memory yet
+ */
+function loadNpcMemory(adventureId, pcId, npcId) {
+  const store = loadMemoryStore(adventureId, pcId);
+  const existing = store.npcs[npcId];
+  return existing ? createMemory(existing) : null;
+}
+
+/**
+ * Save an NPC's memory of a PC within an adventure
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} pcId - PC identifier
+ * @param {string} npcId - NPC identifier
+ * @param {Object} memory - Memory object
+ */
+function saveNpcMemory(adventureId, pcId, npcId, memory) {
+  const store = loadMemoryStore(adventureId, pcId);
+  store.npcs[npcId] = createMemory(memory);
+  saveMemoryStore(store);
+}
+
+/**
+ * Clear all NPC memories for an adventure/PC pair
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} pcId - PC identifier
+ * @returns {boolean} True if a file was removed
+ */
+function clearAdventureMemory(adventureId, pcId) {
+  const filepath = getMemoryPath(adventureId, pcId);
+  if (fs.existsSync(filepath)) {
+    fs.unlinkSync(filepath);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether memory needs a summarization pass
+ * Due once another exchange would push the oldest messages past
+ * RECENT_MESSAGE_LIMIT, so none are dropped before they are summarized.
+ * @param {Object} memory - Memory object
+ * @returns {boolean}
+ */
+function needsSummary(memory) {
+  return memory.recentMessages.length + EXCHANGE_MESSAGES > RECENT_MESSAGE_LIMIT;
+}
+
+/**
+ * Build prompt asking the model to fold recent messages into the summary
+ * @param {Object} memory - Memory object
+ * @param {string} npcName - NPC display name
+ * @param {string} pcName - PC display name
+ * @returns {string} Summarization prompt
+ */
+function buildSummaryPrompt(memory, npcName, pcName) {
+  const transcript = memory.recentMessages
+    .map(m => `${m.role === 'user' ? pcName : npcName}: ${m.content}`)
+    .join('\n');
+
+  const lines = [
+    `Summarize the conversation history between ${npcName} (an NPC) and ${pcName} (a player character).`,
+    `Write from ${npcName}'s point of view, in third person, in at most 120 words.`,
+    'Keep names, promises, prices, agreed deals, secrets shared and how the relationship stands.',
+    'Drop greetings and small talk. Output the summary text only.',
+    ''
+  ];
+
+  if (memory.historySummary) {
+    lines.push('EARLIER SUMMARY:', memory.historySummary, '');
+  }
+
+  lines.push('RECENT CONVERSATION:', transcript);
+  return lines.join('\n');
+}
+
+/**
+ * Run a Haiku summarization pass if the recent messages are about to overflow
+ * @param {Object} client - API client
+ * @param {Object} memory - Memory object (mutated via applySummary)
+ * @param {Object} names - { npcName, pcName, gameDate }
+ * @returns {Promise<boolean>} True if a summary was applied
+ */
+async function summarizeIfNeeded(client, memory, names = {}) {
+  if (!client || !needsSummary(memory)) return false;
+
+  const { npcName = 'NPC', pcName = 'Traveller', gameDate = null } = names;
+  const prompt = buildSummaryPrompt(memory, npcName, pcName);
+
+  const summary = await quickChat(client, prompt, { caller: USAGE_CALLERS.MEMORY_SUMMARY });
+  if (!summary || !summary.trim()) return false;
+
+  applySummary(memory, summary.trim(), gameDate || memory.lastContact);
+  return true;
+}
+
+module.exports = {
+  MEMORY_DIR,
+  getMemoryPath,
+  loadMemoryStore,
+  saveMemoryStore,
+  loadNpcMemory,
+  saveNpcMemory,
+  clearAdventureMemory,
+  needsSummary,
+  buildSummaryPrompt,
+  summarizeIfNeeded
+};
@@ -5,24 +5,34 @@
  * Manages session state, routes inputs, and handles mode switching
  */
 
-const { loadAdventure, createStoryState, loadScene, listScenes, loadActs } = require('./story-engine');
+const { loadAdventure, createStoryState, loadScene, listScenes, loadActs, listEncounters, loadEncounter } = require('./story-engine');
 const { loadPersona, getPersonaSummary } = require('./persona');
-const { loadPC, listPCs } = require('./pc-roster');
+const { listPCs } = require('./pc-roster');
 const { drawBoxWithHeader, centerText, displaySceneFrame } = require('./tui-menu');
 const { createMemory, addMessage } = require('./memory');
-
-// Stub functions for memory persistence (not yet implemented)
-function loadMemory(npcId, pcId) { return null; }
-function saveMemory(npcId, pcId, memory) { /* TODO: implement persistence */ }
+const { loadNpcMemory, saveNpcMemory, summarizeIfNeeded } = require('./adventure-memory');
 const { assembleFullPrompt } = require('./prompts');
-const { chat } = require('./ai-client');
-const { buildAgmPrompt, parseAgmResponse, buildNpcTransitionPrompt, buildResumePrompt } = require('./agm-controller');
-const { resolveCheck, formatDetailedResult } = require('./skill-resolver');
+const { chat, streamChat, supportsTools, USAGE_CALLERS } = require('./ai-client');
+const { buildAgmPrompt, parseAgmResponse, createDirectiveFilter, buildNpcTransitionPrompt, buildResumePrompt, buildNpcTransactionContext, parseTransactionTags } = require('./agm-controller');
+const { getDirectiveContext, buildAgmTools } = require('./agm-tools');
 const { advanceToScene, markBeatComplete, executeFlashback, getCurrentScene } = require('./scene-manager');
 const { recordDecision, saveStoryState, loadStoryState, setFlag } = require('./decision-tracker');
 const { createAgmState, updateSceneContext } = require('./agm-state');
 const { buildAgmContext, getNpcPriorities } = require('./agm-npc-bridge');
+const { formatDuration } = require('./imperial-calendar');
+const { DEFAULT_DURATIONS, estimateSkillCheck, estimateTravel, estimateSceneRemainder, advanceSessionClock, mergeAdvances } = require('./game-clock');
+const { selectOutcome } = require('./task-engine');
+const { findSceneCheck } = require('./adventure-data');
+const { getSessionParty, createParty, getActivePC, setActivePC, parseActor, isMultiPC, resolvePartyCheck, formatPartyCheck, formatParty } = require('./party');
 const { initializeInventory, addToInventory, hasItem, checkUnlock, getCargoItems, describeInventory } = require('./inventory');
+const { resolveCustoms } = require('./gated-encounters');
+const { getEquipmentList, resolveEquipment, getCredits } = require('./character-sheet');
+const { syncPartyCredits, postTransaction, describeTransaction, formatWallet } = require('./credits-ledger');
+const { formatMarket, buyCargo, sellCargo, buildBrokerContext } = require('./trade');
+const { findRoute, formatRoute, parseJump, resolveWorld } = require('./route-planner');
+const { searchWiki, formatLoreResults } = require('./wiki-index');
+const { runEncounter, formatEncounterRun } = require('./encounter-runner');
+const { startCombat, playRound, endCombat, formatCombat, markCombatReported } = require('./combat');
 
 /**
  * Adventure play modes
@@ -32,23 +42,29 @@ const PLAY_MODES = {
   NPC_DIALOGUE: 'npc-dialogue' // In conversation with NPC
 };
 
+/**
+ * Directive tags NPCs may use in dialogue
+ */
+const NPC_DIRECTIVES = ['PAY', 'CHARGE'];
+
 /**
  * Create a new adventure session
  * @param {string} adventureId - Adventure to load
- * @param {string} pcId - PC to use
+ * @param {string|string[]} pcIds - PC to use, or several PCs for a party session
  * @param {Object} client - API client
  * @returns {Object} Adventure session
  */
-async function startAdventure(adventureId, pcId, client) {
+async function startAdventure(adventureId, pcIds, client) {
   const adventure = loadAdventure(adventureId);
-  const pc = loadPC(pcId);
+  const party = createParty(Array.isArray(pcIds) ? pcIds : [pcIds]);
   const agm = loadPersona(`narrator-${adventureId}`);
 
-  // Load or create story state
-  let storyState = loadStoryState(adventureId, pcId);
+  // Load or create story state (a party shares one, stored under the party ID)
+  let storyState = loadStoryState(adventureId, party.id);
   if (!storyState) {
     storyState = createStoryState(adventureId);
-    storyState.pcId = pcId;
+    storyState.pcId = party.id;
+    storyState.partyIds = party.members.map(pc => pc.id);
     storyState.adventure = adventureId;
 
     // Set initial scene based on adventure
@@ -59,18 +75,29 @@ async function startAdventure(adventureId, pcId, client) {
     // Initialize inventory
     initializeInventory(storyState);
 
-    // Load PC's personal weapons into inventory
-    if (pc.personal_weapons && Array.isArray(pc.personal_weapons)) {
-      for (const weapon of pc.personal_weapons) {
-        addToInventory({ storyState }, weapon);
+    // Load each PC's personal weapons into inventory, with catalog stats
+    for (const member of party.members) {
+      for (const weapon of member.personal_weapons || []) {
+        addToInventory({ storyState }, resolveEquipment(weapon));
       }
     }
   }
 
+  // Wounds carry over from the story state, like credits from the ledger
+  for (const member of party.members) {
+    if (storyState.wounds?.[member.id]) member.wounds = { ...storyState.wounds[member.id] };
+  }
+
+  // Resume with whoever was acting last
+  if (party.members.some(pc => pc.id === storyState.activePcId)) {
+    party.activeId = storyState.activePcId;
+  }
+
   const session = {
     adventure,
     adventureId,
-    pc,
+    party,
+    pc: getActivePC(party),
     agm,
     storyState,
     client,
@@ -80,6 +107,9 @@ async function startAdventure(adventureId, pcId, client) {
     conversationHistory: []
   };
 
+  // Credits carry over from the ledger, not the character sheet
+  syncPartyCredits(session);
+
   // Initialize AGM orchestration state
   session.agmState = createAgmState(session);
 
@@ -96,65 +126,199 @@ async function getOpeningNarration(session) {
   if (scene?.narrator_prompt) {
     return scene.narrator_prompt + '\n\nWhat do you do?';
   }
+  const party = getSessionParty(session);
+  if (isMultiPC(party)) {
+    return `Your party: ${party.members.map(pc => pc.name).join(', ')}. Your adventure begins.\n\nWhat do you do?`;
+  }
   return `You are ${session.pc.name}. Your adventure begins.\n\nWhat do you do?`;
 }
 
 /**
  * Process player input in adventure mode
+ * In a party, "Name: action" makes that PC the one acting this turn.
  * @param {Object} session - Adventure session
  * @param {string} input - Player input
- * @returns {Object} Response with text and any state changes
+ * @param {Object} options - { onDelta(text) } to stream the reply as it arrives
+ * @returns {Object} Response with text, any state changes and the acting PC (actor)
  */
-async function processPlayerInput(session, input) {
+async function processPlayerInput(session, input, options = {}) {
   // Handle adventure-specific commands
   if (input.startsWith('/')) {
     return handleAdventureCommand(session, input);
   }
 
+  // Who is acting this turn
+  let action = input;
+  if (session.party) {
+    const actor = parseActor(session.party, input);
+    if (actor.pc) {
+      setActivePC(session, actor.pc.id);
+      action = actor.text;
+    }
+  }
+
   // Route based on current mode
-  if (session.mode === PLAY_MODES.NPC_DIALOGUE) {
-    return handleNpcDialogue(session, input);
+  const result = session.mode === PLAY_MODES.NPC_DIALOGUE
+    ? await handleNpcDialogue(session, action, options)
+    : await handleAgmNarration(session, action, options);
+
+  result.actor = session.pc.id;
+  return result;
+}
+
+/**
+ * Get a model reply, streaming displayable text through onDelta when given
+ * @param {Object} session - Adventure session
+ * @param {string} system - System prompt
+ * @param {Array} messages - Message history
+ * @param {Object} options - { caller, tools, onDelta, filter } where filter is from createDirectiveFilter()
+ * @returns {Promise<Object>} Response as from chat()
+ */
+async function getReply(session, system, messages, options = {}) {
+  const { caller, tools, onDelta, filter } = options;
+  if (!onDelta) {
+    return chat(session.client, system, messages, { caller, tools });
+  }
+
+  let response = null;
+  for await (const event of streamChat(session.client, system, messages, { caller, tools })) {
+    if (event.type === 'done') {
+      response = event.response;
+    } else {
+      const text = filter ? filter.push(event.text) : event.text;
+      if (text) onDelta(text);
+    }
   }
 
-  return handleAgmNarration(session, input);
+  const rest = filter ? filter.flush() : '';
+  if (rest) onDelta(rest);
+
+  return response;
 }
 
 /**
  * Handle AGM narration mode
  * @param {Object} session - Adventure session
  * @param {string} playerAction - Player's action
- * @returns {Object} Response
+ * @param {Object} options - { onDelta(text) } streams narration with directives stripped
+ * @returns {Object} Response (streamedText holds the part already shown via onDelta)
  */
-async function handleAgmNarration(session, playerAction) {
-  // Build AGM prompt
-  const prompt = buildAgmPrompt(session, playerAction);
+async function handleAgmNarration(session, playerAction, options = {}) {
+  // Structured directives where the provider supports tools, [TAG: ...] otherwise
+  const useTools = supportsTools(session.client);
+  const directiveContext = getDirectiveContext(session);
+
+  // Build AGM prompt (it reports last turn's check results, which are then spent)
+  const prompt = buildAgmPrompt(session, playerAction, { useTools });
+  session.lastSkillChecks = [];
+  markCombatReported(session);
 
   // Get AGM response - use createMemory() for fresh memory object
-  const assembled = assembleFullPrompt(session.agm, createMemory(), playerAction, session.pc, session.storyState);
+  // (the AGM prompt replaces the system prompt, so nothing is retrieved for it)
+  const assembled = assembleFullPrompt(session.agm, createMemory(), playerAction, session.pc, session.storyState, { retrieval: false });
   assembled.system = prompt;
   assembled.messages = [{ role: 'user', content: playerAction }];
 
-  const response = await chat(session.client, assembled.system, assembled.messages);
+  const response = await getReply(session, assembled.system, assembled.messages, {
+    caller: USAGE_CALLERS.NARRATION,
+    tools: useTools ? buildAgmTools(directiveContext) : null,
+    onDelta: options.onDelta,
+    filter: createDirectiveFilter()
+  });
   const agmText = response.content;
 
-  // Parse response for directives
-  const parsed = parseAgmResponse(agmText);
+  // Parse the complete response for directives (streamed text had them stripped)
+  const parsed = parseAgmResponse(agmText, {
+    toolCalls: response.toolCalls || [],
+    context: directiveContext
+  });
   const result = {
     text: parsed.narrativeText,
     modeChange: null,
-    stateChanges: []
+    stateChanges: [],
+    skillChecks: []
   };
+  if (options.onDelta) {
+    result.streamedText = parsed.narrativeText;
+  }
+
+  // Invalid tool calls are dropped, but surfaced so the GM can see them
+  if (parsed.rejected.length > 0) {
+    result.rejectedDirectives = parsed.rejected;
+  }
 
-  // Handle skill check directive
-  if (parsed.skillCheck) {
-    const checkResult = resolveCheck(parsed.skillCheck, session.pc);
-    result.skillCheck = checkResult;
-    result.text += '\n\n' + formatDetailedResult(checkResult);
+  // Time taken this turn, advanced once all actions are resolved
+  const adventureId = session.adventure?.id;
+  let turnMinutes = 0;
+  const turnReasons = [];
 
-    // Record check result for AGM follow-up
+  // Handle skill check directives (several may be called in one turn)
+  const situation = {
+    equipment: session.storyState.inventory || [],
+    conditions: session.storyState.conditions || []
+  };
+  for (const check of parsed.skillChecks) {
+    const party = getSessionParty(session);
+    const checkResult = resolvePartyCheck(party, check, null, situation);
+    checkResult.outcome = selectOutcome(findSceneCheck(session.storyState.currentScene, adventureId, check), checkResult);
+    result.skillChecks.push(checkResult);
+    result.text += '\n\n' + formatPartyCheck(checkResult, party);
+
+    // Record check results for AGM follow-up
     session.lastSkillCheck = checkResult;
+    session.lastSkillChecks.push(checkResult);
+
+    turnMinutes += estimateSkillCheck(adventureId, session.storyState.currentScene, checkResult).minutes;
+    turnReasons.push(`${check.skill} check`);
+  }
+  if (result.skillChecks.length > 0) {
+    result.skillCheck = result.skillChecks[0];
+  }
+
+  // Lasting conditions apply their DMs to later checks
+  for (const condition of parsed.conditions || []) {
+    result.stateChanges.push(applyCondition(session.storyState, condition));
+  }
+
+  // Customs applies the local law level to everything the party carries
+  if (parsed.customs) {
+    result.customs = resolveCustoms(session, parsed.customs);
+    result.stateChanges.push(describeCustoms(result.customs));
+  }
+
+  // Money changing hands goes through the ledger
+  result.stateChanges.push(...applyTransactions(session, parsed.transactions));
+
+  // A fight starts (or gains opponents); the players fight it with /attack
+  if (parsed.combat) {
+    const started = startCombat(session, parsed.combat);
+    if (started.error) {
+      result.stateChanges.push(`Combat: ${started.error}`);
+    } else {
+      result.combat = started.combat;
+      result.text += `\n\n${started.log.join('\n')}\nFight with /attack [target] [with weapon]; /combat shows the fight.`;
+      result.stateChanges.push(`Combat: ${parsed.combat.creature} x${started.joined.length}`);
+    }
+  }
+
+  // Handle travel between settlements
+  if (parsed.travel) {
+    const journey = estimateTravel(adventureId, parsed.travel);
+    if (journey) {
+      turnMinutes += journey.minutes;
+      turnReasons.push(`${journey.method} ${parsed.travel.from} → ${parsed.travel.to}`);
+      result.stateChanges.push(`Travel: ${parsed.travel.from} → ${parsed.travel.to} by ${journey.method}`);
+    } else {
+      result.stateChanges.push(`Travel: no known route ${parsed.travel.from} → ${parsed.travel.to}`);
+    }
   }
 
+  // A narrated action with nothing more specific still takes a little time
+  if (turnMinutes === 0) {
+    turnMinutes = DEFAULT_DURATIONS.narration;
+  }
+  const advances = [advanceSessionClock(session, { minutes: turnMinutes }, turnReasons)];
+
   // Handle NPC dialogue switch
   if (parsed.enterNpcDialogue) {
     const npcResult = await enterNpcDialogue(session, parsed.npcId);
@@ -164,24 +328,34 @@ async function handleAgmNarration(session, playerAction) {
   }
 
   // Handle beat completion
-  if (parsed.beatComplete) {
-    markBeatComplete(session, parsed.beatComplete);
-    result.stateChanges.push(`Beat complete: ${parsed.beatComplete}`);
+  for (const beatId of parsed.beatsComplete) {
+    markBeatComplete(session, beatId);
+    result.stateChanges.push(`Beat complete: ${beatId}`);
   }
 
   // Handle scene advancement
   if (parsed.advanceScene) {
-    const options = {};
-    if (parsed.timeSkip) options.timeSkip = parsed.timeSkip;
-    if (parsed.isFlashback) options.isFlashback = true;
+    const sceneOptions = {};
+    if (parsed.timeSkip) sceneOptions.timeSkip = parsed.timeSkip;
+    if (parsed.isFlashback) sceneOptions.isFlashback = true;
+
+    // Without an explicit skip, the scene's remaining stage time passes
+    if (!parsed.timeSkip && !parsed.isFlashback) {
+      const remainder = estimateSceneRemainder(adventureId, session.storyState);
+      if (remainder > 0) {
+        sceneOptions.timeSkip = { amount: remainder, unit: 'm' };
+        sceneOptions.timeReason = `rest of ${session.storyState.currentScene}`;
+      }
+    }
 
-    const sceneResult = advanceToScene(session, parsed.nextSceneId, options);
+    const sceneResult = advanceToScene(session, parsed.nextSceneId, sceneOptions);
 
     if (sceneResult.error) {
       result.text += `\n\n[Error: ${sceneResult.error}]`;
     } else {
       result.sceneTransition = sceneResult;
       result.stateChanges.push(`Scene: ${parsed.nextSceneId}`);
+      advances.push(sceneResult.clock);
 
       if (sceneResult.narrativePrompt && !parsed.isFlashback) {
         result.text += `\n\n---\n\n${sceneResult.narrativePrompt}`;
@@ -197,16 +371,19 @@ async function handleAgmNarration(session, playerAction) {
   }
 
   // Handle decision recording
-  if (parsed.decision) {
+  for (const decision of parsed.decisions) {
     recordDecision(session.storyState, {
-      id: parsed.decision.id,
-      choice: parsed.decision.choice,
+      id: decision.id,
+      choice: decision.choice,
       details: playerAction,
       consequences: {}
     });
-    result.stateChanges.push(`Decision recorded: ${parsed.decision.id}`);
+    result.stateChanges.push(`Decision recorded: ${decision.id}`);
   }
 
+  result.clock = mergeAdvances(advances);
+  result.stateChanges.push(...describeClockEvents(result.clock));
+
   // Save state
   saveStoryState(session.storyState);
 
@@ -222,17 +399,19 @@ async function handleAgmNarration(session, playerAction) {
 async function enterNpcDialogue(session, npcId) {
   session.mode = PLAY_MODES.NPC_DIALOGUE;
   session.activeNpc = loadPersona(npcId);
-  session.npcMemory = loadMemory(npcId, session.pc.id) || createMemory();
+  session.npcMemory = loadNpcMemory(session.adventureId, getSessionParty(session).id, npcId) || createMemory();
 
-  // Generate NPC greeting
+  // Generate NPC greeting (memory lets the NPC recognize a returning PC)
   const npcPrompt = buildNpcTransitionPrompt(session, session.activeNpc);
-  const assembled = assembleFullPrompt(session.activeNpc, createMemory(), '', session.pc, session.storyState);
+  const assembled = assembleFullPrompt(session.activeNpc, session.npcMemory, '', session.pc, session.storyState);
+  session.lastRetrieval = assembled.retrieval;
 
   const response = await chat(session.client, assembled.system + npcPrompt, [
     { role: 'user', content: 'The player approaches you.' }
-  ]);
+  ], { caller: USAGE_CALLERS.NPC_DIALOGUE });
 
-  addMessage(session.npcMemory, 'assistant', response.content);
+  addMessage(session.npcMemory, 'assistant', response.content, session.storyState.gameDate);
+  await summarizeNpcMemory(session);
 
   return response.content;
 }
@@ -241,15 +420,16 @@ async function enterNpcDialogue(session, npcId) {
  * Handle NPC dialogue mode
  * @param {Object} session - Adventure session
  * @param {string} playerInput - Player's dialogue
- * @returns {Object} Response
+ * @param {Object} options - { onDelta(text) } streams the NPC reply
+ * @returns {Object} Response (streamedText holds the part already shown via onDelta)
  */
-async function handleNpcDialogue(session, playerInput) {
+async function handleNpcDialogue(session, playerInput, options = {}) {
   if (!session.activeNpc) {
     return { text: 'No active NPC. Use /resume to return to narration.', error: true };
   }
 
   // Add player message to memory
-  addMessage(session.npcMemory, 'user', playerInput);
+  addMessage(session.npcMemory, 'user', playerInput, session.storyState.gameDate);
 
   // Build AGM orchestration context
   const agmContext = session.agmState
@@ -268,6 +448,8 @@ async function handleNpcDialogue(session, playerInput) {
     session.storyState,
     { agmContext, goalPriorities: priorities }
   );
+  // Chunk IDs the reply was grounded in, for tracing wrong answers
+  session.lastRetrieval = assembled.retrieval;
 
   // Build messages from memory
   const messages = session.npcMemory.recentMessages.slice(-10).map(m => ({
@@ -275,15 +457,88 @@ async function handleNpcDialogue(session, playerInput) {
     content: m.content
   }));
 
-  const response = await chat(session.client, assembled.system, messages);
+  // NPCs may hand over or take money with [PAY: ...] and [CHARGE: ...];
+  // brokers also get the market's real prices to quote
+  const brokerContext = session.activeNpc.archetype === 'broker' ? buildBrokerContext(session) : '';
+  const response = await getReply(session, assembled.system + buildNpcTransactionContext(session) + brokerContext, messages, {
+    caller: USAGE_CALLERS.NPC_DIALOGUE,
+    onDelta: options.onDelta,
+    filter: createDirectiveFilter(NPC_DIRECTIVES)
+  });
+  const money = parseTransactionTags(response.content, session.activeNpc.id);
+  const text = money.tags.reduce((content, tag) => content.replace(tag, ''), response.content).trim();
 
-  // Add NPC response to memory
-  addMessage(session.npcMemory, 'assistant', response.content);
+  // Add NPC response to memory, summarizing before the cap drops old messages
+  addMessage(session.npcMemory, 'assistant', text, session.storyState.gameDate);
+  await summarizeNpcMemory(session);
 
-  return {
-    text: response.content,
-    speaker: session.activeNpc.name
+  const clock = advanceSessionClock(session, { minutes: DEFAULT_DURATIONS.dialogue }, []);
+  const result = {
+    text,
+    speaker: session.activeNpc.name,
+    clock,
+    stateChanges: [...applyTransactions(session, money.transactions), ...describeClockEvents(clock)]
   };
+  if (options.onDelta) {
+    result.streamedText = text;
+  }
+  return result;
+}
+
+/**
+ * Set or clear a condition on the story state
+ * @param {Object} storyState - Story state (conditions are keyed by name)
+ * @param {Object} condition - { name, dm, skills } or { name, clear: true }
+ * @returns {string} State change line
+ */
+function applyCondition(storyState, condition) {
+  const key = condition.name.toLowerCase();
+  const others = (storyState.conditions || []).filter(c => c.name.toLowerCase() !== key);
+
+  if (condition.clear) {
+    storyState.conditions = others;
+    return `Condition cleared: ${condition.name}`;
+  }
+
+  storyState.conditions = [...others, { ...condition, since: storyState.gameDate }];
+  return `Condition: ${condition.name} (DM${condition.dm >= 0 ? '+' : ''}${condition.dm})`;
+}
+
+/**
+ * Post transactions to the ledger
+ * @param {Object} session - Adventure session
+ * @param {Object[]} transactions - From PAY/CHARGE directives
+ * @returns {string[]} State change lines (refused ones say why)
+ */
+function applyTransactions(session, transactions = []) {
+  return transactions.map(transaction => describeTransaction(postTransaction(session, transaction), transaction));
+}
+
+/**
+ * Describe a customs result
+ * @param {Object} customs - From gated-encounters.resolveCustoms
+ * @returns {string} State change line
+ */
+function describeCustoms(customs) {
+  const actions = { check_in: 'checked in', confiscate: 'confiscated', kept: 'kept hidden' };
+  const items = customs.items.map(r => `${r.name} ${actions[r.action]}`);
+  const fine = customs.fine ? `, fined Cr${customs.fine.amount}` : '';
+  const ticket = customs.ticket ? ' (claim ticket issued)' : '';
+  return `Customs (law level ${customs.lawLevel}): ${customs.outcome.replace('_', '-')}` +
+    (items.length ? ` - ${items.join(', ')}` : '') + fine + ticket;
+}
+
+/**
+ * Describe what happened while the clock advanced
+ * @param {Object|null} clock - From game-clock.mergeAdvances
+ * @returns {string[]} State change lines
+ */
+function describeClockEvents(clock) {
+  if (!clock) return [];
+  return [
+    ...clock.completedActions.map(a => `Timed action complete: ${a.id}`),
+    ...clock.messages.map(m => `Message from ${m.from}: ${m.subject}`)
+  ];
 }
 
 /**
@@ -297,9 +552,7 @@ async function resumeAgmNarration(session) {
   }
 
   // Save NPC conversation
-  if (session.activeNpc && session.npcMemory) {
-    saveMemory(session.activeNpc.id, session.pc.id, session.npcMemory);
-  }
+  await saveActiveNpcMemory(session);
 
   const npcName = session.activeNpc?.name || 'the NPC';
 
@@ -313,7 +566,7 @@ async function resumeAgmNarration(session) {
 
   const response = await chat(session.client, assembled.system + resumePrompt, [
     { role: 'user', content: 'Resume narration after conversation.' }
-  ]);
+  ], { caller: USAGE_CALLERS.NARRATION });
 
   return {
     text: response.content,
@@ -321,6 +574,42 @@ async function resumeAgmNarration(session) {
   };
 }
 
+/**
+ * Fold the active NPC's older messages into its rolling summary when due
+ * Run after every NPC turn, before the message cap can drop anything.
+ * Summarization failures are non-fatal: the raw messages are kept.
+ * @param {Object} session - Adventure session
+ * @returns {Promise<boolean>} True if a summary was applied
+ */
+async function summarizeNpcMemory(session) {
+  if (!session.activeNpc || !session.npcMemory) return false;
+
+  try {
+    return await summarizeIfNeeded(session.client, session.npcMemory, {
+      npcName: session.activeNpc.name,
+      pcName: session.pc.name,
+      gameDate: session.storyState.gameDate
+    });
+  } catch (e) {
+    // Keep the raw messages if the summary call fails
+    return false;
+  }
+}
+
+/**
+ * Persist the active NPC's memory, summarizing first if it has grown long
+ * Summarization failures are non-fatal: the unsummarized memory is still saved.
+ * @param {Object} session - Adventure session
+ * @returns {Promise<boolean>} True if memory was saved
+ */
+async function saveActiveNpcMemory(session) {
+  if (!session.activeNpc || !session.npcMemory) return false;
+
+  await summarizeNpcMemory(session);
+  saveNpcMemory(session.adventureId, getSessionParty(session).id, session.activeNpc.id, session.npcMemory);
+  return true;
+}
+
 /**
  * Handle adventure-specific commands
  * @param {Object} session - Adventure session
@@ -348,9 +637,50 @@ async function handleAdventureCommand(session, input) {
         isStatus: true
       };
 
+    case '/wallet':
+      return {
+        text: formatWallet(session, { pcId: parts.slice(1).join(' ') || null }),
+        isStatus: true
+      };
+
+    case '/trade':
+      return {
+        text: handleTradeCommand(session, parts.slice(1)),
+        isStatus: true
+      };
+
+    case '/route':
+      return {
+        text: handleRouteCommand(session, parts.slice(1)),
+        isStatus: true
+      };
+
+    case '/lore': {
+      const query = parts.slice(1).join(' ');
+      return {
+        text: query ? formatLoreResults(query, searchWiki(query)) : 'Usage: /lore <query>',
+        isStatus: true
+      };
+    }
+
+    case '/encounter':
+      return {
+        text: handleEncounterCommand(session, parts.slice(1)),
+        isStatus: true
+      };
+
+    case '/attack':
+    case '/combat':
+    case '/flee':
+      return {
+        text: handleCombatCommand(session, cmd, parts.slice(1)),
+        isStatus: true
+      };
+
     case '/save':
     case '/s':
       saveStoryState(session.storyState);
+      await saveActiveNpcMemory(session);
       return { text: 'Adventure state saved.' };
 
     case '/decisions':
@@ -371,6 +701,20 @@ async function handleAdventureCommand(session, input) {
         isStatus: true
       };
 
+    case '/party':
+      return {
+        text: `=== PARTY ===\n${formatParty(getSessionParty(session))}`,
+        isStatus: true
+      };
+
+    case '/as': {
+      const ref = parts.slice(1).join(' ');
+      if (!session.party || !setActivePC(session, ref)) {
+        return { text: `No party member "${ref}". Type /party to list the party.`, isStatus: true };
+      }
+      return { text: `${session.pc.name} is now acting.`, actor: session.pc.id, isStatus: true };
+    }
+
     case '/back':
     case '/b':
       return {
@@ -383,6 +727,125 @@ async function handleAdventureCommand(session, input) {
   }
 }
 
+/**
+ * Handle /trade: show the market, or buy and sell speculative cargo
+ * @param {Object} session - Adventure session
+ * @param {string[]} args - e.g. [], ['buy', 'wood', '10'] or ['sell', 'cargo-wood-1']
+ * @returns {string} Response text
+ */
+function handleTradeCommand(session, args) {
+  const [action, ...rest] = args;
+
+  if (action === 'buy') {
+    const tons = rest.pop();
+    const result = buyCargo(session, rest.join(' '), tons);
+    if (result.error) return `Purchase refused: ${result.error}`;
+    return `Bought ${result.item.name}.\n${describeTransaction(result)}`;
+  }
+
+  if (action === 'sell') {
+    const result = sellCargo(session, rest.join(' '));
+    if (result.error) return `Sale refused: ${result.error}`;
+    const margin = `${result.profit >= 0 ? 'profit' : 'loss'} Cr${Math.abs(result.profit)}`;
+    return `Sold ${result.item.name} (${margin}).\n${describeTransaction(result)}`;
+  }
+
+  if (action) return 'Usage: /trade, /trade buy <good> <tons>, /trade sell <cargo>';
+  return formatMarket(session);
+}
+
+/**
+ * Handle /route: plan a jump route and keep it for the narrator
+ * @param {Object} session - Adventure session
+ * @param {string[]} args - e.g. ['Walston', 'Regina', 'J2'] or ['Walston', 'to', 'Regina']
+ * @returns {string} Response text
+ */
+function handleRouteCommand(session, args) {
+  const words = [...args];
+  const jump = words.length > 2 && parseJump(words[words.length - 1]) ? parseJump(words.pop()) : undefined;
+  if (words.length < 2) return 'Usage: /route <from> <to> [J2]';
+
+  // Split at "to", or at the first point where both sides are known worlds
+  let split = words.findIndex(w => w.toLowerCase() === 'to');
+  let [from, to] = split > 0 ? [words.slice(0, split), words.slice(split + 1)] : [null, null];
+  for (split = 1; !from && split < words.length; split++) {
+    if (resolveWorld(words.slice(0, split).join(' ')) && resolveWorld(words.slice(split).join(' '))) {
+      [from, to] = [words.slice(0, split), words.slice(split)];
+    }
+  }
+  if (!from) [from, to] = [words.slice(0, 1), words.slice(1)];
+
+  const route = findRoute(from.join(' '), to.join(' '), { jump });
+  if (!route.error) session.storyState.plannedRoute = route;
+  return formatRoute(route);
+}
+
+/**
+ * Handle /encounter: list encounters with mechanics, or run one for the acting PC
+ * @param {Object} session - Adventure session
+ * @param {string[]} args - [] or [id, skill?, +circumstance...]
+ * @returns {string} Response text (the run's GM log)
+ */
+function handleEncounterCommand(session, args) {
+  const adventureId = session.adventure?.id;
+  const [id, ...rest] = args;
+
+  if (!id) {
+    const lines = ['=== ENCOUNTERS ==='];
+    for (const encounterId of listEncounters(adventureId)) {
+      const mechanics = loadEncounter(adventureId, encounterId).mechanics;
+      if (!mechanics?.primary_skill) continue;
+      const skills = [mechanics.primary_skill, ...(mechanics.alternate_skills || [])].join('/');
+      lines.push(`${encounterId}: ${skills}, ${mechanics.difficulty || 'no difficulty'}`);
+    }
+    lines.push('', 'Usage: /encounter <id> [skill] [+circumstance ...]');
+    return lines.join('\n');
+  }
+
+  let encounter;
+  try {
+    encounter = loadEncounter(adventureId, id);
+  } catch (e) {
+    return `No encounter "${id}". Type /encounter to list them.`;
+  }
+
+  const circumstances = rest.filter(word => word.startsWith('+')).map(word => word.slice(1));
+  const skill = rest.filter(word => !word.startsWith('+')).join(' ') || undefined;
+  const run = runEncounter(session, encounter, { skill, circumstances });
+  session.lastEncounter = run;
+  return formatEncounterRun(encounter, run);
+}
+
+/**
+ * Handle /attack, /combat and /flee
+ * /attack [target] [with weapon] [+DM]: the acting PC's attack, then the round plays out
+ * @param {Object} session - Adventure session
+ * @param {string} cmd - Command
+ * @param {string[]} args - e.g. ['2', 'with', 'autopistol', '+1']
+ * @returns {string} Response text
+ */
+function handleCombatCommand(session, cmd, args) {
+  if (!session.storyState.combat) return 'No fight is under way.';
+  if (cmd === '/combat') return formatCombat(session);
+
+  if (cmd === '/flee') {
+    endCombat(session, 'fled');
+    saveStoryState(session.storyState);
+    return 'The party breaks off the fight.';
+  }
+
+  const dmWord = args.find(word => /^[+-]\d+$/.test(word));
+  const words = args.filter(word => word !== dmWord);
+  const withAt = words.findIndex(word => word.toLowerCase() === 'with');
+  const target = (withAt >= 0 ? words.slice(0, withAt) : words).join(' ') || null;
+  const weapon = withAt >= 0 ? words.slice(withAt + 1).join(' ') || null : null;
+
+  const round = playRound(session, { target, weapon, dm: dmWord ? parseInt(dmWord, 10) : 0 });
+  if (round.error) return round.error;
+  saveStoryState(session.storyState);
+  return round.log.join('\n');
+}
+
 /**
  * Format adventure status for display
  * @param {Object} session - Adventure session
@@ -393,9 +856,12 @@ function formatAdventureStatus(session) {
   const lines = [
     '=== ADVENTURE STATUS ===',
     `Adventure: ${session.adventure.title}`,
-    `PC: ${session.pc.name}`,
+    isMultiPC(getSessionParty(session))
+      ? `Party: ${getSessionParty(session).members.map(pc => pc.name).join(', ')} (acting: ${session.pc.name})`
+      : `PC: ${session.pc.name}`,
     `Scene: ${scene?.title || session.storyState.currentScene}`,
     `Game Date: ${session.storyState.gameDate || 'Unknown'}`,
+    `Time Elapsed: ${formatDuration(session.storyState.elapsedMinutes || 0)}`,
     `Mode: ${session.mode}`,
     ''
   ];
@@ -416,6 +882,11 @@ function formatAdventureStatus(session) {
     lines.push(`Decisions made: ${decisions.length}`);
   }
 
+  const conditions = session.storyState.conditions || [];
+  if (conditions.length > 0) {
+    lines.push(`Conditions: ${conditions.map(c => `${c.name} (DM${c.dm >= 0 ? '+' : ''}${c.dm})`).join(', ')}`);
+  }
+
   return lines.join('\n');
 }
 
@@ -426,18 +897,21 @@ function formatAdventureStatus(session) {
  */
 function formatInventory(pc) {
   const lines = ['=== INVENTORY ==='];
-
-  if (pc.equipment && pc.equipment.length > 0) {
-    pc.equipment.forEach(item => {
-      lines.push(`  - ${item}`);
+  const items = [...getEquipmentList(pc), ...(pc.personal_weapons || [])];
+
+  if (items.length > 0) {
+    items.forEach(item => {
+      const quantity = item.quantity > 1 ? ` x${item.quantity}` : '';
+      lines.push(`  - ${item.name}${quantity}`);
+      for (const content of item.contents || []) {
+        lines.push(`      ${content}`);
+      }
     });
   } else {
     lines.push('  No equipment listed.');
   }
 
-  if (pc.credits !== undefined) {
-    lines.push('', `Credits: Cr${pc.credits}`);
-  }
+  lines.push('', `Credits: Cr${getCredits(pc)}`);
 
   return lines.join('\n');
 }
@@ -475,11 +949,22 @@ function formatAdventureHelp() {
 
 /status     - Show current scene, objectives, progress
 /inventory  - Show PC equipment and credits
+/wallet [pc] - Show credits and transaction history
+/trade      - Show market prices; /trade buy <good> <tons>, /trade sell <cargo>
+/route <from> <to> [J2] - Plan a jump route with refuelling stops
+/lore <query> - Search cached wiki pages ("phrases", name:, allegiance:)
+/encounter <id> [skill] [+circumstance] - Roll an encounter's mechanics (no id: list)
+/attack [target] [with weapon] [+DM] - Attack in a fight (then the round plays out)
+/combat - Show the fight: initiative, wounds, hits and distances
+/flee - Break off the fight
 /decisions  - Show decisions made so far
 /cast       - Show dramatis personae for current scene
+/party      - Show the party and who is acting
+/as <pc>    - Switch the acting PC (or start input with "Name: ...")
 /resume, /r - Return from NPC dialogue to AGM narration
 /back, /b   - Return to scene picker
 /save, /s   - Force save current state
+/usage      - Show API spend by period, caller and model
 /help       - Show this help
 /quit, /q   - Exit adventure mode (auto-saves)
 
@@ -684,7 +1169,7 @@ function formatDramatisPersonae(session) {
     `=== DRAMATIS PERSONAE ===`,
     `Scene: ${scene?.title || 'Unknown'}`,
     '',
-    `• ${session.pc.name} (You)`
+    ...getSessionParty(session).members.map(pc => `• ${pc.name} (${pc.id === session.pc.id ? 'You' : 'Party'})`)
   ];
 
   if (npcs.length === 0) {
@@ -783,6 +1268,7 @@ module.exports = {
   handleNpcDialogue,
   enterNpcDialogue,
   resumeAgmNarration,
+  saveActiveNpcMemory,
   handleAdventureCommand,
   formatAdventureStatus,
   PLAY_MODES,
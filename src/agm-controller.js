@@ -9,20 +9,50 @@ const { getCurrentScene, buildSceneControlContext } = require('./scene-manager')
 const { buildDecisionContext, getDecisionSummary } = require('./decision-tracker');
 const { buildExtendedContext } = require('./prompt-extensions');
 const { getWorld, buildWorldContext } = require('./subsector-data');
+const { createDirectives, toolCallsToDirectives } = require('./agm-tools');
+const { getPCSkills } = require('./skill-resolver');
+const {
+  getCharacteristics,
+  formatUPP,
+  formatCharacteristics,
+  getWounds,
+  getWoundStatus,
+  getCredits,
+  getEquipmentList
+} = require('./character-sheet');
+const { getSessionParty, isMultiPC } = require('./party');
+const { findTimeframe, getBandLabel } = require('./task-engine');
+const { findLocalEquipment, loadResources } = require('./resource-lookup');
+const { formatCatalogItem } = require('./equipment-catalog');
+const { getWorldLawLevel, assessCustoms } = require('./legality');
+const { getOutstandingPayment } = require('./credits-ledger');
+const { REFUEL_OPTIONS } = require('./route-planner');
+const { buildCombatContext } = require('./combat');
 
 /**
  * Directive patterns in AGM responses
  */
 const DIRECTIVE_PATTERNS = {
-  SKILL_CHECK: /\[SKILL_CHECK:\s*(\w+)\s+(\d+)\+\s*(.+?)\]/,
+  SKILL_CHECK: /\[SKILL_CHECK:\s*(\w+)\s+(\d+)\+\s*(.+?)(?:\s*\|\s*([^\]|@]+?))?(?:\s+@([a-z0-9-]+))?\]/,
   NPC_DIALOGUE: /\[NPC_DIALOGUE:\s*([a-z0-9-]+)\]/i,
   BEAT_COMPLETE: /\[BEAT_COMPLETE:\s*([a-z0-9-_]+)\]/i,
   NEXT_SCENE: /\[NEXT_SCENE:\s*([a-z0-9-]+)\]/i,
   SCENE: /\[SCENE:\s*([a-z0-9-]+)(?:\s*,\s*TIME:\s*\+?(\d+)([dhw]))?\]/i,
   FLASHBACK: /\[FLASHBACK:\s*([a-z0-9-]+)\]/i,
-  DECISION: /\[DECISION:\s*([a-z0-9-_]+)\s*=\s*(.+?)\]/i
+  DECISION: /\[DECISION:\s*([a-z0-9-_]+)\s*=\s*(.+?)\]/i,
+  TRAVEL: /\[TRAVEL:\s*([a-z0-9-]+)\s*(?:->|to)\s*([a-z0-9-]+)(?:\s*,\s*(rail|road))?\]/i,
+  CONDITION: /\[CONDITION:\s*([^\]]+?)\s+(?:DM\s*([+-]\s*\d+)|(clear(?:ed)?))\]/i,
+  CUSTOMS: /\[CUSTOMS:\s*(declared|caught|smuggled)\]/i,
+  COMBAT: /\[COMBAT:\s*([a-z0-9_-]+)(?:\s*[x×]\s*(\d+))?(?:\s+at\s+([a-z0-9_. -]+?))?\s*\]/i,
+  PAY: /\[PAY:\s*(?:Cr)?\s*([\d,]+)(?:\s+(?:from\s+)?([a-z][a-z0-9-]*))?(?:\s*\|\s*([^\]@]+?))?(?:\s+@([a-z0-9-]+))?\s*\]/i,
+  CHARGE: /\[CHARGE:\s*(?:Cr)?\s*([\d,]+)(?:\s+(purchase|bribe|fine|payment)\b)?(?:\s+(?:to\s+)?([a-z][a-z0-9-]*))?(?:\s*\|\s*([^\]@]+?))?(?:\s+@([a-z0-9-]+))?\s*\]/i
 };
 
+const DIRECTIVE_NAMES = Object.keys(DIRECTIVE_PATTERNS);
+
+// Longest bracketed run held back while waiting for a directive to close
+const MAX_DIRECTIVE_LENGTH = 300;
+
 /**
  * Known world names in the adventure to detect in scene settings
  * These are the key worlds for the High and Dry adventure
@@ -82,30 +112,223 @@ function buildPCContext(pc) {
   let context = `Name: ${pc.name}\n`;
   context += `Background: ${pc.background || 'Unknown'}\n`;
 
-  if (pc.characteristics) {
-    const chars = Object.entries(pc.characteristics)
-      .map(([k, v]) => `${k.toUpperCase()}: ${v}`)
-      .join(', ');
-    context += `Characteristics: ${chars}\n`;
+  context += `UPP: ${formatUPP(getCharacteristics(pc))}\n`;
+  context += `Characteristics: ${formatCharacteristics(pc)}\n`;
+
+  const skills = getPCSkills(pc);
+  if (skills.length > 0) {
+    context += `Skills: ${skills.map(s => `${s.name}-${s.level}`).join(', ')}\n`;
   }
 
-  if (pc.skills && pc.skills.length > 0) {
-    const skills = pc.skills
-      .map(s => `${s.name}-${s.level}`)
-      .join(', ');
-    context += `Skills: ${skills}\n`;
+  const wounds = getWounds(pc);
+  const status = getWoundStatus(pc);
+  if (status !== 'unhurt') {
+    const taken = Object.entries(wounds).filter(([, v]) => v > 0).map(([k, v]) => `${k.toUpperCase()} -${v}`);
+    context += `Wounds: ${status} (${taken.join(', ')})\n`;
+  }
+
+  context += `Credits: Cr${getCredits(pc)}\n`;
+
+  const gear = [...getEquipmentList(pc), ...(pc.personal_weapons || [])].map(item => item.name);
+  if (gear.length > 0) {
+    context += `Equipment: ${gear.join(', ')}\n`;
   }
 
   return context;
 }
 
+/**
+ * Build party context for AGM prompt
+ * @param {Object} session - Adventure session
+ * @returns {string} Every PC's context, and who is acting this turn
+ */
+function buildPartyContext(session) {
+  const party = getSessionParty(session);
+  if (!isMultiPC(party)) return buildPCContext(session.pc);
+
+  const members = party.members.map(pc => `[${pc.id}]\n${buildPCContext(pc)}`).join('\n');
+  return `${members}\nActing this turn: ${session.pc.name} (${session.pc.id})`;
+}
+
+/**
+ * Directive instructions for tag-based responses
+ */
+const TAG_DIRECTIVE_HELP = `- Call for [SKILL_CHECK: skill difficulty+ reason] if outcome genuinely uncertain
+  (optionally [SKILL_CHECK: skill difficulty+ reason | DM-2 boon|bane hasty|careful timeframe] for
+  circumstances; gear, conditions and unskilled DM-3 are applied automatically)
+- Switch to [NPC_DIALOGUE: npc-id] for extended NPC conversation
+- Mark [BEAT_COMPLETE: beat-id] when an objective is achieved
+- Advance to [SCENE: scene-id] or [SCENE: scene-id, TIME: +Xd] when scene is complete
+- Record [DECISION: decision-id = choice-made] for major player choices
+- Record [TRAVEL: from-id -> to-id, rail|road] when the party travels between settlements
+- Set [CONDITION: name DM-2] for lasting effects on later checks, [CONDITION: name clear] to remove one
+- Resolve customs with [CUSTOMS: declared], [CUSTOMS: caught] or [CUSTOMS: smuggled]
+- Start a fight with [COMBAT: creature-id x3 at 20m] (or "at short") when violence breaks out;
+  the game rolls initiative, attacks and damage, and players fight with /attack
+- Record money changing hands: [PAY: Cr3000 npc-id | reason] when someone pays the PC,
+  [CHARGE: Cr50 purchase|bribe|fine|payment npc-id | reason] when the PC pays (balances are checked)`;
+
+/**
+ * Extra directive instructions for a party of several PCs
+ */
+const TAG_PARTY_HELP = `- In a party, end a skill check with @best (best-skilled PC rolls), @group (everyone rolls) or @pc-id; otherwise the acting PC rolls
+- End PAY or CHARGE with @pc-id when the money is not the acting PC's`;
+
+const TOOL_PARTY_HELP = `- In a party, set skill_check roller to best (best-skilled PC rolls), group (everyone rolls) or a PC ID; otherwise the acting PC rolls
+- Set pc_id on pay or charge when the money is not the acting PC's`;
+
+/**
+ * Directive instructions when the narrator has tools
+ */
+const TOOL_DIRECTIVE_HELP = `- Call skill_check if outcome genuinely uncertain (once per roll needed); set dm, boon/bane,
+  pace or timeframe for circumstances (gear, conditions and unskilled DM-3 are applied automatically)
+- Call npc_dialogue for extended NPC conversation
+- Call beat_complete when an objective is achieved
+- Call change_scene when the scene is complete (with time_skip if time passes)
+- Call record_decision for major player choices
+- Call travel when the party travels between settlements
+- Call set_condition for lasting effects on later checks (or to clear one)
+- Call customs when the party passes through customs (declared, caught or smuggled)
+- Call start_combat when violence breaks out; the game rolls initiative, attacks and damage, and players fight with /attack
+- Call pay when someone pays the PC, charge when the PC spends credits (purchase, bribe, fine, payment)
+Write the narration as text first, then make any tool calls. Do not write [TAG] directives.`;
+
+/**
+ * Build the last turn's check results for the AGM prompt
+ * Effect bands let the narration match how well or badly a check went.
+ * @param {Object[]} results - Check results from the previous turn
+ * @returns {string} Section text or empty string
+ */
+function buildCheckResultsContext(results) {
+  if (!results || results.length === 0) return '';
+
+  const lines = results.map(r => {
+    const who = r.pcName ? `${r.pcName}: ` : '';
+    const how = r.group
+      ? `${r.successes}/${r.results.length} succeeded (${r.success ? 'success' : 'failure'})`
+      : `${getBandLabel(r.band)} (Effect ${r.effect >= 0 ? '+' : ''}${r.effect})`;
+    const outcome = r.outcome ? ` - ${r.outcome}` : '';
+    return `- ${who}${r.check.skill} ${r.check.difficulty}+ ${r.check.reason}: ${how}${outcome}`;
+  });
+  return `=== LAST CHECK RESULTS ===\nNarrate consequences to match the Effect.\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Player actions that are about getting or pricing gear
+ */
+const SHOPPING_PATTERN = /\b(buy|buying|purchase|shop|shopping|price|cost|afford|sell|gear|equipment|kit)\b/i;
+
+/**
+ * Words in a shopping action that never name an item
+ */
+const SHOPPING_STOPWORDS = new Set([
+  'buy', 'buying', 'purchase', 'shop', 'shopping', 'price', 'cost', 'afford', 'sell',
+  'gear', 'equipment', 'some', 'with', 'what', 'much', 'does', 'want', 'need', 'from',
+  'have', 'they', 'there', 'this', 'that', 'store', 'local', 'good', 'best', 'cheap'
+]);
+
+/**
+ * Build catalog prices for gear the player asks about
+ * Only items the adventure's world can supply (its tech level) are listed.
+ * @param {Object} session - Adventure session
+ * @param {string} playerAction - What the player said/did
+ * @param {number} [limit] - Most items to list
+ * @returns {string} Section text or empty string
+ */
+function buildEquipmentContext(session, playerAction, limit = 8) {
+  if (!playerAction || !SHOPPING_PATTERN.test(playerAction)) return '';
+  const adventureId = session.adventureId || session.adventure?.id;
+
+  const words = playerAction.toLowerCase().match(/[a-z]{4,}/g) || [];
+  const seen = new Map();
+  for (const word of words) {
+    if (SHOPPING_STOPWORDS.has(word)) continue;
+    for (const item of findLocalEquipment(adventureId, { text: word.replace(/s$/, ''), limit })) {
+      seen.set(item.id, item);
+    }
+  }
+  if (seen.size === 0) return '';
+
+  const worldTL = loadResources(adventureId)?.tech_level;
+  const lines = [...seen.values()].slice(0, limit).map(item => `- ${formatCatalogItem(item)}`);
+  return `=== EQUIPMENT PRICES (Central Supply Catalogue${Number.isFinite(worldTL) ? `, TL${worldTL} or lower` : ''}) ===\nUse these prices when the PCs buy gear.\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Build what customs would do with the party's gear, for scenes with customs
+ * @param {Object} session - Adventure session
+ * @returns {string} Section text or empty string
+ */
+function buildCustomsContext(session) {
+  const scene = getCurrentScene(session);
+  const hasCustoms = scene?.world_context?.law_level !== undefined ||
+    (scene?.encounters || []).some(id => /customs|checkin/.test(id));
+  const world = hasCustoms ? getWorldLawLevel(session) : null;
+  if (!world) return '';
+
+  const assessment = assessCustoms(session.storyState.inventory || [], world.lawLevel);
+  const lines = assessment.items.map(r =>
+    `- ${r.name}: ${r.label || r.category}, legal to law level ${r.legalAtLawLevel} - ${r.action === 'confiscate' ? 'seized even if declared' : 'checked in if declared'}`
+  );
+  return `=== CUSTOMS (Law Level ${world.lawLevel}) ===\n${lines.length ? lines.join('\n') : 'Nothing the party carries is restricted here.'}\nHidden items that are found are seized and fined.\n`;
+}
+
+/**
+ * Build money the narrator should know about: unpaid fines and agreed payments
+ * @param {Object} session - Adventure session
+ * @returns {string} Section text or empty string
+ */
+function buildMoneyContext(session) {
+  const lines = [];
+  const fine = session.storyState.pendingFine;
+  if (fine) lines.push(`- Unpaid fine: Cr${fine.amount} (CHARGE it as a fine when paid)`);
+  const owed = getOutstandingPayment(session);
+  if (owed) lines.push(`- Agreed payment not yet made: Cr${owed} (PAY it when the money is handed over)`);
+  return lines.length ? `=== MONEY ===\n${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Build the planned jump route (see /route), so scene time skips match the trip
+ * @param {Object} session - Adventure session
+ * @returns {string} Section text or empty string
+ */
+function buildTravelContext(session) {
+  const route = session.storyState.plannedRoute;
+  if (!route || route.error) return '';
+
+  const stops = route.stops.map(stop => `${stop.name} (${REFUEL_OPTIONS[stop.refuel].label})`);
+  return `=== PLANNED ROUTE ===
+${route.from.name} to ${route.to.name} at Jump-${route.jump}: ${route.jumps} jump${route.jumps === 1 ? '' : 's'}, about ${route.days} days, ${route.fuel} tons of fuel
+${stops.length ? `Stops: ${stops.join(', ')}` : 'Direct, no stops'}
+If the party makes this trip, skip ${route.days} days when changing scene.
+`;
+}
+
+/**
+ * NPC instructions for money changing hands in dialogue
+ */
+const NPC_TRANSACTION_HELP = `=== MONEY ===
+If money changes hands during this reply, add a tag after what you say:
+[PAY: Cr100 | reason] when you pay the PC, [CHARGE: Cr20 purchase|bribe|fine|payment | reason] when the PC pays you.
+Only tag money actually handed over now, not offers or promises.`;
+
+/**
+ * Build the money section of an NPC's prompt
+ * @param {Object} session - Adventure session
+ * @returns {string} Instructions plus what the PC can afford
+ */
+function buildNpcTransactionContext(session) {
+  return `\n\n${NPC_TRANSACTION_HELP}\n${session.pc.name} has Cr${getCredits(session.pc)}.`;
+}
+
 /**
  * Build full AGM prompt for a player action
  * @param {Object} session - Adventure session
  * @param {string} playerAction - What the player said/did
+ * @param {Object} options - { useTools } describe directives as tools instead of tags
  * @returns {string} Complete AGM prompt
  */
-function buildAgmPrompt(session, playerAction) {
+function buildAgmPrompt(session, playerAction, options = {}) {
   const scene = getCurrentScene(session);
   const sceneTitle = scene?.title || session.storyState.currentScene;
   const scenePrompt = scene?.narrator_prompt || '';
@@ -129,13 +352,25 @@ NPCs Present: ${npcsPresent}
 
 ${buildWorldContextInjection(scene)}
 
-=== PLAYER CHARACTER ===
-${buildPCContext(session.pc)}
+=== ${isMultiPC(getSessionParty(session)) ? 'PARTY' : 'PLAYER CHARACTER'} ===
+${buildPartyContext(session)}
 
 ${buildDecisionContext(session.storyState)}
 
 ${buildSceneControlContext(session)}
 
+${buildCheckResultsContext(session.lastSkillChecks)}
+
+${buildEquipmentContext(session, playerAction)}
+
+${buildCustomsContext(session)}
+
+${buildMoneyContext(session)}
+
+${buildTravelContext(session)}
+
+${buildCombatContext(session)}
+
 === STORY FLAGS ===
 ${formatFlags(session.storyState.flags)}
 
@@ -145,11 +380,7 @@ ${playerAction}
 === YOUR TASK ===
 Narrate what happens in response to the player's action. You may:
 - Describe the outcome narratively (most common)
-- Call for [SKILL_CHECK: skill difficulty+ reason] if outcome genuinely uncertain
-- Switch to [NPC_DIALOGUE: npc-id] for extended NPC conversation
-- Mark [BEAT_COMPLETE: beat-id] when an objective is achieved
-- Advance to [SCENE: scene-id] or [SCENE: scene-id, TIME: +Xd] when scene is complete
-- Record [DECISION: decision-id = choice-made] for major player choices
+${options.useTools ? TOOL_DIRECTIVE_HELP : TAG_DIRECTIVE_HELP}${isMultiPC(getSessionParty(session)) ? '\n' + (options.useTools ? TOOL_PARTY_HELP : TAG_PARTY_HELP) : ''}
 
 Respond in character as the narrator. Be vivid but concise.
 Do NOT use dice for routine actions - only when outcome is genuinely in doubt.
@@ -173,96 +404,294 @@ function formatFlags(flags) {
 }
 
 /**
- * Parse AGM response for embedded directives
- * @param {string} response - AGM response text
- * @returns {Object} Parsed result with narrative and directives
+ * Find every match of a directive pattern
+ * @param {string} text - Response text
+ * @param {RegExp} pattern - Pattern from DIRECTIVE_PATTERNS
+ * @returns {Array} Match arrays
  */
-function parseAgmResponse(response) {
-  const result = {
-    narrativeText: response,
-    skillCheck: null,
-    enterNpcDialogue: false,
-    npcId: null,
-    beatComplete: null,
-    advanceScene: false,
-    nextSceneId: null,
-    timeSkip: null,
-    isFlashback: false,
-    decision: null
-  };
+function matchAll(text, pattern) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  return [...text.matchAll(new RegExp(pattern.source, flags))];
+}
 
-  // Extract [SKILL_CHECK: Athletics 8+ climbing]
-  const skillMatch = response.match(DIRECTIVE_PATTERNS.SKILL_CHECK);
-  if (skillMatch) {
-    result.skillCheck = {
-      skill: skillMatch[1],
-      difficulty: parseInt(skillMatch[2], 10),
-      reason: skillMatch[3].trim()
-    };
-    result.narrativeText = result.narrativeText.replace(skillMatch[0], '').trim();
+/**
+ * Parse the options after "|" in a skill check tag
+ * @param {string} text - e.g. "DM-2 boon careful hours"
+ * @returns {Object} { dm, boon, bane, pace, timeframe } (only those given)
+ */
+function parseCheckOptions(text) {
+  const options = {};
+  if (!text) return options;
+
+  const dm = text.match(/\bDM\s*([+-]\s*\d+)/i);
+  if (dm) options.dm = parseInt(dm[1].replace(/\s/g, ''), 10);
+  if (/\bboon\b/i.test(text)) options.boon = true;
+  if (/\bbane\b/i.test(text)) options.bane = true;
+
+  const pace = text.match(/\b(hasty|careful)\b/i);
+  if (pace) options.pace = pace[1].toLowerCase();
+
+  const timeframe = text.split(/[,\s]+/).map(findTimeframe).find(Boolean);
+  if (timeframe) options.timeframe = timeframe.id;
+
+  return options;
+}
+
+/**
+ * Parse [PAY: ...] and [CHARGE: ...] tags
+ * NPCs use the same tags in dialogue, where the counterparty defaults to the NPC.
+ * @param {string} text - Response text
+ * @param {string} [defaultCounterparty] - Counterparty when a tag names none
+ * @returns {Object} { transactions: [{ type, amount, counterparty, description, pcId }], tags }
+ */
+function parseTransactionTags(text, defaultCounterparty = null) {
+  const transactions = [];
+  const tags = [];
+  const amount = value => parseInt(value.replace(/,/g, ''), 10);
+
+  for (const m of matchAll(text, DIRECTIVE_PATTERNS.PAY)) {
+    transactions.push({
+      type: 'income',
+      amount: amount(m[1]),
+      counterparty: m[2] ? m[2].toLowerCase() : defaultCounterparty,
+      description: m[3] ? m[3].trim() : null,
+      pcId: m[4] ? m[4].toLowerCase() : null
+    });
+    tags.push(m[0]);
+  }
+  for (const m of matchAll(text, DIRECTIVE_PATTERNS.CHARGE)) {
+    transactions.push({
+      type: m[2] ? m[2].toLowerCase() : 'purchase',
+      amount: amount(m[1]),
+      counterparty: m[3] ? m[3].toLowerCase() : defaultCounterparty,
+      description: m[4] ? m[4].trim() : null,
+      pcId: m[5] ? m[5].toLowerCase() : null
+    });
+    tags.push(m[0]);
   }
 
-  // Extract [NPC_DIALOGUE: npc-id]
+  return { transactions, tags };
+}
+
+/**
+ * Parse [TAG: ...] directives out of response text
+ * Skill checks, beats, decisions, conditions and transactions may repeat; dialogue, scene changes, travel, customs and combat use the first match.
+ * @param {string} response - AGM response text
+ * @returns {Object} { directives, tags } tags are the matched strings to strip
+ */
+function parseTagDirectives(response) {
+  const directives = createDirectives();
+  const tags = [];
+
+  // [SKILL_CHECK: Athletics 8+ climbing], [SKILL_CHECK: Athletics 8+ climbing | DM-2 boon] or [... @best]
+  for (const m of matchAll(response, DIRECTIVE_PATTERNS.SKILL_CHECK)) {
+    const check = { skill: m[1], difficulty: parseInt(m[2], 10), reason: m[3].trim(), ...parseCheckOptions(m[4]) };
+    if (m[5]) check.roller = m[5].toLowerCase();
+    directives.skillChecks.push(check);
+    tags.push(m[0]);
+  }
+
+  // [NPC_DIALOGUE: npc-id]
   const npcMatch = response.match(DIRECTIVE_PATTERNS.NPC_DIALOGUE);
   if (npcMatch) {
-    result.enterNpcDialogue = true;
-    result.npcId = npcMatch[1];
-    result.narrativeText = result.narrativeText.replace(npcMatch[0], '').trim();
+    directives.enterNpcDialogue = true;
+    directives.npcId = npcMatch[1];
+    tags.push(npcMatch[0]);
   }
 
-  // Extract [BEAT_COMPLETE: beat-id]
-  const beatMatch = response.match(DIRECTIVE_PATTERNS.BEAT_COMPLETE);
-  if (beatMatch) {
-    result.beatComplete = beatMatch[1];
-    result.narrativeText = result.narrativeText.replace(beatMatch[0], '').trim();
+  // [BEAT_COMPLETE: beat-id]
+  for (const m of matchAll(response, DIRECTIVE_PATTERNS.BEAT_COMPLETE)) {
+    directives.beatsComplete.push(m[1]);
+    tags.push(m[0]);
   }
 
-  // Extract [SCENE: scene-id, TIME: +3d] or [NEXT_SCENE: scene-id]
+  // [SCENE: scene-id, TIME: +3d] or [NEXT_SCENE: scene-id]
   const sceneMatch = response.match(DIRECTIVE_PATTERNS.SCENE);
+  const nextMatch = response.match(DIRECTIVE_PATTERNS.NEXT_SCENE);
   if (sceneMatch) {
-    result.advanceScene = true;
-    result.nextSceneId = sceneMatch[1];
+    directives.advanceScene = true;
+    directives.nextSceneId = sceneMatch[1];
     if (sceneMatch[2] && sceneMatch[3]) {
-      result.timeSkip = {
+      directives.timeSkip = {
         amount: parseInt(sceneMatch[2], 10),
         unit: sceneMatch[3]
       };
     }
-    result.narrativeText = result.narrativeText.replace(sceneMatch[0], '').trim();
-  } else {
-    const nextMatch = response.match(DIRECTIVE_PATTERNS.NEXT_SCENE);
-    if (nextMatch) {
-      result.advanceScene = true;
-      result.nextSceneId = nextMatch[1];
-      result.narrativeText = result.narrativeText.replace(nextMatch[0], '').trim();
-    }
+    tags.push(sceneMatch[0]);
+  } else if (nextMatch) {
+    directives.advanceScene = true;
+    directives.nextSceneId = nextMatch[1];
+    tags.push(nextMatch[0]);
   }
 
-  // Extract [FLASHBACK: scene-id]
+  // [FLASHBACK: scene-id]
   const flashbackMatch = response.match(DIRECTIVE_PATTERNS.FLASHBACK);
   if (flashbackMatch) {
-    result.advanceScene = true;
-    result.nextSceneId = flashbackMatch[1];
-    result.isFlashback = true;
-    result.narrativeText = result.narrativeText.replace(flashbackMatch[0], '').trim();
+    directives.advanceScene = true;
+    directives.nextSceneId = flashbackMatch[1];
+    directives.isFlashback = true;
+    tags.push(flashbackMatch[0]);
   }
 
-  // Extract [DECISION: decision-id = choice-made]
-  const decisionMatch = response.match(DIRECTIVE_PATTERNS.DECISION);
-  if (decisionMatch) {
-    result.decision = {
-      id: decisionMatch[1],
-      choice: decisionMatch[2].trim()
+  // [DECISION: decision-id = choice-made]
+  for (const m of matchAll(response, DIRECTIVE_PATTERNS.DECISION)) {
+    directives.decisions.push({ id: m[1], choice: m[2].trim() });
+    tags.push(m[0]);
+  }
+
+  // [TRAVEL: startown -> central, rail]
+  const travelMatch = response.match(DIRECTIVE_PATTERNS.TRAVEL);
+  if (travelMatch) {
+    directives.travel = {
+      from: travelMatch[1].toLowerCase(),
+      to: travelMatch[2].toLowerCase(),
+      method: travelMatch[3] ? travelMatch[3].toLowerCase() : null
+    };
+    tags.push(travelMatch[0]);
+  }
+
+  // [CONDITION: altitude sickness DM-2] or [CONDITION: altitude sickness clear]
+  for (const m of matchAll(response, DIRECTIVE_PATTERNS.CONDITION)) {
+    directives.conditions.push(m[3]
+      ? { name: m[1].trim(), clear: true }
+      : { name: m[1].trim(), dm: parseInt(m[2].replace(/\s/g, ''), 10) });
+    tags.push(m[0]);
+  }
+
+  // [CUSTOMS: declared|caught|smuggled]
+  const customsMatch = response.match(DIRECTIVE_PATTERNS.CUSTOMS);
+  if (customsMatch) {
+    directives.customs = customsMatch[1].toLowerCase();
+    tags.push(customsMatch[0]);
+  }
+
+  // [COMBAT: tenshers_wolf x3 at 20m]
+  const combatMatch = response.match(DIRECTIVE_PATTERNS.COMBAT);
+  if (combatMatch) {
+    directives.combat = {
+      creature: combatMatch[1].toLowerCase(),
+      count: combatMatch[2] ? parseInt(combatMatch[2], 10) : 1,
+      distance: combatMatch[3] ? combatMatch[3].trim() : null
     };
-    result.narrativeText = result.narrativeText.replace(decisionMatch[0], '').trim();
+    tags.push(combatMatch[0]);
+  }
+
+  // [PAY: Cr3000 minister-greener | survey fee] and [CHARGE: Cr50 bribe clerk | look the other way]
+  const transactions = parseTransactionTags(response);
+  directives.transactions.push(...transactions.transactions);
+  tags.push(...transactions.tags);
+
+  return { directives, tags };
+}
+
+/**
+ * Parse AGM response for directives
+ * Tool calls (validated against the session's scenes, NPCs and skills) take
+ * precedence; without any, [TAG: ...] directives in the text are used.
+ * Tags are always stripped from the narrative.
+ * @param {string} response - AGM response text
+ * @param {Object} options - { toolCalls, context } context from agm-tools.getDirectiveContext()
+ * @returns {Object} Parsed result with narrative and directives
+ */
+function parseAgmResponse(response, options = {}) {
+  const { toolCalls = [], context = null } = options;
+  const tagged = parseTagDirectives(response || '');
+
+  let directives = tagged.directives;
+  let source = 'tags';
+  let rejected = [];
+  if (toolCalls.length > 0) {
+    ({ directives, rejected } = toolCallsToDirectives(toolCalls, context || {}));
+    source = 'tools';
+  }
+
+  let narrativeText = response || '';
+  for (const tag of tagged.tags) {
+    narrativeText = narrativeText.replace(tag, '').trim();
   }
 
   // Clean up narrative text
-  result.narrativeText = result.narrativeText
+  narrativeText = narrativeText
     .replace(/\n{3,}/g, '\n\n')
     .trim();
 
-  return result;
+  return {
+    narrativeText,
+    ...directives,
+    // First of each repeatable directive, for single-directive callers
+    skillCheck: directives.skillChecks[0] || null,
+    beatComplete: directives.beatsComplete[0] || null,
+    decision: directives.decisions[0] || null,
+    source,
+    rejected
+  };
+}
+
+/**
+ * Check whether held-back text could still become a directive tag
+ * @param {string} pending - Text starting with '['
+ * @param {string[]} [names] - Directive names to look for
+ * @returns {boolean}
+ */
+function couldBeDirective(pending, names = DIRECTIVE_NAMES) {
+  if (pending.length > MAX_DIRECTIVE_LENGTH) return false;
+  const match = pending.match(/^\[([A-Za-z_]*)(:?)/);
+  if (!match) return false;
+  const name = match[1].toUpperCase();
+  return match[2]
+    ? names.includes(name)
+    : names.some(d => d.startsWith(name));
+}
+
+/**
+ * Create a filter that strips directive tags from streamed AGM text
+ * Text from '[' onward is held back until it either closes as a known
+ * directive (dropped) or can no longer be one (released). The full
+ * response must still go through parseAgmResponse() once the stream ends.
+ * @param {string[]} [names] - Directive names to strip (NPC replies only strip PAY and CHARGE)
+ * @returns {Object} { push(text) → displayable text, flush() → held-back text }
+ */
+function createDirectiveFilter(names = DIRECTIVE_NAMES) {
+  let pending = '';
+
+  function push(text) {
+    let out = '';
+    for (const char of text) {
+      if (!pending) {
+        if (char === '[') pending = char;
+        else out += char;
+        continue;
+      }
+
+      if (char === '[') {
+        out += pending;
+        pending = char;
+        continue;
+      }
+
+      pending += char;
+      if (char === ']') {
+        const isDirective = names.some(name => {
+          const match = pending.match(DIRECTIVE_PATTERNS[name]);
+          return match && match[0] === pending;
+        });
+        if (!isDirective) out += pending;
+        pending = '';
+      } else if (!couldBeDirective(pending, names)) {
+        out += pending;
+        pending = '';
+      }
+    }
+    return out;
+  }
+
+  function flush() {
+    const rest = pending;
+    pending = '';
+    return rest;
+  }
+
+  return { push, flush };
 }
 
 /**
@@ -298,7 +727,18 @@ Consider any commitments or information exchanged during the dialogue.
 module.exports = {
   buildAgmPrompt,
   buildPCContext,
+  buildPartyContext,
+  buildCheckResultsContext,
+  buildEquipmentContext,
+  buildCustomsContext,
+  buildMoneyContext,
+  buildTravelContext,
+  buildNpcTransactionContext,
+  parseTransactionTags,
+  parseCheckOptions,
   parseAgmResponse,
+  parseTagDirectives,
+  createDirectiveFilter,
   buildNpcTransitionPrompt,
   buildResumePrompt,
   formatFlags,
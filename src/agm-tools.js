@@ -0,0 +1,462 @@
+/**
+ * AGM Tools - Structured directives for the AI Game Master
+ *
+ * Pattern: Schema + Validator
+ * The narrator's directives (skill checks, NPC dialogue, beats, scene changes,
+ * decisions, travel, customs, money, combat) as tool definitions in Anthropic
+ * tool format. Schemas are built per session so scene IDs come from
+ * story-engine.listScenes(), NPC IDs from the adventure cast, skills from
+ * SKILL_ATTRIBUTES, settlements from geography-data and creatures from the
+ * adventure's stat blocks. Validated calls are converted to the directive
+ * shape agm-controller.parseAgmResponse() returns; providers without tool
+ * support keep using the [TAG: ...] parser.
+ */
+
+const { listScenes } = require('./story-engine');
+const { SKILL_ATTRIBUTES } = require('./skill-resolver');
+const { TIMEFRAMES, PACES } = require('./task-engine');
+const { getAllSettlements } = require('./geography-data');
+const { TRAVEL_METHODS } = require('./game-clock');
+const { CUSTOMS_RESULTS } = require('./legality');
+const { SPENDING_TYPES } = require('./credits-ledger');
+const { loadItems } = require('./adventure-data');
+
+/**
+ * Tool names offered to the narrator
+ */
+const AGM_TOOLS = {
+  SKILL_CHECK: 'skill_check',
+  NPC_DIALOGUE: 'npc_dialogue',
+  BEAT_COMPLETE: 'beat_complete',
+  CHANGE_SCENE: 'change_scene',
+  RECORD_DECISION: 'record_decision',
+  TRAVEL: 'travel',
+  SET_CONDITION: 'set_condition',
+  CUSTOMS: 'customs',
+  PAY: 'pay',
+  CHARGE: 'charge',
+  START_COMBAT: 'start_combat'
+};
+
+// Tools that may only be honored once per turn
+const ONCE_PER_TURN = [
+  AGM_TOOLS.NPC_DIALOGUE,
+  AGM_TOOLS.CHANGE_SCENE,
+  AGM_TOOLS.TRAVEL,
+  AGM_TOOLS.CUSTOMS,
+  AGM_TOOLS.START_COMBAT
+];
+
+const MIN_DIFFICULTY = 2;
+const MAX_DIFFICULTY = 16;
+const MAX_CHECK_DM = 8;
+const MAX_OPPONENTS = 12;
+
+/**
+ * Gather the IDs directives may refer to
+ * @param {Object} session - Adventure session
+ * @returns {Object} { sceneIds, npcIds, skills, settlementIds, pcIds, beats,
+ *   decisions, creatureIds }
+ */
+function getDirectiveContext(session) {
+  const adventure = session.adventure || {};
+  // Only creatures with hits can be fought
+  const creatures = adventure.id ? loadItems(adventure.id)?.creatures || {} : {};
+  return {
+    sceneIds: adventure.id ? listScenes(adventure.id) : [],
+    npcIds: adventure.npcs || [],
+    skills: Object.keys(SKILL_ATTRIBUTES),
+    settlementIds: adventure.id ? getAllSettlements(adventure.id).map(s => s.id) : [],
+    pcIds: (session.party?.members || []).map(pc => pc.id),
+    beats: adventure.story_beats || [],
+    decisions: Object.keys(adventure.key_choices || {}),
+    creatureIds: Object.keys(creatures).filter(id => Number.isFinite(creatures[id].hits))
+  };
+}
+
+/**
+ * Attach an enum to a string schema when there is a list to check against
+ * @param {Object} schema - String schema
+ * @param {string[]} values - Allowed values
+ * @returns {Object} Schema
+ */
+function withEnum(schema, values) {
+  return values?.length ? { ...schema, enum: values } : schema;
+}
+
+/**
+ * Build tool definitions for a session
+ * @param {Object} context - From getDirectiveContext
+ * @returns {Object[]} Tools [{ name, description, input_schema }]
+ */
+function buildAgmTools(context) {
+  const beatHint = context.beats?.length ? ` Known beats: ${context.beats.join(', ')}.` : '';
+  const decisionHint = context.decisions?.length ? ` Key choices: ${context.decisions.join(', ')}.` : '';
+  const pcProperty = context.pcIds?.length > 1
+    ? { pc_id: { type: 'string', enum: context.pcIds, description: 'Whose money it is (default: the acting PC)' } }
+    : {};
+  const rollerProperty = context.pcIds?.length > 1
+    ? { roller: { type: 'string', enum: ['acting', 'best', 'group', ...context.pcIds], description: 'Who rolls: the acting PC (default), the best-skilled PC, the whole group, or a PC ID' } }
+    : {};
+
+  return [
+    {
+      name: AGM_TOOLS.SKILL_CHECK,
+      description: 'Call for a skill check when the outcome is genuinely uncertain. May be called more than once per turn.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          skill: withEnum({ type: 'string', description: 'Skill to roll' }, context.skills),
+          difficulty: { type: 'integer', minimum: MIN_DIFFICULTY, maximum: MAX_DIFFICULTY, description: 'Target number on 2D + DMs (8 is Average)' },
+          reason: { type: 'string', description: 'What the check is for' },
+          dm: { type: 'integer', minimum: -MAX_CHECK_DM, maximum: MAX_CHECK_DM, description: 'Situational DM from circumstances (gear and conditions are added automatically)' },
+          boon: { type: 'boolean', description: 'Circumstances strongly favour the PC: roll 3D, keep the best two' },
+          bane: { type: 'boolean', description: 'Circumstances strongly hinder the PC: roll 3D, keep the worst two' },
+          pace: { type: 'string', enum: Object.keys(PACES), description: 'hasty (quicker, DM-2) or careful (slower, DM+1)' },
+          timeframe: { type: 'string', enum: TIMEFRAMES.map(t => t.id), description: 'How long the task takes, rolled on 1D' },
+          ...rollerProperty
+        },
+        required: ['skill', 'difficulty', 'reason'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.NPC_DIALOGUE,
+      description: 'Hand the conversation to an NPC for extended dialogue.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          npc_id: withEnum({ type: 'string' }, context.npcIds)
+        },
+        required: ['npc_id'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.BEAT_COMPLETE,
+      description: `Mark a story beat complete when its objective is achieved.${beatHint}`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          beat_id: { type: 'string' }
+        },
+        required: ['beat_id'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.CHANGE_SCENE,
+      description: 'Advance to another scene when the current one is complete, optionally skipping time or as a flashback.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          scene_id: withEnum({ type: 'string' }, context.sceneIds),
+          time_skip: {
+            type: 'object',
+            properties: {
+              amount: { type: 'integer', minimum: 1 },
+              unit: { type: 'string', enum: ['h', 'd', 'w'] }
+            },
+            required: ['amount', 'unit'],
+            additionalProperties: false
+          },
+          flashback: { type: 'boolean' }
+        },
+        required: ['scene_id'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.RECORD_DECISION,
+      description: `Record a major player choice. May be called more than once per turn.${decisionHint}`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          decision_id: { type: 'string' },
+          choice: { type: 'string' }
+        },
+        required: ['decision_id', 'choice'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.TRAVEL,
+      description: 'Record the party travelling between settlements so the clock advances by the journey time.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          from: withEnum({ type: 'string' }, context.settlementIds),
+          to: withEnum({ type: 'string' }, context.settlementIds),
+          method: { type: 'string', enum: TRAVEL_METHODS }
+        },
+        required: ['from', 'to'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.SET_CONDITION,
+      description: 'Give a PC a lasting condition that applies a DM to later checks (altitude sickness, fatigue, a steadying rope), or clear one. May be called more than once per turn.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Condition name, e.g. "altitude sickness"' },
+          dm: { type: 'integer', minimum: -MAX_CHECK_DM, maximum: MAX_CHECK_DM },
+          skills: { type: 'string', description: 'Comma-separated skills it affects (omit for all checks)' },
+          clear: { type: 'boolean', description: 'Remove the condition instead' }
+        },
+        required: ['name'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.CUSTOMS,
+      description: 'Put the party through customs. declared: restricted weapons and armour are checked in against a claim ticket, drugs seized. caught: hidden restricted items are found, seized and fined. smuggled: hidden items get through.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          result: { type: 'string', enum: CUSTOMS_RESULTS }
+        },
+        required: ['result'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.PAY,
+      description: 'Record someone paying the PC (a fee, reward, refund or sale). May be called more than once per turn.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          amount: { type: 'integer', minimum: 1, description: 'Credits paid' },
+          from: { type: 'string', description: 'Who pays: an NPC ID, or who they are' },
+          reason: { type: 'string' },
+          ...pcProperty
+        },
+        required: ['amount', 'reason'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.CHARGE,
+      description: 'Record the PC spending credits. The charge is refused if the PC cannot afford it. May be called more than once per turn.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          amount: { type: 'integer', minimum: 1, description: 'Credits spent' },
+          type: { type: 'string', enum: SPENDING_TYPES, description: 'What kind of spending (default purchase)' },
+          to: { type: 'string', description: 'Who is paid: an NPC ID, or who they are' },
+          reason: { type: 'string' },
+          ...pcProperty
+        },
+        required: ['amount', 'reason'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: AGM_TOOLS.START_COMBAT,
+      description: 'Start a fight (or bring more opponents into one under way). The game rolls initiative, attacks and damage; players then fight with /attack.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          creature: withEnum({ type: 'string', description: 'Creature stat block to use' }, context.creatureIds),
+          count: { type: 'integer', minimum: 1, maximum: MAX_OPPONENTS, description: 'How many (default 1)' },
+          distance: { type: 'string', description: 'Distance from the party in metres ("20m") or a range band (close, short, medium, long)' }
+        },
+        required: ['creature'],
+        additionalProperties: false
+      }
+    }
+  ];
+}
+
+/**
+ * Validate a value against the JSON Schema subset used by AGM tools
+ * @param {Object} schema - Schema (object/string/integer/boolean, enum, min/max, required)
+ * @param {*} value - Value to check
+ * @param {string} label - Path for error messages
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateSchema(schema, value, label = 'input') {
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${label} must be an object`];
+    }
+    const errors = [];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${label}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const prop = schema.properties?.[key];
+      if (!prop) {
+        if (schema.additionalProperties === false) errors.push(`${label}.${key} is not allowed`);
+      } else if (child !== undefined && child !== null) {
+        errors.push(...validateSchema(prop, child, `${label}.${key}`));
+      }
+    }
+    return errors;
+  }
+
+  if (schema.type === 'string' && typeof value !== 'string') return [`${label} must be a string`];
+  if (schema.type === 'integer' && !Number.isInteger(value)) return [`${label} must be an integer`];
+  if (schema.type === 'boolean' && typeof value !== 'boolean') return [`${label} must be true or false`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${label} "${value}" is not a known value`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} must be at most ${schema.maximum}`);
+  return errors;
+}
+
+/**
+ * Tidy common near-misses before validation (skill casing, numeric strings)
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @returns {Object} Normalized copy
+ */
+function normalizeInput(name, input) {
+  if (!input || typeof input !== 'object') return input;
+  const out = { ...input };
+  if (name === AGM_TOOLS.SKILL_CHECK) {
+    if (typeof out.skill === 'string') out.skill = out.skill.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (typeof out.difficulty === 'string' && /^\d+\+?$/.test(out.difficulty)) out.difficulty = parseInt(out.difficulty, 10);
+    if (typeof out.dm === 'string' && /^[+-]?\d+$/.test(out.dm)) out.dm = parseInt(out.dm, 10);
+  }
+  if ((name === AGM_TOOLS.PAY || name === AGM_TOOLS.CHARGE) && typeof out.amount === 'string') {
+    const amount = out.amount.replace(/^Cr|,/gi, '');
+    if (/^\d+$/.test(amount)) out.amount = parseInt(amount, 10);
+  }
+  if (name === AGM_TOOLS.CHANGE_SCENE && out.time_skip && typeof out.time_skip.amount === 'string') {
+    out.time_skip = { ...out.time_skip, amount: parseInt(out.time_skip.amount, 10) };
+  }
+  return out;
+}
+
+/**
+ * Create an empty directive set
+ * @returns {Object} Directives
+ */
+function createDirectives() {
+  return {
+    skillChecks: [],
+    enterNpcDialogue: false,
+    npcId: null,
+    beatsComplete: [],
+    advanceScene: false,
+    nextSceneId: null,
+    timeSkip: null,
+    isFlashback: false,
+    decisions: [],
+    travel: null,
+    conditions: [],
+    customs: null,
+    combat: null,
+    transactions: []
+  };
+}
+
+/**
+ * Convert tool calls to directives, rejecting invalid ones
+ * @param {Object[]} toolCalls - [{ id, name, input }] from the provider
+ * @param {Object} context - From getDirectiveContext
+ * @returns {Object} { directives, rejected: [{ name, input, errors }] }
+ */
+function toolCallsToDirectives(toolCalls, context) {
+  const tools = Object.fromEntries(buildAgmTools(context).map(t => [t.name, t]));
+  const directives = createDirectives();
+  const rejected = [];
+  const used = new Set();
+
+  for (const call of toolCalls || []) {
+    const tool = tools[call.name];
+    if (!tool) {
+      rejected.push({ name: call.name, input: call.input, errors: [`unknown tool "${call.name}"`] });
+      continue;
+    }
+
+    const input = normalizeInput(call.name, call.input);
+    const errors = validateSchema(tool.input_schema, input);
+    if (ONCE_PER_TURN.includes(call.name) && used.has(call.name)) {
+      errors.push(`${call.name} may only be used once per turn`);
+    }
+    if (errors.length > 0) {
+      rejected.push({ name: call.name, input: call.input, errors });
+      continue;
+    }
+    used.add(call.name);
+
+    switch (call.name) {
+      case AGM_TOOLS.SKILL_CHECK:
+        directives.skillChecks.push({
+          skill: input.skill,
+          difficulty: input.difficulty,
+          reason: input.reason.trim(),
+          ...(input.dm ? { dm: input.dm } : {}),
+          ...(input.boon ? { boon: true } : {}),
+          ...(input.bane ? { bane: true } : {}),
+          ...(input.pace && input.pace !== 'normal' ? { pace: input.pace } : {}),
+          ...(input.timeframe ? { timeframe: input.timeframe } : {}),
+          ...(input.roller ? { roller: input.roller } : {})
+        });
+        break;
+      case AGM_TOOLS.NPC_DIALOGUE:
+        directives.enterNpcDialogue = true;
+        directives.npcId = input.npc_id;
+        break;
+      case AGM_TOOLS.BEAT_COMPLETE:
+        directives.beatsComplete.push(input.beat_id);
+        break;
+      case AGM_TOOLS.CHANGE_SCENE:
+        directives.advanceScene = true;
+        directives.nextSceneId = input.scene_id;
+        directives.timeSkip = input.time_skip ? { amount: input.time_skip.amount, unit: input.time_skip.unit } : null;
+        directives.isFlashback = input.flashback === true;
+        break;
+      case AGM_TOOLS.RECORD_DECISION:
+        directives.decisions.push({ id: input.decision_id, choice: input.choice.trim() });
+        break;
+      case AGM_TOOLS.TRAVEL:
+        directives.travel = { from: input.from, to: input.to, method: input.method || null };
+        break;
+      case AGM_TOOLS.SET_CONDITION:
+        directives.conditions.push(input.clear
+          ? { name: input.name.trim(), clear: true }
+          : {
+            name: input.name.trim(),
+            dm: input.dm || 0,
+            ...(input.skills ? { skills: input.skills.split(',').map(skill => skill.trim().toLowerCase().replace(/[\s-]+/g, '_')).filter(Boolean) } : {})
+          });
+        break;
+      case AGM_TOOLS.CUSTOMS:
+        directives.customs = input.result;
+        break;
+      case AGM_TOOLS.START_COMBAT:
+        directives.combat = { creature: input.creature, count: input.count || 1, distance: input.distance || null };
+        break;
+      case AGM_TOOLS.PAY:
+      case AGM_TOOLS.CHARGE:
+        directives.transactions.push({
+          type: call.name === AGM_TOOLS.PAY ? 'income' : input.type || 'purchase',
+          amount: input.amount,
+          counterparty: (call.name === AGM_TOOLS.PAY ? input.from : input.to) || null,
+          description: input.reason.trim(),
+          pcId: input.pc_id || null
+        });
+        break;
+    }
+  }
+
+  return { directives, rejected };
+}
+
+module.exports = {
+  AGM_TOOLS,
+  MIN_DIFFICULTY,
+  MAX_DIFFICULTY,
+  MAX_CHECK_DM,
+  getDirectiveContext,
+  buildAgmTools,
+  validateSchema,
+  createDirectives,
+  toolCallsToDirectives
+};
@@ -1,22 +1,27 @@
 /**
- * Claude AI Client Wrapper
+ * AI Client Wrapper
  *
  * Handles:
- * - API initialization with key validation
+ * - Client creation for the configured LLM provider (see providers/)
+ * - Streaming responses
  * - Rate limiting
- * - Budget tracking
+ * - Budget tracking (per-model pricing, daily/weekly/monthly caps)
+ * - Usage attribution in the persistent ledger (see usage-ledger.js)
+ * - Cassette record/replay (see cassette.js)
  * - Error handling
  *
  * Key Management:
- * - DEV: .env file (ANTHROPIC_API_KEY)
+ * - DEV: .env file (ANTHROPIC_API_KEY, or LLM_PROVIDER + LLM_* settings)
  * - PROD: Fly.io secrets (fly secrets set ANTHROPIC_API_KEY=xxx)
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
+const providers = require('./providers');
+const { getActiveCassette, isOffline, recordInteraction, replayInteraction } = require('./cassette');
+const ledger = require('./usage-ledger');
 
 // Configuration
-const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
-const HAIKU_MODEL = 'claude-3-5-haiku-20241022';
+const DEFAULT_MODEL = providers.getProvider('anthropic').models.default;
+const HAIKU_MODEL = providers.getProvider('anthropic').models.fast;
 const MAX_OUTPUT_TOKENS = 1000;
 
 // Environment detection
@@ -27,86 +32,42 @@ const ENV = {
   name: process.env.NODE_ENV || 'development'
 };
 
-// Budget tracking (in-memory, resets on restart)
-let dailySpend = 0;
-let requestCount = 0;
-let lastResetDate = new Date().toDateString();
-
-// Rate limiting
-const requestTimes = [];
+// Rate limiting (counted from the usage ledger)
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 const MAX_REQUESTS_PER_MINUTE = 30;
 
 /**
- * Validate API key format
+ * Validate API key format (Anthropic keys)
  * @param {string} key - API key to validate
  * @returns {Object} { valid: boolean, error?: string }
  */
 function validateApiKey(key) {
-  if (!key) {
-    return {
-      valid: false,
-      error: 'ANTHROPIC_API_KEY not set.\n' +
-        (ENV.isDev
-          ? '  → Copy .env.example to .env and add your key'
-          : '  → Set via: fly secrets set ANTHROPIC_API_KEY=sk-ant-...')
-    };
-  }
-
-  if (typeof key !== 'string') {
-    return { valid: false, error: 'API key must be a string' };
-  }
-
-  // Check format: should start with sk-ant-
-  if (!key.startsWith('sk-ant-')) {
-    return {
-      valid: false,
-      error: 'Invalid API key format. Anthropic keys start with "sk-ant-"\n' +
-        '  → Get your key from: https://console.anthropic.com/settings/keys'
-    };
-  }
-
-  // Check minimum length (real keys are ~100+ chars)
-  if (key.length < 40) {
-    return {
-      valid: false,
-      error: 'API key appears truncated. Check for copy/paste errors.'
-    };
-  }
-
-  // Check for placeholder values
-  if (key.includes('your-key') || key.includes('xxx') || key.includes('...')) {
-    return {
-      valid: false,
-      error: 'API key contains placeholder text. Replace with your real key.'
-    };
-  }
-
-  return { valid: true };
+  return providers.getProvider('anthropic').validateApiKey(key, ENV);
 }
 
 /**
- * Create Anthropic client
+ * Create client for the configured LLM provider
  * @param {string} apiKey - Optional API key (uses env if not provided)
- * @returns {Object} Anthropic client instance
- * @throws {Error} If key missing or invalid
+ * @param {Object} options - { provider, baseUrl, model, fastModel, responses, file }
+ * @returns {Object} Provider client instance
+ * @throws {Error} If provider unknown or its config is invalid
  */
-function createClient(apiKey = null) {
-  const key = apiKey || process.env.ANTHROPIC_API_KEY;
-
-  // Validate key format
-  const validation = validateApiKey(key);
-  if (!validation.valid) {
-    throw new Error(validation.error);
+function createClient(apiKey = null, options = {}) {
+  // Replaying from a cassette needs no credentials and no network
+  if (isOffline()) {
+    return { providerName: 'cassette', offline: true };
   }
 
+  const provider = providers.getProvider(options.provider || providers.getConfiguredProviderName());
+  const config = provider.resolveConfig({ ...options, apiKey: apiKey || options.apiKey });
+
   // Log environment (not the key!)
   if (ENV.isDev) {
     console.log(`[AI Client] Environment: ${ENV.name}${ENV.isFly ? ' (Fly.io)' : ''}`);
-    console.log(`[AI Client] Key: sk-ant-****${key.slice(-4)}`);
+    console.log(`[AI Client] Provider: ${provider.name}`);
   }
 
-  return new Anthropic({ apiKey: key });
+  return provider.createClient(config, ENV);
 }
 
 /**
@@ -115,14 +76,10 @@ function createClient(apiKey = null) {
  */
 function checkRateLimit() {
   const now = Date.now();
+  const recent = ledger.countRecentCalls(RATE_LIMIT_WINDOW, { now: new Date(now) });
 
-  // Remove old requests outside window
-  while (requestTimes.length > 0 && requestTimes[0] < now - RATE_LIMIT_WINDOW) {
-    requestTimes.shift();
-  }
-
-  if (requestTimes.length >= MAX_REQUESTS_PER_MINUTE) {
-    const waitMs = requestTimes[0] + RATE_LIMIT_WINDOW - now;
+  if (recent.count >= MAX_REQUESTS_PER_MINUTE) {
+    const waitMs = recent.oldest + RATE_LIMIT_WINDOW - now;
     return { allowed: false, waitMs };
   }
 
@@ -130,119 +87,267 @@ function checkRateLimit() {
 }
 
 /**
- * Check daily budget
+ * Read budget caps from environment
+ * @param {Object} overrides - { daily, weekly, monthly } explicit caps in USD
+ * @returns {Object} { daily, weekly, monthly } (null = no cap)
+ */
+function getBudgetCaps(overrides = {}) {
+  return {
+    daily: overrides.daily ?? (parseFloat(process.env.DAILY_BUDGET_USD) || 1.0),
+    weekly: overrides.weekly ?? (parseFloat(process.env.WEEKLY_BUDGET_USD) || null),
+    monthly: overrides.monthly ?? (parseFloat(process.env.MONTHLY_BUDGET_USD) || null)
+  };
+}
+
+/**
+ * Check spend against budget caps
  * @param {number} dailyBudget - Max daily spend in USD
- * @returns {Object} { allowed: boolean, spent: number, remaining: number }
+ * @param {Object} caps - { weekly, monthly } max spend in USD (defaults from env)
+ * @returns {Object} { allowed, spent, remaining, exceeded, periods } spent/remaining are daily
  */
-function checkBudget(dailyBudget = 1.0) {
-  // Reset daily tracking if new day
-  const today = new Date().toDateString();
-  if (today !== lastResetDate) {
-    dailySpend = 0;
-    requestCount = 0;
-    lastResetDate = today;
-  }
+function checkBudget(dailyBudget = 1.0, caps = {}) {
+  const result = ledger.checkCaps(getBudgetCaps({ ...caps, daily: dailyBudget }));
+  const today = result.periods.daily;
 
   return {
-    allowed: dailySpend < dailyBudget,
-    spent: dailySpend,
-    remaining: Math.max(0, dailyBudget - dailySpend)
+    allowed: result.allowed,
+    spent: today.spent,
+    remaining: today.remaining,
+    exceeded: result.exceeded,
+    periods: result.periods
   };
 }
 
 /**
  * Track usage after request
  * @param {Object} usage - Usage from API response
+ * @param {string} model - Model that served the request
+ * @param {Object} provider - Provider module (its pricing table is used)
+ * @param {string} caller - Feature that made the call (see USAGE_CALLERS)
+ * @returns {number} Estimated cost in USD
+ */
+function trackUsage(usage, model = DEFAULT_MODEL, provider = providers.getProvider('anthropic'), caller = ledger.USAGE_CALLERS.UNTAGGED) {
+  if (!usage) return 0;
+
+  const cost = providers.estimateCost(provider, model, usage);
+
+  ledger.recordUsage({ caller, provider: provider.name, model, usage, cost });
+  return cost;
+}
+
+/**
+ * Enforce rate limit and budget before a live call
+ * @param {Object} options - chat() options (dailyBudget, weeklyBudget, monthlyBudget)
+ * @throws {Error} If any limit is exceeded
+ */
+function assertWithinLimits(options) {
+  const rateCheck = checkRateLimit();
+  if (!rateCheck.allowed) {
+    throw new Error(`Rate limit exceeded. Wait ${Math.ceil(rateCheck.waitMs / 1000)}s`);
+  }
+
+  const budgetCheck = checkBudget(options.dailyBudget, {
+    weekly: options.weeklyBudget,
+    monthly: options.monthlyBudget
+  });
+  if (!budgetCheck.allowed) {
+    const label = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[budgetCheck.exceeded];
+    const period = budgetCheck.periods[budgetCheck.exceeded];
+    throw new Error(`${label} budget exhausted. Spent $${period.spent.toFixed(4)} of $${period.cap.toFixed(2)}`);
+  }
+}
+
+/**
+ * Translate provider errors into actionable messages
+ * @param {Error} error - Error thrown by the provider
+ * @param {Object} provider - Provider module
+ * @param {Object} client - Client instance
+ * @returns {Error} Error to throw
  */
-function trackUsage(usage) {
-  if (!usage) return;
+function describeProviderError(error, provider, client) {
+  if (error.status === 401) {
+    return new Error(`Invalid API key. Check your ${provider.keyEnvVar}.`);
+  }
+  if (error.status === 429) {
+    return new Error('API rate limited. Try again later.');
+  }
+  if (error.status === 500 || error.status === 503) {
+    return new Error(`${provider.name} API temporarily unavailable. Try again.`);
+  }
+  if (error.cause?.code === 'ECONNREFUSED') {
+    return new Error(`Cannot reach ${provider.name} endpoint (${client.baseUrl || 'unknown'}). Is the server running?`);
+  }
+  return error;
+}
 
-  // Rough cost estimation (Sonnet pricing as of Jan 2025)
-  // Input: $3/M tokens, Output: $15/M tokens
-  const inputCost = (usage.input_tokens / 1_000_000) * 3;
-  const outputCost = (usage.output_tokens / 1_000_000) * 15;
+/**
+ * Resolve provider and model for a client
+ * @param {Object} client - Client instance
+ * @param {string} model - Requested model
+ * @returns {Object} { provider, resolvedModel }
+ */
+function resolveProvider(client, model) {
+  const provider = providers.getProviderForClient(client);
+  const resolvedModel = provider.resolveModel
+    ? provider.resolveModel(client, model, { default: DEFAULT_MODEL, fast: HAIKU_MODEL })
+    : model;
+  return { provider, resolvedModel };
+}
 
-  dailySpend += inputCost + outputCost;
-  requestCount++;
-  requestTimes.push(Date.now());
+/**
+ * Check whether a client can take structured tool definitions
+ * Cassette clients say yes so replayed requests hash like recorded ones.
+ * @param {Object} client - Client from createClient
+ * @returns {boolean}
+ */
+function supportsTools(client) {
+  if (client?.offline) return true;
+  const provider = providers.getProviderForClient(client);
+  return !!provider.supportsTools && provider.supportsTools(client);
 }
 
 /**
- * Send chat message to Claude
- * @param {Object} client - Anthropic client
+ * Send chat message through the client's provider
+ * @param {Object} client - Client from createClient (or Anthropic SDK instance)
  * @param {string} system - System prompt
  * @param {Array} messages - Message history
- * @param {Object} options - Optional settings
- * @returns {Object} { content: string, usage: Object }
+ * @param {Object} options - { model, maxTokens, dailyBudget, weeklyBudget, monthlyBudget, caller, tools }
+ * @returns {Object} { content: string, toolCalls: Array, usage: Object, model, stopReason, provider }
  */
 async function chat(client, system, messages, options = {}) {
   const {
     model = DEFAULT_MODEL,
     maxTokens = MAX_OUTPUT_TOKENS,
-    dailyBudget = parseFloat(process.env.DAILY_BUDGET_USD) || 1.0
+    dailyBudget = parseFloat(process.env.DAILY_BUDGET_USD) || 1.0,
+    weeklyBudget,
+    monthlyBudget,
+    caller = ledger.USAGE_CALLERS.UNTAGGED,
+    tools = null
   } = options;
 
-  // Check rate limit
-  const rateCheck = checkRateLimit();
-  if (!rateCheck.allowed) {
-    throw new Error(`Rate limit exceeded. Wait ${Math.ceil(rateCheck.waitMs / 1000)}s`);
+  // Replayed calls skip rate limits, budget and the provider entirely
+  const cassette = getActiveCassette();
+  const request = { model, system, messages, maxTokens };
+  if (tools?.length) request.tools = tools;
+  if (cassette && cassette.mode !== 'record') {
+    const hit = replayInteraction(cassette, request);
+    return {
+      ...hit.response,
+      provider: 'cassette',
+      cassette: { name: cassette.name, key: hit.key, exact: hit.exact }
+    };
   }
 
-  // Check budget
-  const budgetCheck = checkBudget(dailyBudget);
-  if (!budgetCheck.allowed) {
-    throw new Error(`Daily budget exhausted. Spent $${budgetCheck.spent.toFixed(4)}`);
-  }
+  assertWithinLimits({ dailyBudget, weeklyBudget, monthlyBudget });
+
+  const { provider, resolvedModel } = resolveProvider(client, model);
 
   try {
-    const response = await client.messages.create({
-      model,
-      max_tokens: maxTokens,
-      system,
-      messages
-    });
-
-    // Track usage
-    trackUsage(response.usage);
-
-    // Extract text content
-    const content = response.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n');
+    const response = await provider.complete(client, { ...request, model: resolvedModel });
+
+    // Track usage against the provider's pricing
+    trackUsage(response.usage, response.model || resolvedModel, provider, caller);
+
+    if (cassette) {
+      recordInteraction(cassette, request, response);
+    }
 
     return {
-      content,
-      usage: response.usage,
-      model: response.model,
-      stopReason: response.stop_reason
+      ...response,
+      provider: provider.name
     };
   } catch (error) {
-    // Handle specific API errors
-    if (error.status === 401) {
-      throw new Error('Invalid API key. Check your ANTHROPIC_API_KEY.');
-    }
-    if (error.status === 429) {
-      throw new Error('API rate limited. Try again later.');
+    throw describeProviderError(error, provider, client);
+  }
+}
+
+/**
+ * Stream a chat response as text deltas
+ * Same limits, usage tracking and cassette handling as chat(). Providers
+ * without stream() deliver the whole reply as a single delta.
+ * @param {Object} client - Client from createClient (or Anthropic SDK instance)
+ * @param {string} system - System prompt
+ * @param {Array} messages - Message history
+ * @param {Object} options - Optional settings (as chat())
+ * @yields {Object} { type: 'delta', text } for each chunk, then { type: 'done', response }
+ *   where response has the same shape as chat()'s return value
+ */
+async function* streamChat(client, system, messages, options = {}) {
+  const {
+    model = DEFAULT_MODEL,
+    maxTokens = MAX_OUTPUT_TOKENS,
+    dailyBudget = parseFloat(process.env.DAILY_BUDGET_USD) || 1.0,
+    weeklyBudget,
+    monthlyBudget,
+    caller = ledger.USAGE_CALLERS.UNTAGGED,
+    tools = null
+  } = options;
+
+  const cassette = getActiveCassette();
+  const request = { model, system, messages, maxTokens };
+  if (tools?.length) request.tools = tools;
+  if (cassette && cassette.mode !== 'record') {
+    const hit = replayInteraction(cassette, request);
+    if (hit.response.content) {
+      yield { type: 'delta', text: hit.response.content };
     }
-    if (error.status === 500 || error.status === 503) {
-      throw new Error('Claude API temporarily unavailable. Try again.');
+    yield {
+      type: 'done',
+      response: {
+        ...hit.response,
+        provider: 'cassette',
+        cassette: { name: cassette.name, key: hit.key, exact: hit.exact }
+      }
+    };
+    return;
+  }
+
+  assertWithinLimits({ dailyBudget, weeklyBudget, monthlyBudget });
+
+  const { provider, resolvedModel } = resolveProvider(client, model);
+  const providerRequest = { ...request, model: resolvedModel };
+
+  let response;
+  try {
+    if (provider.stream) {
+      for await (const event of provider.stream(client, providerRequest)) {
+        if (event.type === 'done') {
+          response = event.response;
+        } else {
+          yield event;
+        }
+      }
+    } else {
+      response = await provider.complete(client, providerRequest);
+      if (response.content) {
+        yield { type: 'delta', text: response.content };
+      }
     }
+  } catch (error) {
+    throw describeProviderError(error, provider, client);
+  }
 
-    throw error;
+  trackUsage(response.usage, response.model || resolvedModel, provider, caller);
+
+  if (cassette) {
+    recordInteraction(cassette, request, response);
   }
+
+  yield { type: 'done', response: { ...response, provider: provider.name } };
 }
 
 /**
- * Quick chat using Haiku (for extraction, summarization)
- * @param {Object} client - Anthropic client
+ * Quick chat using the fast model (for extraction, summarization)
+ * @param {Object} client - Client from createClient
  * @param {string} prompt - Simple prompt
+ * @param {Object} options - { caller } usage attribution
  * @returns {string} Response text
  */
-async function quickChat(client, prompt) {
+async function quickChat(client, prompt, options = {}) {
   const response = await chat(client, '', [{ role: 'user', content: prompt }], {
     model: HAIKU_MODEL,
-    maxTokens: 500
+    maxTokens: 500,
+    caller: options.caller
   });
   return response.content;
 }
@@ -252,14 +357,23 @@ async function quickChat(client, prompt) {
  * @returns {Object} Current usage statistics
  */
 function getUsageStats() {
+  const today = ledger.buildUsageReport().daily;
   return {
-    dailySpend: dailySpend.toFixed(4),
-    requestCount,
-    requestsInWindow: requestTimes.length,
-    date: lastResetDate
+    dailySpend: today.cost.toFixed(4),
+    requestCount: today.requests,
+    requestsInWindow: ledger.countRecentCalls(RATE_LIMIT_WINDOW).count,
+    date: new Date().toDateString()
   };
 }
 
+/**
+ * Get usage report by period, caller and model
+ * @returns {Object} Report from usage-ledger.buildUsageReport()
+ */
+function getUsageReport() {
+  return ledger.buildUsageReport(getBudgetCaps());
+}
+
 module.exports = {
   // Configuration
   DEFAULT_MODEL,
@@ -270,14 +384,20 @@ module.exports = {
   // Client creation
   validateApiKey,
   createClient,
+  supportsTools,
+  listProviders: providers.listProviders,
 
   // Rate limiting & budget
   checkRateLimit,
   checkBudget,
+  getBudgetCaps,
   trackUsage,
+  USAGE_CALLERS: ledger.USAGE_CALLERS,
 
   // API calls
   chat,
+  streamChat,
   quickChat,
-  getUsageStats
+  getUsageStats,
+  getUsageReport
 };
@@ -0,0 +1,275 @@
+/**
+ * Cassette - Record and replay LLM calls
+ *
+ * Pattern: Repository (load/save) keyed by request hash
+ * Every chat() call made while a cassette is active is either recorded
+ * (real provider call, response saved) or replayed (no network at all).
+ *
+ * Modes:
+ *   record - call the provider, store request + response
+ *   replay - serve exact hash hits; fall back to the same model + last user
+ *            message when only the system prompt/history drifted
+ *   strict - serve exact hash hits only; any prompt change is an error
+ *
+ * Environment:
+ *   LLM_CASSETTE       - cassette name (enables cassette mode)
+ *   LLM_CASSETTE_MODE  - record | replay | strict (default: replay)
+ *   LLM_CASSETTE_DIR   - fixtures directory (default: tests/fixtures/cassettes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CASSETTE_DIR = path.join(__dirname, '../tests/fixtures/cassettes');
+const CASSETTE_MODES = ['record', 'replay', 'strict'];
+
+let activeCassette = null;
+
+const CASSETTE_MISS = 'CASSETTE_MISS';
+
+/**
+ * Build the error raised when a cassette cannot serve a request
+ * @param {string} message - Error message
+ * @param {Object} details - { name, key, recordedKey, changed }
+ * @returns {Error} Error with code CASSETTE_MISS
+ */
+function cassetteMiss(message, details = {}) {
+  const error = new Error(message);
+  error.code = CASSETTE_MISS;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Stable JSON encoding (sorted keys) so hashes survive key reordering
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a value to a short hex key
+ * @param {*} value
+ * @returns {string} 16-char hex digest
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Exact key: model + system prompt + full message history (+ tool definitions if offered)
+ * @param {Object} request - { model, system, messages, tools }
+ * @returns {string}
+ */
+function hashRequest(request) {
+  const key = { model: request.model, system: request.system || '', messages: request.messages };
+  if (request.tools?.length) key.tools = request.tools;
+  return hash(key);
+}
+
+/**
+ * Loose key: model + latest user message only
+ * @param {Object} request - { model, messages }
+ * @returns {string}
+ */
+function looseKey(request) {
+  const lastUser = [...(request.messages || [])].reverse().find(m => m.role === 'user');
+  return hash({ model: request.model, user: lastUser?.content ?? null });
+}
+
+/**
+ * Get cassette file path
+ * @param {string} name - Cassette name
+ * @param {string} dir - Fixtures directory
+ * @returns {string}
+ */
+function getCassettePath(name, dir = null) {
+  return path.join(dir || process.env.LLM_CASSETTE_DIR || CASSETTE_DIR, `${name}.json`);
+}
+
+/**
+ * Load a cassette (record mode starts an empty one if the file is missing)
+ * @param {string} name - Cassette name
+ * @param {Object} options - { mode, dir }
+ * @returns {Object} Cassette { name, mode, file, interactions }
+ */
+function loadCassette(name, options = {}) {
+  const { mode = 'replay', dir = null } = options;
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Invalid cassette mode: ${mode}. Use one of: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  const file = getCassettePath(name, dir);
+  let interactions = {};
+  if (fs.existsSync(file)) {
+    interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || {};
+  } else if (mode !== 'record') {
+    throw cassetteMiss(`Cassette not found: ${file}\n  → Record it first with LLM_CASSETTE_MODE=record`, { name });
+  }
+
+  return { name, mode, file, interactions };
+}
+
+/**
+ * Save a cassette to disk
+ * @param {Object} cassette - Cassette from loadCassette
+ */
+function saveCassette(cassette) {
+  const dir = path.dirname(cassette.file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const data = {
+    name: cassette.name,
+    updatedAt: new Date().toISOString(),
+    interactions: cassette.interactions
+  };
+  fs.writeFileSync(cassette.file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Store a request/response pair
+ * @param {Object} cassette - Cassette
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @param {Object} response - { content, toolCalls, usage, model, stopReason }
+ */
+function recordInteraction(cassette, request, response) {
+  const key = hashRequest(request);
+  const recordedRequest = {
+    model: request.model,
+    system: request.system || '',
+    messages: request.messages,
+    maxTokens: request.maxTokens
+  };
+  if (request.tools?.length) recordedRequest.tools = request.tools;
+
+  cassette.interactions[key] = {
+    key,
+    looseKey: looseKey(request),
+    request: recordedRequest,
+    response: {
+      content: response.content,
+      toolCalls: response.toolCalls || [],
+      usage: response.usage,
+      model: response.model,
+      stopReason: response.stopReason
+    },
+    recordedAt: new Date().toISOString()
+  };
+  saveCassette(cassette);
+}
+
+/**
+ * Shape a recorded response like a provider's (older recordings lack toolCalls)
+ * @param {Object} response - Recorded response
+ * @returns {Object} { content, toolCalls, usage, model, stopReason }
+ */
+function toResponse(response) {
+  return { ...response, toolCalls: response.toolCalls || [] };
+}
+
+/**
+ * Find a recorded response for a request
+ * @param {Object} cassette - Cassette in replay or strict mode
+ * @param {Object} request - { model, system, messages, tools }
+ * @returns {Object} { key, response, exact }
+ * @throws {Error} CASSETTE_MISS on a miss (or any drift in strict mode)
+ */
+function replayInteraction(cassette, request) {
+  const key = hashRequest(request);
+  const exact = cassette.interactions[key];
+  if (exact) {
+    return { key, response: toResponse(exact.response), exact: true };
+  }
+
+  const loose = looseKey(request);
+  const near = Object.values(cassette.interactions).find(i => i.looseKey === loose);
+
+  if (near && cassette.mode === 'replay') {
+    return { key: near.key, response: toResponse(near.response), exact: false };
+  }
+
+  if (near) {
+    const changed = [];
+    if ((near.request.system || '') !== (request.system || '')) changed.push('system prompt');
+    if (stableStringify(near.request.messages) !== stableStringify(request.messages)) changed.push('message history');
+    if (stableStringify(near.request.tools || null) !== stableStringify(request.tools || null)) changed.push('tool definitions');
+    throw cassetteMiss(
+      `Cassette "${cassette.name}": prompt changed since recording (${changed.join(', ')}). ` +
+      `Recorded key ${near.key}, got ${key}. Re-record with LLM_CASSETTE_MODE=record.`,
+      { name: cassette.name, key, recordedKey: near.key, changed }
+    );
+  }
+
+  throw cassetteMiss(
+    `Cassette "${cassette.name}": no recording for request ${key} (model ${request.model}). ` +
+    'Re-record with LLM_CASSETTE_MODE=record.',
+    { name: cassette.name, key }
+  );
+}
+
+/**
+ * Activate a cassette for all chat() calls
+ * @param {string} name - Cassette name
+ * @param {Object} options - { mode, dir }
+ * @returns {Object} Active cassette
+ */
+function useCassette(name, options = {}) {
+  activeCassette = loadCassette(name, options);
+  return activeCassette;
+}
+
+/**
+ * Deactivate the current cassette
+ */
+function ejectCassette() {
+  activeCassette = null;
+}
+
+/**
+ * Get the active cassette, activating one from environment on first use
+ * @returns {Object|null}
+ */
+function getActiveCassette() {
+  if (!activeCassette && process.env.LLM_CASSETTE) {
+    activeCassette = loadCassette(process.env.LLM_CASSETTE, {
+      mode: process.env.LLM_CASSETTE_MODE || 'replay'
+    });
+  }
+  return activeCassette;
+}
+
+/**
+ * Check whether calls must be served offline
+ * @returns {boolean} True for an active replay or strict cassette
+ */
+function isOffline() {
+  const cassette = getActiveCassette();
+  return !!cassette && cassette.mode !== 'record';
+}
+
+module.exports = {
+  CASSETTE_DIR,
+  CASSETTE_MODES,
+  CASSETTE_MISS,
+  hashRequest,
+  looseKey,
+  getCassettePath,
+  loadCassette,
+  saveCassette,
+  recordInteraction,
+  replayInteraction,
+  useCassette,
+  ejectCassette,
+  getActiveCassette,
+  isOffline
+};
@@ -0,0 +1,478 @@
+/**
+ * Character Sheet - Traveller character model for PCs
+ *
+ * Pattern: Stateless model module
+ * Every PC reads through one shape: six characteristics (written as a UPP
+ * such as "789A87") with their DMs, a skill map with specialities, wounds
+ * against the physical characteristics, credits, and equipment that links to
+ * equipment catalog entries by catalog_id.
+ *
+ * Older PC files carry "Pilot-1" strings in skills_notable, SOC as
+ * social_standing and credits as text ("Cr1000"). normalizeCharacter() reads
+ * either form, so loadPC(), skill checks and the narrator prompt never see the
+ * difference; scripts/migrate-pcs.js rewrites the files in the new form.
+ */
+
+const { ehexValue, toEhex } = require('./uwp');
+const { getCatalogItem } = require('./equipment-catalog');
+
+/**
+ * Characteristics in UPP order
+ */
+const CHARACTERISTICS = ['str', 'dex', 'end', 'int', 'edu', 'soc'];
+
+/**
+ * Characteristics that take damage (END first, then STR or DEX)
+ */
+const PHYSICAL_CHARACTERISTICS = ['str', 'dex', 'end'];
+
+/**
+ * Value assumed for a characteristic the PC file does not give
+ */
+const DEFAULT_CHARACTERISTIC = 7;
+
+/**
+ * Current version of the character sheet format
+ */
+const SHEET_VERSION = 1;
+
+/**
+ * Catalog fields copied onto equipment that links to the catalog
+ */
+const CATALOG_FIELDS = ['tl', 'cost', 'mass', 'weapon_stats', 'armor_stats', 'task_dms'];
+
+/**
+ * Get the DM for a characteristic value
+ * Traveller formula: (value - 7) / 3, rounded down
+ * @param {number} value - Characteristic value
+ * @returns {number} Characteristic DM
+ */
+function getCharacteristicDM(value) {
+  return Math.floor(((Number.isFinite(value) ? value : DEFAULT_CHARACTERISTIC) - 7) / 3);
+}
+
+/**
+ * Parse a UPP string into characteristics
+ * @param {string} upp - Six extended hex digits, e.g. "789A87"
+ * @returns {Object|null} { str, dex, end, int, edu, soc } or null if malformed
+ */
+function parseUPP(upp) {
+  const digits = String(upp || '').trim().toUpperCase();
+  if (!/^[0-9A-HJ-NP-Z]{6}$/.test(digits)) return null;
+
+  const characteristics = {};
+  CHARACTERISTICS.forEach((key, i) => {
+    characteristics[key] = ehexValue(digits[i]);
+  });
+  return characteristics;
+}
+
+/**
+ * Format characteristics as a UPP string
+ * @param {Object} characteristics - { str, dex, end, int, edu, soc }
+ * @returns {string} UPP, e.g. "789A87"
+ */
+function formatUPP(characteristics = {}) {
+  return CHARACTERISTICS
+    .map(key => toEhex(characteristics[key] ?? DEFAULT_CHARACTERISTIC))
+    .join('');
+}
+
+/**
+ * Normalize a skill or speciality name for matching ("Vacc Suit" = "vacc_suit")
+ * @param {string} name - Skill name
+ * @returns {string} Lowercase name without spaces, underscores or hyphens
+ */
+function normalizeSkillName(name) {
+  return String(name || '').toLowerCase().replace(/[_\s-]/g, '');
+}
+
+/**
+ * Split "Pilot (small craft)" into skill and speciality
+ * @param {string} name - Skill name, with or without a speciality
+ * @returns {Object} { name, speciality } (speciality null if none)
+ */
+function splitSpeciality(name) {
+  const match = String(name || '').trim().match(/^(.+?)\s*\((.+)\)$/);
+  return match
+    ? { name: match[1].trim(), speciality: match[2].trim() }
+    : { name: String(name || '').trim(), speciality: null };
+}
+
+/**
+ * Parse a "Name-Level" skill entry such as "Pilot (small craft)-1"
+ * @param {string} entry - Skill entry from skills_notable
+ * @returns {Object|null} { name, speciality, level } or null if malformed
+ */
+function parseSkillEntry(entry) {
+  const match = String(entry || '').trim().match(/^(.+?)-(\d+)$/);
+  if (!match) return null;
+  return { ...splitSpeciality(match[1]), level: parseInt(match[2], 10) };
+}
+
+/**
+ * Add one skill (or speciality) to a skill map
+ * Having a speciality means having the skill itself at level 0 at least.
+ * @param {Object} map - Skill map being built
+ * @param {Object} skill - { name, speciality, level }
+ */
+function addSkill(map, { name, speciality, level }) {
+  const entry = map[name] || (map[name] = { level: 0 });
+  if (speciality) {
+    entry.specialities = entry.specialities || {};
+    entry.specialities[speciality] = Math.max(entry.specialities[speciality] ?? 0, level);
+  } else {
+    entry.level = Math.max(entry.level, level);
+  }
+}
+
+/**
+ * Build a PC's skill map from whichever form the PC file uses
+ * Accepts a skill map ({ Pilot: { level, specialities } } or { Pilot: 1 }),
+ * a skills array ([{ name, level }]) or skills_notable strings.
+ * @param {Object} pc - PC data
+ * @returns {Object} { "Pilot": { level: 1, specialities: { "Small Craft": 2 } } }
+ */
+function getSkillMap(pc) {
+  const map = {};
+  if (!pc) return map;
+
+  if (pc.skills && !Array.isArray(pc.skills) && typeof pc.skills === 'object') {
+    for (const [name, value] of Object.entries(pc.skills)) {
+      const level = typeof value === 'number' ? value : value?.level ?? 0;
+      addSkill(map, { name, speciality: null, level });
+      for (const [speciality, specLevel] of Object.entries(value?.specialities || {})) {
+        addSkill(map, { name, speciality, level: specLevel });
+      }
+    }
+    return map;
+  }
+
+  const entries = Array.isArray(pc.skills)
+    ? pc.skills.map(s => ({ ...splitSpeciality(s.name), level: s.level ?? 0 }))
+    : (pc.skills_notable || []).map(parseSkillEntry).filter(Boolean);
+  entries.forEach(skill => addSkill(map, skill));
+  return map;
+}
+
+/**
+ * List a PC's skills as { name, level }, specialities written "Pilot (Small Craft)"
+ * A skill trained only in its specialities is listed by speciality alone.
+ * @param {Object} pc - PC data
+ * @returns {Object[]} Skills in sheet order
+ */
+function getSkillList(pc) {
+  const list = [];
+  for (const [name, entry] of Object.entries(getSkillMap(pc))) {
+    const specialities = Object.entries(entry.specialities || {});
+    if (specialities.length === 0 || entry.level > 0) list.push({ name, level: entry.level });
+    for (const [speciality, level] of specialities) {
+      list.push({ name: `${name} (${speciality})`, level });
+    }
+  }
+  return list;
+}
+
+/**
+ * Find a skill map entry by name: exact match first, then the loose match
+ * checks have always used ("Electronic" finds "Electronics")
+ * @param {Object} map - Skill map
+ * @param {string} name - Skill name without speciality
+ * @returns {Object|null} Skill map entry
+ */
+function findSkill(map, name) {
+  const wanted = normalizeSkillName(name);
+  const names = Object.keys(map);
+  const found = names.find(n => normalizeSkillName(n) === wanted) ||
+    names.find(n => {
+      const norm = normalizeSkillName(n);
+      return norm.includes(wanted) || wanted.includes(norm);
+    });
+  return found ? map[found] : null;
+}
+
+/**
+ * Get a PC's level in a skill, or in one of its specialities
+ * "Pilot" uses the best speciality; "Pilot (small craft)" uses that
+ * speciality, falling back on the skill's own level.
+ * @param {Object} pc - PC data
+ * @param {string} skillName - Skill name, e.g. "Pilot" or "Pilot (small craft)"
+ * @returns {number|null} Skill level, null if the PC does not have the skill
+ */
+function getSkillLevel(pc, skillName) {
+  const map = getSkillMap(pc);
+  if (Object.keys(map).length === 0) return null;
+
+  const { name, speciality } = splitSpeciality(skillName);
+  const entry = findSkill(map, name);
+  if (!entry) return null;
+
+  const specialities = entry.specialities || {};
+  if (speciality) {
+    const key = Object.keys(specialities).find(s => normalizeSkillName(s) === normalizeSkillName(speciality));
+    return key ? specialities[key] : entry.level;
+  }
+  return Math.max(entry.level, ...Object.values(specialities));
+}
+
+/**
+ * Get a PC's base characteristics, filling gaps from the UPP, SOC from
+ * social_standing and anything still missing with the default
+ * @param {Object} pc - PC data
+ * @returns {Object} { str, dex, end, int, edu, soc }
+ */
+function getCharacteristics(pc) {
+  const fromUPP = parseUPP(pc?.upp) || {};
+  const given = pc?.characteristics || {};
+  const characteristics = {};
+  for (const key of CHARACTERISTICS) {
+    characteristics[key] = given[key] ?? fromUPP[key] ??
+      (key === 'soc' ? pc?.social_standing : undefined) ?? DEFAULT_CHARACTERISTIC;
+  }
+  return characteristics;
+}
+
+/**
+ * Get a characteristic's current value (physical characteristics less wounds)
+ * @param {Object} pc - PC data
+ * @param {string} key - Characteristic key, e.g. 'dex'
+ * @returns {number} Current value
+ */
+function getCharacteristic(pc, key) {
+  const base = getCharacteristics(pc)[key] ?? DEFAULT_CHARACTERISTIC;
+  const wound = PHYSICAL_CHARACTERISTICS.includes(key) ? (pc?.wounds?.[key] || 0) : 0;
+  return Math.max(0, base - wound);
+}
+
+/**
+ * Get the DM a characteristic currently gives (wounds included)
+ * @param {Object} pc - PC data
+ * @param {string} key - Characteristic key
+ * @returns {number} Characteristic DM
+ */
+function getCharacteristicModifier(pc, key) {
+  return getCharacteristicDM(getCharacteristic(pc, key));
+}
+
+/**
+ * Read a credit amount: a number or text such as "Cr1000" or "Cr1,500"
+ * @param {number|string} amount - Credit amount
+ * @returns {number|null} Credits, null if unreadable
+ */
+function parseCredits(amount) {
+  if (typeof amount === 'number') return Number.isFinite(amount) ? amount : null;
+  const match = String(amount || '').replace(/,/g, '').match(/(?:Cr|MCr)?\s*(\d+(?:\.\d+)?)/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return /MCr/i.test(String(amount)) ? value * 1000000 : value;
+}
+
+/**
+ * Get a PC's credits
+ * @param {Object} pc - PC data with credits (or a legacy expenses_credit entry)
+ * @returns {number} Credits (0 if none recorded)
+ */
+function getCredits(pc) {
+  if (!pc) return 0;
+  if (pc.credits !== undefined) return parseCredits(pc.credits) ?? 0;
+  return parseCredits(pc.equipment?.expenses_credit?.amount) ?? 0;
+}
+
+/**
+ * Turn a legacy equipment entry into a list entry
+ * @param {string} key - Entry key, e.g. "scout_service_kit"
+ * @param {Object|string} value - Entry value
+ * @returns {Object} { id, name, ... }
+ */
+function legacyEquipmentEntry(key, value) {
+  const id = key.replace(/_/g, '-');
+  const name = key.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  if (typeof value !== 'object' || value === null) return { id, name, notes: String(value) };
+
+  const { items, ...rest } = value;
+  return { id, name, ...rest, ...(items ? { contents: items } : {}) };
+}
+
+/**
+ * Get a PC's equipment as a list of { id, name, ... } entries
+ * Accepts the list form, plain strings, or the older keyed object (whose
+ * expenses_credit entry is credits, not equipment).
+ * @param {Object} pc - PC data
+ * @returns {Object[]} Equipment entries
+ */
+function getEquipmentList(pc) {
+  const equipment = pc?.equipment;
+  if (!equipment) return [];
+  if (Array.isArray(equipment)) {
+    return equipment.map(item => typeof item === 'string'
+      ? { id: item.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''), name: item }
+      : item);
+  }
+  return Object.entries(equipment)
+    .filter(([key]) => key !== 'expenses_credit')
+    .map(([key, value]) => legacyEquipmentEntry(key, value));
+}
+
+/**
+ * Fill an equipment entry from the catalog entry it links to
+ * The entry's own fields win, so a PC's weapon keeps its legal_at_law_level.
+ * @param {Object} item - Equipment entry, optionally with catalog_id
+ * @returns {Object} Entry with catalog stats and task DMs
+ */
+function resolveEquipment(item) {
+  const entry = item?.catalog_id ? getCatalogItem(item.catalog_id) : null;
+  if (!entry) return item;
+
+  const fromCatalog = {};
+  for (const field of CATALOG_FIELDS) {
+    if (entry[field] !== undefined && entry[field] !== null) fromCatalog[field] = entry[field];
+  }
+  return { name: entry.name, ...fromCatalog, ...item };
+}
+
+/**
+ * Get a PC's wounds (damage taken off each physical characteristic)
+ * @param {Object} pc - PC data
+ * @returns {Object} { str, dex, end }
+ */
+function getWounds(pc) {
+  const wounds = {};
+  for (const key of PHYSICAL_CHARACTERISTICS) wounds[key] = pc?.wounds?.[key] || 0;
+  return wounds;
+}
+
+/**
+ * Describe a PC's condition from their wounds
+ * Two physical characteristics at 0 is unconscious, all three is dead.
+ * @param {Object} pc - PC data
+ * @returns {string} 'unhurt', 'wounded', 'unconscious' or 'dead'
+ */
+function getWoundStatus(pc) {
+  const wounds = getWounds(pc);
+  if (PHYSICAL_CHARACTERISTICS.every(key => !wounds[key])) return 'unhurt';
+
+  const zeroed = PHYSICAL_CHARACTERISTICS.filter(key => getCharacteristic(pc, key) === 0).length;
+  if (zeroed === 3) return 'dead';
+  if (zeroed === 2) return 'unconscious';
+  return 'wounded';
+}
+
+/**
+ * Apply damage to a PC: END first, then the higher of STR and DEX, then the other
+ * @param {Object} pc - PC data (wounds are updated in place)
+ * @param {number} amount - Damage after armour
+ * @returns {Object} { taken: { str, dex, end }, status }
+ */
+function applyDamage(pc, amount) {
+  pc.wounds = getWounds(pc);
+  const taken = { str: 0, dex: 0, end: 0 };
+  let remaining = Math.max(0, Math.floor(amount) || 0);
+
+  const order = ['end', ...['str', 'dex'].sort((a, b) => getCharacteristic(pc, b) - getCharacteristic(pc, a))];
+  for (const key of order) {
+    const absorbed = Math.min(remaining, getCharacteristic(pc, key));
+    pc.wounds[key] += absorbed;
+    taken[key] = absorbed;
+    remaining -= absorbed;
+  }
+
+  return { taken, status: getWoundStatus(pc) };
+}
+
+/**
+ * Heal a PC's wounds, restoring END last
+ * @param {Object} pc - PC data (wounds are updated in place)
+ * @param {number} [amount] - Points to heal (all wounds if omitted)
+ * @returns {Object} { str, dex, end } wounds remaining
+ */
+function healDamage(pc, amount = Infinity) {
+  pc.wounds = getWounds(pc);
+  let remaining = amount;
+  for (const key of ['str', 'dex', 'end']) {
+    const healed = Math.min(remaining, pc.wounds[key]);
+    pc.wounds[key] -= healed;
+    remaining -= healed;
+  }
+  return { ...pc.wounds };
+}
+
+/**
+ * Convert a skill map to the form saved in PC files
+ * @param {Object} map - Skill map from getSkillMap
+ * @returns {Object} { "Pilot": { level: 1 }, ... }
+ */
+function serializeSkills(map) {
+  const skills = {};
+  for (const [name, entry] of Object.entries(map)) {
+    skills[name] = entry.specialities ? { level: entry.level, specialities: { ...entry.specialities } } : { level: entry.level };
+  }
+  return skills;
+}
+
+/**
+ * Normalize a PC into the character sheet model
+ * Idempotent: a PC already in sheet form comes back unchanged in content.
+ * Legacy fields (skills_notable, social_standing, keyed equipment with
+ * expenses_credit) are read and dropped.
+ * @param {Object} pc - PC data in either form
+ * @returns {Object} PC with characteristics, upp, skills, wounds, credits and equipment
+ */
+function normalizeCharacter(pc) {
+  if (!pc) return pc;
+  const { skills_notable, social_standing, ...rest } = pc;
+  const characteristics = getCharacteristics(pc);
+  const legacyCredits = pc.equipment && !Array.isArray(pc.equipment) ? pc.equipment.expenses_credit : null;
+
+  const sheet = {
+    ...rest,
+    sheet_version: SHEET_VERSION,
+    upp: formatUPP(characteristics),
+    characteristics,
+    skills: serializeSkills(getSkillMap(pc)),
+    wounds: getWounds(pc),
+    credits: getCredits(pc),
+    equipment: getEquipmentList(pc)
+  };
+  if (legacyCredits?.source && !sheet.credits_source) sheet.credits_source = legacyCredits.source;
+  return sheet;
+}
+
+/**
+ * Format a PC's characteristics with DMs for display
+ * @param {Object} pc - PC data
+ * @returns {string} "STR: 7 (+0), DEX: 9 (+0), ..."
+ */
+function formatCharacteristics(pc) {
+  return CHARACTERISTICS.map(key => {
+    const dm = getCharacteristicModifier(pc, key);
+    return `${key.toUpperCase()}: ${getCharacteristic(pc, key)} (${dm >= 0 ? '+' : ''}${dm})`;
+  }).join(', ');
+}
+
+module.exports = {
+  getCharacteristicDM,
+  parseUPP,
+  formatUPP,
+  splitSpeciality,
+  parseSkillEntry,
+  getSkillMap,
+  getSkillList,
+  getSkillLevel,
+  getCharacteristics,
+  getCharacteristic,
+  getCharacteristicModifier,
+  parseCredits,
+  getCredits,
+  getEquipmentList,
+  resolveEquipment,
+  getWounds,
+  getWoundStatus,
+  applyDamage,
+  healDamage,
+  normalizeCharacter,
+  formatCharacteristics,
+  CHARACTERISTICS,
+  PHYSICAL_CHARACTERISTICS,
+  DEFAULT_CHARACTERISTIC,
+  SHEET_VERSION
+};
@@ -0,0 +1,128 @@
+/**
+ * Character Validator
+ * Validates PC files against the character sheet model (see character-sheet)
+ */
+
+const { getCatalogItem } = require('./equipment-catalog');
+const { parseUPP, formatUPP, CHARACTERISTICS, PHYSICAL_CHARACTERISTICS } = require('./character-sheet');
+
+const KEBAB_CASE_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Skill levels run 0-4 for most Travellers; 6 is a hard ceiling
+const MAX_SKILL_LEVEL = 6;
+
+// Fields the sheet replaces; their presence means the file needs migrating
+const LEGACY_FIELDS = ['skills_notable', 'social_standing'];
+
+/**
+ * Check that a value is a whole number in range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed
+ * @param {number} max - Highest allowed
+ * @returns {boolean} True if valid
+ */
+function isLevel(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a single PC in character sheet form
+ * @param {Object} pc - PC data
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateCharacter(pc) {
+  const errors = [];
+
+  // Required fields
+  if (!pc.id) {
+    errors.push('Missing required field: id');
+  } else if (!KEBAB_CASE_REGEX.test(pc.id)) {
+    errors.push('id must be kebab-case format');
+  }
+
+  if (!pc.name) {
+    errors.push('Missing required field: name');
+  }
+
+  for (const field of LEGACY_FIELDS) {
+    if (pc[field] !== undefined) {
+      errors.push(`Legacy field ${field} - run scripts/migrate-pcs.js`);
+    }
+  }
+
+  // Characteristics and UPP
+  if (!pc.characteristics) {
+    errors.push('Missing required field: characteristics');
+  } else {
+    for (const key of CHARACTERISTICS) {
+      if (!isLevel(pc.characteristics[key], 0, 15)) {
+        errors.push(`${key.toUpperCase()} must be a number between 0 and 15`);
+      }
+    }
+    if (pc.upp !== undefined) {
+      if (!parseUPP(pc.upp)) {
+        errors.push(`Invalid UPP: ${pc.upp}`);
+      } else if (pc.upp !== formatUPP(pc.characteristics)) {
+        errors.push(`UPP ${pc.upp} does not match characteristics (${formatUPP(pc.characteristics)})`);
+      }
+    }
+  }
+
+  // Skills: { "Pilot": { level, specialities: { "Small Craft": 1 } } }
+  if (!pc.skills || Array.isArray(pc.skills) || typeof pc.skills !== 'object') {
+    errors.push('skills must be a skill map');
+  } else {
+    for (const [name, skill] of Object.entries(pc.skills)) {
+      if (!isLevel(skill?.level, 0, MAX_SKILL_LEVEL)) {
+        errors.push(`Skill ${name} level must be between 0 and ${MAX_SKILL_LEVEL}`);
+      }
+      for (const [speciality, level] of Object.entries(skill?.specialities || {})) {
+        if (!isLevel(level, 0, MAX_SKILL_LEVEL)) {
+          errors.push(`Skill ${name} (${speciality}) level must be between 0 and ${MAX_SKILL_LEVEL}`);
+        }
+      }
+    }
+  }
+
+  // Wounds never exceed the characteristic they came off
+  for (const key of PHYSICAL_CHARACTERISTICS) {
+    const wound = pc.wounds?.[key];
+    if (wound === undefined) continue;
+    if (!isLevel(wound, 0, 15)) {
+      errors.push(`${key.toUpperCase()} wounds must be a number between 0 and 15`);
+    } else if (pc.characteristics && wound > pc.characteristics[key]) {
+      errors.push(`${key.toUpperCase()} wounds exceed the characteristic`);
+    }
+  }
+
+  if (typeof pc.credits !== 'number' || !Number.isFinite(pc.credits) || pc.credits < 0) {
+    errors.push('credits must be a number of 0 or more');
+  }
+
+  // Equipment and weapons link to the catalog by catalog_id
+  if (pc.equipment !== undefined && !Array.isArray(pc.equipment)) {
+    errors.push('equipment must be a list');
+  }
+  const items = [
+    ...(Array.isArray(pc.equipment) ? pc.equipment : []),
+    ...(pc.personal_weapons || [])
+  ];
+  for (const item of items) {
+    if (!item.id || !item.name) {
+      errors.push(`Equipment entry missing id or name: ${item.id || item.name || 'unknown'}`);
+    }
+    if (item.catalog_id && !getCatalogItem(item.catalog_id)) {
+      errors.push(`Unknown catalog_id for ${item.id}: ${item.catalog_id}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateCharacter,
+  MAX_SKILL_LEVEL
+};
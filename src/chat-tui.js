@@ -15,7 +15,10 @@ const readline = require('readline');
 const { loadPersona, listPersonas, getPersonaSummary } = require('./persona');
 const { createMemory, addMessage, serialize, deserialize } = require('./memory');
 const { assembleFullPrompt } = require('./prompts');
-const { createClient, chat, getUsageStats } = require('./ai-client');
+const { createClient, chat, getUsageStats, getUsageReport, USAGE_CALLERS } = require('./ai-client');
+const { formatUsageReport } = require('./usage-ledger');
+const { buildDashboard, formatDashboard, exportDashboardHtml } = require('./red-team/dashboard');
+const { searchWiki, formatLoreResults } = require('./wiki-index');
 const { loadPC, pcExists, listPCs } = require('./pc-roster');
 const {
   createThread,
@@ -40,12 +43,14 @@ const {
 } = require('./story-engine');
 const { getDisposition } = require('./disposition');
 const { getActiveTimedActions, getActionProgress } = require('./timed-actions');
+const { formatClockStatus } = require('./game-clock');
 const { getReportsForPc, formatReportMessage, clearReports } = require('./action-reports');
 const {
   startAdventure,
   getOpeningNarration,
   processPlayerInput,
   resumeAgmNarration,
+  saveActiveNpcMemory,
   PLAY_MODES,
   formatScenePicker,
   displayTheatricalFrame,
@@ -110,7 +115,9 @@ const TUI_CONFIG = {
     filled: '█',
     empty: '░',
     width: 10
-  }
+  },
+  // Render adventure replies as they arrive (TUI_STREAMING=0 to wait for full replies)
+  streaming: process.env.TUI_STREAMING !== '0'
 };
 
 // Paths
@@ -270,11 +277,15 @@ function printHelp() {
   console.log('    /status        - Show current session status');
   console.log('    /actions       - Show active timed actions');
   console.log('    /stats         - Show API usage statistics');
+  console.log('    /usage         - Show spend by period, caller and model');
+  console.log('    /redteam [html]- Show red team trends (html: export page)');
   console.log('    /memory        - Show memory summary');
+  console.log('    /lore <query>  - Search cached wiki pages');
   console.log('');
   console.log('  Story Commands:');
   console.log('    /adventure     - Show/load adventure');
   console.log('    /play <adv>    - Start adventure play mode');
+  console.log('    /play <adv> <pc> ... - Play with extra party members');
   console.log('    /scene [id]    - Show current or specific scene');
   console.log('    /encounter <id>- Show encounter details');
   console.log('    /progress      - Show story progress');
@@ -909,7 +920,7 @@ async function runNpcTestMode(rl, client) {
         const { npc: npcColor, system: sysColor, reset } = TUI_CONFIG.colors;
         console.log(`\n${npcColor}${npc.name}:${reset} ${sysColor}(thinking...)${reset}`);
 
-        const response = await chat(client, assembled.system, assembled.messages);
+        const response = await chat(client, assembled.system, assembled.messages, { caller: USAGE_CALLERS.NPC_DIALOGUE });
 
         process.stdout.write('\x1b[1A\x1b[2K');
         console.log(formatTestModeResponse(testState, response.content) + '\n');
@@ -930,7 +941,7 @@ async function runNpcTestMode(rl, client) {
     greetingAssembled.system = greetingAssembled.system + '\n' + greetingContext;
 
     try {
-      const greetingResponse = await chat(client, greetingAssembled.system, [{ role: 'user', content: 'Greet me.' }]);
+      const greetingResponse = await chat(client, greetingAssembled.system, [{ role: 'user', content: 'Greet me.' }], { caller: USAGE_CALLERS.NPC_DIALOGUE });
       console.log(formatTestModeResponse(testState, greetingResponse.content) + '\n');
       addMessage(testState.memory, 'assistant', greetingResponse.content);
     } catch (e) {
@@ -1127,11 +1138,15 @@ async function main() {
   }
 
   // Handle graceful shutdown
-  const shutdown = () => {
+  const shutdown = async () => {
     if (currentNpcId && currentMemory) {
       console.log('\n\n  Saving conversation...');
       saveConversation(currentNpcId, selectedPC, currentMemory);
     }
+    if (adventureSession?.activeNpc) {
+      console.log('\n\n  Saving NPC memory...');
+      await saveActiveNpcMemory(adventureSession);
+    }
     console.log('  Goodbye!\n');
     rl.close();
     process.exit(0);
@@ -1202,6 +1217,29 @@ async function main() {
         return;
       }
 
+      if (trimmed === '/usage') {
+        console.log(formatUsageReport(getUsageReport()));
+        prompt();
+        return;
+      }
+
+      if (trimmed === '/redteam' || trimmed === '/redteam html') {
+        const dashboard = buildDashboard();
+        console.log('\n' + formatDashboard(dashboard) + '\n');
+        if (trimmed === '/redteam html') {
+          console.log(`  Exported: ${exportDashboardHtml(dashboard)}\n`);
+        }
+        prompt();
+        return;
+      }
+
+      if (trimmed.startsWith('/lore ')) {
+        const query = trimmed.slice(6).trim();
+        console.log('\n' + formatLoreResults(query, searchWiki(query)) + '\n');
+        prompt();
+        return;
+      }
+
       if (trimmed === '/memory') {
         if (currentMemory) {
           printMemorySummary(currentMemory);
@@ -1291,7 +1329,7 @@ async function main() {
 
         if (!advId) {
           printAdventureInfo();
-          console.log('  Use /play <adventure-id> to start adventure mode.\n');
+          console.log('  Use /play <adventure-id> [pc-id ...] to start adventure mode.\n');
           prompt();
           return;
         }
@@ -1302,8 +1340,17 @@ async function main() {
           return;
         }
 
+        const extraPCs = parts.slice(2);
+        const missingPC = extraPCs.find(id => !pcExists(id));
+        if (missingPC) {
+          console.log(`\n  PC not found: ${missingPC}\n`);
+          prompt();
+          return;
+        }
+
         try {
-          adventureSession = await startAdventure(advId, currentPCId, client);
+          const pcIds = extraPCs.length > 0 ? [currentPCId, ...extraPCs] : currentPCId;
+          adventureSession = await startAdventure(advId, pcIds, client);
           storyState = adventureSession.storyState;
 
           const { npc: npcColor, system: sysColor, reset } = TUI_CONFIG.colors;
@@ -1353,6 +1400,7 @@ async function main() {
         // Quick escape commands - handle immediately without "thinking" indicator
         if (trimmed === '/b' || trimmed === '/back') {
           console.log('\n  Returning to main menu...\n');
+          await saveActiveNpcMemory(adventureSession);
           adventureSession = null;
           return main();
         }
@@ -1360,37 +1408,67 @@ async function main() {
           shutdown();
           return;
         }
+        if (trimmed === '/usage') {
+          console.log(formatUsageReport(getUsageReport()));
+          prompt();
+          return;
+        }
 
         try {
           const { npc: npcColor, system: sysColor, reset } = TUI_CONFIG.colors;
 
           // Show thinking indicator
-          const speaker = adventureSession.mode === PLAY_MODES.NPC_DIALOGUE
+          const inDialogue = adventureSession.mode === PLAY_MODES.NPC_DIALOGUE;
+          const speaker = inDialogue
             ? adventureSession.activeNpc?.name || 'NPC'
             : adventureSession.agm.name;
           console.log(`\n${npcColor}${speaker}:${reset} ${sysColor}(thinking...)${reset}`);
 
-          const result = await processPlayerInput(adventureSession, trimmed);
-
-          // Clear thinking and show result
-          process.stdout.write('\x1b[1A\x1b[2K');
+          // Stream the reply in place of the thinking indicator
+          let streamStarted = false;
+          const onDelta = (text) => {
+            if (!streamStarted) {
+              process.stdout.write('\x1b[1A\x1b[2K');
+              process.stdout.write(`${inDialogue ? npcColor : sysColor}${speaker}:${reset} `);
+              streamStarted = true;
+            }
+            process.stdout.write(text);
+          };
+
+          const result = await processPlayerInput(
+            adventureSession,
+            trimmed,
+            TUI_CONFIG.streaming ? { onDelta } : {}
+          );
+
+          if (streamStarted) {
+            // Print whatever was appended after the streamed text (check results, scene prompts)
+            const remainder = result.text.slice((result.streamedText || '').length);
+            console.log(remainder);
+          } else {
+            // Clear thinking and show result
+            process.stdout.write('\x1b[1A\x1b[2K');
+          }
 
           // Handle /back action - return to main menu (fallback)
           if (result.action === 'back') {
             console.log('\n  Returning to main menu...\n');
+            await saveActiveNpcMemory(adventureSession);
             adventureSession = null;
             return main();
           }
 
-          // Handle different result types
-          if (result.isStatus) {
-            console.log(result.text);
-          } else if (result.speaker) {
-            // NPC dialogue response
-            console.log(`${npcColor}${result.speaker}:${reset} ${result.text}`);
-          } else {
-            // AGM narration
-            console.log(`${sysColor}${adventureSession.agm.name}:${reset} ${result.text}`);
+          // Handle different result types (streamed replies are already on screen)
+          if (!streamStarted) {
+            if (result.isStatus) {
+              console.log(result.text);
+            } else if (result.speaker) {
+              // NPC dialogue response
+              console.log(`${npcColor}${result.speaker}:${reset} ${result.text}`);
+            } else {
+              // AGM narration
+              console.log(`${sysColor}${adventureSession.agm.name}:${reset} ${result.text}`);
+            }
           }
 
           // Show mode change notification
@@ -1398,9 +1476,9 @@ async function main() {
             console.log(`\n${npcColor}${adventureSession.activeNpc?.name}:${reset} ${result.npcGreeting}`);
           }
 
-          // Show skill check result
-          if (result.skillCheck) {
-            console.log(`\n${sysColor}[${result.skillCheck.narrative}]${reset}`);
+          // Show skill check results
+          for (const check of result.skillChecks || []) {
+            console.log(`\n${sysColor}[${check.narrative}]${reset}`);
           }
 
           // Show state changes
@@ -1410,6 +1488,16 @@ async function main() {
             });
           }
 
+          // Show directives the narrator got wrong (dropped, not applied)
+          for (const rejected of result.rejectedDirectives || []) {
+            console.log(`${sysColor}  ⚠ Ignored ${rejected.name}: ${rejected.errors.join('; ')}${reset}`);
+          }
+
+          // Status line: game clock and time elapsed since the adventure began
+          if (result.clock) {
+            console.log(`${sysColor}  ⏱ ${formatClockStatus(adventureSession.storyState, result.clock)}${reset}`);
+          }
+
           console.log('');
 
         } catch (e) {
@@ -1440,7 +1528,7 @@ async function main() {
         const { npc: npcColor, system: sysColor, reset: rst } = TUI_CONFIG.colors;
         console.log(`\n${npcColor}${currentPersona.name}:${rst} `, `${sysColor}(thinking...)${rst}`);
 
-        const response = await chat(client, assembled.system, assembled.messages);
+        const response = await chat(client, assembled.system, assembled.messages, { caller: USAGE_CALLERS.NPC_DIALOGUE });
 
         // Clear "thinking" and print response
         process.stdout.write('\x1b[1A\x1b[2K');
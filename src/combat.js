@@ -0,0 +1,725 @@
+/**
+ * Combat - Traveller 2e personal combat
+ *
+ * Pattern: Stateless rules module (the fight in progress lives on storyState.combat)
+ * The narrator starts a fight with [COMBAT: tenshers_wolf x3 at 20m] (or the
+ * start_combat tool) against creature stat blocks from the adventure's
+ * items.json. Everyone rolls initiative: 2D plus the better of DEX and INT DM
+ * for PCs, 2D plus any listed initiative for creatures.
+ *
+ * Each /attack is one round. Combatants act in initiative order: the acting
+ * PC attacks in their slot (other PCs hold) and every opponent still standing
+ * closes on the party or attacks. An attack is a task-engine roll at 8+ with
+ * Gun Combat (DEX) or Melee (STR), range DM (short +1, long -2, extreme -4),
+ * target size and weapon traits. Damage is the weapon's dice plus the
+ * attack's Effect (plus the Auto rating for a burst), less armour reduced by
+ * AP. PCs take it on their characteristics through character-sheet's
+ * applyDamage; creatures lose hits. The fight ends when a side is down or the
+ * party flees, and the summary is handed to the narrator on the next turn.
+ */
+
+const { rollTask, getBandLabel, formatDMs } = require('./task-engine');
+const { getUnskilledModifier } = require('./skill-resolver');
+const { getSkillLevel, getCharacteristicModifier, getCharacteristic, getEquipmentList, resolveEquipment, applyDamage, getWounds, getWoundStatus } = require('./character-sheet');
+const { getCreature } = require('./adventure-data');
+const { getSessionParty, getActivePC } = require('./party');
+
+/**
+ * Difficulty of every attack roll
+ */
+const ATTACK_DIFFICULTY = 8;
+
+/**
+ * Distance (metres) within which melee attacks can be made
+ */
+const MELEE_REACH = 2;
+
+/**
+ * Metres a PC moves before a melee attack (a minor action)
+ */
+const PC_MOVE = 6;
+
+/**
+ * Opponents' distance when the narrator gives none
+ */
+const DEFAULT_DISTANCE = 10;
+
+/**
+ * Personal range bands, nearest first (max is the furthest distance in metres)
+ */
+const RANGE_BANDS = [
+  { id: 'close', label: 'Close', max: 2 },
+  { id: 'short', label: 'Short', max: 10 },
+  { id: 'medium', label: 'Medium', max: 50 },
+  { id: 'long', label: 'Long', max: 250 },
+  { id: 'very_long', label: 'Very Long', max: 1000 },
+  { id: 'distant', label: 'Distant', max: 5000 }
+];
+
+/**
+ * Attack DMs by distance as a fraction of the weapon's range; beyond the
+ * last entry the target is out of range
+ */
+const RANGE_DMS = [
+  { id: 'short range', upTo: 0.25, dm: 1 },
+  { id: 'in range', upTo: 1, dm: 0 },
+  { id: 'long range', upTo: 2, dm: -2 },
+  { id: 'extreme range', upTo: 4, dm: -4 }
+];
+
+/**
+ * Bare hands, always available
+ */
+const UNARMED = { name: 'Unarmed', damage: '1D', melee: true, range: null, traits: [] };
+
+/**
+ * How a fight can end
+ */
+const COMBAT_OUTCOMES = ['victory', 'defeat', 'fled'];
+
+/**
+ * Parse dice text such as "3D-3", "2D+2", "1d6+2" or "2DD"
+ * @param {string} text - Dice text
+ * @returns {Object|null} { dice, modifier, destructive } destructive damage is x10
+ */
+function parseDice(text) {
+  const match = String(text ?? '').trim().match(/^(\d*)\s*D(6)?(D)?\s*(?:([+-])\s*(\d+))?$/i);
+  if (!match) return null;
+  return {
+    dice: match[1] ? parseInt(match[1], 10) : 1,
+    modifier: match[4] ? parseInt(match[4] + match[5], 10) : 0,
+    destructive: Boolean(match[3])
+  };
+}
+
+/**
+ * Roll dice text
+ * @param {string} text - Dice text (see parseDice)
+ * @param {number} [forced] - Forced total of the dice before the modifier (for testing)
+ * @returns {number} Total, never below 0 (null if the text is not dice)
+ */
+function rollDice(text, forced = null) {
+  const spec = parseDice(text);
+  if (!spec) return null;
+
+  let rolled = forced;
+  if (!Number.isFinite(rolled)) {
+    rolled = 0;
+    for (let i = 0; i < spec.dice; i++) rolled += Math.floor(Math.random() * 6) + 1;
+  }
+  const total = Math.max(0, rolled + spec.modifier);
+  return spec.destructive ? total * 10 : total;
+}
+
+/**
+ * Read the combat traits of a weapon
+ * @param {string[]} traits - e.g. ["AP 5", "Auto 3", "Stun", "DM-2 to attack rolls"]
+ * @returns {Object} { ap, auto, stun, dm }
+ */
+function parseWeaponTraits(traits) {
+  const result = { ap: 0, auto: 0, stun: false, dm: 0 };
+  for (const trait of traits || []) {
+    const text = String(trait);
+    const ap = text.match(/^AP\s+(\d+)/i);
+    const auto = text.match(/^Auto\s+(\d+)/i);
+    const dm = text.match(/DM\s*([+-]\d+)\s+to attack/i);
+    if (ap) result.ap = parseInt(ap[1], 10);
+    if (auto) result.auto = parseInt(auto[1], 10);
+    if (dm) result.dm = parseInt(dm[1], 10);
+    if (/^Stun\b/i.test(text)) result.stun = true;
+  }
+  return result;
+}
+
+/**
+ * Read a distance: metres ("20m", 20) or a range band name ("short")
+ * @param {string|number} value - Distance
+ * @returns {number|null} Metres (a band is its furthest distance)
+ */
+function parseDistance(value) {
+  if (Number.isFinite(value)) return Math.max(0, value);
+  const text = String(value ?? '').trim().toLowerCase();
+  const metres = text.match(/^(\d+(?:\.\d+)?)\s*(?:m|metres?|meters?)?$/);
+  if (metres) return parseFloat(metres[1]);
+  const band = RANGE_BANDS.find(b => b.id === text.replace(/[\s-]+/g, '_'));
+  return band ? band.max : null;
+}
+
+/**
+ * Get the range band for a distance
+ * @param {number} distance - Metres
+ * @returns {Object} Band from RANGE_BANDS
+ */
+function getRangeBand(distance) {
+  return RANGE_BANDS.find(band => distance <= band.max) || RANGE_BANDS[RANGE_BANDS.length - 1];
+}
+
+/**
+ * Get the attack DM for a weapon at a distance
+ * @param {Object} weapon - { melee, range }
+ * @param {number} distance - Metres to the target
+ * @returns {Object|null} { id, dm }, null if the target is out of range or reach
+ */
+function getRangeDM(weapon, distance) {
+  if (weapon.melee) return distance <= MELEE_REACH ? { id: 'melee', dm: 0 } : null;
+  const band = RANGE_DMS.find(entry => distance <= weapon.range * entry.upTo);
+  return band ? { id: band.id, dm: band.dm } : null;
+}
+
+/**
+ * Turn an equipment entry into a weapon
+ * @param {Object} item - Equipment or inventory entry (catalog-linked or with weapon_stats)
+ * @returns {Object|null} { name, damage, melee, range, traits }, null if it is not a usable weapon
+ */
+function toWeapon(item) {
+  const entry = resolveEquipment(item);
+  const stats = entry?.weapon_stats;
+  if (!stats || !parseDice(stats.damage)) return null;
+  const range = Number.isFinite(stats.range_m) && stats.range_m > 0 ? stats.range_m : null;
+  return {
+    name: entry.name,
+    damage: stats.damage,
+    melee: stats.range === 'Melee' || range === null,
+    range,
+    traits: stats.traits || []
+  };
+}
+
+/**
+ * Get the weapons a PC can use: their own, what the party carries (not
+ * checked in or stored) and bare hands
+ * @param {Object} session - Adventure session
+ * @param {Object} pc - PC data
+ * @returns {Object[]} Weapons, unarmed last
+ */
+function getPCWeapons(session, pc) {
+  const carried = (session.storyState?.inventory || []).filter(item => !item.location);
+  const weapons = [...getEquipmentList(pc), ...carried].map(toWeapon).filter(Boolean);
+  const unique = weapons.filter((w, i) => weapons.findIndex(other => other.name === w.name) === i);
+  return [...unique, UNARMED];
+}
+
+/**
+ * Get a PC's armour protection (the best armour they have on)
+ * @param {Object} pc - PC data
+ * @returns {number} Protection
+ */
+function getPCArmour(pc) {
+  return getEquipmentList(pc)
+    .map(item => resolveEquipment(item)?.armor_stats?.protection || 0)
+    .reduce((best, protection) => Math.max(best, protection), 0);
+}
+
+/**
+ * Get a PC's attack DMs with a weapon
+ * @param {Object} pc - PC data
+ * @param {Object} weapon - Weapon
+ * @returns {Object[]} [{ source, value }] skill (or unskilled) and characteristic
+ */
+function getPCAttackDMs(pc, weapon) {
+  const skill = weapon.melee ? 'Melee' : 'Gun Combat';
+  const characteristic = weapon.melee ? 'str' : 'dex';
+  const level = getSkillLevel(pc, skill);
+  return [
+    level === null ? { source: 'unskilled', value: getUnskilledModifier(pc, skill) } : { source: skill, value: level },
+    { source: characteristic.toUpperCase(), value: getCharacteristicModifier(pc, characteristic) }
+  ];
+}
+
+/**
+ * Parse a creature's attacks, e.g. "Bite (3D)" or "Claws (2D), Bite (3D+2)"
+ * @param {string} text - Attacks from the stat block
+ * @returns {Object[]} Melee weapons
+ */
+function parseCreatureAttacks(text) {
+  const attacks = [];
+  for (const m of String(text || '').matchAll(/([A-Za-z][A-Za-z\s-]*?)\s*\(([^)]+)\)/g)) {
+    if (parseDice(m[2])) attacks.push({ name: m[1].trim(), damage: m[2].trim(), melee: true, range: null, traits: [] });
+  }
+  return attacks;
+}
+
+/**
+ * Build opponents from a creature stat block
+ * @param {Object} creature - Stat block { name, hits, speed, skills, attacks, traits }
+ * @param {string} creatureId - Creature ID
+ * @param {number} count - How many
+ * @param {number} distance - Metres from the party
+ * @param {number} [first] - Number of the first one (later arrivals continue the numbering)
+ * @returns {Object[]} Combatants
+ */
+function createCreatureCombatants(creature, creatureId, count, distance, first = 1) {
+  const traits = (creature.traits || []).join(', ');
+  const armour = traits.match(/Armou?r\s*\(\+?(\d+)\)/i);
+  const size = traits.match(/(?:Small|Large)\s*\(([+-]\d+)\)/i);
+  const melee = Object.entries(creature.skills || {})
+    .filter(([skill]) => skill.startsWith('melee'))
+    .sort((a, b) => b[1] - a[1])[0];
+
+  const numbered = count > 1 || first > 1;
+  return Array.from({ length: count }, (_, i) => ({
+    id: numbered ? `${creatureId}-${first + i}` : creatureId,
+    name: numbered ? `${creature.name} ${first + i}` : creature.name,
+    side: 'enemy',
+    kind: 'creature',
+    creatureId,
+    hits: creature.hits,
+    maxHits: creature.hits,
+    armour: armour ? parseInt(armour[1], 10) : 0,
+    size: size ? parseInt(size[1], 10) : 0,
+    speed: parseInt(creature.speed, 10) || PC_MOVE,
+    skill: melee ? { name: melee[0], level: melee[1] } : null,
+    attacks: parseCreatureAttacks(creature.attacks),
+    initiativeDM: creature.initiative || 0,
+    distance,
+    status: 'fighting'
+  }));
+}
+
+/**
+ * Roll initiative for a combatant
+ * @param {Object} combatant - Combatant
+ * @param {Object} [pc] - PC data when the combatant is a PC
+ * @param {number} [forced] - Forced 2D roll (for testing)
+ * @returns {number} Initiative
+ */
+function rollInitiative(combatant, pc = null, forced = null) {
+  const dm = pc
+    ? Math.max(getCharacteristicModifier(pc, 'dex'), getCharacteristicModifier(pc, 'int'))
+    : combatant.initiativeDM || 0;
+  return rollTask({ difficulty: 0, dm }, { roll: forced }).total;
+}
+
+/**
+ * Find a PC in the session's party
+ * @param {Object} session - Adventure session
+ * @param {string} pcId - PC ID
+ * @returns {Object|null} PC
+ */
+function findPC(session, pcId) {
+  return getSessionParty(session).members.find(pc => pc.id === pcId) || null;
+}
+
+/**
+ * Check whether a combatant can still act
+ * @param {Object} session - Adventure session
+ * @param {Object} combatant - Combatant
+ * @returns {boolean}
+ */
+function isStanding(session, combatant) {
+  if (combatant.kind === 'pc') {
+    const status = getWoundStatus(findPC(session, combatant.id));
+    return status === 'unhurt' || status === 'wounded';
+  }
+  return combatant.status === 'fighting';
+}
+
+/**
+ * Start a fight, or bring more opponents into the one under way
+ * @param {Object} session - Adventure session
+ * @param {Object} spec - { creature: creature ID, count, distance: metres or band name }
+ * @param {Object} options - { initiative: forced 2D for every roll (for testing) }
+ * @returns {Object} { combat, joined: new opponents, log } or { error }
+ */
+function startCombat(session, spec, options = {}) {
+  const adventureId = session.adventure?.id || session.storyState?.adventure;
+  const creature = getCreature(spec.creature, adventureId);
+  if (!creature) return { error: `Unknown creature: ${spec.creature}` };
+  if (!Number.isFinite(creature.hits) || parseCreatureAttacks(creature.attacks).length === 0) {
+    return { error: `${creature.name} has no combat stats` };
+  }
+
+  const existing = session.storyState.combat;
+  const count = Math.max(1, parseInt(spec.count, 10) || 1);
+  const distance = parseDistance(spec.distance) ?? DEFAULT_DISTANCE;
+  const log = [];
+
+  // Reinforcements of a kind already fighting are numbered after them
+  const first = (existing?.combatants || []).filter(c => c.creatureId === spec.creature).length + 1;
+  const joined = createCreatureCombatants(creature, spec.creature, count, distance, first);
+  joined.forEach(c => { c.initiative = rollInitiative(c, null, options.initiative); });
+
+  const combat = existing || {
+    round: 0,
+    combatants: getSessionParty(session).members.map(pc => ({
+      id: pc.id,
+      name: pc.name,
+      side: 'party',
+      kind: 'pc',
+      initiative: rollInitiative(null, pc, options.initiative)
+    })),
+    log: []
+  };
+  combat.combatants.push(...joined);
+  // Highest initiative first; PCs win ties
+  combat.combatants.sort((a, b) => b.initiative - a.initiative || (a.side === 'party' ? -1 : 0) - (b.side === 'party' ? -1 : 0));
+
+  const band = getRangeBand(distance);
+  log.push(`${existing ? 'Joining the fight' : 'Combat'}: ${count > 1 ? `${count}× ` : ''}${creature.name} at ${distance}m (${band.label})`);
+  log.push(`Initiative: ${combat.combatants.map(c => `${c.name} ${c.initiative}`).join(', ')}`);
+  combat.log = log;
+
+  session.storyState.combat = combat;
+  session.storyState.lastCombat = null;
+  return { combat, joined, log };
+}
+
+/**
+ * Resolve one attack (no state is changed)
+ * @param {Object} attack - { attacker, target, weapon, distance, dms: [{ source, value }] attacker's own DMs }
+ * @param {Object} options - { dm: situational DM, roll: forced 2D, damage: forced damage dice }
+ * @returns {Object} { weapon, rangeDM, check, hit, damage: { rolled, effect, auto, armour, total, dealt }, stun } or { outOfRange }
+ */
+function resolveAttack(attack, options = {}) {
+  const { weapon, target, distance } = attack;
+  const range = getRangeDM(weapon, distance);
+  if (!range) return { weapon, outOfRange: true };
+
+  const traits = parseWeaponTraits(weapon.traits);
+  const situational = [
+    { source: range.id, value: range.dm },
+    { source: target.size > 0 ? 'large target' : 'small target', value: target.size || 0 },
+    { source: weapon.name, value: traits.dm },
+    { source: 'circumstances', value: options.dm || 0 }
+  ];
+  const own = (attack.dms || []).reduce((sum, dm) => sum + dm.value, 0);
+  const check = rollTask({ difficulty: ATTACK_DIFFICULTY, dm: own, dms: situational }, { roll: options.roll });
+  check.own = (attack.dms || []).filter(dm => dm.value !== 0);
+
+  const result = { weapon, rangeDM: range, check, hit: check.success, damage: null, stun: traits.stun };
+  if (!check.success) return result;
+
+  const rolled = rollDice(weapon.damage, options.damage);
+  const armour = Math.max(0, (target.armour || 0) - traits.ap);
+  const total = rolled + check.effect + traits.auto;
+  result.damage = { rolled, effect: check.effect, auto: traits.auto, armour, total, dealt: Math.max(0, total - armour) };
+  return result;
+}
+
+/**
+ * Apply an attack's damage to its target
+ * @param {Object} session - Adventure session
+ * @param {Object} target - Combatant
+ * @param {Object} result - From resolveAttack
+ * @returns {string} The target's state afterwards, e.g. "wounded (END -6)" or "12/36 hits"
+ */
+function applyAttack(session, target, result) {
+  const dealt = result.damage?.dealt || 0;
+
+  if (target.kind === 'pc') {
+    const pc = findPC(session, target.id);
+    // Stun weapons only wear down END
+    const { status } = applyDamage(pc, result.stun ? Math.min(dealt, getCharacteristic(pc, 'end')) : dealt);
+    session.storyState.wounds = { ...session.storyState.wounds, [pc.id]: getWounds(pc) };
+    return describePC(pc, status);
+  }
+
+  target.hits = Math.max(0, target.hits - dealt);
+  if (target.hits === 0) target.status = result.stun ? 'unconscious' : 'dead';
+  return target.hits === 0 ? target.status : `${target.hits}/${target.maxHits} hits`;
+}
+
+/**
+ * Describe a PC's condition
+ * @param {Object} pc - PC data
+ * @param {string} [status] - Wound status (looked up if omitted)
+ * @returns {string} e.g. "wounded (END -6, STR -1)"
+ */
+function describePC(pc, status = getWoundStatus(pc)) {
+  const taken = Object.entries(getWounds(pc)).filter(([, v]) => v > 0).map(([k, v]) => `${k.toUpperCase()} -${v}`);
+  return taken.length ? `${status} (${taken.join(', ')})` : status;
+}
+
+/**
+ * Format an attack for the log
+ * @param {Object} attacker - Combatant
+ * @param {Object} target - Combatant
+ * @param {Object} result - From resolveAttack
+ * @param {string} [state] - Target state from applyAttack
+ * @returns {string} Log line(s)
+ */
+function formatAttack(attacker, target, result, state = null) {
+  const head = `${attacker.name} attacks ${target.name} with ${result.weapon.name}`;
+  if (result.outOfRange) return `${head}: out of range`;
+
+  const { check } = result;
+  const dms = [...check.own, ...check.dms];
+  const roll = `${check.roll}${dms.length ? ` ${formatDMs(dms)}` : ''} = ${check.total} vs ${ATTACK_DIFFICULTY}+`;
+  const line = `${head}: ${roll} → ${result.hit ? 'hit' : 'miss'} (${getBandLabel(check.band)})`;
+  if (!result.hit) return line;
+
+  const d = result.damage;
+  const parts = [`${d.rolled} ${result.weapon.damage}`, `Effect ${d.effect >= 0 ? '+' : ''}${d.effect}`];
+  if (d.auto) parts.push(`burst +${d.auto}`);
+  if (d.armour) parts.push(`armour -${d.armour}`);
+  return `${line}\n  Damage: ${parts.join(', ')} = ${d.dealt}${result.stun ? ' (stun)' : ''}; ${target.name} ${state}`;
+}
+
+/**
+ * Move a combatant toward melee reach
+ * @param {Object} opponent - Enemy combatant whose distance changes
+ * @param {number} metres - Movement
+ * @returns {number} Metres moved
+ */
+function closeDistance(opponent, metres) {
+  const moved = Math.min(metres, Math.max(0, opponent.distance - MELEE_REACH));
+  opponent.distance -= moved;
+  return moved;
+}
+
+/**
+ * Pick an attack that can reach, preferring the given weapon
+ * @param {Object[]} weapons - Usable weapons
+ * @param {number} distance - Metres to the target
+ * @returns {Object} Weapon (ranged weapons in range first, then melee)
+ */
+function chooseWeapon(weapons, distance) {
+  return weapons.find(w => !w.melee && getRangeDM(w, distance)) ||
+    weapons.find(w => w.melee && w !== UNARMED) ||
+    UNARMED;
+}
+
+/**
+ * Opponent's turn: close on the party if needed, then attack
+ * @param {Object} session - Adventure session
+ * @param {Object} combat - Combat state
+ * @param {Object} opponent - Enemy combatant
+ * @param {Object} options - { roll, damage } forced values (for testing)
+ * @returns {string[]} Log lines
+ */
+function opponentTurn(session, combat, opponent, options) {
+  const party = getSessionParty(session);
+  const active = getActivePC(party);
+  const targets = combat.combatants.filter(c => c.side === 'party' && isStanding(session, c));
+  const target = targets.find(c => c.id === active.id) || targets[0];
+  if (!target) return [];
+
+  const lines = [];
+  const weapon = opponent.attacks[0];
+  if (!getRangeDM(weapon, opponent.distance)) {
+    const moved = closeDistance(opponent, opponent.speed);
+    lines.push(`${opponent.name} closes ${moved}m (now ${opponent.distance}m)`);
+    if (!getRangeDM(weapon, opponent.distance)) return lines;
+  }
+
+  const pc = findPC(session, target.id);
+  const defender = { ...target, armour: getPCArmour(pc), size: 0 };
+  const dms = opponent.skill ? [{ source: opponent.skill.name, value: opponent.skill.level }] : [];
+  const result = resolveAttack({ attacker: opponent, target: defender, weapon, distance: opponent.distance, dms }, options);
+  const state = result.hit ? applyAttack(session, target, result) : null;
+  lines.push(formatAttack(opponent, target, result, state));
+  return lines;
+}
+
+/**
+ * Check whether either side is beaten
+ * @param {Object} session - Adventure session
+ * @param {Object} combat - Combat state
+ * @returns {string|null} 'victory', 'defeat' or null while the fight goes on
+ */
+function checkCombatOver(session, combat) {
+  const standing = side => combat.combatants.some(c => c.side === side && isStanding(session, c));
+  if (!standing('enemy')) return 'victory';
+  if (!standing('party')) return 'defeat';
+  return null;
+}
+
+/**
+ * End the fight and keep a summary for the narrator
+ * @param {Object} session - Adventure session
+ * @param {string} outcome - One of COMBAT_OUTCOMES
+ * @returns {Object|null} Summary { outcome, rounds, opponents, party }, null if no fight is under way
+ */
+function endCombat(session, outcome) {
+  const combat = session.storyState.combat;
+  if (!combat) return null;
+
+  const summary = {
+    outcome,
+    rounds: combat.round,
+    opponents: combat.combatants.filter(c => c.side === 'enemy').map(c => ({ id: c.id, name: c.name, status: c.status, hits: c.hits })),
+    party: combat.combatants.filter(c => c.side === 'party').map(c => ({ id: c.id, name: c.name, condition: describePC(findPC(session, c.id)) })),
+    log: combat.log
+  };
+  session.storyState.combat = null;
+  session.storyState.lastCombat = summary;
+  return summary;
+}
+
+/**
+ * Play a round: the acting PC attacks, opponents answer in initiative order
+ * @param {Object} session - Adventure session with storyState.combat
+ * @param {Object} action - { target: combatant ID, name or number, weapon: name, dm }
+ * @param {Object} options - { roll, damage } for the PC's attack, { opponentRoll, opponentDamage } for opponents (testing)
+ * @returns {Object} { round, log, outcome, summary } or { error }
+ */
+function playRound(session, action = {}, options = {}) {
+  const combat = session.storyState.combat;
+  if (!combat) return { error: 'No fight is under way.' };
+
+  const pc = getActivePC(getSessionParty(session));
+  const actor = combat.combatants.find(c => c.id === pc.id);
+  if (!isStanding(session, actor)) return { error: `${pc.name} is ${getWoundStatus(pc)} and cannot act.` };
+
+  const target = findOpponent(combat, action.target, session);
+  if (!target) return { error: action.target ? `No opponent "${action.target}" is still fighting.` : 'No opponent is still fighting.' };
+
+  const weapons = getPCWeapons(session, pc);
+  const weapon = action.weapon ? findWeapon(weapons, action.weapon) : chooseWeapon(weapons, target.distance);
+  if (!weapon) return { error: `${pc.name} has no "${action.weapon}" (has ${weapons.map(w => w.name).join(', ')})` };
+
+  combat.round++;
+  const log = [`--- Round ${combat.round} ---`];
+  for (const combatant of [...combat.combatants]) {
+    if (checkCombatOver(session, combat)) break;
+    if (!isStanding(session, combatant)) continue;
+
+    if (combatant.side === 'enemy') {
+      log.push(...opponentTurn(session, combat, combatant, { roll: options.opponentRoll, damage: options.opponentDamage }));
+      continue;
+    }
+    if (combatant !== actor) continue;
+
+    if (target.status !== 'fighting') {
+      log.push(`${pc.name}'s target is already down`);
+      continue;
+    }
+    if (weapon.melee && target.distance > MELEE_REACH) {
+      const moved = closeDistance(target, PC_MOVE);
+      log.push(`${pc.name} closes ${moved}m on ${target.name} (now ${target.distance}m)`);
+      if (target.distance > MELEE_REACH) continue;
+    }
+
+    const result = resolveAttack({ attacker: actor, target, weapon, distance: target.distance, dms: getPCAttackDMs(pc, weapon) }, { dm: action.dm, roll: options.roll, damage: options.damage });
+    const state = result.hit ? applyAttack(session, target, result) : null;
+    log.push(formatAttack(actor, target, result, state));
+  }
+  combat.log = log;
+
+  const outcome = checkCombatOver(session, combat);
+  const summary = outcome ? endCombat(session, outcome) : null;
+  if (summary) log.push(`Combat over: ${outcome}`);
+  return { round: combat.round, log, outcome, summary };
+}
+
+/**
+ * Find a standing opponent by ID, name or number; the nearest if none is given
+ * @param {Object} combat - Combat state
+ * @param {string} [ref] - e.g. "tenshers_wolf-2", "wolf 2" or "2"
+ * @param {Object} session - Adventure session
+ * @returns {Object|null} Combatant
+ */
+function findOpponent(combat, ref, session) {
+  const standing = combat.combatants.filter(c => c.side === 'enemy' && isStanding(session, c));
+  if (!ref) return [...standing].sort((a, b) => a.distance - b.distance)[0] || null;
+
+  const wanted = String(ref).trim().toLowerCase();
+  return standing.find(c => c.id === wanted) ||
+    standing.find(c => c.id.endsWith(`-${wanted}`)) ||
+    standing.find(c => c.name.toLowerCase().includes(wanted)) ||
+    null;
+}
+
+/**
+ * Find a weapon by (part of) its name
+ * @param {Object[]} weapons - Usable weapons
+ * @param {string} ref - e.g. "pistol"
+ * @returns {Object|null} Weapon
+ */
+function findWeapon(weapons, ref) {
+  const wanted = String(ref).trim().toLowerCase();
+  return weapons.find(w => w.name.toLowerCase() === wanted) ||
+    weapons.find(w => w.name.toLowerCase().includes(wanted)) ||
+    null;
+}
+
+/**
+ * Format the fight's state
+ * @param {Object} session - Adventure session
+ * @returns {string} Round, then each combatant in initiative order
+ */
+function formatCombat(session) {
+  const combat = session.storyState.combat;
+  if (!combat) return 'No fight is under way.';
+
+  const lines = [`Combat, round ${combat.round} (initiative order):`];
+  for (const c of combat.combatants) {
+    if (c.side === 'party') {
+      const pc = findPC(session, c.id);
+      const weapons = getPCWeapons(session, pc).map(w => w.name).join(', ');
+      lines.push(`  ${c.name} [${c.initiative}]: ${describePC(pc)}; ${weapons}`);
+    } else {
+      const state = c.status === 'fighting' ? `${c.hits}/${c.maxHits} hits, ${c.distance}m (${getRangeBand(c.distance).label})` : c.status;
+      lines.push(`  ${c.name} (${c.id}) [${c.initiative}]: ${state}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the combat section of the narrator prompt
+ * A fight under way shows everyone's state and the last round; a finished
+ * fight's summary is shown once (see markCombatReported).
+ * @param {Object} session - Adventure session
+ * @returns {string} Section text or empty string
+ */
+function buildCombatContext(session) {
+  const state = session.storyState || {};
+  if (state.combat) {
+    return `=== COMBAT UNDER WAY ===
+${formatCombat(session)}
+Last round:
+${state.combat.log.join('\n')}
+Narrate the last round's hits and misses as they were rolled. Players attack with /attack; do not call skill checks for attacks.`;
+  }
+
+  const last = state.lastCombat;
+  if (!last || last.reported) return '';
+  const opponents = last.opponents.map(o => `${o.name}: ${o.status === 'fighting' ? `${o.hits} hits left` : o.status}`).join(', ');
+  const party = last.party.map(p => `${p.name}: ${p.condition}`).join(', ');
+  return `=== COMBAT ENDED: ${last.outcome.toUpperCase()} after ${last.rounds} round(s) ===
+Opponents: ${opponents}
+Party: ${party}
+Last round:
+${last.log.join('\n')}
+Narrate the end of the fight and its aftermath to match.`;
+}
+
+/**
+ * Mark a finished fight's summary as passed to the narrator
+ * @param {Object} session - Adventure session
+ */
+function markCombatReported(session) {
+  if (session.storyState?.lastCombat) session.storyState.lastCombat.reported = true;
+}
+
+module.exports = {
+  ATTACK_DIFFICULTY,
+  MELEE_REACH,
+  RANGE_BANDS,
+  RANGE_DMS,
+  UNARMED,
+  COMBAT_OUTCOMES,
+  parseDice,
+  rollDice,
+  parseWeaponTraits,
+  parseDistance,
+  getRangeBand,
+  getRangeDM,
+  toWeapon,
+  getPCWeapons,
+  getPCArmour,
+  getPCAttackDMs,
+  parseCreatureAttacks,
+  createCreatureCombatants,
+  rollInitiative,
+  startCombat,
+  resolveAttack,
+  applyAttack,
+  playRound,
+  endCombat,
+  findOpponent,
+  formatCombat,
+  buildCombatContext,
+  markCombatReported
+};
@@ -0,0 +1,236 @@
+/**
+ * Credits Ledger - Per-PC credits and transaction history
+ *
+ * Pattern: Append-only ledger on the story state
+ * storyState.ledger holds one list of entries per PC. The first entry opens
+ * the account with the credits on the character sheet; every later entry is
+ * income (positive) or a purchase, bribe, fine or payment (negative), stamped
+ * with the game date, the scene and the counterparty (usually an NPC ID).
+ * The balance is the sum of the entries, and each party member's credits are
+ * kept equal to it so resource-lookup and the narrator prompt see the same
+ * figure.
+ *
+ * Entries come from [PAY: ...] and [CHARGE: ...] directives (narrator tags,
+ * tool calls, or tags an NPC uses in dialogue).
+ */
+
+const { getCredits } = require('./character-sheet');
+const { getSessionParty, findMember } = require('./party');
+
+/**
+ * Transaction types and the sign they give the amount
+ */
+const TRANSACTION_TYPES = {
+  opening: 1,
+  income: 1,
+  purchase: -1,
+  bribe: -1,
+  fine: -1,
+  payment: -1
+};
+
+/**
+ * Types that take credits away from the PC (the CHARGE directive)
+ */
+const SPENDING_TYPES = Object.keys(TRANSACTION_TYPES).filter(type => TRANSACTION_TYPES[type] < 0);
+
+/**
+ * Entries shown by formatWallet unless told otherwise
+ */
+const DEFAULT_HISTORY = 10;
+
+/**
+ * Find the PC an entry is for
+ * @param {Object} session - Adventure session
+ * @param {string} [pcId] - PC ID or name (the acting PC if omitted)
+ * @returns {Object|null} PC
+ */
+function findLedgerPC(session, pcId = null) {
+  if (!pcId) return session.pc || null;
+  return findMember(getSessionParty(session), pcId);
+}
+
+/**
+ * Get a PC's ledger, opening it with their sheet credits the first time
+ * @param {Object} session - Adventure session
+ * @param {Object} pc - PC
+ * @returns {Object[]} Entries, oldest first
+ */
+function getLedger(session, pc) {
+  const storyState = session.storyState;
+  storyState.ledger = storyState.ledger || {};
+  if (!storyState.ledger[pc.id]) {
+    storyState.ledger[pc.id] = [{
+      id: 1,
+      type: 'opening',
+      amount: getCredits(pc),
+      description: pc.credits_source || 'Starting funds',
+      counterparty: null,
+      scene: storyState.currentScene || null,
+      gameDate: storyState.gameDate || null,
+      balance: getCredits(pc)
+    }];
+  }
+  return storyState.ledger[pc.id];
+}
+
+/**
+ * Get a PC's balance
+ * @param {Object} session - Adventure session
+ * @param {Object} pc - PC
+ * @returns {number} Credits
+ */
+function getBalance(session, pc) {
+  return getLedger(session, pc).reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Set every party member's credits to their ledger balance
+ * Called when a session starts or resumes.
+ * @param {Object} session - Adventure session
+ */
+function syncPartyCredits(session) {
+  for (const pc of getSessionParty(session).members) {
+    pc.credits = getBalance(session, pc);
+  }
+}
+
+/**
+ * Post a transaction to a PC's ledger
+ * Spending more than the PC holds is refused. Paying a fine clears the
+ * pending fine customs left.
+ * @param {Object} session - Adventure session
+ * @param {Object} transaction - { type, amount, counterparty, description, pcId }
+ * @returns {Object} { entry, pc } or { error }
+ */
+function postTransaction(session, transaction) {
+  const { type, counterparty = null, description = null, pcId = null } = transaction;
+  const amount = Math.round(Number(transaction.amount));
+
+  if (!TRANSACTION_TYPES[type] || type === 'opening') {
+    return { error: `Unknown transaction type: ${type}` };
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: `Invalid amount: ${transaction.amount}` };
+  }
+  const pc = findLedgerPC(session, pcId);
+  if (!pc) {
+    return { error: `No party member "${pcId}"` };
+  }
+
+  const ledger = getLedger(session, pc);
+  const balance = getBalance(session, pc);
+  const signed = amount * TRANSACTION_TYPES[type];
+  if (balance + signed < 0) {
+    return { error: `${pc.name} has Cr${balance}, needs Cr${amount}` };
+  }
+
+  const entry = {
+    id: ledger.length + 1,
+    type,
+    amount: signed,
+    description,
+    counterparty,
+    scene: session.storyState.currentScene || null,
+    gameDate: session.storyState.gameDate || null,
+    balance: balance + signed
+  };
+  ledger.push(entry);
+  pc.credits = entry.balance;
+
+  const fine = session.storyState.pendingFine;
+  if (type === 'fine' && fine && amount >= fine.amount) {
+    delete session.storyState.pendingFine;
+  }
+
+  return { entry, pc };
+}
+
+/**
+ * Get a payment the party was promised but has not received
+ * Scenes record a deal in the payment_amount flag (Greener's survey fee); it
+ * counts as paid once any PC has income of at least that amount.
+ * @param {Object} session - Adventure session
+ * @returns {number|null} Credits owed, or null
+ */
+function getOutstandingPayment(session) {
+  const agreed = session.storyState.flags?.payment_amount;
+  if (!Number.isFinite(agreed) || agreed <= 0) return null;
+  const paid = Object.values(session.storyState.ledger || {}).flat()
+    .some(entry => entry.type === 'income' && entry.amount >= agreed);
+  return paid ? null : agreed;
+}
+
+/**
+ * Format an amount with its sign
+ * @param {number} amount - Signed amount
+ * @returns {string} "+Cr3000" or "-Cr50"
+ */
+function formatAmount(amount) {
+  return `${amount < 0 ? '-' : '+'}Cr${Math.abs(amount)}`;
+}
+
+/**
+ * Describe an entry in one line
+ * @param {Object} entry - Ledger entry
+ * @returns {string} "+Cr3000 income from minister-greener (survey fee)"
+ */
+function describeEntry(entry) {
+  const direction = entry.amount < 0 ? 'to' : 'from';
+  const counterparty = entry.counterparty ? ` ${direction} ${entry.counterparty}` : '';
+  const description = entry.description ? ` (${entry.description})` : '';
+  return `${formatAmount(entry.amount)} ${entry.type}${counterparty}${description}`;
+}
+
+/**
+ * Describe a posted (or refused) transaction as a state change line
+ * @param {Object} result - From postTransaction
+ * @param {Object} transaction - The transaction that was posted
+ * @returns {string} State change line
+ */
+function describeTransaction(result, transaction) {
+  if (result.error) {
+    return `Transaction refused: ${result.error} (${transaction.type} Cr${transaction.amount})`;
+  }
+  return `${result.pc.name}: ${describeEntry(result.entry)}, balance Cr${result.entry.balance}`;
+}
+
+/**
+ * Format a PC's wallet: balance and recent history
+ * @param {Object} session - Adventure session
+ * @param {Object} [options] - { pcId, limit }
+ * @returns {string} Wallet display
+ */
+function formatWallet(session, options = {}) {
+  const pc = findLedgerPC(session, options.pcId);
+  if (!pc) return `No party member "${options.pcId}".`;
+
+  const ledger = getLedger(session, pc);
+  const limit = options.limit || DEFAULT_HISTORY;
+  const lines = [`=== WALLET: ${pc.name} ===`, `Balance: Cr${getBalance(session, pc)}`];
+
+  const fine = session.storyState.pendingFine;
+  if (fine) lines.push(`Unpaid fine: Cr${fine.amount}`);
+
+  lines.push('', ledger.length > limit ? `Last ${limit} of ${ledger.length} entries:` : 'History:');
+  for (const entry of ledger.slice(-limit)) {
+    const when = entry.gameDate ? `${entry.gameDate} ` : '';
+    const where = entry.scene ? ` [${entry.scene}]` : '';
+    lines.push(`  ${when}${describeEntry(entry)}${where} = Cr${entry.balance}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  SPENDING_TYPES,
+  getLedger,
+  getBalance,
+  syncPartyCredits,
+  postTransaction,
+  getOutstandingPayment,
+  describeEntry,
+  describeTransaction,
+  formatWallet
+};
@@ -3,6 +3,7 @@
  * Tracks NPC-to-PC relationship levels with persistence.
  *
  * Pattern: Repository (load/save) + Null Object (always return valid data)
+ * Override the file with DISPOSITIONS_FILE (tests point it at a temp dir).
  */
 
 const fs = require('fs');
@@ -30,14 +31,23 @@ const DISPOSITION_PROMPTS = {
   '3': 'You are ALLIED. Treat as trusted friend. Share secrets, take risks to help.'
 };
 
+/**
+ * Get dispositions file path
+ * @returns {string} File path
+ */
+function getDispositionPath() {
+  return process.env.DISPOSITIONS_FILE || DISPOSITION_FILE;
+}
+
 /**
  * Load dispositions from file
+ * @param {string} file - Optional file override
  * @returns {Object} Dispositions state
  */
-function loadDispositions() {
+function loadDispositions(file = getDispositionPath()) {
   try {
-    if (fs.existsSync(DISPOSITION_FILE)) {
-      const data = fs.readFileSync(DISPOSITION_FILE, 'utf8');
+    if (fs.existsSync(file)) {
+      const data = fs.readFileSync(file, 'utf8');
       return JSON.parse(data);
     }
   } catch (e) {
@@ -49,27 +59,29 @@ function loadDispositions() {
 /**
  * Save dispositions to file
  * @param {Object} state - Dispositions state
+ * @param {string} file - Optional file override
  */
-function saveDispositions(state) {
-  const dir = path.dirname(DISPOSITION_FILE);
+function saveDispositions(state, file = getDispositionPath()) {
+  const dir = path.dirname(file);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(DISPOSITION_FILE, JSON.stringify(state, null, 2));
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
 }
 
 /**
  * Get disposition for NPC-PC pair (Null Object pattern - never returns null)
  * @param {string} npcId
  * @param {string} pcId
+ * @param {Object} [options] - { file: store to read instead of the default }
  * @returns {Object} { level, label, history, impressions }
  */
-function getDisposition(npcId, pcId) {
+function getDisposition(npcId, pcId, options = {}) {
   if (!npcId || !pcId) {
     return { level: 0, label: 'neutral', history: [], impressions: [] };
   }
 
-  const state = loadDispositions();
+  const state = loadDispositions(options.file);
 
   // Support both nested and flat key formats
   let rel = null;
@@ -109,10 +121,11 @@ function getDisposition(npcId, pcId) {
  * @param {number} change - Amount to change (-3 to +3 typically)
  * @param {string} reason - Why the change occurred
  * @param {string} gameDate - In-game date
+ * @param {Object} [options] - { file: store to update instead of the default }
  * @returns {number} New level
  */
-function modifyDisposition(npcId, pcId, change, reason, gameDate) {
-  const state = loadDispositions();
+function modifyDisposition(npcId, pcId, change, reason, gameDate, options = {}) {
+  const state = loadDispositions(options.file);
 
   if (!state.relationships) {
     state.relationships = {};
@@ -143,7 +156,7 @@ function modifyDisposition(npcId, pcId, change, reason, gameDate) {
     to: newLevel
   });
 
-  saveDispositions(state);
+  saveDispositions(state, options.file);
   return newLevel;
 }
 
@@ -234,6 +247,7 @@ function checkDispositionCap(npcConfig, currentLevel) {
 module.exports = {
   DISPOSITION_LABELS,
   DISPOSITION_FILE,
+  getDispositionPath,
   loadDispositions,
   saveDispositions,
   getDisposition,
@@ -0,0 +1,93 @@
+/**
+ * Hashed N-gram Embedder - Offline default for the embeddings registry
+ *
+ * Feature hashing: each word, word pair and character trigram of a text is
+ * hashed into a fixed-size vector (FNV-1a, with a second hash bit choosing
+ * the sign so collisions tend to cancel), then the vector is L2-normalised.
+ * No model and no network: similar wording gives similar vectors, and
+ * trigrams catch word forms the stemmer misses ("pay" / "payment"). It does
+ * not understand meaning - synonyms with no shared letters score low and
+ * negation is invisible.
+ */
+
+const { tokenize } = require('../text-search');
+
+const name = 'hashed-ngram';
+
+/**
+ * Vector size
+ */
+const dimensions = 512;
+
+/**
+ * Feature weights: whole words count most, trigrams least
+ */
+const WEIGHTS = {
+  word: 1,
+  bigram: 0.7,
+  trigram: 0.3
+};
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature string
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Weighted features of a text
+ * @param {string} text - Any text
+ * @returns {Array<[string, number]>} [feature, weight] pairs
+ */
+function features(text) {
+  const terms = tokenize(text);
+  const result = [];
+  terms.forEach((term, i) => {
+    result.push([`w:${term}`, WEIGHTS.word]);
+    if (i > 0) result.push([`b:${terms[i - 1]} ${term}`, WEIGHTS.bigram]);
+    const padded = `#${term}#`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      result.push([`t:${padded.slice(j, j + 3)}`, WEIGHTS.trigram]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Embed one text
+ * @param {string} text - Any text
+ * @returns {number[]} Unit vector (all zeros for text with no terms)
+ */
+function embedOne(text) {
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, weight] of features(text)) {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Embed texts
+ * @param {string[]} texts - Texts
+ * @returns {number[][]} One vector per text
+ */
+function embed(texts) {
+  return texts.map(embedOne);
+}
+
+module.exports = {
+  name,
+  dimensions,
+  embed,
+  features
+};
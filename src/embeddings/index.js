@@ -0,0 +1,135 @@
+/**
+ * Embeddings - Registry of text embedders plus vector helpers
+ *
+ * An embedder is a plain module exposing:
+ *   name                 - registry key (stored with saved vectors, so a
+ *                          change of embedder re-embeds rather than mixing)
+ *   dimensions           - vector length
+ *   embed(texts)         - string[] → number[][], synchronous
+ *
+ * Embedders must be synchronous so lookups can sit inside prompt assembly
+ * and validation. A local model qualifies if it runs in-process; anything
+ * behind a network call should precompute into the vector store instead.
+ *
+ * Select with EMBEDDINGS_PROVIDER (default hashed-ngram, fully offline).
+ */
+
+const hashedNgram = require('./hashed-ngram');
+
+const DEFAULT_EMBEDDER = hashedNgram.name;
+
+const EMBEDDERS = {
+  [hashedNgram.name]: hashedNgram
+};
+
+// Common aliases accepted in EMBEDDINGS_PROVIDER
+const ALIASES = {
+  hashed: hashedNgram.name,
+  ngram: hashedNgram.name,
+  offline: hashedNgram.name
+};
+
+/**
+ * Register an embedder (overwrites an existing one with the same name)
+ * @param {Object} embedder - Embedder module
+ */
+function registerEmbedder(embedder) {
+  if (!embedder?.name || typeof embedder.embed !== 'function' || !(embedder.dimensions > 0)) {
+    throw new Error('Embedder must have a name, dimensions and an embed() function');
+  }
+  EMBEDDERS[embedder.name] = embedder;
+}
+
+/**
+ * List registered embedder names
+ * @returns {string[]}
+ */
+function listEmbedders() {
+  return Object.keys(EMBEDDERS);
+}
+
+/**
+ * Get an embedder by name or alias (default: EMBEDDINGS_PROVIDER)
+ * @param {string} [name] - Embedder name
+ * @returns {Object} Embedder module
+ * @throws {Error} If unknown
+ */
+function getEmbedder(name = process.env.EMBEDDINGS_PROVIDER || DEFAULT_EMBEDDER) {
+  const key = ALIASES[name.toLowerCase()] || name.toLowerCase();
+  const embedder = EMBEDDERS[key];
+  if (!embedder) {
+    throw new Error(`Unknown embedder: ${name}. Available: ${listEmbedders().join(', ')}`);
+  }
+  return embedder;
+}
+
+/**
+ * Embed texts with the configured embedder
+ * @param {string[]} texts - Texts
+ * @param {Object} [embedder] - Embedder (default: getEmbedder())
+ * @returns {number[][]} Vectors
+ */
+function embedTexts(texts, embedder = getEmbedder()) {
+  return texts.length > 0 ? embedder.embed(texts) : [];
+}
+
+/**
+ * Cosine similarity
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector of the same length
+ * @returns {number} -1..1 (0 if either vector is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Any text
+ * @returns {string[]} Trimmed sentences
+ */
+function splitSentences(text) {
+  return (String(text || '').match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * How closely any sentence of a text matches a target
+ * Long answers dilute a whole-text vector, so each sentence is scored on its
+ * own as well as the whole text.
+ * @param {string} text - Text to search (e.g. an NPC response)
+ * @param {string|number[]} target - Target text, or its vector
+ * @param {Object} [embedder] - Embedder (default: getEmbedder())
+ * @returns {Object} { score, sentence } for the best match
+ */
+function bestSentenceMatch(text, target, embedder = getEmbedder()) {
+  const targetVector = typeof target === 'string' ? embedTexts([target], embedder)[0] : target;
+  const sentences = splitSentences(text);
+  const candidates = sentences.length > 1 ? [...sentences, String(text)] : sentences;
+  const vectors = embedTexts(candidates, embedder);
+
+  let best = { score: 0, sentence: '' };
+  vectors.forEach((vector, i) => {
+    const score = cosineSimilarity(vector, targetVector);
+    if (score > best.score) best = { score, sentence: candidates[i] };
+  });
+  return best;
+}
+
+module.exports = {
+  DEFAULT_EMBEDDER,
+  registerEmbedder,
+  listEmbedders,
+  getEmbedder,
+  embedTexts,
+  cosineSimilarity,
+  splitSentences,
+  bestSentenceMatch
+};
@@ -0,0 +1,206 @@
+/**
+ * Vector Store - Named collections of embedded texts, persisted as JSON
+ *
+ * Pattern: Singleton + Lazy Loading
+ * Each collection is one file, data/embeddings/<collection>.json (override
+ * the directory with VECTOR_STORE_DIR), holding the embedder name and every
+ * item's text hash and vector. Upserts re-embed only items whose text
+ * changed; a collection saved by a different embedder is re-embedded whole.
+ * Collections are small (hundreds of items), so queries are a linear scan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getEmbedder, embedTexts, cosineSimilarity } = require('./index');
+
+const VECTOR_STORE_DIR = process.env.VECTOR_STORE_DIR || path.join(__dirname, '../../data/embeddings');
+
+/**
+ * Decimal places kept in saved vectors (keeps files small)
+ */
+const VECTOR_PRECISION = 5;
+
+// Singleton state: collection name -> collection
+const collections = new Map();
+
+/**
+ * File for a collection
+ * @param {string} name - Collection name (e.g. "npc-minister-greener")
+ * @returns {string} Path
+ */
+function getCollectionPath(name) {
+  return path.join(VECTOR_STORE_DIR, `${name.replace(/[^a-zA-Z0-9_-]+/g, '_')}.json`);
+}
+
+/**
+ * Short hash of an item's text, to spot changes
+ * @param {string} text - Item text
+ * @returns {string} Hex digest
+ */
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load a collection (empty if not saved yet)
+ * @param {string} name - Collection name
+ * @returns {Object} { name, embedder, dimensions, updated, items: { id: { text, hash, vector, meta } } }
+ */
+function loadCollection(name) {
+  if (collections.has(name)) return collections.get(name);
+
+  let collection = { name, embedder: null, dimensions: 0, updated: null, items: {} };
+  try {
+    collection = { ...collection, ...JSON.parse(fs.readFileSync(getCollectionPath(name), 'utf8')) };
+  } catch (e) {
+    // Not saved yet
+  }
+  collections.set(name, collection);
+  return collection;
+}
+
+/**
+ * Write a collection to disk
+ * @param {Object} collection - From loadCollection
+ */
+function saveCollection(collection) {
+  collection.updated = new Date().toISOString();
+  try {
+    fs.mkdirSync(VECTOR_STORE_DIR, { recursive: true });
+    fs.writeFileSync(getCollectionPath(collection.name), JSON.stringify(collection));
+  } catch (e) {
+    // Read-only data directory: keep the collection in memory only
+  }
+}
+
+/**
+ * Add or update items, embedding only what changed
+ * @param {string} name - Collection name
+ * @param {Object[]} items - { id, text, meta }
+ * @param {Object} options - { prune: remove items not in this list (default false) }
+ * @returns {Object} { added, updated, unchanged, removed }
+ */
+function upsertItems(name, items, options = {}) {
+  const collection = loadCollection(name);
+  const embedder = getEmbedder();
+  const stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  // Vectors from another embedder are not comparable
+  if (collection.embedder && collection.embedder !== embedder.name) {
+    collection.items = {};
+  }
+  collection.embedder = embedder.name;
+  collection.dimensions = embedder.dimensions;
+
+  const stale = items.filter(item => {
+    const existing = collection.items[item.id];
+    if (existing && existing.hash === hashText(item.text)) {
+      existing.meta = item.meta || {};
+      stats.unchanged++;
+      return false;
+    }
+    stats[existing ? 'updated' : 'added']++;
+    return true;
+  });
+
+  const vectors = embedTexts(stale.map(item => item.text), embedder);
+  stale.forEach((item, i) => {
+    collection.items[item.id] = {
+      text: item.text,
+      hash: hashText(item.text),
+      vector: vectors[i].map(v => Number(v.toFixed(VECTOR_PRECISION))),
+      meta: item.meta || {}
+    };
+  });
+
+  if (options.prune) {
+    const keep = new Set(items.map(item => item.id));
+    for (const id of Object.keys(collection.items)) {
+      if (!keep.has(id)) {
+        delete collection.items[id];
+        stats.removed++;
+      }
+    }
+  }
+
+  if (stats.added || stats.updated || stats.removed || !fs.existsSync(getCollectionPath(name))) {
+    saveCollection(collection);
+  }
+  return stats;
+}
+
+/**
+ * Stored vector for one item
+ * @param {string} name - Collection name
+ * @param {string} id - Item ID
+ * @returns {number[]|null} Vector, or null if missing or from another embedder
+ */
+function getVector(name, id) {
+  const collection = loadCollection(name);
+  if (collection.embedder !== getEmbedder().name) return null;
+  return collection.items[id]?.vector || null;
+}
+
+/**
+ * Find the items most similar to a text
+ * @param {string} name - Collection name
+ * @param {string|number[]} query - Query text, or its vector
+ * @param {Object} options - { limit (default 5), minScore (default 0), filter: (item) => boolean }
+ * @returns {Object[]} { id, text, meta, score }, best first
+ */
+function querySimilar(name, query, options = {}) {
+  const { limit = 5, minScore = 0, filter = null } = options;
+  const collection = loadCollection(name);
+  if (collection.embedder !== getEmbedder().name) return [];
+
+  const vector = typeof query === 'string' ? embedTexts([query])[0] : query;
+  return Object.entries(collection.items)
+    .map(([id, item]) => ({ id, text: item.text, meta: item.meta, score: cosineSimilarity(vector, item.vector) }))
+    .filter(hit => hit.score >= minScore && hit.score > 0 && (!filter || filter(hit)))
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+/**
+ * Names of saved collections
+ * @returns {string[]}
+ */
+function listCollections() {
+  try {
+    return fs.readdirSync(VECTOR_STORE_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => path.basename(f, '.json'))
+      .sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Delete a collection from memory and disk
+ * @param {string} name - Collection name
+ */
+function dropCollection(name) {
+  collections.delete(name);
+  fs.rmSync(getCollectionPath(name), { force: true });
+}
+
+/**
+ * Forget loaded collections (the next lookup rereads the files)
+ */
+function reset() {
+  collections.clear();
+}
+
+module.exports = {
+  VECTOR_STORE_DIR,
+  getCollectionPath,
+  loadCollection,
+  upsertItems,
+  getVector,
+  querySimilar,
+  listCollections,
+  dropCollection,
+  reset
+};
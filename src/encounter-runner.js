@@ -0,0 +1,329 @@
+/**
+ * Encounter Runner - Roll an encounter's declared mechanics
+ *
+ * Pattern: Stateless rules module (session changes go through gated-encounters)
+ * Encounter files declare mechanics as data:
+ *   primary_skill / alternate_skills   skills allowed for the roll
+ *   difficulty                         "Average (8+)", "10+", "Difficult" or a number
+ *   modifiers                          [{ condition, mod, reason }]
+ *   on_success / on_failure / on_<band> outcome to apply (task-engine.selectOutcome)
+ * plus optional stakes ({ name: { threshold: "8+" | "6-7" | "5-", result } })
+ * matched against the roll's total.
+ *
+ * Modifier conditions:
+ *   PC is Vargr / PC is not Vargr   the acting PC's species
+ *   disposition >= 1                the first participating NPC's disposition to the PC
+ *   prior_intel_gathered            a story flag, or a circumstance the GM names for this roll
+ *   !pushy_attitude / not pushy_attitude
+ * Anything else is left out and noted in the log.
+ *
+ * Every step is written to the run's log so the GM can see why a roll came
+ * out as it did.
+ */
+
+const { resolveCheck, getSkillModifier, getAttributeModifier, getUnskilledModifier, formatDetailedResult } = require('./skill-resolver');
+const { selectOutcome } = require('./task-engine');
+const { shouldTriggerEncounter, applyEncounterOutcome } = require('./gated-encounters');
+const { getDisposition, modifyDisposition } = require('./disposition');
+const { recordBeat } = require('./story-engine');
+
+/**
+ * Named difficulties (Mongoose Traveller 2e)
+ */
+const DIFFICULTIES = {
+  simple: 2,
+  easy: 4,
+  routine: 6,
+  average: 8,
+  difficult: 10,
+  'very difficult': 12,
+  formidable: 14,
+  impossible: 16
+};
+
+/**
+ * Difficulty when an encounter gives none or an unreadable one
+ */
+const DEFAULT_DIFFICULTY = 8;
+
+/**
+ * Flag values replaced by a number from the stakes result
+ */
+const AMOUNT_PLACEHOLDER = 'amount';
+
+/**
+ * Parse a difficulty
+ * A target number in the text wins over the name, since adventure data
+ * sometimes pairs a name with a non-standard number ("Easy (6+)").
+ * @param {string|number} difficulty - e.g. "Average (8+)", "10+", "Difficult", 8
+ * @returns {number|null} Target number, or null if unreadable
+ */
+function parseDifficulty(difficulty) {
+  if (Number.isFinite(difficulty)) return difficulty;
+  const text = String(difficulty || '').trim().toLowerCase();
+  const number = text.match(/(\d+)\s*\+/) || text.match(/^(\d+)$/);
+  if (number) return parseInt(number[1], 10);
+  const name = text.replace(/\(.*\)/, '').trim();
+  return DIFFICULTIES[name] ?? null;
+}
+
+/**
+ * Parse a stakes threshold
+ * @param {string} threshold - "12+", "6-7" or "5-"
+ * @returns {Object|null} { min, max } (inclusive), or null if unreadable
+ */
+function parseThreshold(threshold) {
+  const text = String(threshold || '').trim();
+  let m;
+  if ((m = text.match(/^(\d+)\+$/))) return { min: parseInt(m[1], 10), max: Infinity };
+  if ((m = text.match(/^(\d+)\s*-\s*(\d+)$/))) return { min: parseInt(m[1], 10), max: parseInt(m[2], 10) };
+  if ((m = text.match(/^(\d+)-$/))) return { min: -Infinity, max: parseInt(m[1], 10) };
+  return null;
+}
+
+/**
+ * Evaluate one modifier condition
+ * @param {string} condition - Condition text (see module header)
+ * @param {Object} context - { pc, flags, circumstances: string[], npcId }
+ * @returns {Object} { applies, known, detail }
+ */
+function evaluateCondition(condition, context) {
+  const text = String(condition || '').trim();
+  const { pc, flags = {}, circumstances = [], npcId } = context;
+  let m;
+
+  if ((m = text.match(/^PC is (not )?(.+)$/i))) {
+    const species = String(pc?.species || 'Human');
+    const matches = species.toLowerCase() === m[2].trim().toLowerCase();
+    return { applies: m[1] ? !matches : matches, known: true, detail: species };
+  }
+
+  if ((m = text.match(/^disposition\s*(>=|<=|>|<|==?)\s*(-?\d+)$/i))) {
+    const level = getDisposition(npcId, pc?.id).level;
+    const target = parseInt(m[2], 10);
+    const applies = { '>=': level >= target, '<=': level <= target, '>': level > target, '<': level < target, '=': level === target, '==': level === target }[m[1]];
+    return { applies, known: Boolean(npcId && pc?.id), detail: `disposition ${level}` };
+  }
+
+  if ((m = text.match(/^(!|not\s+)?([a-z][a-z0-9_]*)$/i))) {
+    const name = m[2];
+    const set = circumstances.includes(name) || Boolean(flags[name]);
+    return { applies: m[1] ? !set : set, known: true, detail: circumstances.includes(name) ? 'circumstance' : flags[name] ? 'flag' : 'not set' };
+  }
+
+  return { applies: false, known: false, detail: 'unrecognised condition' };
+}
+
+/**
+ * Evaluate an encounter's modifiers
+ * @param {Object[]} modifiers - [{ condition, mod, reason }]
+ * @param {Object} context - See evaluateCondition
+ * @returns {Object[]} [{ condition, mod, reason, applies, known, detail }]
+ */
+function evaluateModifiers(modifiers, context) {
+  return (modifiers || []).map(modifier => ({ ...modifier, ...evaluateCondition(modifier.condition, context) }));
+}
+
+/**
+ * Rate each allowed skill for a PC and pick the best
+ * Ties go to the skill listed first (the primary skill).
+ * @param {Object} pc - PC data
+ * @param {string[]} skills - Allowed skills, primary first
+ * @returns {Object[]} [{ skill, dm }] best first
+ */
+function rankSkills(pc, skills) {
+  return skills
+    .map((skill, order) => ({
+      skill,
+      order,
+      dm: getSkillModifier(pc, skill) + getAttributeModifier(pc, skill) + getUnskilledModifier(pc, skill)
+    }))
+    .sort((a, b) => b.dm - a.dm || a.order - b.order)
+    .map(({ skill, dm }) => ({ skill, dm }));
+}
+
+/**
+ * Find the stakes band a total falls in
+ * @param {Object} stakes - { name: { threshold, result } }
+ * @param {number} total - Check total
+ * @returns {Object|null} { name, threshold, result }
+ */
+function findStake(stakes, total) {
+  for (const [name, stake] of Object.entries(stakes || {})) {
+    const range = parseThreshold(stake.threshold);
+    if (range && total >= range.min && total <= range.max) {
+      return { name, threshold: stake.threshold, result: stake.result || {} };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a stakes result for the log
+ * @param {Object} result - e.g. { payment: 4000, intel: true, relationship: 1 }
+ * @returns {string} e.g. "payment 4000, intel yes, relationship +1"
+ */
+function describeStakeResult(result) {
+  return Object.entries(result).map(([key, value]) => {
+    if (typeof value === 'boolean') return `${key} ${value ? 'yes' : 'no'}`;
+    if (key === 'relationship' && value > 0) return `${key} +${value}`;
+    return `${key} ${value}`;
+  }).join(', ');
+}
+
+/**
+ * Copy of an encounter with "amount" flag values filled from the stakes
+ * @param {Object} encounter - Encounter definition
+ * @param {string} outcomeName - Outcome to resolve
+ * @param {Object|null} stake - From findStake
+ * @returns {Object} Encounter whose outcome flags hold real values
+ */
+function resolveOutcomeValues(encounter, outcomeName, stake) {
+  const outcome = encounter.outcomes[outcomeName];
+  const amount = stake?.result?.payment ?? stake?.result?.amount;
+  if (!outcome.flags || amount === undefined) return encounter;
+
+  const flags = Object.fromEntries(Object.entries(outcome.flags)
+    .map(([flag, value]) => [flag, value === AMOUNT_PLACEHOLDER ? amount : value]));
+  return { ...encounter, outcomes: { ...encounter.outcomes, [outcomeName]: { ...outcome, flags } } };
+}
+
+/**
+ * Run an encounter's mechanics for one PC
+ * @param {Object} session - Adventure session (storyState, pc)
+ * @param {Object} encounter - Encounter definition (story-engine.loadEncounter)
+ * @param {Object} options - {
+ *   pc: acting PC (default session.pc),
+ *   skill: use this allowed skill instead of the best,
+ *   circumstances: condition names true for this roll (e.g. ['buying_rounds']),
+ *   outcome: apply this outcome whatever the roll,
+ *   roll: forced 2D total (testing), worldData: passed to applyEncounterOutcome
+ * }
+ * @returns {Object} { encounterId, triggered, pcId, skill, skills, difficulty, modifiers, check, stake, outcome, log, error }
+ */
+function runEncounter(session, encounter, options = {}) {
+  const pc = options.pc || session.pc;
+  const mechanics = encounter.mechanics || {};
+  const npcId = encounter.participants?.npcs?.[0] || null;
+  const run = { encounterId: encounter.id, triggered: true, pcId: pc?.id || null, log: [] };
+  const log = line => run.log.push(line);
+
+  if (!shouldTriggerEncounter(session, encounter, options.worldData)) {
+    run.triggered = false;
+    log('Prerequisites not met; encounter does not trigger.');
+    return run;
+  }
+
+  if (!mechanics.primary_skill) {
+    run.error = 'Encounter has no skill mechanics to roll';
+    log(`${run.error}; the GM resolves it by choice.`);
+    return run;
+  }
+
+  const allowed = [mechanics.primary_skill, ...(mechanics.alternate_skills || [])];
+  const chosen = options.skill ? allowed.find(s => s.toLowerCase() === String(options.skill).toLowerCase()) : null;
+  if (options.skill && !chosen) {
+    run.error = `${options.skill} is not allowed here (use ${allowed.join(', ')})`;
+    log(run.error);
+    return run;
+  }
+
+  // Difficulty
+  const parsed = parseDifficulty(mechanics.difficulty);
+  run.difficulty = parsed ?? DEFAULT_DIFFICULTY;
+  log(parsed === null
+    ? `Difficulty: "${mechanics.difficulty || 'none'}" unreadable, using ${DEFAULT_DIFFICULTY}+`
+    : `Difficulty: ${mechanics.difficulty} → ${run.difficulty}+`);
+
+  // Modifiers
+  run.modifiers = evaluateModifiers(mechanics.modifiers, {
+    pc,
+    flags: session.storyState?.flags || {},
+    circumstances: options.circumstances || [],
+    npcId
+  });
+  for (const m of run.modifiers) {
+    const sign = m.mod > 0 ? '+' : '';
+    const state = !m.known ? 'skipped' : m.applies ? `applies, ${sign}${m.mod}` : 'does not apply';
+    log(`Modifier "${m.condition}": ${state} (${m.detail})${m.reason ? ` - ${m.reason}` : ''}`);
+  }
+
+  // Skill
+  run.skills = rankSkills(pc, allowed);
+  run.skill = chosen || run.skills[0].skill;
+  const ratings = run.skills.map(s => `${s.skill} ${s.dm >= 0 ? '+' : ''}${s.dm}`).join(', ');
+  log(`Skills for ${pc?.name || 'PC'}: ${ratings} → ${run.skill}${options.skill ? ' (chosen)' : ''}`);
+
+  // Roll
+  const dms = run.modifiers
+    .filter(m => m.known && m.applies && m.mod)
+    .map(m => ({ source: m.reason || m.condition, value: m.mod }));
+  run.check = resolveCheck({ skill: run.skill, difficulty: run.difficulty, dms, reason: encounter.title }, pc, options.roll ?? null, {
+    equipment: session.storyState?.inventory || [],
+    conditions: session.storyState?.conditions || []
+  });
+  log(run.check.narrative);
+  formatDetailedResult(run.check).split('\n').forEach(line => log(`  ${line}`));
+
+  // Stakes
+  run.stake = findStake(encounter.stakes, run.check.total);
+  if (run.stake) {
+    log(`Stakes: ${run.stake.name} (${run.stake.threshold}): ${describeStakeResult(run.stake.result)}`);
+    const change = run.stake.result.relationship;
+    if (change && npcId && pc?.id) {
+      const level = modifyDisposition(npcId, pc.id, change, `${encounter.title}: ${run.stake.name}`, session.storyState?.gameDate);
+      log(`Disposition ${npcId} → ${pc.id}: ${change > 0 ? '+' : ''}${change} (now ${level})`);
+    }
+  }
+
+  // Outcome
+  const single = Object.keys(encounter.outcomes || {}).length === 1 ? Object.keys(encounter.outcomes)[0] : null;
+  run.outcome = options.outcome || selectOutcome(mechanics, run.check) || (run.check.success ? single : null);
+  if (!run.outcome || !encounter.outcomes?.[run.outcome]) {
+    if (run.outcome) log(`Outcome "${run.outcome}" is not defined for this encounter.`);
+    run.outcome = null;
+    log('No outcome applied; the GM narrates the result.');
+    return run;
+  }
+
+  const resolved = resolveOutcomeValues(encounter, run.outcome, run.stake);
+  const outcome = resolved.outcomes[run.outcome];
+  applyEncounterOutcome(session, resolved, run.outcome, options.worldData);
+  log(`Outcome: ${run.outcome}${options.outcome ? ' (chosen)' : ''}`);
+  if (outcome.flags) {
+    log(`  Flags: ${Object.entries(outcome.flags).map(([flag, value]) => `${flag} = ${value}`).join(', ')}`);
+  }
+  if (outcome.beat && session.storyState) {
+    session.storyState.completedBeats = session.storyState.completedBeats || [];
+    recordBeat(session.storyState, outcome.beat);
+    log(`  Beat: ${outcome.beat}`);
+  }
+  if (outcome.unlocks) log(`  Unlocks: ${outcome.unlocks.join(', ')}`);
+  if (outcome.blocks) log(`  Blocks: ${outcome.blocks.join(', ')}`);
+  if (outcome.consequence) log(`  Consequence: ${outcome.consequence}`);
+
+  return run;
+}
+
+/**
+ * Format a run for the GM
+ * @param {Object} encounter - Encounter definition
+ * @param {Object} run - From runEncounter
+ * @returns {string} Log text
+ */
+function formatEncounterRun(encounter, run) {
+  return [`=== ENCOUNTER: ${encounter.title || encounter.id} ===`, ...run.log].join('\n');
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  parseDifficulty,
+  parseThreshold,
+  evaluateCondition,
+  evaluateModifiers,
+  rankSkills,
+  findStake,
+  runEncounter,
+  formatEncounterRun
+};
@@ -0,0 +1,445 @@
+/**
+ * Equipment Catalog - Central Supply Catalogue items in one schema
+ *
+ * Pattern: Repository + index (lazy load, cached)
+ * The CSC extraction left one flat file per category in data/equipment/
+ * (damage/range at the top level, category "weapon"). The catalog normalizes
+ * every item into the equipment-validator schema (category "weapons",
+ * weapon_stats, armor_stats), gives it a stable kebab-case ID and indexes it
+ * by category, TL, cost band and trait.
+ *
+ * IDs are "<name>-tl<TL>". Where the book lists several versions of the same
+ * item at one TL (radio transceivers by range), each version is qualified by
+ * its range, or failing that its cost. Items the validator rejects (TL above
+ * 15, for example) are kept out of the index and listed in the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateEquipment, VALID_RANGES } = require('./equipment-validator');
+const { SKILL_ATTRIBUTES } = require('./task-engine');
+
+const EQUIPMENT_DIR = path.join(__dirname, '../data/equipment');
+
+/**
+ * Extracted CSC files; the file name is the catalog category
+ */
+const CATALOG_FILES = [
+  'ammunition', 'armor', 'augments', 'electronics', 'medical',
+  'software', 'survival', 'tools', 'weapons'
+];
+
+/**
+ * Raw extraction categories that differ from catalog categories
+ */
+const CATEGORY_ALIASES = {
+  weapon: 'weapons',
+  augment: 'augments',
+  armour: 'armor',
+  tool: 'tools',
+  ammo: 'ammunition'
+};
+
+/**
+ * Cost bands, cheapest first (max is the highest cost in the band)
+ */
+const COST_BANDS = [
+  { id: 'trivial', max: 100 },
+  { id: 'cheap', max: 1000 },
+  { id: 'moderate', max: 10000 },
+  { id: 'expensive', max: 100000 },
+  { id: 'luxury', max: Infinity }
+];
+
+/**
+ * Words in effect text that name a skill under another name
+ */
+const TASK_SKILL_ALIASES = {
+  'first aid': 'medic',
+  climbing: 'athletics'
+};
+
+let catalog = null;
+
+/**
+ * Convert a name to kebab-case
+ * @param {string} str - Name
+ * @returns {string} kebab-case text
+ */
+function toKebabCase(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Read an extracted cost or mass (extraction writes 0 where the book
+ * gives no figure, so 0 is unknown rather than free or weightless)
+ * @param {*} value - Raw value
+ * @returns {number|null} Amount, null if unknown
+ */
+function toKnownAmount(value) {
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Get the cost band for a price
+ * @param {number|null} cost - Cost in credits
+ * @returns {string|null} Band ID, null for unpriced items
+ */
+function getCostBand(cost) {
+  if (!Number.isFinite(cost)) return null;
+  return COST_BANDS.find(band => cost <= band.max).id;
+}
+
+/**
+ * Get the index key for a trait ("AP 4" -> "ap", "Very Bulky" -> "very-bulky")
+ * @param {string} trait - Trait as printed
+ * @returns {string|null} Trait key, null for text that is not a trait name
+ */
+function getTraitKey(trait) {
+  const match = String(trait).trim().match(/^([A-Za-z][A-Za-z-]*(?:\s+[A-Za-z][A-Za-z-]*)*?)(?:\s+[\dxX∞(½].*)?$/);
+  return match ? toKebabCase(match[1]) : null;
+}
+
+/**
+ * Get the range band for a weapon range
+ * @param {string|number} range - Metres or a printed band
+ * @returns {string|null} Band from VALID_RANGES, null if the weapon has no range
+ */
+function getRangeBand(range) {
+  if (typeof range === 'string' && VALID_RANGES.includes(range)) return range;
+
+  // Melee weapons print "Melee"; anything with a range in metres is ranged
+  const metres = parseFloat(range);
+  if (!Number.isFinite(metres) || metres <= 0) return null;
+  if (metres <= 50) return 'Pistol';
+  if (metres <= 150) return 'Assault Weapon';
+  if (metres <= 500) return 'Rifle';
+  return 'Distant';
+}
+
+/**
+ * Find the skill named in a phrase of effect text
+ * @param {string} phrase - e.g. "Electronics (sensors)" or "First Aid Medic"
+ * @returns {string|null} Skill key as used by skill-resolver
+ */
+function findSkillInPhrase(phrase) {
+  const text = phrase.toLowerCase();
+  for (const skill of Object.keys(SKILL_ATTRIBUTES)) {
+    if (new RegExp(`\\b${skill.replace(/_/g, ' ')}\\b`).test(text)) return skill;
+  }
+  for (const [alias, skill] of Object.entries(TASK_SKILL_ALIASES)) {
+    if (new RegExp(`\\b${alias}`).test(text)) return skill;
+  }
+  return null;
+}
+
+/**
+ * Read skill DMs out of effect text ("DM+2 to Stealth checks",
+ * "First Aid Medic check DM+1"). Text with several DMs is skipped, as is a DM
+ * against someone else ("DM+1 vs. Electronics").
+ * @param {string} effect - Effect text
+ * @returns {Object|null} { skill: dm } for skill-resolver's equipment DMs
+ */
+function deriveTaskDMs(effect) {
+  if (!effect) return null;
+  const dms = effect.match(/DM\s*[+-]\d+/g) || [];
+  if (new Set(dms.map(dm => dm.replace(/\s/g, ''))).size !== 1) return null;
+
+  const after = effect.match(/DM\s*([+-]\d+)\s+(?:to|on)\s+(.+)$/i);
+  const before = effect.match(/^(.+?)\s+checks?\s+DM\s*([+-]\d+)/i);
+  const [phrase, value] = after ? [after[2], after[1]] : before ? [before[1], before[2]] : [null, null];
+  if (!phrase) return null;
+
+  const skill = findSkillInPhrase(phrase);
+  const dm = parseInt(value, 10);
+  return skill && dm ? { [skill]: dm } : null;
+}
+
+/**
+ * Normalize an extracted CSC item into the validator schema
+ * @param {Object} raw - Flat extracted item
+ * @param {string} [fileCategory] - Category of the file it came from
+ * @returns {Object} Catalog item (id is the base ID, before disambiguation)
+ */
+function normalizeCatalogItem(raw, fileCategory = null) {
+  const rawCategory = String(raw.category || '').toLowerCase();
+  const category = fileCategory || CATEGORY_ALIASES[rawCategory] || rawCategory || 'tools';
+  const tl = Number.isFinite(raw.tl) ? raw.tl : parseInt(raw.tl, 10);
+  const cost = toKnownAmount(raw.cost);
+  const traits = Array.isArray(raw.traits) ? raw.traits : [];
+
+  const item = {
+    id: `${toKebabCase(raw.name)}-tl${Number.isFinite(tl) ? tl : 0}`,
+    name: raw.name,
+    category,
+    tl,
+    cost,
+    cost_band: getCostBand(cost),
+    mass: toKnownAmount(raw.mass),
+    traits,
+    trait_keys: [...new Set(traits.map(getTraitKey).filter(Boolean))],
+    source: { book: 'CSC', page: raw.source_page }
+  };
+
+  if (raw.effect) item.effect = raw.effect;
+  const taskDMs = deriveTaskDMs(raw.effect);
+  if (taskDMs) item.task_dms = taskDMs;
+
+  if (category === 'weapons') {
+    const damage = String(raw.damage ?? '').trim();
+    const metres = parseFloat(raw.range);
+    item.weapon_stats = {
+      damage: /^\d+DD?([+-]\d+)?$/.test(damage) ? damage : null,
+      range: getRangeBand(raw.range),
+      range_m: typeof raw.range === 'number' || /^\d/.test(String(raw.range)) ? metres : null,
+      magazine: Number.isFinite(raw.magazine) ? raw.magazine : null,
+      magazine_cost: Number.isFinite(raw.magazine_cost) ? raw.magazine_cost : null,
+      traits
+    };
+    if (damage && !item.weapon_stats.damage) item.weapon_stats.damage_text = damage;
+  } else if (category === 'ammunition') {
+    item.ammunition_stats = {
+      damage: raw.damage && raw.damage !== '—' ? String(raw.damage) : null,
+      range: raw.range && raw.range !== '—' ? String(raw.range) : null
+    };
+  } else if (category === 'armor') {
+    item.armor_stats = {
+      protection: Number.isFinite(raw.protection) ? raw.protection : parseInt(raw.protection, 10) || 0,
+      rad: Number.isFinite(raw.rad) ? raw.rad : parseInt(raw.rad, 10) || 0,
+      traits
+    };
+  } else if (raw.range !== undefined) {
+    item.range = String(raw.range);
+  }
+
+  if (raw.bandwidth !== undefined) item.bandwidth = raw.bandwidth;
+  if (raw.slots !== undefined) item.slots = raw.slots;
+
+  return item;
+}
+
+/**
+ * Qualifier separating versions of an item that share a base ID
+ * @param {Object} item - Catalog item
+ * @param {Object} raw - Extracted item
+ * @returns {string} e.g. "regional" or "cr500"
+ */
+function getVariantQualifier(item, raw) {
+  const rangeName = typeof raw.range === 'string' ? toKebabCase(raw.range.split('(')[0]) : '';
+  return rangeName && /^[a-z]/.test(rangeName) ? rangeName : `cr${item.cost ?? 0}`;
+}
+
+/**
+ * Give every item a unique ID
+ * Versions sharing a base ID are qualified by range, then by cost; entries
+ * that are identical after that are duplicates and dropped.
+ * @param {Object[]} entries - [{ item, raw }]
+ * @returns {Object} { items, duplicates } duplicates are the dropped IDs
+ */
+function assignIds(entries) {
+  const byBase = new Map();
+  for (const entry of entries) {
+    const group = byBase.get(entry.item.id) || [];
+    group.push(entry);
+    byBase.set(entry.item.id, group);
+  }
+
+  const items = [];
+  const duplicates = [];
+  for (const [baseId, group] of byBase) {
+    const distinct = new Set(group.map(e => `${e.item.cost}|${e.raw.range}|${e.raw.mass}`));
+    if (distinct.size === 1) {
+      items.push(group[0].item);
+      duplicates.push(...group.slice(1).map(() => baseId));
+      continue;
+    }
+
+    const qualifiers = group.map(e => getVariantQualifier(e.item, e.raw));
+    const seen = new Set();
+    group.forEach((entry, i) => {
+      const qualifier = qualifiers.filter(q => q === qualifiers[i]).length > 1
+        ? `cr${entry.item.cost ?? 0}`
+        : qualifiers[i];
+      const id = `${baseId}-${qualifier}`;
+      if (seen.has(id)) {
+        duplicates.push(id);
+        return;
+      }
+      seen.add(id);
+      items.push({ ...entry.item, id });
+    });
+  }
+
+  return { items, duplicates };
+}
+
+/**
+ * Add an item to a map of ID lists
+ * @param {Object} index - Key to item IDs
+ * @param {string} key - Index key
+ * @param {string} id - Item ID
+ */
+function addToIndex(index, key, id) {
+  if (key === null || key === undefined) return;
+  (index[key] = index[key] || []).push(id);
+}
+
+/**
+ * Build the catalog from extracted files
+ * @param {Object} [options] - { dir: equipment directory (for testing) }
+ * @returns {Object} { items: Map, byCategory, byTL, byCostBand, byTrait, report }
+ */
+function buildCatalog(options = {}) {
+  const dir = options.dir || EQUIPMENT_DIR;
+  const entries = [];
+  const files = [];
+
+  for (const category of CATALOG_FILES) {
+    const file = path.join(dir, `${category}.json`);
+    if (!fs.existsSync(file)) continue;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data)) continue;
+
+    files.push(category);
+    for (const raw of data) {
+      if (!raw?.name) continue;
+      entries.push({ item: normalizeCatalogItem(raw, category), raw });
+    }
+  }
+
+  const { items: normalized, duplicates } = assignIds(entries);
+  const built = {
+    items: new Map(),
+    byCategory: {},
+    byTL: {},
+    byCostBand: {},
+    byTrait: {},
+    report: { files, loaded: entries.length, indexed: 0, duplicates, invalid: [] }
+  };
+
+  for (const item of normalized) {
+    const validation = validateEquipment(item);
+    if (!validation.valid) {
+      built.report.invalid.push({ id: item.id, errors: validation.errors });
+      continue;
+    }
+
+    built.items.set(item.id, item);
+    addToIndex(built.byCategory, item.category, item.id);
+    addToIndex(built.byTL, item.tl, item.id);
+    addToIndex(built.byCostBand, item.cost_band, item.id);
+    for (const key of item.trait_keys) addToIndex(built.byTrait, key, item.id);
+  }
+  built.report.indexed = built.items.size;
+
+  return built;
+}
+
+/**
+ * Get the catalog, building it on first use
+ * @returns {Object} Catalog (see buildCatalog)
+ */
+function getCatalog() {
+  if (!catalog) catalog = buildCatalog();
+  return catalog;
+}
+
+/**
+ * Get a catalog item by ID
+ * @param {string} id - Catalog ID
+ * @returns {Object|null} Item
+ */
+function getCatalogItem(id) {
+  return getCatalog().items.get(id) || null;
+}
+
+/**
+ * Query the catalog
+ * e.g. { category: 'survival', maxTL: 9, maxCost: 500 } is "all TL9 or lower
+ * survival gear under Cr500". Items of unknown cost never match a cost filter.
+ * @param {Object} query - { category, minTL, maxTL, minCost, maxCost, costBand, trait, text, limit }
+ * @returns {Object[]} Items, cheapest first
+ */
+function queryCatalog(query = {}) {
+  const built = getCatalog();
+
+  // Start from the narrowest index the query names
+  let ids = null;
+  const narrow = next => {
+    ids = ids ? ids.filter(id => next.includes(id)) : [...next];
+  };
+  if (query.category) narrow(built.byCategory[CATEGORY_ALIASES[query.category] || query.category] || []);
+  if (query.costBand) narrow(built.byCostBand[query.costBand] || []);
+  if (query.trait) narrow(built.byTrait[getTraitKey(query.trait)] || []);
+
+  const words = query.text ? query.text.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const results = (ids || [...built.items.keys()])
+    .map(id => built.items.get(id))
+    .filter(item =>
+      (query.minTL === undefined || item.tl >= query.minTL) &&
+      (query.maxTL === undefined || item.tl <= query.maxTL) &&
+      (query.minCost === undefined || (item.cost ?? -1) >= query.minCost) &&
+      (query.maxCost === undefined || (item.cost !== null && item.cost <= query.maxCost)) &&
+      words.every(word => item.name.toLowerCase().includes(word))
+    )
+    .sort((a, b) => (a.cost ?? Infinity) - (b.cost ?? Infinity) || a.id.localeCompare(b.id));
+
+  return query.limit ? results.slice(0, query.limit) : results;
+}
+
+/**
+ * Format an item for display or the narrator prompt
+ * @param {Object} item - Catalog item
+ * @returns {string} e.g. "Autopistol (TL6, Cr200, 1kg) 3D, Pistol"
+ */
+function formatCatalogItem(item) {
+  const details = [`TL${item.tl}`, item.cost !== null ? `Cr${item.cost}` : 'price varies'];
+  if (item.mass) details.push(`${item.mass}kg`);
+
+  const stats = [];
+  if (item.weapon_stats) {
+    const ws = item.weapon_stats;
+    stats.push(ws.damage || ws.damage_text, ws.range);
+  }
+  if (item.armor_stats) stats.push(`Protection +${item.armor_stats.protection}`);
+  if (item.traits.length) stats.push(item.traits.join(', '));
+  if (item.effect) stats.push(item.effect);
+
+  const extra = stats.filter(Boolean).join(', ');
+  return `${item.name} (${details.join(', ')})${extra ? ' ' + extra : ''}`;
+}
+
+/**
+ * Get the catalog build report
+ * @returns {Object} { files, loaded, indexed, duplicates, invalid }
+ */
+function getCatalogReport() {
+  return getCatalog().report;
+}
+
+/**
+ * Clear cache (for testing)
+ */
+function clearCache() {
+  catalog = null;
+}
+
+module.exports = {
+  CATALOG_FILES,
+  COST_BANDS,
+  toKebabCase,
+  getCostBand,
+  getTraitKey,
+  getRangeBand,
+  deriveTaskDMs,
+  normalizeCatalogItem,
+  buildCatalog,
+  getCatalogItem,
+  queryCatalog,
+  formatCatalogItem,
+  getCatalogReport,
+  clearCache
+};
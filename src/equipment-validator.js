@@ -5,7 +5,8 @@
 
 const VALID_CATEGORIES = [
   'weapons', 'armor', 'survival', 'electronics',
-  'medical', 'tools', 'vehicles', 'robots', 'software'
+  'medical', 'tools', 'vehicles', 'robots', 'software',
+  'ammunition', 'augments'
 ];
 
 const VALID_RANGES = [
@@ -14,7 +15,8 @@ const VALID_RANGES = [
 ];
 
 const KEBAB_CASE_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
-const DAMAGE_REGEX = /^\d+D([+-]\d+)?$/;
+// DD is destructive damage (2DD = 2D x10)
+const DAMAGE_REGEX = /^\d+DD?([+-]\d+)?$/;
 
 /**
  * Validate a single equipment item
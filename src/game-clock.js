@@ -0,0 +1,306 @@
+/**
+ * Game Clock - Advance the game date from resolved player actions
+ *
+ * Pattern: Estimator + single advance point
+ * Each resolved action carries an estimated duration: skill checks from the
+ * adventure's skill-checks.json, travel from geography-data.getTravelTime(),
+ * and scenes from their stage "time" fields. advanceClock() is the only place
+ * storyState.gameDate moves during play, and every advance runs
+ * processTimedActions() and processAllTriggers(), so repair jobs, time
+ * triggers and goal cooldowns follow the same clock as [SCENE: x, TIME: +3d].
+ *
+ * Estimates are expected values: 1D counts as 3.5, "1-2 hours" as 1.5 hours.
+ */
+
+const { loadSkillChecks } = require('./adventure-data');
+const { getTravelTime } = require('./geography-data');
+const { loadScene } = require('./story-engine');
+const { loadPersona } = require('./persona');
+const { parseDuration, addDuration, formatDuration, UNIT_MINUTES, MINUTES_PER_HOUR } = require('./imperial-calendar');
+const { processTimedActions } = require('./timed-actions');
+const { processAllTriggers } = require('./triggers');
+
+/**
+ * Durations (minutes) when nothing more specific is known
+ */
+const DEFAULT_DURATIONS = {
+  narration: 10,     // A narrated action with no timed activity
+  dialogue: 2,       // One exchange of NPC dialogue
+  skillCheck: 10     // A task with no time in skill-checks.json
+};
+
+const TRAVEL_METHODS = ['rail', 'road'];
+
+const QUANTITY_WORDS = { several: 3, few: 3, couple: 2, half: 0.5, an: 1, a: 1, one: 1 };
+
+// NPCs with triggers, per adventure
+const triggerNpcCache = new Map();
+
+/**
+ * Parse the quantity in front of a time unit
+ * @param {string} text - e.g. "1d+2 man-", "1-2 ", "several "
+ * @returns {number|null} Expected quantity
+ */
+function parseQuantity(text) {
+  const dice = text.match(/(\d*)d6?(?![a-z])\s*(?:([+-])\s*(\d+))?/);
+  if (dice) {
+    const count = dice[1] ? parseInt(dice[1], 10) : 1;
+    const modifier = dice[3] ? parseInt(dice[3], 10) * (dice[2] === '-' ? -1 : 1) : 0;
+    return Math.max(0, count * 3.5 + modifier);
+  }
+
+  const range = text.match(/(\d+(?:\.\d+)?)\s*(?:-|to)\s*(\d+(?:\.\d+)?)/);
+  if (range) return (parseFloat(range[1]) + parseFloat(range[2])) / 2;
+
+  const number = text.match(/(\d+(?:\.\d+)?)/);
+  if (number) return parseFloat(number[1]);
+
+  const words = text.trim().split(/\s+/).reverse();
+  for (const word of words) {
+    if (QUANTITY_WORDS[word] !== undefined) return QUANTITY_WORDS[word];
+  }
+  return null;
+}
+
+/**
+ * Parse a free-text time estimate from adventure data
+ * Handles "2 hours", "1-2 hours", "1D hours", "1D+2 man-hours",
+ * "Several hours" and "Seconds to act". "Variable" and text without a unit
+ * give null.
+ * @param {string} text - Time text
+ * @returns {number|null} Minutes
+ */
+function parseTimeEstimate(text) {
+  if (!text || typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+  if (/\bseconds?\b/.test(lower)) return 1;
+
+  const unit = lower.match(/\b(minutes?|mins?|hours?|hrs?|days?|weeks?)\b/);
+  if (!unit) return null;
+
+  const quantity = parseQuantity(lower.slice(0, unit.index));
+  if (quantity === null) return null;
+  return Math.round(quantity * UNIT_MINUTES[unit[1][0]]);
+}
+
+/**
+ * Normalize a skill name for matching ("Electronics (computer)" → "electronics")
+ * @param {string} skill - Skill name
+ * @returns {string}
+ */
+function normalizeSkill(skill) {
+  return String(skill || '').toLowerCase().split(/[\s(]/)[0].replace(/-/g, '_');
+}
+
+/**
+ * Find skill-checks.json entries for a check in the current scene
+ * @param {string} adventureId - Adventure ID
+ * @param {string} sceneId - Current scene ID (mountain-climb → mountain_climb)
+ * @param {string} skill - Skill being rolled
+ * @returns {Object[]} Matching check entries
+ */
+function findCheckEntries(adventureId, sceneId, skill) {
+  const data = loadSkillChecks(adventureId);
+  const section = data?.skill_checks_by_scene?.[(sceneId || '').replace(/-/g, '_')];
+  const wanted = normalizeSkill(skill);
+  return (section?.checks || []).filter(entry => normalizeSkill(entry.skill) === wanted);
+}
+
+/**
+ * Estimate how long a resolved skill check took
+ * A check rolled with a task timeframe uses the rolled time. Otherwise uses
+ * the "time" of a matching skill-checks.json entry in the current scene,
+ * plus any time its "failure" text adds when the check failed.
+ * @param {string} adventureId - Adventure ID
+ * @param {string} sceneId - Current scene ID
+ * @param {Object} checkResult - From skill-resolver.resolveCheck()
+ * @returns {Object} { minutes, source }
+ */
+function estimateSkillCheck(adventureId, sceneId, checkResult) {
+  if (Number.isFinite(checkResult?.minutes)) {
+    return { minutes: checkResult.minutes, source: `timeframe ${checkResult.timeframe}` };
+  }
+
+  const skill = checkResult?.check?.skill;
+  const entry = findCheckEntries(adventureId, sceneId, skill).find(e => e.time || e.failure);
+
+  let minutes = entry ? parseTimeEstimate(entry.time) : null;
+  let source = entry && minutes !== null ? `skill-checks.json ${entry.id}` : 'default';
+  if (minutes === null) minutes = DEFAULT_DURATIONS.skillCheck;
+
+  if (entry && checkResult && !checkResult.success) {
+    const extra = parseTimeEstimate(entry.failure);
+    if (extra !== null) {
+      minutes += extra;
+      source = `skill-checks.json ${entry.id} (failure)`;
+    }
+  }
+
+  return { minutes, source };
+}
+
+/**
+ * Estimate travel time between settlements
+ * @param {string} adventureId - Adventure ID
+ * @param {Object} travel - { from, to, method } method defaults to rail, then road
+ * @returns {Object|null} { minutes, method, source } or null if no route is known
+ */
+function estimateTravel(adventureId, travel) {
+  if (!travel?.from || !travel?.to) return null;
+  const methods = travel.method ? [travel.method] : TRAVEL_METHODS;
+
+  for (const method of methods) {
+    const minutes = parseTimeEstimate(getTravelTime(adventureId, travel.from, travel.to, method));
+    if (minutes !== null) {
+      return { minutes, method, source: `${method} ${travel.from}-${travel.to}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Estimate the time a scene takes from its stage "time" fields
+ * @param {string} adventureId - Adventure ID
+ * @param {string} sceneId - Scene ID
+ * @returns {number} Minutes (0 if the scene has no timed stages)
+ */
+function estimateSceneDuration(adventureId, sceneId) {
+  let scene;
+  try {
+    scene = loadScene(adventureId, sceneId);
+  } catch (e) {
+    return 0;
+  }
+  return (scene.stages || [])
+    .map(stage => parseTimeEstimate(stage.time) || 0)
+    .reduce((sum, minutes) => sum + minutes, 0);
+}
+
+/**
+ * Estimate the time still owed when leaving a scene
+ * The scene's stage total, less what checks and turns already spent there.
+ * @param {string} adventureId - Adventure ID
+ * @param {Object} storyState - Story state (currentScene, sceneMinutes)
+ * @returns {number} Minutes
+ */
+function estimateSceneRemainder(adventureId, storyState) {
+  if (!storyState.currentScene) return 0;
+  const total = estimateSceneDuration(adventureId, storyState.currentScene);
+  return Math.max(0, total - (storyState.sceneMinutes || 0));
+}
+
+/**
+ * Get adventure NPCs that have triggers
+ * @param {Object} adventure - Adventure data
+ * @returns {Object[]} NPC configs
+ */
+function getTriggerNpcs(adventure) {
+  if (!adventure?.id) return [];
+  if (triggerNpcCache.has(adventure.id)) return triggerNpcCache.get(adventure.id);
+
+  const npcs = [];
+  for (const npcId of adventure.npcs || []) {
+    try {
+      const persona = loadPersona(npcId);
+      if (Array.isArray(persona.triggers)) npcs.push(persona);
+    } catch (e) {
+      // Skip NPCs without a persona file
+    }
+  }
+  triggerNpcCache.set(adventure.id, npcs);
+  return npcs;
+}
+
+/**
+ * Advance the game clock
+ * @param {Object} storyState - Story state (gameDate is updated)
+ * @param {number|string|Object} duration - See imperial-calendar.parseDuration (a number is hours)
+ * @param {Object} options - { reasons: string[], npcs: NPC configs for triggers }
+ * @returns {Object|null} { from, to, minutes, reasons, completedActions, messages } or null if nothing moved
+ */
+function advanceClock(storyState, duration, options = {}) {
+  const minutes = parseDuration(duration);
+  if (!minutes || minutes <= 0) return null;
+
+  const from = storyState.gameDate;
+  const to = addDuration(from, { minutes });
+  if (!to) return null;
+
+  storyState.gameDate = to;
+  storyState.elapsedMinutes = (storyState.elapsedMinutes || 0) + minutes;
+  storyState.sceneMinutes = (storyState.sceneMinutes || 0) + minutes;
+
+  const completedActions = processTimedActions(storyState, minutes / MINUTES_PER_HOUR);
+  const messages = processAllTriggers(storyState, to, options.npcs || []);
+
+  return {
+    from,
+    to,
+    minutes,
+    reasons: options.reasons || [],
+    completedActions,
+    messages
+  };
+}
+
+/**
+ * Advance the clock for a session, with its NPCs' triggers
+ * @param {Object} session - Adventure session
+ * @param {number|string|Object} duration - See advanceClock
+ * @param {string[]} reasons - What took the time
+ * @returns {Object|null} From advanceClock
+ */
+function advanceSessionClock(session, duration, reasons = []) {
+  return advanceClock(session.storyState, duration, {
+    reasons,
+    npcs: getTriggerNpcs(session.adventure)
+  });
+}
+
+/**
+ * Merge clock advances from one turn
+ * @param {Object[]} advances - advanceClock results (nulls ignored)
+ * @returns {Object|null} Combined advance
+ */
+function mergeAdvances(advances) {
+  const moved = advances.filter(Boolean);
+  if (moved.length === 0) return null;
+  return {
+    from: moved[0].from,
+    to: moved[moved.length - 1].to,
+    minutes: moved.reduce((sum, a) => sum + a.minutes, 0),
+    reasons: moved.flatMap(a => a.reasons),
+    completedActions: moved.flatMap(a => a.completedActions),
+    messages: moved.flatMap(a => a.messages)
+  };
+}
+
+/**
+ * Format the clock for the TUI status line
+ * @param {Object} storyState - Story state
+ * @param {Object} advance - Latest advance, if any
+ * @returns {string} e.g. "016-1105 14:30  +25m (Athletics check)  │  2d 6h elapsed"
+ */
+function formatClockStatus(storyState, advance = null) {
+  const parts = [storyState.gameDate || 'Unknown date'];
+  if (advance) {
+    const why = advance.reasons.length > 0 ? ` (${advance.reasons.join(', ')})` : '';
+    parts[0] += `  +${formatDuration(advance.minutes)}${why}`;
+  }
+  parts.push(`${formatDuration(storyState.elapsedMinutes || 0)} elapsed`);
+  return parts.join('  │  ');
+}
+
+module.exports = {
+  DEFAULT_DURATIONS,
+  TRAVEL_METHODS,
+  parseTimeEstimate,
+  estimateSkillCheck,
+  estimateTravel,
+  estimateSceneDuration,
+  estimateSceneRemainder,
+  advanceClock,
+  advanceSessionClock,
+  mergeAdvances,
+  formatClockStatus
+};
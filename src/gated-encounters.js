@@ -1,13 +1,32 @@
 /**
  * Gated Encounters System
  * Handles encounter triggers and outcomes based on prerequisites
+ *
+ * Law level comes from the encounter's world data, else the world's UWP or
+ * the scene (legality.getWorldLawLevel), else DEFAULT_LAW_LEVEL. Customs
+ * assessments from the legality engine are applied here: checked-in items are
+ * stored against a claim ticket, seized items confiscated, fines left pending.
  */
 
-const { getIllegalItems, storeItem, confiscateItem } = require('./inventory');
+const { getIllegalItems, storeItem, retrieveItem, confiscateItem, addToInventory } = require('./inventory');
+const { getWorldLawLevel, assessCustoms } = require('./legality');
 
 // Default law level for encounters that don't specify
 const DEFAULT_LAW_LEVEL = 8;
 
+// Where checked-in items are held unless an outcome says otherwise
+const DEFAULT_CUSTOMS_LOCATION = 'starport-customs';
+
+/**
+ * Get the law level for an encounter
+ * @param {Object} session - Session object
+ * @param {Object} worldData - World data (law_level, etc.)
+ * @returns {number} Law level
+ */
+function resolveLawLevel(session, worldData) {
+  return worldData?.law_level ?? getWorldLawLevel(session)?.lawLevel ?? DEFAULT_LAW_LEVEL;
+}
+
 /**
  * Check if an encounter should trigger
  * @param {Object} session - Session object
@@ -25,7 +44,7 @@ function shouldTriggerEncounter(session, encounter, worldData) {
 
   // Check has_illegal_weapons prerequisite
   if (prereq.has_illegal_weapons) {
-    const lawLevel = worldData?.law_level || DEFAULT_LAW_LEVEL;
+    const lawLevel = resolveLawLevel(session, worldData);
     const illegalItems = getIllegalItems(session, lawLevel);
     if (illegalItems.length === 0) {
       return false;
@@ -60,7 +79,7 @@ function applyEncounterOutcome(session, encounter, outcomeName, worldData = {})
   const outcome = encounter.outcomes?.[outcomeName];
   if (!outcome) return;
 
-  const lawLevel = worldData?.law_level || DEFAULT_LAW_LEVEL;
+  const lawLevel = resolveLawLevel(session, worldData);
 
   // Apply flags
   if (outcome.flags) {
@@ -82,6 +101,9 @@ function applyEncounterOutcome(session, encounter, outcomeName, worldData = {})
     for (const item of itemsToStore) {
       storeItem(session, item.id, location);
     }
+    if (itemsToStore.length > 0) {
+      issueClaimTicket(session, location, itemsToStore.map(item => item.id));
+    }
   }
 
   // Remove/confiscate items
@@ -104,7 +126,85 @@ function applyEncounterOutcome(session, encounter, outcomeName, worldData = {})
   }
 }
 
+/**
+ * Issue (or add to) a claim ticket for items held at a location
+ * @param {Object} session - Session object
+ * @param {string} location - Where the items are held
+ * @param {string[]} itemIds - Items held
+ * @returns {Object} The claim ticket inventory item
+ */
+function issueClaimTicket(session, location, itemIds) {
+  const id = `claim-ticket-${location}`;
+  const existing = session.storyState.inventory.find(i => i.id === id);
+  if (existing) {
+    existing.claims = [...new Set([...existing.claims, ...itemIds])];
+    return existing;
+  }
+
+  addToInventory(session, {
+    id,
+    name: `Claim ticket (${location})`,
+    type: 'document',
+    claim_location: location,
+    claims: [...itemIds]
+  });
+  return session.storyState.inventory.find(i => i.id === id);
+}
+
+/**
+ * Hand in a claim ticket and get the held items back
+ * @param {Object} session - Session object
+ * @param {string} [location] - Where the items are held
+ * @returns {string[]} IDs of the items returned (empty without a ticket)
+ */
+function redeemClaimTicket(session, location = DEFAULT_CUSTOMS_LOCATION) {
+  const inventory = session.storyState.inventory;
+  const ticket = inventory.find(i => i.id === `claim-ticket-${location}`);
+  if (!ticket) return [];
+
+  const returned = ticket.claims.filter(id => inventory.some(i => i.id === id && i.location === location));
+  for (const id of returned) {
+    retrieveItem(session, id);
+  }
+  session.storyState.inventory = inventory.filter(i => i !== ticket);
+  return returned;
+}
+
+/**
+ * Put the PCs' carried items through customs
+ * @param {Object} session - Session object
+ * @param {string} result - declared, caught or smuggled (see legality.CUSTOMS_RESULTS)
+ * @param {Object} [options] - { lawLevel, location, worldData }
+ * @returns {Object} legality.assessCustoms() result plus { ticket }
+ */
+function resolveCustoms(session, result, options = {}) {
+  const lawLevel = options.lawLevel ?? resolveLawLevel(session, options.worldData);
+  const location = options.location || DEFAULT_CUSTOMS_LOCATION;
+  const assessment = assessCustoms(session.storyState.inventory, lawLevel, { result });
+
+  const checkedIn = assessment.items.filter(r => r.action === 'check_in').map(r => r.id);
+  for (const id of checkedIn) {
+    storeItem(session, id, location);
+  }
+  for (const r of assessment.items.filter(r => r.action === 'confiscate')) {
+    confiscateItem(session, r.id);
+  }
+  if (assessment.fine) {
+    session.storyState.pendingFine = assessment.fine;
+  }
+
+  session.storyState.flags = session.storyState.flags || {};
+  session.storyState.flags[`customs_${assessment.outcome}`] = true;
+
+  const ticket = checkedIn.length > 0 ? issueClaimTicket(session, location, checkedIn) : null;
+  return { ...assessment, ticket };
+}
+
 module.exports = {
+  DEFAULT_LAW_LEVEL,
   shouldTriggerEncounter,
-  applyEncounterOutcome
+  applyEncounterOutcome,
+  issueClaimTicket,
+  redeemClaimTicket,
+  resolveCustoms
 };
@@ -0,0 +1,299 @@
+/**
+ * Imperial Calendar - Traveller date and time model
+ *
+ * Pattern: Value functions over an absolute minute count
+ * Dates are "DDD-YYYY" with an optional " HH:MM" time of day. Every year has
+ * 365 days; day 001 is Holiday, which belongs to no week or month. The
+ * remaining 364 days form 13 months of four 7-day weeks, starting on day 002.
+ *
+ * All arithmetic converts to minutes since 001-0000 00:00 and back, so hours
+ * and minutes are never dropped. Dates are formatted without a time when it
+ * is midnight, which keeps existing "DDD-YYYY" state files unchanged.
+ */
+
+const DAYS_PER_YEAR = 365;
+const HOLIDAY = 1;
+const DAYS_PER_WEEK = 7;
+const WEEKS_PER_MONTH = 4;
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+const MINUTES_PER_WEEK = DAYS_PER_WEEK * MINUTES_PER_DAY;
+
+const WEEKDAYS = ['Wonday', 'Tuday', 'Thirday', 'Fourday', 'Fiday', 'Sixday', 'Senday'];
+
+const DATE_PATTERN = /^(\d{3})-(\d{4})(?:[ T](\d{1,2}):(\d{2}))?$/;
+
+const UNIT_MINUTES = {
+  m: 1,
+  h: MINUTES_PER_HOUR,
+  d: MINUTES_PER_DAY,
+  w: MINUTES_PER_WEEK
+};
+
+/**
+ * Parse an Imperial date
+ * @param {string} dateStr - "DDD-YYYY" or "DDD-YYYY HH:MM"
+ * @returns {{day: number, year: number, hour: number, minute: number}|null}
+ */
+function parseImperialDate(dateStr) {
+  if (!dateStr || typeof dateStr !== 'string') return null;
+  const match = dateStr.trim().match(DATE_PATTERN);
+  if (!match) return null;
+
+  const date = {
+    day: parseInt(match[1], 10),
+    year: parseInt(match[2], 10),
+    hour: match[3] ? parseInt(match[3], 10) : 0,
+    minute: match[4] ? parseInt(match[4], 10) : 0
+  };
+  if (date.day < 1 || date.day > DAYS_PER_YEAR || date.hour > 23 || date.minute > 59) return null;
+  return date;
+}
+
+/**
+ * Check whether a string is a valid Imperial date
+ * @param {string} dateStr - Date string
+ * @returns {boolean}
+ */
+function isImperialDate(dateStr) {
+  return parseImperialDate(dateStr) !== null;
+}
+
+/**
+ * Convert a date to minutes since 001-0000 00:00
+ * @param {string|Object} date - Date string or parsed date
+ * @returns {number|null} Absolute minutes, null if invalid
+ */
+function toMinutes(date) {
+  const d = typeof date === 'string' ? parseImperialDate(date) : date;
+  if (!d) return null;
+  return ((d.year * DAYS_PER_YEAR) + (d.day - 1)) * MINUTES_PER_DAY +
+    (d.hour || 0) * MINUTES_PER_HOUR + (d.minute || 0);
+}
+
+/**
+ * Convert absolute minutes back to a date
+ * @param {number} minutes - Minutes since 001-0000 00:00
+ * @returns {{day: number, year: number, hour: number, minute: number}}
+ */
+function fromMinutes(minutes) {
+  const total = Math.max(0, Math.floor(minutes));
+  const days = Math.floor(total / MINUTES_PER_DAY);
+  const ofDay = total % MINUTES_PER_DAY;
+  return {
+    day: (days % DAYS_PER_YEAR) + 1,
+    year: Math.floor(days / DAYS_PER_YEAR),
+    hour: Math.floor(ofDay / MINUTES_PER_HOUR),
+    minute: ofDay % MINUTES_PER_HOUR
+  };
+}
+
+/**
+ * Format a date
+ * @param {Object} date - { day, year, hour, minute }
+ * @param {Object} options - { withTime: true always, false never, default when not midnight }
+ * @returns {string} "DDD-YYYY" or "DDD-YYYY HH:MM"
+ */
+function formatImperialDate(date, options = {}) {
+  const base = `${String(date.day).padStart(3, '0')}-${String(date.year).padStart(4, '0')}`;
+  const hour = date.hour || 0;
+  const minute = date.minute || 0;
+  const withTime = options.withTime ?? (hour !== 0 || minute !== 0);
+  if (!withTime) return base;
+  return `${base} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a duration into minutes
+ * Accepts hours as a number, { amount, unit } (unit m/h/d/w, as used by
+ * [SCENE: id, TIME: +3d]), { weeks, days, hours, minutes }, or strings
+ * such as "+3d", "12h" and "1d 6h".
+ * @param {number|string|Object} duration - Duration
+ * @returns {number|null} Minutes, null if unrecognized
+ */
+function parseDuration(duration) {
+  if (duration === null || duration === undefined) return null;
+
+  if (typeof duration === 'number') {
+    return Number.isFinite(duration) ? Math.round(duration * MINUTES_PER_HOUR) : null;
+  }
+
+  if (typeof duration === 'string') {
+    const parts = [...duration.toLowerCase().matchAll(/\+?(\d+(?:\.\d+)?)\s*([mhdw])/g)];
+    if (parts.length === 0) return null;
+    return Math.round(parts.reduce((sum, p) => sum + parseFloat(p[1]) * UNIT_MINUTES[p[2]], 0));
+  }
+
+  if (typeof duration === 'object') {
+    if (duration.unit !== undefined) {
+      const per = UNIT_MINUTES[duration.unit];
+      return per && Number.isFinite(duration.amount) ? Math.round(duration.amount * per) : null;
+    }
+    const { weeks = 0, days = 0, hours = 0, minutes = 0 } = duration;
+    return Math.round(weeks * MINUTES_PER_WEEK + days * MINUTES_PER_DAY + hours * MINUTES_PER_HOUR + minutes);
+  }
+
+  return null;
+}
+
+/**
+ * Add a duration to a date
+ * @param {string} dateStr - Start date
+ * @param {number|string|Object} duration - See parseDuration
+ * @returns {string|null} New date, null if either input is invalid
+ */
+function addDuration(dateStr, duration) {
+  const start = toMinutes(dateStr);
+  const minutes = parseDuration(duration);
+  if (start === null || minutes === null) return null;
+  return formatImperialDate(fromMinutes(start + minutes));
+}
+
+/**
+ * Add hours to a date
+ * @param {string} dateStr - Start date
+ * @param {number} hours - Hours to add (fractions kept to the minute)
+ * @returns {string|null} New date
+ */
+function addHours(dateStr, hours) {
+  return addDuration(dateStr, hours);
+}
+
+/**
+ * Minutes from one date to another
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number|null} Minutes (negative if to is earlier), null if invalid
+ */
+function diffMinutes(from, to) {
+  const a = toMinutes(from);
+  const b = toMinutes(to);
+  if (a === null || b === null) return null;
+  return b - a;
+}
+
+/**
+ * Hours from one date to another
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number|null} Hours (fractional), null if invalid
+ */
+function hoursBetween(from, to) {
+  const minutes = diffMinutes(from, to);
+  return minutes === null ? null : minutes / MINUTES_PER_HOUR;
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number|null} Days (rounded toward zero), null if invalid
+ */
+function daysBetween(from, to) {
+  const minutes = diffMinutes(from, to);
+  return minutes === null ? null : Math.trunc(minutes / MINUTES_PER_DAY);
+}
+
+/**
+ * Compare two dates
+ * @param {string} a - Date
+ * @param {string} b - Date
+ * @returns {number} -1, 0 or 1 (invalid dates sort first)
+ */
+function compareDates(a, b) {
+  const ma = toMinutes(a);
+  const mb = toMinutes(b);
+  if (ma === mb) return 0;
+  if (ma === null) return -1;
+  if (mb === null) return 1;
+  return ma < mb ? -1 : 1;
+}
+
+/**
+ * Check whether a date is Holiday (day 001)
+ * @param {string} dateStr - Date
+ * @returns {boolean}
+ */
+function isHoliday(dateStr) {
+  const d = parseImperialDate(dateStr);
+  return d !== null && d.day === HOLIDAY;
+}
+
+/**
+ * Get week, month and weekday for a date
+ * Holiday has no week, month or weekday.
+ * @param {string} dateStr - Date
+ * @returns {{week: number, month: number, weekday: string}|null} null for Holiday or invalid dates
+ */
+function getCalendarPosition(dateStr) {
+  const d = parseImperialDate(dateStr);
+  if (!d || d.day === HOLIDAY) return null;
+
+  const index = d.day - 2;
+  const week = Math.floor(index / DAYS_PER_WEEK) + 1;
+  return {
+    week,
+    month: Math.floor((week - 1) / WEEKS_PER_MONTH) + 1,
+    weekday: WEEKDAYS[index % DAYS_PER_WEEK]
+  };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "2d 6h", "45m", "0m"
+ */
+function formatDuration(minutes) {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const days = Math.floor(total / MINUTES_PER_DAY);
+  const hours = Math.floor((total % MINUTES_PER_DAY) / MINUTES_PER_HOUR);
+  const mins = total % MINUTES_PER_HOUR;
+
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (mins) parts.push(`${mins}m`);
+  return parts.length > 0 ? parts.join(' ') : '0m';
+}
+
+/**
+ * Describe a date in words
+ * @param {string} dateStr - Date
+ * @returns {string} e.g. "Fiday, week 3 of 1105 (day 019)" or "Holiday 1105"
+ */
+function describeImperialDate(dateStr) {
+  const d = parseImperialDate(dateStr);
+  if (!d) return dateStr || 'Unknown';
+
+  const time = (d.hour || d.minute) ? `, ${formatImperialDate(d, { withTime: true }).slice(9)}` : '';
+  if (d.day === HOLIDAY) return `Holiday ${d.year}${time}`;
+
+  const pos = getCalendarPosition(dateStr);
+  return `${pos.weekday}, week ${pos.week} of ${d.year} (day ${String(d.day).padStart(3, '0')})${time}`;
+}
+
+module.exports = {
+  DAYS_PER_YEAR,
+  HOLIDAY,
+  MINUTES_PER_HOUR,
+  MINUTES_PER_DAY,
+  MINUTES_PER_WEEK,
+  UNIT_MINUTES,
+  WEEKDAYS,
+  parseImperialDate,
+  isImperialDate,
+  toMinutes,
+  fromMinutes,
+  formatImperialDate,
+  parseDuration,
+  addDuration,
+  addHours,
+  diffMinutes,
+  hoursBetween,
+  daysBetween,
+  compareDates,
+  isHoliday,
+  getCalendarPosition,
+  formatDuration,
+  describeImperialDate
+};
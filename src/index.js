@@ -19,7 +19,7 @@ const readline = require('readline');
 const { loadPersona, listPersonas } = require('./persona');
 const { createMemory, addMessage, serialize, deserialize } = require('./memory');
 const { assembleFullPrompt } = require('./prompts');
-const { createClient, chat, getUsageStats } = require('./ai-client');
+const { createClient, chat, getUsageStats, USAGE_CALLERS } = require('./ai-client');
 
 // Paths
 const CONVERSATIONS_DIR = path.join(__dirname, '../data/conversations');
@@ -268,7 +268,7 @@ async function main() {
         // Call Claude
         console.log(`\n\x1b[33m${persona.name}:\x1b[0m `, '(thinking...)');
 
-        const response = await chat(client, assembled.system, assembled.messages);
+        const response = await chat(client, assembled.system, assembled.messages, { caller: USAGE_CALLERS.NPC_DIALOGUE });
 
         // Clear "thinking" and print response
         process.stdout.write('\x1b[1A\x1b[2K');
@@ -13,12 +13,13 @@ const UNLOCKS_FILE = path.join(__dirname, '../data/state/pc-unlocks.json');
 
 /**
  * Load unlock state from file
+ * @param {string} file - Optional file override
  * @returns {Object} { unlocks: { [pcId]: { [npcId]: [infoKey, ...] } } }
  */
-function loadUnlocks() {
+function loadUnlocks(file = UNLOCKS_FILE) {
   try {
-    if (fs.existsSync(UNLOCKS_FILE)) {
-      const data = fs.readFileSync(UNLOCKS_FILE, 'utf8');
+    if (fs.existsSync(file)) {
+      const data = fs.readFileSync(file, 'utf8');
       const parsed = JSON.parse(data);
       if (!parsed.unlocks) parsed.unlocks = {};
       return parsed;
@@ -32,13 +33,14 @@ function loadUnlocks() {
 /**
  * Save unlock state to file
  * @param {Object} state - Unlock state
+ * @param {string} file - Optional file override
  */
-function saveUnlocks(state) {
-  const dir = path.dirname(UNLOCKS_FILE);
+function saveUnlocks(state, file = UNLOCKS_FILE) {
+  const dir = path.dirname(file);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(UNLOCKS_FILE, JSON.stringify(state, null, 2));
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
 }
 
 /**
@@ -46,10 +48,11 @@ function saveUnlocks(state) {
  * @param {string} pcId
  * @param {string} npcId
  * @param {string} infoKey
+ * @param {Object} [options] - { file: store to read instead of the default }
  * @returns {boolean}
  */
-function isUnlocked(pcId, npcId, infoKey) {
-  const state = loadUnlocks();
+function isUnlocked(pcId, npcId, infoKey, options = {}) {
+  const state = loadUnlocks(options.file);
   if (!state.unlocks[pcId]) return false;
   if (!state.unlocks[pcId][npcId]) return false;
   return state.unlocks[pcId][npcId].includes(infoKey);
@@ -177,9 +180,10 @@ function getAccessibleKnowledge(npcConfig, pc, pcId, npcId) {
  * @param {string} pcId
  * @param {string} npcId
  * @param {string} infoKey
+ * @param {Object} [options] - { file: unlock store to read instead of the default }
  * @returns {boolean}
  */
-function canAccessInfo(npcConfig, pcId, npcId, infoKey) {
+function canAccessInfo(npcConfig, pcId, npcId, infoKey, options = {}) {
   // Check if it's public knowledge
   if (npcConfig.knowledge_base && npcConfig.knowledge_base[infoKey] !== undefined) {
     return true;
@@ -187,7 +191,7 @@ function canAccessInfo(npcConfig, pcId, npcId, infoKey) {
 
   // Check if it's unlocked gated knowledge
   if (npcConfig.gated_knowledge && npcConfig.gated_knowledge[infoKey]) {
-    return isUnlocked(pcId, npcId, infoKey);
+    return isUnlocked(pcId, npcId, infoKey, options);
   }
 
   // Unknown key - treat as not accessible
@@ -3,6 +3,18 @@
  * Tracks items that unlock barriers and enable actions
  */
 
+const { getCatalogItem } = require('./equipment-catalog');
+const { isLegalAt } = require('./legality');
+
+/**
+ * Inventory item type for each catalog category (weapons are checked at customs)
+ */
+const CATALOG_ITEM_TYPES = {
+  weapons: 'weapon',
+  armor: 'armor',
+  ammunition: 'ammunition'
+};
+
 /**
  * Initialize inventory on storyState
  * @param {Object} storyState - Story state object
@@ -32,6 +44,45 @@ function addToInventory(session, item) {
   return false; // Already have it
 }
 
+/**
+ * Add an equipment catalog item to inventory, with its stats and task DMs
+ * @param {Object} session - Session object with storyState
+ * @param {string} catalogId - Catalog ID (see equipment-catalog)
+ * @param {Object} [extra] - Extra fields, e.g. { legal_at_law_level }
+ * @returns {Object|null} The inventory item, or null if the ID is unknown or already carried
+ */
+function addCatalogItem(session, catalogId, extra = {}) {
+  const entry = getCatalogItem(catalogId);
+  if (!entry) return null;
+
+  const item = {
+    id: entry.id,
+    name: entry.name,
+    type: CATALOG_ITEM_TYPES[entry.category] || 'equipment',
+    catalog_id: entry.id,
+    tl: entry.tl,
+    cost: entry.cost,
+    mass: entry.mass,
+    ...(entry.task_dms && { task_dms: entry.task_dms }),
+    ...(entry.weapon_stats && { weapon_stats: entry.weapon_stats }),
+    ...(entry.armor_stats && { armor_stats: entry.armor_stats }),
+    ...extra
+  };
+  return addToInventory(session, item) ? session.storyState.inventory.find(i => i.id === item.id) : null;
+}
+
+/**
+ * Remove an item from inventory (sold, used up or given away)
+ * @param {Object} session - Session object
+ * @param {string} itemId - Item ID to remove
+ * @returns {Object|null} The removed item, or null if not carried
+ */
+function removeFromInventory(session, itemId) {
+  const inv = session.storyState.inventory;
+  const index = inv.findIndex(i => i.id === itemId);
+  return index >= 0 ? inv.splice(index, 1)[0] : null;
+}
+
 /**
  * Check if inventory contains item
  * @param {Object} session - Session object
@@ -95,7 +146,8 @@ function describeInventory(session) {
 }
 
 /**
- * Get items that are illegal at a given law level
+ * Get weapons that are illegal at a given law level
+ * Weapons without legal_at_law_level are classified by the legality engine.
  * @param {Object} session - Session object
  * @param {number} lawLevel - Law level to check against
  * @returns {Array} Items below the law level threshold (illegal)
@@ -103,8 +155,7 @@ function describeInventory(session) {
 function getIllegalItems(session, lawLevel) {
   return session.storyState.inventory.filter(item =>
     item.type === 'weapon' &&
-    typeof item.legal_at_law_level === 'number' &&
-    item.legal_at_law_level < lawLevel &&
+    !isLegalAt(item, lawLevel) &&
     !item.location &&  // Not stored somewhere
     !item.confiscated  // Not already confiscated
   );
@@ -193,6 +244,8 @@ function getAvailableItems(session) {
 module.exports = {
   initializeInventory,
   addToInventory,
+  addCatalogItem,
+  removeFromInventory,
   hasItem,
   getItemsOfType,
   checkUnlock,
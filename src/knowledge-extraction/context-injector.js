@@ -221,13 +221,45 @@ function formatPriorProgress(storyState, sceneId, scene) {
   return '\nPRIOR PROGRESS:\n' + completedParts.join('\n');
 }
 
+/**
+ * Scene facts a narrator may draw on, most important first
+ * @param {Object} persona - NPC persona
+ * @param {Object} storyState - Story state with currentScene, currentStage, and adventure
+ * @returns {Array} Priority 1-2 facts for the current scene and stage (empty if not applicable)
+ */
+function getSceneFacts(persona, storyState) {
+  // Only for narrators, when scene and adventure are set
+  if (!persona || persona.archetype !== 'narrator') return [];
+  if (!storyState || !storyState.currentScene || !storyState.adventure) return [];
+
+  // Load facts for adventure
+  const allFacts = loadFacts(storyState.adventure);
+
+  // Filter to current scene
+  let sceneFacts = allFacts ? filterByScene(allFacts, storyState.currentScene) : [];
+
+  // Filter by stage if one is selected
+  if (storyState.currentStage && sceneFacts.length > 0) {
+    sceneFacts = filterByStage(sceneFacts, storyState.currentStage);
+  }
+
+  // Filter to priority 1-2 only (skip flavor at priority 3)
+  const relevantFacts = sceneFacts.filter(f => f.priority <= 2);
+
+  // Sort by priority (mechanics first, then key facts)
+  relevantFacts.sort((a, b) => a.priority - b.priority);
+
+  return relevantFacts;
+}
+
 /**
  * Build scene context for injection into prompt
  * @param {Object} persona - NPC persona
  * @param {Object} storyState - Story state with currentScene, currentStage, and adventure
+ * @param {Object} [options] - { facts: facts already chosen for this turn (default: top ~500 tokens by priority) }
  * @returns {string} Scene context string (empty if not applicable)
  */
-function buildSceneContext(persona, storyState) {
+function buildSceneContext(persona, storyState, options = {}) {
   // Only inject for narrators
   if (!persona || persona.archetype !== 'narrator') return '';
 
@@ -249,25 +281,8 @@ function buildSceneContext(persona, storyState) {
     // Scene loading failed, continue with facts only
   }
 
-  // Load facts for adventure
-  const allFacts = loadFacts(storyState.adventure);
-
-  // Filter to current scene
-  let sceneFacts = allFacts ? filterByScene(allFacts, storyState.currentScene) : [];
-
-  // Filter by stage if one is selected
-  if (storyState.currentStage && sceneFacts.length > 0) {
-    sceneFacts = filterByStage(sceneFacts, storyState.currentStage);
-  }
-
-  // Filter to priority 1-2 only (skip flavor at priority 3)
-  const relevantFacts = sceneFacts.filter(f => f.priority <= 2);
-
-  // Sort by priority (mechanics first, then key facts)
-  relevantFacts.sort((a, b) => a.priority - b.priority);
-
-  // Cap at ~500 tokens
-  const cappedFacts = capTokens(relevantFacts, 500);
+  // Cap at ~500 tokens unless retrieval already picked the facts
+  const cappedFacts = options.facts || capTokens(getSceneFacts(persona, storyState), 500);
 
   // Build context parts
   const parts = [];
@@ -304,6 +319,7 @@ function buildSceneContext(persona, storyState) {
 module.exports = {
   // Main entry point
   buildSceneContext,
+  getSceneFacts,
 
   // Utilities (for testing)
   filterByScene,
@@ -10,7 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createClient, quickChat } = require('../ai-client');
+const { createClient, quickChat, USAGE_CALLERS } = require('../ai-client');
 
 const SCENES_DIR = path.join(__dirname, '../../data/adventures');
 const OUTPUT_DIR = path.join(__dirname, '../../data/red-team/extracted-facts');
@@ -327,7 +327,7 @@ FACT: Ship is a Type S Scout/Courier
 FACT: Ship is located in the crater`;
 
   try {
-    const response = await quickChat(client, prompt);
+    const response = await quickChat(client, prompt, { caller: USAGE_CALLERS.KNOWLEDGE_EXTRACT });
 
     // Parse FACT: lines
     const factLines = response.match(/FACT:\s*(.+)/gi) || [];
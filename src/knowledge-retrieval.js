@@ -0,0 +1,198 @@
+/**
+ * Knowledge Retrieval - Pick the NPC knowledge that fits this turn
+ *
+ * Pattern: Stateless retrieval over per-turn chunks
+ * Instead of pasting an NPC's whole knowledge_base, scene facts, world
+ * facts and wiki page into every prompt, everything the NPC could know is
+ * cut into chunks, scored (BM25, text-search) against the player's latest
+ * message, and the best matches are kept within a token budget. With no
+ * message to match (a greeting, or small talk that hits nothing) the
+ * chunks go in source order instead, so the NPC is never left blank.
+ *
+ * Chunk IDs name where each chunk came from, so a bad answer can be traced
+ * to what was (or was not) retrieved:
+ *   kb:<topic>#<n>    knowledge_base entry, nth piece
+ *   scene:<source>    extracted scene fact, by where it was extracted from
+ *                     (narrators only; extracted fact IDs are not unique)
+ *   world:<fact id>   shared world fact
+ *   wiki:<hex>#<n>    cached wiki passage about the NPC's world
+ */
+
+const { buildIndex, search } = require('./text-search');
+const { getSceneFacts, estimateTokens } = require('./knowledge-extraction/context-injector');
+const { getSharedFacts } = require('./world-state');
+const wikiCache = require('./wiki-cache');
+const { searchWiki, getPassages } = require('./wiki-index');
+
+/**
+ * Default token budget for retrieved knowledge per prompt
+ */
+const RETRIEVAL_TOKEN_BUDGET = 800;
+
+/**
+ * Longest chunk in characters; longer entries are cut at paragraphs and sentences
+ */
+const MAX_CHUNK_CHARS = 600;
+
+/**
+ * Matches scoring below this fraction of the best match are left out
+ */
+const MIN_SCORE_RATIO = 0.25;
+
+/**
+ * Wiki passages offered per turn
+ */
+const WIKI_CANDIDATES = 3;
+
+/**
+ * Chunk sources, in the order they are shown when nothing matches
+ */
+const SOURCES = ['knowledge', 'scene', 'world', 'wiki'];
+
+/**
+ * Cut text into chunks at paragraph, then sentence, boundaries
+ * @param {string} text - Any text
+ * @param {number} [maxChars] - Longest chunk
+ * @returns {string[]} Chunks
+ */
+function chunkText(text, maxChars = MAX_CHUNK_CHARS) {
+  const chunks = [];
+  for (const paragraph of String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (paragraph.length <= maxChars) {
+      chunks.push(paragraph);
+      continue;
+    }
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+      if (current && current.length + sentence.length > maxChars) {
+        chunks.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+/**
+ * Everything this NPC could draw on this turn
+ * @param {Object} persona - NPC persona
+ * @param {string} query - Player's latest message (picks the wiki passages)
+ * @param {Object} storyState - Story state, or null
+ * @returns {Object[]} Chunks { id, source, label, text, item }
+ */
+function collectChunks(persona, query, storyState) {
+  const chunks = [];
+
+  for (const [topic, content] of Object.entries(persona.knowledge_base || {})) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    chunkText(text).forEach((piece, n) => {
+      chunks.push({ id: `kb:${topic}#${n}`, source: 'knowledge', label: topic.replace(/_/g, ' '), text: piece });
+    });
+  }
+
+  for (const fact of getSceneFacts(persona, storyState)) {
+    chunks.push({ id: `scene:${fact.source}`, source: 'scene', label: '', text: fact.content, item: fact });
+  }
+
+  if (storyState && persona.id) {
+    for (const fact of getSharedFacts(persona.id, storyState.adventure)) {
+      chunks.push({ id: `world:${fact.id}`, source: 'world', label: '', text: fact.content, item: fact });
+    }
+  }
+
+  const hex = persona.world ? wikiCache.getByName(persona.world)?.hex : null;
+  if (hex) {
+    const matches = query ? searchWiki(query, { hex, limit: WIKI_CANDIDATES }) : [];
+    const passages = matches.length > 0
+      ? matches.map(m => ({ passage: m.passage, text: m.text }))
+      : getPassages(hex).slice(0, 1).map((text, passage) => ({ passage, text }));
+    for (const { passage, text } of passages) {
+      chunks.push({ id: `wiki:${hex}#${passage}`, source: 'wiki', label: persona.world, text });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Retrieve the chunks that best answer the player's message
+ * @param {Object} persona - NPC persona
+ * @param {string} query - Player's latest message ('' if none)
+ * @param {Object} options - { storyState, budget (tokens, default RETRIEVAL_TOKEN_BUDGET) }
+ * @returns {Object} { query, budget, tokens, candidates, matched, chunks }
+ *   chunks are the selected { id, source, label, text, item, score } in source order
+ */
+function retrieveKnowledge(persona, query, options = {}) {
+  const budget = options.budget ?? RETRIEVAL_TOKEN_BUDGET;
+  // Players' quotes and colons are plain words here, not phrase or field syntax
+  const terms = String(query || '').replace(/[":]/g, ' ').trim();
+  const candidates = collectChunks(persona || {}, terms, options.storyState || null);
+
+  const index = buildIndex(candidates, { fields: ['label', 'text'], weights: { label: 2, text: 1 } });
+  const hits = terms ? search(index, terms, { limit: candidates.length }) : [];
+  const ranked = hits.length > 0
+    ? hits.filter(hit => hit.score >= hits[0].score * MIN_SCORE_RATIO).map(({ doc, score }) => ({ ...doc, score }))
+    : candidates.map(chunk => ({ ...chunk, score: 0 }));
+
+  // Best first until the budget is spent; smaller chunks can still fill gaps
+  const selected = [];
+  let tokens = 0;
+  for (const chunk of ranked) {
+    const cost = estimateTokens(chunk.text);
+    if (tokens + cost > budget) continue;
+    selected.push(chunk);
+    tokens += cost;
+  }
+
+  const order = new Map(candidates.map((chunk, i) => [chunk.id, i]));
+  selected.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+  return {
+    query: query || '',
+    budget,
+    tokens,
+    candidates: candidates.length,
+    matched: hits.length > 0,
+    chunks: selected
+  };
+}
+
+/**
+ * Selected chunks from one source
+ * @param {Object} retrieval - From retrieveKnowledge
+ * @param {string} source - One of SOURCES
+ * @returns {Object[]} Chunks
+ */
+function getRetrievedChunks(retrieval, source) {
+  return (retrieval?.chunks || []).filter(chunk => chunk.source === source);
+}
+
+/**
+ * Compact record of a retrieval for logs and reports
+ * @param {Object} retrieval - From retrieveKnowledge
+ * @returns {Object} { query, ids, tokens, budget, candidates, matched }
+ */
+function summarizeRetrieval(retrieval) {
+  return {
+    query: retrieval.query,
+    ids: retrieval.chunks.map(chunk => chunk.id),
+    tokens: retrieval.tokens,
+    budget: retrieval.budget,
+    candidates: retrieval.candidates,
+    matched: retrieval.matched
+  };
+}
+
+module.exports = {
+  RETRIEVAL_TOKEN_BUDGET,
+  MAX_CHUNK_CHARS,
+  MIN_SCORE_RATIO,
+  SOURCES,
+  chunkText,
+  collectChunks,
+  retrieveKnowledge,
+  getRetrievedChunks,
+  summarizeRetrieval
+};
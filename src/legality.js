@@ -0,0 +1,267 @@
+/**
+ * Legality - What a world's law level bans, and what customs does about it
+ *
+ * Pattern: Stateless rules module
+ * Mongoose 2e bans weapons, armour and drugs in steps: each class of item is
+ * banned from some law level upward (battle dress at 1, firearms at 6, blades
+ * at 8, everything at 9). An item's legal_at_law_level is the highest law
+ * level it is still legal at; items that set it explicitly (PC weapons) keep
+ * their value, anything else is classified from its name, traits and catalog
+ * entry.
+ *
+ * Customs outcomes, mildest first: permitted (nothing restricted), check-in
+ * (declared weapons and armour held at customs against a claim ticket),
+ * confiscation (declared items customs will not hold, such as drugs) and fine
+ * (restricted items found after the PCs tried to hide them: seized, plus a
+ * fine). gated-encounters applies an assessment to the inventory.
+ */
+
+const { getCatalogItem } = require('./equipment-catalog');
+const { getWorld } = require('./subsector-data');
+const { parseUWP, ehexValue } = require('./uwp');
+const { loadScene } = require('./story-engine');
+
+/**
+ * Law level where every weapon, armour and drug is banned
+ */
+const TOTAL_BAN_LAW_LEVEL = 9;
+
+/**
+ * Weapon classes, most restricted first (bannedAt is the lowest law level banning them)
+ */
+const WEAPON_RESTRICTIONS = [
+  { id: 'explosives', bannedAt: 1, label: 'explosives, poison gas and WMD', traits: ['blast'], name: /grenade|explosive|demolition|\bmine\b|poison|nerve gas|nuclear/i },
+  { id: 'energy', bannedAt: 2, label: 'portable energy and laser weapons', name: /laser|plasma|fusion|\benergy\b|pgmp|fgmp|disintegrator/i },
+  { id: 'military', bannedAt: 3, label: 'military weapons', name: /(?<!sub)machine\s*gun|machinegun|gauss|rocket|launcher|cannon|\bram\b|support weapon/i },
+  { id: 'assault', bannedAt: 4, label: 'light assault weapons and submachine guns', traits: ['auto'], name: /submachine|\bsmg\b|assault|combat rifle/i },
+  { id: 'concealable', bannedAt: 5, label: 'personal concealable weapons', name: /pistol|revolver|derringer|snub/i },
+  { id: 'firearms', bannedAt: 6, label: 'firearms other than shotguns and stunners', subtypes: ['firearm'], name: /rifle|carbine|musket|(?<!shot)gun\b/i },
+  { id: 'shotguns', bannedAt: 7, label: 'shotguns', name: /shotgun/i },
+  { id: 'blades', bannedAt: 8, label: 'bladed weapons and stunners', subtypes: ['blade'], name: /blade|knife|sword|dagger|cutlass|bayonet|\baxe\b|rapier|machete|spear|stunner|stunstick/i },
+  { id: 'weapons', bannedAt: TOTAL_BAN_LAW_LEVEL, label: 'all weapons' }
+];
+
+/**
+ * Armour classes, most restricted first
+ */
+const ARMOR_RESTRICTIONS = [
+  { id: 'battle-dress', bannedAt: 1, label: 'battle dress', name: /battle\s*dress/i },
+  { id: 'combat-armor', bannedAt: 2, label: 'combat armour', name: /combat\s*(armou?r|environment)/i },
+  { id: 'flak', bannedAt: 3, label: 'flak armour', name: /flak/i },
+  { id: 'cloth', bannedAt: 4, label: 'cloth armour', name: /\bcloth\b/i },
+  { id: 'mesh', bannedAt: 5, label: 'mesh armour', name: /\bmesh\b/i },
+  { id: 'visible-armor', bannedAt: 8, label: 'all visible armour' }
+];
+
+/**
+ * Drug classes, most restricted first
+ */
+const DRUG_RESTRICTIONS = [
+  { id: 'combat-drugs', bannedAt: 3, label: 'combat drugs', name: /combat drug/i },
+  { id: 'anagathics', bannedAt: 5, label: 'anagathics', name: /anagathic/i },
+  { id: 'fast-slow-drugs', bannedAt: 6, label: 'fast and slow drugs', name: /fast drug|slow drug/i },
+  { id: 'narcotics', bannedAt: 7, label: 'narcotics', name: /narcotic|recreational/i },
+  { id: 'medicinal-drugs', bannedAt: 8, label: 'medicinal drugs', name: /medicinal|anti-?rad|panacea|\bstim|metabolic/i },
+  { id: 'drugs', bannedAt: TOTAL_BAN_LAW_LEVEL, label: 'all drugs' }
+];
+
+/**
+ * Armour that is survival gear rather than protection
+ */
+const NON_ARMOR_SUITS = /vacc\s*suit|rescue|environment\s*suit|hostile\s*environment|wet\s*suit|cold\s*weather/i;
+
+/**
+ * Customs outcomes, mildest first
+ */
+const CUSTOMS_OUTCOMES = ['permitted', 'check_in', 'confiscation', 'fine'];
+
+/**
+ * How the PCs went through customs
+ */
+const CUSTOMS_RESULTS = ['declared', 'caught', 'smuggled'];
+
+/**
+ * Fine per seized item, per point of law level
+ */
+const FINE_PER_LAW_LEVEL = 100;
+
+/**
+ * Read a law level from a UWP or a single UWP digit
+ * @param {string|number} uwp - "C544338-8", "8" or 8
+ * @returns {number|null} Law level
+ */
+function getLawLevel(uwp) {
+  if (typeof uwp === 'number') return Number.isFinite(uwp) ? uwp : null;
+  if (!uwp) return null;
+  const digit = String(uwp).length === 1 ? String(uwp) : parseUWP(String(uwp))?.lawLevel;
+  return ehexValue(digit);
+}
+
+/**
+ * Get the law level where a session is
+ * The world's UWP (subsector data) wins; scenes may also give world_context.law_level.
+ * @param {Object} session - Adventure session
+ * @returns {Object|null} { lawLevel, source } or null if unknown
+ */
+function getWorldLawLevel(session) {
+  const worldName = session?.adventure?.world;
+  const world = worldName ? getWorld(worldName) : null;
+  const fromUWP = world ? getLawLevel(world.uwp) : null;
+  if (fromUWP !== null) return { lawLevel: fromUWP, source: `UWP ${world.uwp}` };
+
+  const sceneId = session?.storyState?.currentScene;
+  let scene = null;
+  try {
+    scene = sceneId && session.adventure?.id ? loadScene(session.adventure.id, sceneId) : null;
+  } catch (e) {
+    // Unknown scene: no scene law level
+  }
+  const fromScene = getLawLevel(scene?.world_context?.law_level);
+  if (fromScene !== null) return { lawLevel: fromScene, source: `scene ${sceneId}` };
+
+  return null;
+}
+
+/**
+ * Find the first restriction an item matches
+ * @param {Object[]} restrictions - Restriction table
+ * @param {Object} facts - { name, subtype, traitKeys }
+ * @returns {Object} Restriction (the table's last entry if nothing more specific matches)
+ */
+function matchRestriction(restrictions, facts) {
+  return restrictions.find(r =>
+    (r.name && r.name.test(facts.name)) ||
+    (r.subtypes && r.subtypes.includes(facts.subtype)) ||
+    (r.traits && r.traits.some(t => facts.traitKeys.includes(t)))
+  ) || restrictions[restrictions.length - 1];
+}
+
+/**
+ * Classify an item for legality
+ * @param {Object} item - Inventory or catalog item
+ * @returns {Object|null} { category: weapon|armor|drug, restriction, bannedAt, legalAtLawLevel }, null if unrestricted
+ */
+function classifyItem(item) {
+  if (!item) return null;
+  const entry = getCatalogItem(item.catalog_id || item.id);
+  const category = entry?.category || item.category;
+  const name = item.name || entry?.name || '';
+  const traits = item.weapon_stats?.traits || entry?.traits || item.traits || [];
+  const facts = {
+    name,
+    subtype: item.subtype,
+    traitKeys: entry?.trait_keys || traits.map(t => String(t).toLowerCase().split(/\s/)[0])
+  };
+
+  let kind = null;
+  let restriction = null;
+  if (item.type === 'weapon' || category === 'weapons') {
+    kind = 'weapon';
+    restriction = matchRestriction(WEAPON_RESTRICTIONS, facts);
+  } else if ((item.type === 'armor' || category === 'armor') && !NON_ARMOR_SUITS.test(name)) {
+    kind = 'armor';
+    restriction = matchRestriction(ARMOR_RESTRICTIONS, facts);
+  } else if (item.type === 'drug' || (category === 'medical' && /drug|anagathic|\bstim|panacea|medicinal/i.test(name))) {
+    kind = 'drug';
+    restriction = matchRestriction(DRUG_RESTRICTIONS, facts);
+  }
+
+  const explicit = item.legal_at_law_level ?? item.legality?.legal_at_law_level;
+  if (!kind && typeof explicit !== 'number') return null;
+
+  return {
+    category: kind,
+    restriction: restriction?.id || null,
+    label: restriction?.label || null,
+    bannedAt: typeof explicit === 'number' ? explicit + 1 : restriction.bannedAt,
+    legalAtLawLevel: typeof explicit === 'number' ? explicit : restriction.bannedAt - 1
+  };
+}
+
+/**
+ * Check whether an item may be carried at a law level
+ * @param {Object} item - Inventory or catalog item
+ * @param {number} lawLevel - Law level
+ * @returns {boolean}
+ */
+function isLegalAt(item, lawLevel) {
+  const classification = classifyItem(item);
+  return !classification || classification.legalAtLawLevel >= lawLevel;
+}
+
+/**
+ * Work out what customs does with what the PCs carry
+ * @param {Object[]} items - Inventory items (stored and confiscated ones are ignored)
+ * @param {number} lawLevel - Law level
+ * @param {Object} [options] - { result: declared|caught|smuggled }
+ * @returns {Object} { lawLevel, result, outcome, items: [{ id, name, category, label, legalAtLawLevel, action }], fine }
+ *   action is check_in, confiscate or kept; fine is { amount, currency, reason } or null
+ */
+function assessCustoms(items, lawLevel, options = {}) {
+  const result = CUSTOMS_RESULTS.includes(options.result) ? options.result : 'declared';
+  const restricted = [];
+
+  for (const item of items || []) {
+    if (item.location || item.confiscated) continue;
+    const classification = classifyItem(item);
+    if (!classification || classification.legalAtLawLevel >= lawLevel) continue;
+
+    let action = 'kept';
+    if (result === 'caught') {
+      action = 'confiscate';
+    } else if (result === 'declared') {
+      action = classification.category === 'drug' ? 'confiscate' : 'check_in';
+    }
+    restricted.push({
+      id: item.id,
+      name: item.name,
+      category: classification.category,
+      label: classification.label,
+      legalAtLawLevel: classification.legalAtLawLevel,
+      action
+    });
+  }
+
+  let outcome = 'permitted';
+  if (restricted.some(r => r.action === 'check_in')) outcome = 'check_in';
+  if (restricted.some(r => r.action === 'confiscate')) outcome = 'confiscation';
+  if (result === 'caught' && restricted.length > 0) outcome = 'fine';
+
+  const fine = outcome === 'fine'
+    ? { amount: FINE_PER_LAW_LEVEL * lawLevel * restricted.length, currency: 'Credits', reason: `Undeclared restricted items (law level ${lawLevel})` }
+    : null;
+
+  return { lawLevel, result, outcome, items: restricted, fine };
+}
+
+/**
+ * Format an assessment for display or the narrator prompt
+ * @param {Object} assessment - From assessCustoms
+ * @returns {string} One line per restricted item
+ */
+function formatCustomsAssessment(assessment) {
+  if (assessment.items.length === 0) {
+    return `Law level ${assessment.lawLevel}: nothing carried is restricted.`;
+  }
+  const actions = { check_in: 'checked in at customs', confiscate: 'confiscated', kept: 'kept (undeclared)' };
+  const lines = assessment.items.map(r =>
+    `- ${r.name}${r.label ? ` (${r.label})` : ''}: legal to law level ${r.legalAtLawLevel} - ${actions[r.action]}`
+  );
+  if (assessment.fine) lines.push(`Fine: Cr${assessment.fine.amount}`);
+  return `Law level ${assessment.lawLevel}:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  WEAPON_RESTRICTIONS,
+  ARMOR_RESTRICTIONS,
+  DRUG_RESTRICTIONS,
+  CUSTOMS_OUTCOMES,
+  CUSTOMS_RESULTS,
+  FINE_PER_LAW_LEVEL,
+  getLawLevel,
+  getWorldLawLevel,
+  classifyItem,
+  isLegalAt,
+  assessCustoms,
+  formatCustomsAssessment
+};
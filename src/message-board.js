@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { DAYS_PER_YEAR, formatImperialDate } = require('./imperial-calendar');
 
 const THREADS_DIR = path.join(__dirname, '../data/threads');
 
@@ -29,9 +30,9 @@ function getTravellerDate() {
   const start = new Date(now.getFullYear(), 0, 0);
   const diff = now - start;
   const oneDay = 1000 * 60 * 60 * 24;
-  const dayOfYear = Math.floor(diff / oneDay);
-  const dayStr = String(dayOfYear).padStart(3, '0');
-  return `${dayStr}-1105`;
+  // Leap day 366 folds into the last day of the Imperial year
+  const dayOfYear = Math.min(Math.floor(diff / oneDay), DAYS_PER_YEAR);
+  return formatImperialDate({ day: dayOfYear, year: 1105 });
 }
 
 /**
@@ -5,38 +5,7 @@
  * Pattern: State Machine for goal lifecycle
  */
 
-/**
- * Parse Traveller date (DDD-YYYY) to day-of-year and year
- * @param {string} dateStr - Date string (e.g., "015-1105")
- * @returns {{day: number, year: number}|null}
- */
-function parseTravellerDate(dateStr) {
-  if (!dateStr || typeof dateStr !== 'string') return null;
-  const match = dateStr.match(/^(\d{3})-(\d{4})$/);
-  if (!match) return null;
-  return {
-    day: parseInt(match[1], 10),
-    year: parseInt(match[2], 10)
-  };
-}
-
-/**
- * Calculate hours between two Traveller dates
- * @param {string} dateA - Earlier date
- * @param {string} dateB - Later date
- * @returns {number} Hours between dates
- */
-function hoursBetweenDates(dateA, dateB) {
-  const a = parseTravellerDate(dateA);
-  const b = parseTravellerDate(dateB);
-  if (!a || !b) return 0;
-
-  // Calculate total days for each
-  const daysA = (a.year * 365) + a.day;
-  const daysB = (b.year * 365) + b.day;
-
-  return (daysB - daysA) * 24;
-}
+const { hoursBetween } = require('./imperial-calendar');
 
 /**
  * Check if a goal's trigger condition is met
@@ -151,7 +120,7 @@ function shouldActOnGoal(goal, state, gameDate) {
   // Check cooldown
   if (goal.cooldown && goal.lastActed) {
     const cooldownHours = goal.cooldown.hours || (goal.cooldown.days ? goal.cooldown.days * 24 : 0);
-    const elapsedHours = hoursBetweenDates(goal.lastActed, gameDate);
+    const elapsedHours = hoursBetween(goal.lastActed, gameDate) ?? 0;
     if (elapsedHours < cooldownHours) {
       return false;
     }
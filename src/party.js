@@ -0,0 +1,250 @@
+/**
+ * Party - Several PCs sharing one adventure session
+ *
+ * Pattern: Aggregate with an active member
+ * A party is { id, members, activeId }. session.pc always points at the PC
+ * acting this turn, so disposition, info-gating unlocks and NPC context stay
+ * keyed to that individual PC. A solo session is a party of one.
+ *
+ * Skill checks are rolled by the acting PC unless the narrator asks for the
+ * best-skilled member, a named member, or a group check (everyone rolls; the
+ * party succeeds if at least half of them do).
+ */
+
+const { loadPC } = require('./pc-roster');
+const { resolveCheck, getSkillModifier, getUnskilledModifier, getAttributeModifier, formatDetailedResult } = require('./skill-resolver');
+
+/**
+ * Who rolls a skill check
+ */
+const CHECK_ROLLERS = {
+  ACTING: 'acting',
+  BEST: 'best',
+  GROUP: 'group'
+};
+
+const PARTY_ID_SEPARATOR = '+';
+
+/**
+ * Get the storage ID for a party (a solo party uses the PC's ID)
+ * @param {string[]} pcIds - Member PC IDs
+ * @returns {string} Party ID
+ */
+function getPartyId(pcIds) {
+  return pcIds.join(PARTY_ID_SEPARATOR);
+}
+
+/**
+ * Create a party from PC IDs
+ * @param {string[]} pcIds - PC IDs in data/pcs/
+ * @param {string} [activeId] - PC acting first (defaults to the first member)
+ * @returns {Object} Party { id, members, activeId }
+ * @throws {Error} If no PCs are given or a PC is not found
+ */
+function createParty(pcIds, activeId = null) {
+  const ids = [...new Set(pcIds || [])];
+  if (ids.length === 0) {
+    throw new Error('A party needs at least one PC');
+  }
+
+  const members = ids.map(id => loadPC(id));
+  return {
+    id: getPartyId(ids),
+    members,
+    activeId: ids.includes(activeId) ? activeId : ids[0]
+  };
+}
+
+/**
+ * Get a session's party, treating a session without one as a party of its PC
+ * @param {Object} session - Adventure session
+ * @returns {Object} Party
+ */
+function getSessionParty(session) {
+  if (session.party) return session.party;
+  const pc = session.pc || { id: 'unknown', name: 'Unknown' };
+  return { id: pc.id, members: [pc], activeId: pc.id };
+}
+
+/**
+ * Check whether a session has more than one PC
+ * @param {Object} party - Party
+ * @returns {boolean}
+ */
+function isMultiPC(party) {
+  return (party?.members?.length || 0) > 1;
+}
+
+/**
+ * Find a member by ID, full name or first name (case-insensitive)
+ * @param {Object} party - Party
+ * @param {string} ref - PC reference
+ * @returns {Object|null} PC
+ */
+function findMember(party, ref) {
+  if (!party || !ref) return null;
+  const wanted = ref.trim().toLowerCase();
+  return party.members.find(pc =>
+    pc.id === wanted ||
+    pc.name.toLowerCase() === wanted ||
+    pc.name.toLowerCase().split(/\s+/)[0] === wanted
+  ) || null;
+}
+
+/**
+ * Get the PC acting this turn
+ * @param {Object} party - Party
+ * @returns {Object} PC
+ */
+function getActivePC(party) {
+  return party.members.find(pc => pc.id === party.activeId) || party.members[0];
+}
+
+/**
+ * Make a member the acting PC for the session
+ * @param {Object} session - Adventure session with party
+ * @param {string} ref - PC reference (see findMember)
+ * @returns {Object|null} The acting PC, or null if not in the party
+ */
+function setActivePC(session, ref) {
+  const pc = findMember(session.party, ref);
+  if (!pc) return null;
+
+  session.party.activeId = pc.id;
+  session.pc = pc;
+  if (session.storyState) {
+    session.storyState.activePcId = pc.id;
+  }
+  return pc;
+}
+
+/**
+ * Split a leading "Name: action" into the acting PC and the action
+ * Only names of party members count, so "I say: hello" is left alone.
+ * @param {Object} party - Party
+ * @param {string} input - Player input
+ * @returns {Object} { pc, text } pc is null when no member is named
+ */
+function parseActor(party, input) {
+  const match = input.match(/^\s*([A-Za-z][\w-]*(?:\s+[A-Za-z][\w-]*)?)\s*:\s*(.+)$/s);
+  const pc = match ? findMember(party, match[1]) : null;
+  return pc ? { pc, text: match[2].trim() } : { pc: null, text: input };
+}
+
+/**
+ * Total DM a PC brings to a skill
+ * @param {Object} pc - PC
+ * @param {string} skill - Skill name
+ * @returns {number} Skill level (or unskilled DM) plus attribute DM
+ */
+function getCheckDM(pc, skill) {
+  return getSkillModifier(pc, skill) + getUnskilledModifier(pc, skill) + getAttributeModifier(pc, skill);
+}
+
+/**
+ * Pick the member best suited to a skill (ties go to the acting PC)
+ * @param {Object} party - Party
+ * @param {string} skill - Skill name
+ * @returns {Object} PC
+ */
+function selectBestPC(party, skill) {
+  let best = getActivePC(party);
+  for (const pc of party.members) {
+    if (getCheckDM(pc, skill) > getCheckDM(best, skill)) best = pc;
+  }
+  return best;
+}
+
+/**
+ * Resolve a skill check for the party
+ * @param {Object} party - Party
+ * @param {Object} check - { skill, difficulty, reason, roller } roller is acting, best, group or a PC reference
+ * @param {number} [forcedRoll] - Optional forced roll for testing (used for every roller)
+ * @param {Object} [options] - { equipment, conditions } passed to resolveCheck
+ * @returns {Object} resolveCheck() result plus { pcId, pcName }, or for a group
+ *   { group: true, check, results, successes, success, difficulty, narrative }
+ */
+function resolvePartyCheck(party, check, forcedRoll = null, options = {}) {
+  const roller = check.roller || CHECK_ROLLERS.ACTING;
+
+  if (roller === CHECK_ROLLERS.GROUP) {
+    const results = party.members.map(pc => ({
+      ...resolveCheck(check, pc, forcedRoll, options),
+      pcId: pc.id,
+      pcName: pc.name
+    }));
+    const successes = results.filter(r => r.success).length;
+    const success = successes * 2 >= results.length;
+    return {
+      group: true,
+      check,
+      results,
+      successes,
+      success,
+      difficulty: check.difficulty,
+      narrative: `Group ${check.skill} check vs ${check.difficulty}+: ${successes}/${results.length} succeeded = ${success ? 'Success' : 'Failure'}`
+    };
+  }
+
+  let pc;
+  if (roller === CHECK_ROLLERS.BEST) {
+    pc = selectBestPC(party, check.skill);
+  } else {
+    pc = roller === CHECK_ROLLERS.ACTING ? getActivePC(party) : (findMember(party, roller) || getActivePC(party));
+  }
+
+  const result = { ...resolveCheck(check, pc, forcedRoll, options), pcId: pc.id, pcName: pc.name };
+  if (isMultiPC(party)) {
+    result.narrative = `${pc.name}: ${result.narrative}`;
+  }
+  return result;
+}
+
+/**
+ * Format a party check for display, with the scene's outcome text if known
+ * @param {Object} result - From resolvePartyCheck
+ * @param {Object} party - Party
+ * @returns {string} Formatted result
+ */
+function formatPartyCheck(result, party) {
+  const outcome = result.outcome ? `\n→ ${result.outcome}` : '';
+  if (!result.group) {
+    const detail = formatDetailedResult(result);
+    return (isMultiPC(party) ? `${result.pcName} rolls.\n${detail}` : detail) + outcome;
+  }
+
+  const lines = [`Group ${result.check.skill} check (${result.difficulty}+):`];
+  for (const r of result.results) {
+    const modifier = r.total - r.roll;
+    lines.push(`  ${r.pcName}: ${r.roll} ${modifier < 0 ? '-' : '+'} ${Math.abs(modifier)} = ${r.total} ${r.success ? 'success' : 'failure'} (Effect ${r.effect})`);
+  }
+  lines.push(`${result.successes} of ${result.results.length} succeeded - ${result.success ? 'the party succeeds' : 'the party fails'}.`);
+  return lines.join('\n') + outcome;
+}
+
+/**
+ * Format the party for display or the narrator prompt
+ * @param {Object} party - Party
+ * @returns {string} One line per member, acting PC marked
+ */
+function formatParty(party) {
+  return party.members
+    .map(pc => `${pc.id === party.activeId ? '▶' : ' '} ${pc.name} (${pc.id})`)
+    .join('\n');
+}
+
+module.exports = {
+  CHECK_ROLLERS,
+  getPartyId,
+  createParty,
+  getSessionParty,
+  isMultiPC,
+  findMember,
+  getActivePC,
+  setActivePC,
+  parseActor,
+  selectBestPC,
+  resolvePartyCheck,
+  formatPartyCheck,
+  formatParty
+};
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { normalizeCharacter } = require('./character-sheet');
 
 const PCS_DIR = path.join(__dirname, '../data/pcs');
 
@@ -28,8 +29,9 @@ function listPCs() {
 
 /**
  * Load a PC by ID
+ * Older PC files are read into the character sheet model.
  * @param {string} pcId - PC identifier
- * @returns {Object} PC data
+ * @returns {Object} PC data (see character-sheet)
  * @throws {Error} If PC not found
  */
 function loadPC(pcId) {
@@ -47,7 +49,7 @@ function loadPC(pcId) {
     throw new Error(`Invalid PC file: missing id or name`);
   }
 
-  return pc;
+  return normalizeCharacter(pc);
 }
 
 /**
@@ -6,7 +6,7 @@
 
 require('dotenv').config();
 
-const { createClient, chat } = require('./ai-client');
+const { createClient, chat, HAIKU_MODEL, USAGE_CALLERS } = require('./ai-client');
 
 const PLAYER_AGENT_SYSTEM = `You are Alex Ryder, playing through the High and Dry adventure.
 
@@ -73,8 +73,9 @@ function createPlayerAgent(options = {}) {
     try {
       const aiClient = getClient();
       const response = await chat(aiClient, PLAYER_AGENT_SYSTEM, prompt, {
-        model: 'haiku', // Use fast model for agent decisions
-        maxTokens: 500
+        model: HAIKU_MODEL, // Use fast model for agent decisions
+        maxTokens: 500,
+        caller: USAGE_CALLERS.PLAYER_AGENT
       });
 
       // Parse JSON response
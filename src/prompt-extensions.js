@@ -12,6 +12,7 @@ const { getDisposition, getDispositionPromptModifier } = require('./disposition'
 const { buildPlotContext } = require('./plot-context');
 const { getSharedFacts, getMentionsAbout } = require('./world-state');
 const { getWorldSummary } = require('./world-knowledge');
+const { getRetrievedChunks } = require('./knowledge-retrieval');
 const { getItemsByRole, getRelevantChecks, getNpcTimingKnowledge } = require('./adventure-data');
 
 /**
@@ -227,9 +228,11 @@ function buildCommunicationModeContext(mode) {
  * @param {Object} persona - NPC persona (must have .id)
  * @param {Object} pc - PC data (must have .id), or null
  * @param {Object} storyState - Story state, or null
+ * @param {Object} [options] - { retrieval: only these world facts and wiki passages (knowledge-retrieval),
+ *   dispositionFile: disposition store to read instead of the default }
  * @returns {string} Additional context to append to system prompt
  */
-function buildExtendedContext(persona, pc, storyState) {
+function buildExtendedContext(persona, pc, storyState, options = {}) {
   // Handle null/undefined inputs gracefully
   if (!persona) {
     persona = {};
@@ -239,7 +242,7 @@ function buildExtendedContext(persona, pc, storyState) {
 
   // 1. Disposition context
   if (pc && persona.id && pc.id) {
-    const disp = getDisposition(persona.id, pc.id);
+    const disp = getDisposition(persona.id, pc.id, { file: options.dispositionFile });
     extensions += '\n' + getDispositionPromptModifier(disp.level);
   }
 
@@ -250,7 +253,12 @@ function buildExtendedContext(persona, pc, storyState) {
 
   // 3. World knowledge (UWP, description)
   if (persona.world) {
-    const worldInfo = getWorldSummary(persona.world);
+    // Passages retrieved for this turn, or those most relevant to the NPC's own line of work
+    const query = [persona.title, persona.archetype].filter(Boolean).join(' ');
+    const worldInfo = getWorldSummary(persona.world, options.retrieval ? { limit: 0 } : { query, limit: 3 });
+    if (worldInfo && options.retrieval) {
+      worldInfo.passages = getRetrievedChunks(options.retrieval, 'wiki').map(chunk => chunk.text);
+    }
     if (worldInfo) {
       extensions += '\n=== CURRENT LOCATION ===\n';
       extensions += `World: ${worldInfo.name}\n`;
@@ -260,13 +268,18 @@ function buildExtendedContext(persona, pc, storyState) {
       if (worldInfo.description) {
         extensions += `${worldInfo.description}\n`;
       }
+      for (const passage of worldInfo.passages || []) {
+        extensions += `- ${passage}\n`;
+      }
       extensions += `\nYou know these facts from living/visiting here.\n`;
     }
   }
 
   // 4. World state context
   if (storyState && persona.id) {
-    const facts = getSharedFacts(persona.id, storyState.adventure);
+    const facts = options.retrieval
+      ? getRetrievedChunks(options.retrieval, 'world').map(chunk => chunk.item)
+      : getSharedFacts(persona.id, storyState.adventure);
     if (facts.length > 0) {
       extensions += '\nWORLD FACTS YOU KNOW:\n';
       for (const fact of facts) {
@@ -4,6 +4,7 @@
  * Builds prompts for Claude API:
  * - System prompt from persona + archetype
  * - Context injection (facts, summary)
+ * - Per-turn knowledge retrieval (knowledge-retrieval)
  * - Token estimation and limits
  * - Input sanitization
  */
@@ -11,6 +12,7 @@
 const { getContextWindow } = require('./memory');
 const { buildExtendedContext } = require('./prompt-extensions');
 const { buildSceneContext } = require('./knowledge-extraction/context-injector');
+const { retrieveKnowledge, getRetrievedChunks, summarizeRetrieval } = require('./knowledge-retrieval');
 
 // Configuration
 const MAX_CONTEXT_TOKENS = 4000;
@@ -19,6 +21,7 @@ const MAX_INPUT_LENGTH = 2000;
 /**
  * Build system prompt from persona
  * @param {Object} persona - Loaded persona with archetype defaults
+ * @param {Object} [options] - { agmContext, goalPriorities, retrieval: only these knowledge chunks (default: whole knowledge_base) }
  * @returns {string} System prompt
  */
 function buildSystemPrompt(persona, options = {}) {
@@ -58,8 +61,17 @@ function buildSystemPrompt(persona, options = {}) {
     prompt += `\nBackground: ${persona.background}\n`;
   }
 
-  // Add knowledge base (specialized expertise)
-  if (persona.knowledge_base && Object.keys(persona.knowledge_base).length > 0) {
+  // Add knowledge base (specialized expertise): the retrieved chunks, or all of it
+  if (options.retrieval) {
+    const chunks = getRetrievedChunks(options.retrieval, 'knowledge');
+    if (chunks.length > 0) {
+      prompt += `\nYOUR SPECIALIZED KNOWLEDGE:\n`;
+      chunks.forEach((chunk, i) => {
+        const heading = chunks[i - 1]?.label === chunk.label ? '' : `\n[${chunk.label.toUpperCase()}]\n`;
+        prompt += `${heading}${chunk.text}\n`;
+      });
+    }
+  } else if (persona.knowledge_base && Object.keys(persona.knowledge_base).length > 0) {
     prompt += `\nYOUR SPECIALIZED KNOWLEDGE:\n`;
     for (const [topic, content] of Object.entries(persona.knowledge_base)) {
       prompt += `\n[${topic.replace(/_/g, ' ').toUpperCase()}]\n${content}\n`;
@@ -135,11 +147,12 @@ function buildPCContext(pc) {
     context += `Demeanor: ${pc.traits.join(', ')}\n`;
   }
 
-  if (pc.social_standing) {
-    const socDesc = pc.social_standing >= 10 ? 'noble bearing' :
-                    pc.social_standing >= 8 ? 'professional, respectable' :
-                    pc.social_standing >= 6 ? 'ordinary citizen' :
-                    pc.social_standing >= 4 ? 'working class' : 'rough around the edges';
+  const soc = pc.characteristics?.soc ?? pc.social_standing;
+  if (soc) {
+    const socDesc = soc >= 10 ? 'noble bearing' :
+                    soc >= 8 ? 'professional, respectable' :
+                    soc >= 6 ? 'ordinary citizen' :
+                    soc >= 4 ? 'working class' : 'rough around the edges';
     context += `Social impression: ${socDesc}\n`;
   }
 
@@ -183,16 +196,30 @@ function buildContextSection(memory) {
 
 /**
  * Assemble full prompt for Claude API
+ * Knowledge, scene facts, world facts and wiki passages are retrieved for the
+ * player's latest message (options.retrieval === false injects them all).
  * @param {Object} persona - Loaded persona
  * @param {Object} memory - Memory object
  * @param {string} userMessage - New user message
  * @param {Object} [pc] - Optional PC data for NPC awareness
  * @param {Object} [storyState] - Optional story state for extended context
- * @returns {Object} { system: string, messages: Array }
+ * @param {Object} [options] - buildSystemPrompt options, plus { retrieval: false, retrievalBudget, dispositionFile }
+ * @returns {Object} { system: string, messages: Array, retrieval: { query, ids, tokens, ... } | null }
  */
 function assembleFullPrompt(persona, memory, userMessage, pc = null, storyState = null, options = {}) {
+  // Get conversation history
+  const context = getContextWindow(memory);
+
+  // Retrieve against the new message, or the last thing the player said
+  let retrieval = null;
+  if (options.retrieval !== false) {
+    const lastUserMessage = [...context.messages].reverse().find(m => m.role === 'user')?.content;
+    const query = sanitizeInput(userMessage) || lastUserMessage || '';
+    retrieval = retrieveKnowledge(persona, query, { storyState, budget: options.retrievalBudget });
+  }
+
   // Build system prompt with context injected
-  let system = buildSystemPrompt(persona, options);
+  let system = buildSystemPrompt(persona, { ...options, retrieval });
 
   // Add PC context if provided
   if (pc) {
@@ -200,11 +227,12 @@ function assembleFullPrompt(persona, memory, userMessage, pc = null, storyState
   }
 
   // Add extended context (disposition, plot, world state)
-  const extendedContext = buildExtendedContext(persona, pc, storyState);
+  const extendedContext = buildExtendedContext(persona, pc, storyState, { retrieval, dispositionFile: options.dispositionFile });
   system += extendedContext;
 
   // Add scene-specific facts for narrators (Phase 3)
-  const sceneContext = buildSceneContext(persona, storyState);
+  const sceneFacts = retrieval ? getRetrievedChunks(retrieval, 'scene').map(chunk => chunk.item) : undefined;
+  const sceneContext = buildSceneContext(persona, storyState, { facts: sceneFacts });
   system += sceneContext;
 
   const contextSection = buildContextSection(memory);
@@ -213,8 +241,6 @@ function assembleFullPrompt(persona, memory, userMessage, pc = null, storyState
     system += '\n' + contextSection;
   }
 
-  // Get conversation history
-  const context = getContextWindow(memory);
   const messages = [...context.messages];
 
   // Add sanitized new message
@@ -223,7 +249,7 @@ function assembleFullPrompt(persona, memory, userMessage, pc = null, storyState
     content: sanitizeInput(userMessage)
   });
 
-  return { system, messages };
+  return { system, messages, retrieval: retrieval ? summarizeRetrieval(retrieval) : null };
 }
 
 /**
@@ -0,0 +1,261 @@
+/**
+ * Anthropic Provider - Claude via @anthropic-ai/sdk
+ *
+ * Default provider. Any client exposing messages.create() (the SDK, or a
+ * test mock shaped like it) is treated as an Anthropic client.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const NAME = 'anthropic';
+
+const MODELS = {
+  default: 'claude-sonnet-4-20250514',
+  fast: 'claude-3-5-haiku-20241022'
+};
+
+// USD per million tokens
+const PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  default: { input: 3, output: 15 }
+};
+
+/**
+ * Validate API key format
+ * @param {string} key - API key to validate
+ * @param {Object} env - { isDev } environment flags
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateApiKey(key, env = { isDev: true }) {
+  if (!key) {
+    return {
+      valid: false,
+      error: 'ANTHROPIC_API_KEY not set.\n' +
+        (env.isDev
+          ? '  → Copy .env.example to .env and add your key'
+          : '  → Set via: fly secrets set ANTHROPIC_API_KEY=sk-ant-...')
+    };
+  }
+
+  if (typeof key !== 'string') {
+    return { valid: false, error: 'API key must be a string' };
+  }
+
+  // Check format: should start with sk-ant-
+  if (!key.startsWith('sk-ant-')) {
+    return {
+      valid: false,
+      error: 'Invalid API key format. Anthropic keys start with "sk-ant-"\n' +
+        '  → Get your key from: https://console.anthropic.com/settings/keys'
+    };
+  }
+
+  // Check minimum length (real keys are ~100+ chars)
+  if (key.length < 40) {
+    return {
+      valid: false,
+      error: 'API key appears truncated. Check for copy/paste errors.'
+    };
+  }
+
+  // Check for placeholder values
+  if (key.includes('your-key') || key.includes('xxx') || key.includes('...')) {
+    return {
+      valid: false,
+      error: 'API key contains placeholder text. Replace with your real key.'
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Read provider config from environment
+ * @param {Object} overrides - Explicit config values
+ * @returns {Object} { apiKey }
+ */
+function resolveConfig(overrides = {}) {
+  return {
+    apiKey: overrides.apiKey || process.env.ANTHROPIC_API_KEY
+  };
+}
+
+/**
+ * Create Anthropic SDK client
+ * @param {Object} config - { apiKey }
+ * @param {Object} env - Environment flags
+ * @returns {Object} Anthropic client tagged with providerName
+ * @throws {Error} If key missing or invalid
+ */
+function createClient(config, env = {}) {
+  const validation = validateApiKey(config.apiKey, env);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  if (env.isDev) {
+    console.log(`[AI Client] Key: sk-ant-****${config.apiKey.slice(-4)}`);
+  }
+
+  const client = new Anthropic({ apiKey: config.apiKey });
+  client.providerName = NAME;
+  return client;
+}
+
+/**
+ * Check whether a client belongs to this provider
+ * @param {Object} client - Client instance
+ * @returns {boolean}
+ */
+function ownsClient(client) {
+  return !!client?.messages?.create;
+}
+
+/**
+ * Claude supports tool use natively
+ * @returns {boolean}
+ */
+function supportsTools() {
+  return true;
+}
+
+/**
+ * Build SDK params for a request (tools are already in Anthropic format)
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @returns {Object} messages.create() params
+ */
+function buildParams(request) {
+  const params = {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    system: request.system,
+    messages: request.messages
+  };
+  if (request.tools?.length) {
+    params.tools = request.tools;
+  }
+  return params;
+}
+
+/**
+ * Convert an SDK response to the provider response shape
+ * @param {Object} response - messages.create() result
+ * @returns {Object} { content, toolCalls, usage, model, stopReason }
+ */
+function toResponse(response) {
+  const blocks = response?.content || [];
+
+  // Extract text content
+  const content = blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({ id: block.id, name: block.name, input: block.input }));
+
+  return {
+    content,
+    toolCalls,
+    usage: response?.usage,
+    model: response?.model,
+    stopReason: response?.stop_reason
+  };
+}
+
+/**
+ * Send a completion request
+ * @param {Object} client - Anthropic client
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @returns {Promise<Object>} { content, toolCalls, usage, model, stopReason }
+ */
+async function complete(client, request) {
+  const response = await client.messages.create(buildParams(request));
+  return toResponse(response);
+}
+
+/**
+ * Stream a completion request
+ * Clients without streaming support (e.g. test mocks) get one delta with the full text.
+ * @param {Object} client - Anthropic client
+ * @param {Object} request - { model, system, messages, maxTokens }
+ * @yields {Object} { type: 'delta', text } ... then { type: 'done', response }
+ */
+async function* stream(client, request) {
+  const events = await client.messages.create({ ...buildParams(request), stream: true });
+
+  if (!events || typeof events[Symbol.asyncIterator] !== 'function') {
+    const response = toResponse(events);
+    if (response.content) yield { type: 'delta', text: response.content };
+    yield { type: 'done', response };
+    return;
+  }
+
+  let content = '';
+  let model = request.model;
+  let stopReason = null;
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const toolBlocks = {};
+  let textBlocks = 0;
+
+  for await (const event of events) {
+    if (event.type === 'message_start') {
+      model = event.message?.model || model;
+      usage.input_tokens = event.message?.usage?.input_tokens || 0;
+    } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+    } else if (event.type === 'content_block_start' && event.content_block?.type === 'text') {
+      // Separate text blocks the way toResponse() joins them
+      if (textBlocks++ > 0) {
+        content += '\n';
+        yield { type: 'delta', text: '\n' };
+      }
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      content += event.delta.text;
+      yield { type: 'delta', text: event.delta.text };
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      toolBlocks[event.index].json += event.delta.partial_json;
+    } else if (event.type === 'message_delta') {
+      usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+      stopReason = event.delta?.stop_reason || stopReason;
+    }
+  }
+
+  const toolCalls = Object.values(toolBlocks).map(block => ({
+    id: block.id,
+    name: block.name,
+    input: parseToolInput(block.json)
+  }));
+
+  yield { type: 'done', response: { content, toolCalls, usage, model, stopReason } };
+}
+
+/**
+ * Parse streamed tool input JSON
+ * @param {string} json - Concatenated input_json_delta fragments
+ * @returns {Object|null} Input, or null if malformed
+ */
+function parseToolInput(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  name: NAME,
+  keyEnvVar: 'ANTHROPIC_API_KEY',
+  models: MODELS,
+  pricing: PRICING,
+  validateApiKey,
+  resolveConfig,
+  createClient,
+  ownsClient,
+  supportsTools,
+  complete,
+  stream
+};
@@ -0,0 +1,136 @@
+/**
+ * LLM Providers - Registry behind ai-client.chat()
+ *
+ * A provider is a plain module exposing:
+ *   name                          - registry key
+ *   pricing                       - { [model]: { input, output }, default } in USD per million tokens
+ *   resolveConfig(overrides)      - read env/explicit config
+ *   createClient(config, env)     - build a client (throws on bad config)
+ *   ownsClient(client)            - true if the client belongs to this provider
+ *   complete(client, request)     - { model, system, messages, maxTokens, tools } → { content, toolCalls, usage, model, stopReason }
+ *   stream(client, request)       - optional async generator of { type: 'delta', text } then { type: 'done', response }
+ *   supportsTools(client)         - optional; true if `tools` (Anthropic format) are honored
+ *   resolveModel(client, model, claudeModels) - optional model name mapping
+ *
+ * Select with LLM_PROVIDER (anthropic | openai-compatible | replay).
+ */
+
+const anthropic = require('./anthropic');
+const openaiCompatible = require('./openai-compatible');
+const replay = require('./replay');
+
+const DEFAULT_PROVIDER = anthropic.name;
+
+const PROVIDERS = {
+  [anthropic.name]: anthropic,
+  [openaiCompatible.name]: openaiCompatible,
+  [replay.name]: replay
+};
+
+// Common aliases accepted in LLM_PROVIDER
+const ALIASES = {
+  claude: anthropic.name,
+  openai: openaiCompatible.name,
+  ollama: openaiCompatible.name,
+  llamacpp: openaiCompatible.name,
+  'llama.cpp': openaiCompatible.name,
+  local: openaiCompatible.name,
+  offline: replay.name
+};
+
+/**
+ * Register a provider (overwrites an existing one with the same name)
+ * @param {Object} provider - Provider module
+ */
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('Provider must have a name and a complete() function');
+  }
+  PROVIDERS[provider.name] = provider;
+}
+
+/**
+ * Get provider by name or alias
+ * @param {string} name - Provider name
+ * @returns {Object} Provider module
+ * @throws {Error} If unknown
+ */
+function getProvider(name) {
+  const key = ALIASES[name?.toLowerCase()] || name?.toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Available: ${listProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Get the provider selected by environment
+ * @returns {string} Provider name
+ */
+function getConfiguredProviderName() {
+  return process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Find the provider that owns a client
+ * Falls back to Anthropic for untagged clients exposing messages.create().
+ * @param {Object} client - Client instance
+ * @returns {Object} Provider module
+ * @throws {Error} If no provider recognizes the client
+ */
+function getProviderForClient(client) {
+  if (client?.providerName && PROVIDERS[client.providerName]) {
+    return PROVIDERS[client.providerName];
+  }
+  const owner = Object.values(PROVIDERS).find(p => p.ownsClient && p.ownsClient(client));
+  if (!owner) {
+    throw new Error('Unrecognized AI client. Create one with ai-client.createClient().');
+  }
+  return owner;
+}
+
+/**
+ * Look up per-model pricing for a provider
+ * @param {Object} provider - Provider module
+ * @param {string} model - Model name
+ * @returns {Object} { input, output } USD per million tokens
+ */
+function getPricing(provider, model) {
+  const table = provider?.pricing || anthropic.pricing;
+  return table[model] || table.default || { input: 0, output: 0 };
+}
+
+/**
+ * Estimate cost of a call
+ * @param {Object} provider - Provider module
+ * @param {string} model - Model name
+ * @param {Object} usage - { input_tokens, output_tokens }
+ * @returns {number} Cost in USD
+ */
+function estimateCost(provider, model, usage) {
+  if (!usage) return 0;
+  const price = getPricing(provider, model);
+  return ((usage.input_tokens || 0) / 1_000_000) * price.input +
+    ((usage.output_tokens || 0) / 1_000_000) * price.output;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDERS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getConfiguredProviderName,
+  getProviderForClient,
+  getPricing,
+  estimateCost
+};
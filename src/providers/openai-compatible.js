@@ -0,0 +1,331 @@
+/**
+ * OpenAI-Compatible Provider - /v1/chat/completions over HTTP
+ *
+ * Targets local servers (llama.cpp server, Ollama, LM Studio, vLLM) or any
+ * hosted endpoint speaking the OpenAI chat completions format.
+ *
+ * Environment:
+ *   LLM_BASE_URL    - e.g. http://localhost:11434/v1 (Ollama)
+ *   LLM_API_KEY     - optional bearer token (local servers usually ignore it)
+ *   LLM_MODEL       - model for normal calls
+ *   LLM_FAST_MODEL  - model for quick calls (defaults to LLM_MODEL)
+ *   LLM_TOOLS       - set to 0 for servers without function calling
+ */
+
+const NAME = 'openai-compatible';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+const DEFAULT_MODEL_NAME = 'local-model';
+
+// USD per million tokens - local inference is free
+const PRICING = {
+  default: { input: 0, output: 0 }
+};
+
+/**
+ * Read provider config from environment
+ * @param {Object} overrides - Explicit config values
+ * @returns {Object} { baseUrl, apiKey, models }
+ */
+function resolveConfig(overrides = {}) {
+  const model = overrides.model || process.env.LLM_MODEL || DEFAULT_MODEL_NAME;
+  return {
+    baseUrl: (overrides.baseUrl || process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    apiKey: overrides.apiKey || process.env.LLM_API_KEY || null,
+    models: {
+      default: model,
+      fast: overrides.fastModel || process.env.LLM_FAST_MODEL || model
+    },
+    tools: overrides.tools ?? process.env.LLM_TOOLS !== '0',
+    fetch: overrides.fetch || null
+  };
+}
+
+/**
+ * Create HTTP client config
+ * @param {Object} config - From resolveConfig
+ * @param {Object} env - Environment flags
+ * @returns {Object} Client { providerName, baseUrl, apiKey, models, tools, fetch }
+ * @throws {Error} If base URL is malformed
+ */
+function createClient(config, env = {}) {
+  if (!/^https?:\/\//.test(config.baseUrl)) {
+    throw new Error(`Invalid LLM_BASE_URL: ${config.baseUrl}\n  → Expected e.g. http://localhost:11434/v1`);
+  }
+
+  if (env.isDev) {
+    console.log(`[AI Client] Endpoint: ${config.baseUrl} (model: ${config.models.default})`);
+  }
+
+  return {
+    providerName: NAME,
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    models: config.models,
+    tools: config.tools !== false,
+    fetch: config.fetch || globalThis.fetch
+  };
+}
+
+/**
+ * Check whether a client belongs to this provider
+ * @param {Object} client - Client instance
+ * @returns {boolean}
+ */
+function ownsClient(client) {
+  return client?.providerName === NAME;
+}
+
+/**
+ * Whether the endpoint accepts function calling (LLM_TOOLS=0 disables)
+ * @param {Object} client - Client from createClient
+ * @returns {boolean}
+ */
+function supportsTools(client) {
+  return client?.tools !== false;
+}
+
+/**
+ * Map Claude model names onto the configured local models
+ * @param {Object} client - Client from createClient
+ * @param {string} model - Requested model
+ * @param {Object} claudeModels - { default, fast } Claude model IDs
+ * @returns {string} Model name to send
+ */
+function resolveModel(client, model, claudeModels) {
+  if (!model || model === claudeModels.default) return client.models.default;
+  if (model === claudeModels.fast) return client.models.fast;
+  if (model.startsWith('claude-')) return client.models.default;
+  return model;
+}
+
+/**
+ * Flatten Anthropic-style content blocks into plain text
+ * @param {string|Array} content - Message content
+ * @returns {string}
+ */
+function toText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block.type === 'text' || typeof block.text === 'string')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return String(content ?? '');
+}
+
+/**
+ * Convert system prompt + messages to OpenAI message list
+ * @param {string} system - System prompt
+ * @param {Array} messages - Anthropic-format messages
+ * @returns {Array} OpenAI-format messages
+ */
+function buildMessages(system, messages) {
+  const out = [];
+  if (system) {
+    out.push({ role: 'system', content: system });
+  }
+  for (const m of messages) {
+    out.push({ role: m.role, content: toText(m.content) });
+  }
+  return out;
+}
+
+/**
+ * Convert Anthropic-format tool definitions to OpenAI functions
+ * @param {Array} tools - [{ name, description, input_schema }]
+ * @returns {Array} [{ type: 'function', function: { name, description, parameters } }]
+ */
+function toFunctions(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+  }));
+}
+
+/**
+ * Parse function call arguments
+ * @param {string} args - JSON arguments string
+ * @returns {Object|null} Input, or null if malformed
+ */
+function parseArguments(args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the JSON body for a chat completions request
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @param {Object} extra - Additional body fields
+ * @returns {string} JSON body
+ */
+function buildBody(request, extra = {}) {
+  const body = {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    messages: buildMessages(request.system, request.messages),
+    ...extra
+  };
+  if (request.tools?.length) {
+    body.tools = toFunctions(request.tools);
+  }
+  return JSON.stringify(body);
+}
+
+/**
+ * Build request headers
+ * @param {Object} client - Client from createClient
+ * @returns {Object} Headers
+ */
+function buildHeaders(client) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (client.apiKey) {
+    headers.Authorization = `Bearer ${client.apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Throw an Error carrying the HTTP status for a failed response
+ * @param {Object} res - fetch Response
+ */
+async function throwHttpError(res) {
+  const body = await res.text().catch(() => '');
+  const error = new Error(`LLM endpoint returned ${res.status}: ${body.slice(0, 200)}`);
+  error.status = res.status;
+  throw error;
+}
+
+/**
+ * Send a completion request
+ * @param {Object} client - Client from createClient
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @returns {Promise<Object>} { content, toolCalls, usage, model, stopReason }
+ */
+async function complete(client, request) {
+  const res = await client.fetch(`${client.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: buildHeaders(client),
+    body: buildBody(request)
+  });
+
+  if (!res.ok) {
+    await throwHttpError(res);
+  }
+
+  const data = await res.json();
+  const choice = data.choices?.[0] || {};
+
+  return {
+    content: toText(choice.message?.content),
+    toolCalls: (choice.message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      input: parseArguments(call.function?.arguments)
+    })),
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0
+    },
+    model: data.model || request.model,
+    stopReason: choice.finish_reason || null
+  };
+}
+
+/**
+ * Stream a completion request (server-sent events)
+ * Servers that omit usage in the stream get a chars/4 token estimate.
+ * @param {Object} client - Client from createClient
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @yields {Object} { type: 'delta', text } ... then { type: 'done', response }
+ */
+async function* stream(client, request) {
+  const messages = buildMessages(request.system, request.messages);
+  const res = await client.fetch(`${client.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: buildHeaders(client),
+    body: buildBody(request, { stream: true, stream_options: { include_usage: true } })
+  });
+
+  if (!res.ok) {
+    await throwHttpError(res);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let model = request.model;
+  let stopReason = null;
+  let usage = null;
+  const toolParts = [];
+
+  for await (const chunk of res.body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') continue;
+
+      const data = JSON.parse(payload);
+      model = data.model || model;
+      if (data.usage) {
+        usage = { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 };
+      }
+
+      const choice = data.choices?.[0];
+      if (choice?.finish_reason) stopReason = choice.finish_reason;
+
+      // Function calls arrive as fragments keyed by index
+      for (const part of choice?.delta?.tool_calls || []) {
+        const call = toolParts[part.index] = toolParts[part.index] || { id: null, name: '', args: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.args += part.function.arguments;
+      }
+
+      const text = choice?.delta?.content;
+      if (text) {
+        content += text;
+        yield { type: 'delta', text };
+      }
+    }
+  }
+
+  if (!usage) {
+    const inputChars = messages.reduce((sum, m) => sum + m.content.length, 0);
+    usage = { input_tokens: Math.ceil(inputChars / 4), output_tokens: Math.ceil(content.length / 4) };
+  }
+
+  const toolCalls = toolParts.filter(Boolean).map(call => ({
+    id: call.id,
+    name: call.name,
+    input: parseArguments(call.args)
+  }));
+
+  yield { type: 'done', response: { content, toolCalls, usage, model, stopReason } };
+}
+
+module.exports = {
+  name: NAME,
+  keyEnvVar: 'LLM_API_KEY',
+  pricing: PRICING,
+  resolveConfig,
+  createClient,
+  ownsClient,
+  supportsTools,
+  resolveModel,
+  buildMessages,
+  toFunctions,
+  complete,
+  stream
+};
@@ -0,0 +1,184 @@
+/**
+ * Replay Provider - Deterministic offline responses
+ *
+ * Serves scripted responses without any network access. A script is a list
+ * of rules checked in order; the first rule whose `match` appears in the
+ * latest user message (or system prompt, with `in: "system"`) wins. Rules
+ * without `match` are served in sequence as a fallback.
+ *
+ * Script file format (LLM_REPLAY_FILE):
+ *   { "responses": [ { "match": "Cr3000", "response": "..." }, "plain text", ... ],
+ *     "default": "..." }
+ *
+ * A rule may also script tool calls, returned when the request offers tools:
+ *   { "match": "climb", "response": "...", "toolCalls": [{ "name": "skill_check", "input": {...} }] }
+ */
+
+const fs = require('fs');
+
+const NAME = 'replay';
+
+const DEFAULT_RESPONSE = '[Replay provider: no scripted response]';
+
+// Replayed calls cost nothing
+const PRICING = {
+  default: { input: 0, output: 0 }
+};
+
+/**
+ * Read provider config from environment
+ * @param {Object} overrides - Explicit config values
+ * @returns {Object} { responses, defaultResponse }
+ */
+function resolveConfig(overrides = {}) {
+  let script = { responses: overrides.responses || [], default: overrides.defaultResponse };
+
+  const file = overrides.file || (!overrides.responses && process.env.LLM_REPLAY_FILE);
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Replay script not found: ${file}`);
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    script = Array.isArray(data) ? { responses: data } : data;
+  }
+
+  return {
+    responses: (script.responses || []).map(r => typeof r === 'string' ? { response: r } : r),
+    defaultResponse: script.default || DEFAULT_RESPONSE
+  };
+}
+
+/**
+ * Create replay client
+ * @param {Object} config - From resolveConfig
+ * @returns {Object} Client { providerName, responses, defaultResponse, cursor, calls }
+ */
+function createClient(config) {
+  return {
+    providerName: NAME,
+    responses: config.responses,
+    defaultResponse: config.defaultResponse,
+    cursor: 0,
+    calls: []
+  };
+}
+
+/**
+ * Check whether a client belongs to this provider
+ * @param {Object} client - Client instance
+ * @returns {boolean}
+ */
+function ownsClient(client) {
+  return client?.providerName === NAME;
+}
+
+/**
+ * Rough token estimate so budget/usage tracking sees plausible numbers
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Scripted calls can always be served
+ * @returns {boolean}
+ */
+function supportsTools() {
+  return true;
+}
+
+/**
+ * Pick the scripted rule for a request
+ * @param {Object} client - Replay client
+ * @param {Object} request - { system, messages }
+ * @returns {Object} Rule { response, toolCalls? }
+ */
+function pickRule(client, request) {
+  const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+  const userText = typeof lastUser?.content === 'string' ? lastUser.content : JSON.stringify(lastUser?.content || '');
+
+  for (const rule of client.responses) {
+    if (!rule.match) continue;
+    const haystack = rule.in === 'system' ? (request.system || '') : userText;
+    if (haystack.toLowerCase().includes(rule.match.toLowerCase())) {
+      return rule;
+    }
+  }
+
+  const sequential = client.responses.filter(r => !r.match);
+  if (sequential.length > 0) {
+    const rule = sequential[client.cursor % sequential.length];
+    client.cursor++;
+    return rule;
+  }
+
+  return { response: client.defaultResponse };
+}
+
+/**
+ * Pick the scripted response for a request
+ * @param {Object} client - Replay client
+ * @param {Object} request - { system, messages }
+ * @returns {string} Response text
+ */
+function pickResponse(client, request) {
+  return pickRule(client, request).response;
+}
+
+/**
+ * Send a completion request
+ * @param {Object} client - Replay client
+ * @param {Object} request - { model, system, messages, maxTokens, tools }
+ * @returns {Promise<Object>} { content, toolCalls, usage, model, stopReason }
+ */
+async function complete(client, request) {
+  const rule = pickRule(client, request);
+  const content = rule.response || '';
+  const toolCalls = request.tools?.length
+    ? (rule.toolCalls || []).map((call, i) => ({ id: call.id || `replay-tool-${i}`, name: call.name, input: call.input }))
+    : [];
+  client.calls.push({ system: request.system, messages: request.messages, tools: request.tools, response: content });
+
+  const inputText = (request.system || '') + request.messages.map(m => String(m.content)).join('');
+
+  return {
+    content,
+    toolCalls,
+    usage: {
+      input_tokens: estimateTokens(inputText),
+      output_tokens: estimateTokens(content)
+    },
+    model: request.model,
+    stopReason: toolCalls.length > 0 ? 'tool_use' : 'end_turn'
+  };
+}
+
+/**
+ * Stream a scripted response word by word
+ * @param {Object} client - Replay client
+ * @param {Object} request - { model, system, messages, maxTokens }
+ * @yields {Object} { type: 'delta', text } ... then { type: 'done', response }
+ */
+async function* stream(client, request) {
+  const response = await complete(client, request);
+  for (const word of response.content.match(/\S+\s*|\s+/g) || []) {
+    yield { type: 'delta', text: word };
+  }
+  yield { type: 'done', response };
+}
+
+module.exports = {
+  name: NAME,
+  keyEnvVar: 'LLM_REPLAY_FILE',
+  pricing: PRICING,
+  resolveConfig,
+  createClient,
+  ownsClient,
+  supportsTools,
+  pickRule,
+  pickResponse,
+  complete,
+  stream
+};
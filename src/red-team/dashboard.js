@@ -0,0 +1,536 @@
+/**
+ * Dashboard - Red team results over time
+ *
+ * Pattern: Read-only aggregation over saved reports
+ * Part of red team validation system for NPC fact-checking.
+ *
+ * Every validation run leaves a report in data/validation-results, and every
+ * persona edit made by the patch generator or applyLearnerPatch() leaves a
+ * backup of the persona in data/red-team/patches. This module lines the two
+ * up to show:
+ *   trends       pass rate per NPC and per query tier across runs
+ *   regressions  queries whose verdict dropped between two runs of an NPC,
+ *                linked to the patch or backup that preceded the drop
+ * It is rendered as a TUI screen (formatDashboard) or a static HTML page
+ * (exportDashboardHtml).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RESULTS_DIR, CACHE_FILE } = require('./validator');
+const { getQuery, TIER } = require('./query-engine');
+const { loadLog } = require('./learning-log');
+const { drawBoxWithHeader, centerText, padTo } = require('../tui-menu');
+
+const PATCHES_DIR = path.join(__dirname, '../../data/red-team/patches');
+const HTML_FILE = path.join(RESULTS_DIR, 'dashboard.html');
+
+const DASHBOARD_WIDTH = 64;
+const SPARK_POINTS = 12;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Verdict ordering; a drop in rank between runs is a regression
+ */
+const VERDICT_RANK = { PASS: 2, WARN: 1, FAIL: 0 };
+
+/**
+ * What an edit between two runs was
+ */
+const PATCH_TYPES = {
+  LEARNER_PATCH: 'learner_patch',
+  BACKUP: 'backup'
+};
+
+/**
+ * Backup filenames: <npc-id>-backup-<epoch ms>.json
+ */
+const BACKUP_PATTERN = /^(.+)-backup-(\d+)\.json$/;
+
+/**
+ * Load every saved validation run, oldest first
+ * @param {string} [resultsDir] - Directory of validation reports
+ * @returns {Array} Runs: { npc_id, timestamp, persona_hash, file, results }
+ */
+function loadValidationRuns(resultsDir = RESULTS_DIR) {
+  if (!fs.existsSync(resultsDir)) {
+    return [];
+  }
+
+  const runs = [];
+  const files = fs.readdirSync(resultsDir)
+    .filter(f => f.endsWith('.json') && f !== path.basename(CACHE_FILE));
+
+  for (const file of files) {
+    try {
+      const report = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+      if (!report.npc_id || !Array.isArray(report.results)) {
+        continue;
+      }
+      runs.push({
+        npc_id: report.npc_id,
+        timestamp: report.timestamp || fs.statSync(path.join(resultsDir, file)).mtime.toISOString(),
+        persona_hash: report.persona_hash || null,
+        file: path.join(resultsDir, file),
+        results: report.results
+      });
+    } catch (e) {
+      // Skip invalid files
+    }
+  }
+
+  return runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Load persona backups, tagged with the learning cycle that made them
+ * @param {Object} [options] - { patchesDir, learningEntries: defaults to the learning log }
+ * @returns {Array} Patches oldest first: { npc_id, timestamp, path, file, type, fact_id, query_id, topic, status }
+ */
+function loadPatchHistory(options = {}) {
+  const { patchesDir = PATCHES_DIR } = options;
+  const learningEntries = options.learningEntries || loadLog().entries;
+
+  if (!fs.existsSync(patchesDir)) {
+    return [];
+  }
+
+  // Learning log paths may come from another checkout; match on filename
+  const cycles = new Map();
+  for (const entry of learningEntries) {
+    if (entry.backup_path) {
+      cycles.set(path.basename(entry.backup_path), entry);
+    }
+  }
+
+  const patches = [];
+  for (const file of fs.readdirSync(patchesDir)) {
+    const match = file.match(BACKUP_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const cycle = cycles.get(file);
+    patches.push({
+      npc_id: match[1],
+      timestamp: new Date(Number(match[2])).toISOString(),
+      path: path.join(patchesDir, file),
+      file,
+      type: cycle ? PATCH_TYPES.LEARNER_PATCH : PATCH_TYPES.BACKUP,
+      fact_id: cycle?.fact_id || null,
+      query_id: cycle?.query_id || null,
+      topic: cycle?.generated_entry?.topic || null,
+      status: cycle?.final_status || null
+    });
+  }
+
+  return patches.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Tier of a validation result's query
+ * @param {Object} result - Validation result
+ * @returns {number} Query tier
+ */
+function getResultTier(result) {
+  return result.tier || getQuery(result.query_id)?.tier || TIER.NICE_TO_HAVE;
+}
+
+/**
+ * Count verdicts and pass rate for a set of results
+ * @param {Array} results - Validation results
+ * @returns {Object} { total, pass, warn, fail, rate }
+ */
+function countResults(results) {
+  const counts = { total: results.length, pass: 0, warn: 0, fail: 0, rate: 0 };
+  for (const result of results) {
+    if (result.verdict === 'PASS') counts.pass++;
+    else if (result.verdict === 'WARN') counts.warn++;
+    else if (result.verdict === 'FAIL') counts.fail++;
+  }
+  counts.rate = counts.total > 0 ? counts.pass / counts.total : 0;
+  return counts;
+}
+
+/**
+ * Summarize one run, overall and per tier
+ * @param {Object} run - Run from loadValidationRuns
+ * @returns {Object} { npc_id, timestamp, persona_hash, file, total, pass, warn, fail, rate, by_tier }
+ */
+function summarizeRun(run) {
+  const byTier = {};
+  for (const result of run.results) {
+    const tier = getResultTier(result);
+    (byTier[tier] = byTier[tier] || []).push(result);
+  }
+
+  return {
+    npc_id: run.npc_id,
+    timestamp: run.timestamp,
+    persona_hash: run.persona_hash,
+    file: run.file,
+    ...countResults(run.results),
+    by_tier: Object.fromEntries(Object.entries(byTier).map(([tier, results]) => [tier, countResults(results)]))
+  };
+}
+
+/**
+ * Build pass-rate series per NPC and per tier
+ * A tier point is taken after every run, over the latest run of each NPC,
+ * so one NPC's rerun does not hide the others.
+ * @param {Array} runs - Runs from loadValidationRuns, oldest first
+ * @returns {Object} { byNpc: { npcId: points }, byTier: { tier: points } }
+ */
+function buildTrends(runs) {
+  const byNpc = {};
+  const byTier = {};
+  const latest = {};
+
+  for (const run of runs) {
+    const summary = summarizeRun(run);
+    (byNpc[run.npc_id] = byNpc[run.npc_id] || []).push({
+      timestamp: summary.timestamp,
+      total: summary.total,
+      pass: summary.pass,
+      rate: summary.rate
+    });
+
+    latest[run.npc_id] = run;
+    const current = Object.values(latest).flatMap(r => r.results);
+    const tiers = summarizeRun({ results: current }).by_tier;
+    for (const [tier, counts] of Object.entries(tiers)) {
+      (byTier[tier] = byTier[tier] || []).push({
+        timestamp: summary.timestamp,
+        npc_id: run.npc_id,
+        total: counts.total,
+        pass: counts.pass,
+        rate: counts.rate
+      });
+    }
+  }
+
+  return { byNpc, byTier };
+}
+
+/**
+ * Find queries whose verdict dropped between consecutive runs of an NPC
+ * Each regression carries the edits made between the two runs. `preceding`
+ * is the latest backup before the regressed run - the persona as it was
+ * before the last edit, which is what a rollback restores.
+ * @param {Array} runs - Runs from loadValidationRuns, oldest first
+ * @param {Array} patches - Patches from loadPatchHistory, oldest first
+ * @returns {Array} Regressions, newest run first, in report order within a run
+ */
+function findRegressions(runs, patches) {
+  const regressions = [];
+  const previous = {};
+
+  for (const run of runs) {
+    const prev = previous[run.npc_id];
+    previous[run.npc_id] = run;
+    if (!prev) {
+      continue;
+    }
+
+    const prevVerdicts = new Map(prev.results.map(r => [r.query_id, r.verdict]));
+    const npcPatches = patches.filter(p => p.npc_id === run.npc_id && p.timestamp <= run.timestamp);
+    const between = npcPatches.filter(p => p.timestamp > prev.timestamp);
+    const personaEdited = Boolean(prev.persona_hash && run.persona_hash && prev.persona_hash !== run.persona_hash);
+
+    const dropped = [];
+    for (const result of run.results) {
+      const before = prevVerdicts.get(result.query_id);
+      if (!(before in VERDICT_RANK) || !(result.verdict in VERDICT_RANK)) {
+        continue;
+      }
+      if (VERDICT_RANK[result.verdict] >= VERDICT_RANK[before]) {
+        continue;
+      }
+
+      dropped.push({
+        npc_id: run.npc_id,
+        query_id: result.query_id,
+        fact_id: result.fact_id || null,
+        tier: getResultTier(result),
+        from: before,
+        to: result.verdict,
+        previous_run: prev.timestamp,
+        run: run.timestamp,
+        report: run.file,
+        details: result.details || null,
+        patches_between: between,
+        preceding: npcPatches[npcPatches.length - 1] || null,
+        cause: describeCause(between, personaEdited)
+      });
+    }
+    regressions.unshift(...dropped);
+  }
+
+  return regressions;
+}
+
+/**
+ * Name the edit a regression followed
+ * @param {Array} between - Patches between the two runs
+ * @param {boolean} personaEdited - Persona hash changed between the runs
+ * @returns {string|null} 'learner_patch', 'persona_edit' or null if nothing changed
+ */
+function describeCause(between, personaEdited) {
+  if (between.some(p => p.type === PATCH_TYPES.LEARNER_PATCH)) {
+    return PATCH_TYPES.LEARNER_PATCH;
+  }
+  if (between.length > 0 || personaEdited) {
+    return 'persona_edit';
+  }
+  return null;
+}
+
+/**
+ * Assemble the dashboard data
+ * @param {Object} [options] - { resultsDir, patchesDir, learningEntries }
+ * @returns {Object} { generated_at, runs, latest, trends, regressions, patches }
+ */
+function buildDashboard(options = {}) {
+  const runs = loadValidationRuns(options.resultsDir);
+  const patches = loadPatchHistory(options);
+  const summaries = runs.map(summarizeRun);
+
+  const latest = {};
+  for (const summary of summaries) {
+    latest[summary.npc_id] = summary;
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    runs: summaries,
+    latest,
+    trends: buildTrends(runs),
+    regressions: findRegressions(runs, patches),
+    patches
+  };
+}
+
+/**
+ * Render a series of rates as a sparkline
+ * @param {Array} points - Points with a rate in 0..1
+ * @returns {string} Sparkline of the most recent points
+ */
+function sparkline(points) {
+  return points.slice(-SPARK_POINTS)
+    .map(p => SPARK_CHARS[Math.round(p.rate * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+/**
+ * Describe the latest point of a series and its change from the one before
+ * @param {Array} points - Series points
+ * @returns {string} e.g. "33% (-67)"
+ */
+function formatRateChange(points) {
+  const last = points[points.length - 1];
+  const rate = `${Math.round(last.rate * 100)}%`;
+  if (points.length < 2) {
+    return rate;
+  }
+  const delta = Math.round((last.rate - points[points.length - 2].rate) * 100);
+  return `${rate} (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+/**
+ * Label for a query tier
+ * @param {string|number} tier - Tier number
+ * @returns {string} Tier label
+ */
+function tierLabel(tier) {
+  const name = Object.keys(TIER).find(k => TIER[k] === Number(tier));
+  return `T${tier} ${name ? name.toLowerCase().replace(/_/g, ' ') : ''}`.trim();
+}
+
+/**
+ * Describe the edit behind a regression in a few words
+ * @param {Object} regression - Regression from findRegressions
+ * @returns {string} Description
+ */
+function describeRegressionCause(regression) {
+  if (regression.cause === PATCH_TYPES.LEARNER_PATCH) {
+    const cycle = regression.patches_between.filter(p => p.type === PATCH_TYPES.LEARNER_PATCH).pop();
+    return `after learner patch${cycle.topic ? ` "${cycle.topic}"` : ''}${cycle.status ? ` (${cycle.status})` : ''}`;
+  }
+  if (regression.cause === 'persona_edit') {
+    return 'after persona edit';
+  }
+  return 'no edit between runs';
+}
+
+/**
+ * Format the dashboard as a TUI screen
+ * @param {Object} dashboard - From buildDashboard
+ * @param {Object} [options] - { maxRegressions }
+ * @returns {string} Formatted screen
+ */
+function formatDashboard(dashboard, options = {}) {
+  const { maxRegressions = 10 } = options;
+  const innerWidth = DASHBOARD_WIDTH - 2;
+  const header = centerText('RED TEAM REGRESSION DASHBOARD', innerWidth);
+  const lines = [''];
+
+  const npcIds = Object.keys(dashboard.trends.byNpc).sort();
+  if (npcIds.length === 0) {
+    lines.push('  No validation runs yet.', '');
+    return drawBoxWithHeader(header, lines, DASHBOARD_WIDTH);
+  }
+
+  lines.push(`  Pass rate by NPC (${dashboard.runs.length} runs)`);
+  for (const npcId of npcIds) {
+    const points = dashboard.trends.byNpc[npcId];
+    lines.push(`  ${padTo(npcId, 24)}${padTo(sparkline(points), SPARK_POINTS + 2)}${formatRateChange(points)}`);
+  }
+
+  lines.push('', '  Pass rate by tier (all NPCs)');
+  for (const tier of Object.keys(dashboard.trends.byTier).sort()) {
+    const points = dashboard.trends.byTier[tier];
+    lines.push(`  ${padTo(tierLabel(tier), 24)}${padTo(sparkline(points), SPARK_POINTS + 2)}${formatRateChange(points)}`);
+  }
+
+  lines.push('', `  Regressions (${dashboard.regressions.length})`);
+  if (dashboard.regressions.length === 0) {
+    lines.push('  None.');
+  }
+  for (const regression of dashboard.regressions.slice(0, maxRegressions)) {
+    const fact = regression.fact_id ? ` ${regression.fact_id}` : '';
+    lines.push(`  ✗ ${regression.npc_id} ${regression.query_id}${fact} ${regression.from}→${regression.to} ${regression.run.slice(5, 16).replace('T', ' ')}`);
+    lines.push(`    ${describeRegressionCause(regression)}`);
+    if (regression.preceding) {
+      lines.push(`    ↳ ${regression.preceding.file}`);
+    }
+  }
+  if (dashboard.regressions.length > maxRegressions) {
+    lines.push(`  ... ${dashboard.regressions.length - maxRegressions} more`);
+  }
+  lines.push('');
+
+  return drawBoxWithHeader(header, lines, DASHBOARD_WIDTH);
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a series as an HTML table row of rate cells
+ * @param {string} label - Row label
+ * @param {Array} points - Series points
+ * @returns {string} Table row
+ */
+function renderSeriesRow(label, points) {
+  const cells = points.map(p => {
+    const pct = Math.round(p.rate * 100);
+    return `<td class="rate" title="${escapeHtml(p.timestamp)}: ${p.pass}/${p.total}">` +
+      `<div class="bar" style="height:${pct}%"></div><span>${pct}%</span></td>`;
+  }).join('');
+  return `<tr><th>${escapeHtml(label)}</th><td class="spark">${sparkline(points)}</td>` +
+    `<td>${escapeHtml(formatRateChange(points))}</td>${cells}</tr>`;
+}
+
+/**
+ * Render the dashboard as a standalone HTML page
+ * Patch links are relative to the page, so the export can be opened from disk.
+ * @param {Object} dashboard - From buildDashboard
+ * @param {Object} [options] - { outPath: where the page will be written }
+ * @returns {string} HTML document
+ */
+function renderDashboardHtml(dashboard, options = {}) {
+  const { outPath = HTML_FILE } = options;
+  const linkTo = file => escapeHtml(path.relative(path.dirname(outPath), file).split(path.sep).join('/'));
+
+  const npcRows = Object.keys(dashboard.trends.byNpc).sort()
+    .map(npcId => renderSeriesRow(npcId, dashboard.trends.byNpc[npcId]));
+  const tierRows = Object.keys(dashboard.trends.byTier).sort()
+    .map(tier => renderSeriesRow(tierLabel(tier), dashboard.trends.byTier[tier]));
+
+  const regressionRows = dashboard.regressions.map(r => `<tr>
+  <td>${escapeHtml(r.run.slice(0, 16).replace('T', ' '))}</td>
+  <td>${escapeHtml(r.npc_id)}</td>
+  <td>${escapeHtml(r.query_id)}</td>
+  <td>${escapeHtml(r.fact_id || '')}</td>
+  <td>T${escapeHtml(r.tier)}</td>
+  <td class="${escapeHtml(r.to.toLowerCase())}">${escapeHtml(r.from)} &rarr; ${escapeHtml(r.to)}</td>
+  <td>${escapeHtml(describeRegressionCause(r))}</td>
+  <td>${r.preceding ? `<a href="${linkTo(r.preceding.path)}">${escapeHtml(r.preceding.file)}</a>` : ''}</td>
+  <td><a href="${linkTo(r.report)}">report</a></td>
+</tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Red Team Regression Dashboard</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: bottom; }
+  td.spark { font-family: monospace; letter-spacing: 1px; }
+  td.rate { position: relative; width: 2.5em; height: 2.5em; font-size: 0.75em; text-align: center; }
+  td.rate .bar { position: absolute; bottom: 0; left: 0; right: 0; background: #cfe8cf; }
+  td.rate span { position: relative; }
+  td.fail { color: #b00; font-weight: bold; }
+  td.warn { color: #a60; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Red Team Regression Dashboard</h1>
+<p>Generated ${escapeHtml(dashboard.generated_at)} from ${dashboard.runs.length} runs and ${dashboard.patches.length} persona backups.</p>
+<h2>Pass rate by NPC</h2>
+<table>
+${npcRows.join('\n') || '<tr><td>No validation runs yet.</td></tr>'}
+</table>
+<h2>Pass rate by tier</h2>
+<table>
+${tierRows.join('\n') || '<tr><td>No validation runs yet.</td></tr>'}
+</table>
+<h2>Regressions (${dashboard.regressions.length})</h2>
+<table>
+<tr><th>Run</th><th>NPC</th><th>Query</th><th>Fact</th><th>Tier</th><th>Verdict</th><th>Cause</th><th>Preceding backup</th><th></th></tr>
+${regressionRows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the dashboard as a static HTML page
+ * @param {Object} dashboard - From buildDashboard
+ * @param {string} [outPath] - Output file
+ * @returns {string} Path written
+ */
+function exportDashboardHtml(dashboard, outPath = HTML_FILE) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, renderDashboardHtml(dashboard, { outPath }));
+  return outPath;
+}
+
+module.exports = {
+  VERDICT_RANK,
+  PATCH_TYPES,
+  PATCHES_DIR,
+  HTML_FILE,
+  loadValidationRuns,
+  loadPatchHistory,
+  summarizeRun,
+  buildTrends,
+  findRegressions,
+  buildDashboard,
+  sparkline,
+  formatDashboard,
+  renderDashboardHtml,
+  exportDashboardHtml
+};
@@ -10,22 +10,28 @@ const validator = require('./validator');
 const patchGenerator = require('./patch-generator');
 const learner = require('./learner');
 const learningLog = require('./learning-log');
+const judge = require('./judge');
+const adversarial = require('./adversarial');
+const dashboard = require('./dashboard');
 
 /**
  * Run complete red team validation for an NPC
  * @param {string} npcId - NPC identifier
  * @param {Object} npc - NPC data
- * @param {Object} options - { client, autoPatch, dryRun }
+ * @param {Object} options - { client, autoPatch, dryRun, llmJudge: also ask the LLM judge }
  * @returns {Object} Validation report with patches
  */
 async function runRedTeamValidation(npcId, npc, options = {}) {
-  const { client = null, autoPatch = false, dryRun = true } = options;
+  const { client = null, autoPatch = false, dryRun = true, llmJudge = false } = options;
 
   // Execute queries
   const queryResults = await queryEngine.executeAllQueriesForNpc(npcId, npc, client);
 
   // Validate responses
   const report = validator.runNpcValidation(npcId, queryResults);
+  if (llmJudge) {
+    await validator.judgeReport(report, { client });
+  }
 
   // Generate patches
   const patches = patchGenerator.generatePatchesFromReport(report);
@@ -111,5 +117,8 @@ module.exports = {
   validator,
   patchGenerator,
   learner,
-  learningLog
+  learningLog,
+  judge,
+  adversarial,
+  dashboard
 };
@@ -0,0 +1,282 @@
+/**
+ * Judge - Normalized keyword matching and an optional LLM judge
+ *
+ * Pattern: Layered judge (keywords first, LLM second)
+ * Part of red team validation system for NPC fact-checking.
+ *
+ * The keyword layer compares normalized text, so "three thousand credits",
+ * "Cr 3,000" and "Cr3000" all read as "cr3000", and it ignores mentions that
+ * are negated ("it's not Cr5000"). The LLM layer reads the response against
+ * the fact and returns a verdict with a rationale; validator.judgeReport
+ * stores both verdicts and how often they agree.
+ */
+
+const { chat, HAIKU_MODEL, USAGE_CALLERS } = require('../ai-client');
+
+/**
+ * Verdicts the judge may return (validator.VERDICT values)
+ */
+const JUDGE_VERDICTS = ['PASS', 'WARN', 'FAIL'];
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALE_WORDS = { hundred: 100, thousand: 1000, million: 1000000, billion: 1000000000 };
+
+const NUMBER_WORD = `(?:${[...Object.keys(NUMBER_WORDS), ...Object.keys(SCALE_WORDS)].join('|')})`;
+const NUMBER_PHRASE = new RegExp(`\\b(?:a\\s+(?=(?:hundred|thousand|million)\\b))?${NUMBER_WORD}(?:[\\s-]+(?:and[\\s-]+)?${NUMBER_WORD})*\\b`, 'g');
+
+/**
+ * Words that negate what follows them in the same clause
+ */
+const NEGATION_CUES = ['not', 'no', 'never', 'nor', 'neither', 'without', 'cannot', 'hardly'];
+const NEGATION_PHRASES = ['rather than', 'instead of', 'far from'];
+
+/**
+ * How many words before a keyword a negation cue may sit
+ */
+const NEGATION_WINDOW = 3;
+
+/**
+ * Turn a run of number words into its value
+ * @param {string} phrase - e.g. "two hundred and fifty", "a thousand"
+ * @returns {number} Value
+ */
+function wordsToNumber(phrase) {
+  let total = 0;
+  let current = 0;
+
+  for (const word of phrase.split(/[\s-]+/)) {
+    if (word === 'a' || word === 'and') continue;
+    if (word in NUMBER_WORDS) {
+      current += NUMBER_WORDS[word];
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else {
+      total += (current || 1) * SCALE_WORDS[word];
+      current = 0;
+    }
+  }
+
+  return total + current;
+}
+
+/**
+ * Format a number without exponents or float noise
+ * @param {number} value - Number
+ * @returns {string} Digits
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Normalize text for keyword matching
+ * Lowercases, spells numbers as digits, drops thousands separators and
+ * writes every credit amount as "cr<amount>" (MCr and kCr are expanded).
+ * @param {string} text - Response or keyword
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  let normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+
+  // 3,000 -> 3000 (repeat for 1,000,000)
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(/(\d),(\d{3})(?!\d)/g, '$1$2');
+  } while (normalized !== previous);
+
+  // 1.5 million -> 1500000, then three thousand -> 3000
+  normalized = normalized.replace(/(\d+(?:\.\d+)?) (thousand|million|billion)\b/g,
+    (match, amount, scale) => formatNumber(parseFloat(amount) * SCALE_WORDS[scale]));
+  normalized = normalized.replace(NUMBER_PHRASE, phrase => formatNumber(wordsToNumber(phrase)));
+
+  // MCr1.5, 1.5 MCr, kCr20 -> cr<credits>
+  normalized = normalized.replace(/\b(m|k)cr\.? ?(\d+(?:\.\d+)?)/g,
+    (match, scale, amount) => `cr${formatNumber(parseFloat(amount) * (scale === 'm' ? 1000000 : 1000))}`);
+  normalized = normalized.replace(/(\d+(?:\.\d+)?) ?(m|k)cr\b/g,
+    (match, amount, scale) => `cr${formatNumber(parseFloat(amount) * (scale === 'm' ? 1000000 : 1000))}`);
+
+  // Cr 3000, Cr.3000, 3000 credits, 3000 Cr -> cr3000
+  normalized = normalized.replace(/\bcr\.? ?(\d)/g, 'cr$1');
+  normalized = normalized.replace(/(?<![\w.])(\d+(?:\.\d+)?) ?(?:imperial )?(?:credits?|cr)\b/g, 'cr$1');
+
+  return normalized.trim();
+}
+
+/**
+ * Check whether the words before a position negate it
+ * Looks back within the clause (to the last punctuation or "but") for a
+ * negation cue no more than NEGATION_WINDOW words away.
+ * @param {string} text - Normalized text
+ * @param {number} index - Start of the keyword in text
+ * @returns {boolean} True if negated
+ */
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.;:!?,()]|\bbut\b/).pop();
+  const words = clause.trim().split(/\s+/).filter(Boolean);
+  const before = words.slice(-(NEGATION_WINDOW + 1));
+
+  if (before.some(word => NEGATION_CUES.includes(word) || /n't$|n’t$/.test(word))) {
+    return true;
+  }
+
+  const tail = before.join(' ');
+  return NEGATION_PHRASES.some(phrase => tail.includes(phrase));
+}
+
+/**
+ * Pattern matching a keyword in normalized text
+ * Numbers must match whole ("cr10" is not found in "cr1000"), and a bare
+ * "credits" keyword is met by any credit amount.
+ * @param {string} needle - Normalized keyword
+ * @returns {RegExp} Global pattern
+ */
+function keywordPattern(needle) {
+  if (/^(?:credits?|cr)$/.test(needle)) {
+    return /\bcr(?=\d)|\bcredits?\b/g;
+  }
+
+  const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^\d/.test(needle) ? '(?<!\\d)' : '';
+  const end = /\d$/.test(needle) ? '(?!\\d)' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'g');
+}
+
+/**
+ * Find a keyword in normalized text
+ * A keyword is negated only if every mention of it is.
+ * @param {string} text - Normalized text (from normalizeText)
+ * @param {string} keyword - Keyword as written in the query
+ * @returns {Object} { found, negated }
+ */
+function findKeyword(text, keyword) {
+  const needle = normalizeText(keyword);
+  if (!needle) return { found: false, negated: false };
+
+  const mentions = [...text.matchAll(keywordPattern(needle))];
+  return {
+    found: mentions.length > 0,
+    negated: mentions.length > 0 && mentions.every(mention => isNegated(text, mention.index))
+  };
+}
+
+/**
+ * Build the judge prompt for a response
+ * @param {string} response - NPC's response text
+ * @param {Object} query - Query with expected/failure keywords
+ * @param {Object} fact - Fact the query checks (optional)
+ * @returns {string} Prompt
+ */
+function buildJudgePrompt(response, query, fact) {
+  const lines = [
+    'Judge whether an NPC in a Traveller roleplaying game answered a question consistently with a canonical fact.',
+    ''
+  ];
+
+  if (fact?.content) lines.push(`FACT: ${fact.content}`);
+  lines.push(`QUESTION: ${query.query || query.query_text || '(not recorded)'}`);
+  if (query.expected_keywords?.length) lines.push(`EXPECTED TO MENTION: ${query.expected_keywords.join(', ')}`);
+  if (query.failure_keywords?.length) lines.push(`WRONG IF IT CLAIMS: ${query.failure_keywords.join(', ')}`);
+
+  lines.push(
+    '',
+    'RESPONSE:',
+    response,
+    '',
+    'PASS if the response conveys the fact (any wording, numbers in words are fine), or correctly denies a wrong claim.',
+    'WARN if it is vague or only partly conveys the fact, without contradicting it.',
+    'FAIL if it contradicts the fact, asserts a wrong claim, or misses the fact entirely.',
+    '',
+    'Reply with JSON only: {"verdict": "PASS" | "WARN" | "FAIL", "rationale": "one sentence"}'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse the judge's reply
+ * @param {string} text - Raw reply
+ * @returns {Object} { verdict, rationale } (verdict null if unreadable)
+ */
+function parseJudgeReply(text) {
+  const reply = String(text || '');
+
+  try {
+    const jsonMatch = reply.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      const verdict = String(parsed.verdict || '').toUpperCase();
+      if (JUDGE_VERDICTS.includes(verdict)) {
+        return { verdict, rationale: String(parsed.rationale || '').trim() };
+      }
+    }
+  } catch (e) {
+    // Fall through to the plain-text form
+  }
+
+  const verdictMatch = reply.match(/\b(PASS|WARN|FAIL)\b/);
+  return {
+    verdict: verdictMatch ? verdictMatch[1] : null,
+    rationale: reply.replace(/\s+/g, ' ').trim().slice(0, 300)
+  };
+}
+
+/**
+ * Ask the LLM judge for a verdict on a response
+ * @param {Object} client - AI client
+ * @param {string} response - NPC's response text
+ * @param {Object} query - Query with expected/failure keywords
+ * @param {Object} fact - Fact the query checks (optional)
+ * @returns {Promise<Object>} { verdict, rationale } or { verdict: null, error }
+ */
+async function judgeResponse(client, response, query, fact = null) {
+  try {
+    const reply = await chat(client, '', [{ role: 'user', content: buildJudgePrompt(response, query, fact) }], {
+      model: HAIKU_MODEL,
+      maxTokens: 300,
+      caller: USAGE_CALLERS.RED_TEAM_JUDGE
+    });
+    const judged = parseJudgeReply(reply.content);
+    return judged.verdict ? judged : { verdict: null, error: `Unreadable judge reply: ${judged.rationale}` };
+  } catch (error) {
+    return { verdict: null, error: error.message };
+  }
+}
+
+/**
+ * Agreement between the keyword and judge layers
+ * @param {Array} results - Validation results (judged ones have judge_verdict)
+ * @returns {Object} { judged, agreed, rate, disagreements: [{ query_id, keyword, judge }] }
+ */
+function computeAgreement(results) {
+  const judged = results.filter(r => r.judge_verdict && r.keyword_verdict);
+  const disagreements = judged
+    .filter(r => r.judge_verdict !== r.keyword_verdict)
+    .map(r => ({ query_id: r.query_id, keyword: r.keyword_verdict, judge: r.judge_verdict }));
+  const agreed = judged.length - disagreements.length;
+
+  return {
+    judged: judged.length,
+    agreed,
+    rate: judged.length > 0 ? Math.round(agreed / judged.length * 1000) / 1000 : null,
+    disagreements
+  };
+}
+
+module.exports = {
+  JUDGE_VERDICTS,
+  NEGATION_WINDOW,
+  normalizeText,
+  isNegated,
+  findKeyword,
+  buildJudgePrompt,
+  parseJudgeReply,
+  judgeResponse,
+  computeAgreement
+};
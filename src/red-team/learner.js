@@ -7,7 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createClient, quickChat, chat, HAIKU_MODEL } = require('../ai-client');
+const { createClient, quickChat, chat, HAIKU_MODEL, USAGE_CALLERS } = require('../ai-client');
 const { validateResponse } = require('./validator');
 const { getQuery, executeQuery } = require('./query-engine');
 const { getFact } = require('./fact-database');
@@ -125,7 +125,7 @@ async function generateKnowledgeEntry(params, client = null) {
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-      const response = await quickChat(aiClient, prompt);
+      const response = await quickChat(aiClient, prompt, { caller: USAGE_CALLERS.LEARNER });
       return parseKnowledgeEntry(response);
     } catch (error) {
       lastError = error;
@@ -250,7 +250,7 @@ function rollbackPatch(npcId, backupPath) {
  * @param {string} npcId - NPC identifier
  * @param {Object} query - Original query object
  * @param {Object} client - Anthropic client
- * @returns {Promise<{success: boolean, response: string, verdict: string}>}
+ * @returns {Promise<{success: boolean, response: string, verdict: string, retrieved_chunks: string[]}>}
  */
 async function verifyPatch(npcId, query, client) {
   const npc = loadNpc(npcId);
@@ -275,7 +275,8 @@ async function verifyPatch(npcId, query, client) {
       success: validation.verdict === 'PASS',
       response: result.response,
       verdict: validation.verdict,
-      details: validation.details
+      details: validation.details,
+      retrieved_chunks: result.retrieved_chunks
     };
   } catch (error) {
     return {
@@ -303,6 +304,7 @@ async function runLearningCycle(failedResult, options = {}) {
     query_id: failedResult.query_id,
     original_query: failedResult.query_text,
     original_response: failedResult.response,
+    retrieved_chunks: failedResult.retrieved_chunks || [],
     status: 'STARTED'
   };
 
@@ -368,6 +370,7 @@ async function runLearningCycle(failedResult, options = {}) {
       const verification = await verifyPatch(failedResult.npc_id, query, aiClient);
       cycle.verification_verdict = verification.verdict;
       cycle.verification_response = verification.response;
+      cycle.verification_chunks = verification.retrieved_chunks || [];
 
       if (verification.success) {
         cycle.final_status = 'LEARNED';
@@ -467,6 +470,7 @@ async function applyPendingPatch(index, client = null) {
   cycle.after_knowledge = patchResult.after.knowledge_base;
   cycle.verification_verdict = verification.verdict;
   cycle.verification_response = verification.response;
+  cycle.verification_chunks = verification.retrieved_chunks || [];
 
   if (verification.success) {
     cycle.final_status = 'LEARNED';
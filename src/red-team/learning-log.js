@@ -19,11 +19,13 @@ const PENDING_LEARNING = path.join(DATA_DIR, 'pending-learning.json');
  * @property {string} query_id
  * @property {string} original_query
  * @property {string} original_response
+ * @property {string[]} retrieved_chunks - Knowledge chunk IDs the probe prompt used
  * @property {Object} before_knowledge
  * @property {Object} generated_entry
  * @property {Object} after_knowledge
  * @property {string} verification_verdict
  * @property {string} verification_response
+ * @property {string[]} verification_chunks - Knowledge chunk IDs the verification probe used
  * @property {string} final_status - 'LEARNED' | 'FAILED_VERIFICATION' | 'ESCALATED'
  * @property {string} [error]
  * @property {boolean} [rollback]
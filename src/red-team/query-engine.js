@@ -7,7 +7,8 @@
 const fs = require('fs');
 const path = require('path');
 const { loadFacts, getFactsForNpc } = require('./fact-database');
-const { quickChat } = require('../ai-client');
+const { quickChat, USAGE_CALLERS } = require('../ai-client');
+const { retrieveKnowledge, getRetrievedChunks } = require('../knowledge-retrieval');
 
 const QUERIES_FILE = path.join(__dirname, '../../data/red-team/queries.json');
 const GENERATED_QUERIES_DIR = path.join(__dirname, '../../data/red-team/generated-queries');
@@ -303,20 +304,24 @@ function getQueriesForNpcByTier(npcId, maxTier = TIER.NICE_TO_HAVE) {
 
 /**
  * Build a probe prompt for an NPC
+ * Knowledge is retrieved for the question, as in play, so a failure can be
+ * traced to a retrieval miss.
  * @param {Query} query - Query to ask
  * @param {Object} npc - NPC data
+ * @param {Object} [retrieval] - From retrieveKnowledge (default: retrieved for query.query)
  * @returns {string} Formatted prompt
  */
-function buildProbePrompt(query, npc) {
+function buildProbePrompt(query, npc, retrieval = retrieveKnowledge(npc, query.query)) {
   let prompt = `You are ${npc.name}`;
   if (npc.title) prompt += `, ${npc.title}`;
   prompt += '.\n\n';
 
-  // Include knowledge base if present
-  if (npc.knowledge_base && Object.keys(npc.knowledge_base).length > 0) {
+  // Include retrieved knowledge if any
+  const chunks = getRetrievedChunks(retrieval, 'knowledge');
+  if (chunks.length > 0) {
     prompt += `YOUR KNOWLEDGE:\n`;
-    for (const [topic, content] of Object.entries(npc.knowledge_base)) {
-      prompt += `- ${topic}: ${content}\n`;
+    for (const chunk of chunks) {
+      prompt += `- ${chunk.label}: ${chunk.text}\n`;
     }
     prompt += '\n';
   }
@@ -332,13 +337,15 @@ function buildProbePrompt(query, npc) {
  * @param {Query} query - Query to execute
  * @param {Object} npc - NPC data
  * @param {Object} client - AI client (optional)
- * @returns {Object} { query, npc, response, timestamp }
+ * @returns {Object} { query_id, npc_id, query_text, retrieved_chunks, timestamp, response, error }
  */
 async function executeQuery(query, npc, client = null) {
+  const retrieval = retrieveKnowledge(npc, query.query);
   const result = {
     query_id: query.id,
     npc_id: npc.id,
     query_text: query.query,
+    retrieved_chunks: retrieval.chunks.map(chunk => chunk.id),
     timestamp: new Date().toISOString(),
     response: null,
     error: null
@@ -352,8 +359,8 @@ async function executeQuery(query, npc, client = null) {
   }
 
   try {
-    const prompt = buildProbePrompt(query, npc);
-    const response = await quickChat(client, prompt);
+    const prompt = buildProbePrompt(query, npc, retrieval);
+    const response = await quickChat(client, prompt, { caller: USAGE_CALLERS.RED_TEAM_PROBE });
     result.response = response;
   } catch (e) {
     result.error = e.message;
@@ -6,11 +6,24 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { getFact } = require('./fact-database');
 const { getQuery, getQueriesForNpc, getCriticalQueriesForNpc, TIER } = require('./query-engine');
+const { bestSentenceMatch } = require('../embeddings');
+const { normalizeText, findKeyword, judgeResponse, computeAgreement } = require('./judge');
+
+// Lazy-loaded: indexing pulls in scenes and NPC knowledge modules
+let semanticIndex = null;
+function getSemanticIndex() {
+  if (!semanticIndex) {
+    semanticIndex = require('../semantic-index');
+  }
+  return semanticIndex;
+}
 
 const RESULTS_DIR = path.join(__dirname, '../../data/validation-results');
 const CACHE_FILE = path.join(__dirname, '../../data/validation-results/validation-cache.json');
+const NPCS_DIR = path.join(__dirname, '../../data/npcs');
 
 /**
  * In-memory validation cache
@@ -27,6 +40,16 @@ const VERDICT = {
   WARN: 'WARN'
 };
 
+/**
+ * Similarity at which a response counts as conveying the fact in other words
+ */
+const SEMANTIC_PASS_SCORE = 0.45;
+
+/**
+ * Similarity at which a keyword FAIL is softened to WARN
+ */
+const SEMANTIC_WARN_SCORE = 0.3;
+
 /**
  * Load validation cache from disk
  * @returns {Object} Cache data { npcId: { lastValidated, passed, failed } }
@@ -154,12 +177,19 @@ function clearValidationCache(npcId = null) {
 
 /**
  * Validate a response against a query's expectations
+ * Keywords decide first, matched on normalized text (numbers and credit
+ * amounts in any form) and ignoring negated mentions. When expected keywords
+ * are missing, the response is compared with the fact itself (embeddings), so
+ * an NPC who conveys the fact in other words is not failed for it. Failure
+ * keywords always FAIL. The outcome is kept as keyword_verdict so an LLM
+ * judge (judgeReport) can be compared against it.
  * @param {string} response - NPC's response text
  * @param {Object} query - Query with expected/failure keywords
+ * @param {Object} options - { semantic: compare with the fact when keywords miss (default true) }
  * @returns {Object} Validation result
  */
-function validateResponse(response, query) {
-  const normalizedResponse = response.toLowerCase();
+function validateResponse(response, query, options = {}) {
+  const normalizedResponse = normalizeText(response);
 
   const result = {
     query_id: query.id,
@@ -167,13 +197,18 @@ function validateResponse(response, query) {
     verdict: VERDICT.PASS,
     expected_found: [],
     expected_missing: [],
+    expected_negated: [],
     failure_found: [],
+    failure_negated: [],
     details: ''
   };
 
-  // Check for failure keywords (automatic FAIL)
+  // Check for failure keywords (automatic FAIL unless denied)
   for (const keyword of query.failure_keywords || []) {
-    if (normalizedResponse.includes(keyword.toLowerCase())) {
+    const match = findKeyword(normalizedResponse, keyword);
+    if (match.negated) {
+      result.failure_negated.push(keyword);
+    } else if (match.found) {
       result.failure_found.push(keyword);
     }
   }
@@ -181,15 +216,18 @@ function validateResponse(response, query) {
   if (result.failure_found.length > 0) {
     result.verdict = VERDICT.FAIL;
     result.details = `Found failure keywords: ${result.failure_found.join(', ')}`;
+    result.keyword_verdict = result.verdict;
     return result;
   }
 
-  // Check for expected keywords
+  // Check for expected keywords (a denied keyword is not conveyed)
   for (const keyword of query.expected_keywords || []) {
-    if (normalizedResponse.includes(keyword.toLowerCase())) {
+    const match = findKeyword(normalizedResponse, keyword);
+    if (match.found && !match.negated) {
       result.expected_found.push(keyword);
     } else {
       result.expected_missing.push(keyword);
+      if (match.negated) result.expected_negated.push(keyword);
     }
   }
 
@@ -211,9 +249,61 @@ function validateResponse(response, query) {
     result.details = `Found ${foundCount}/${expectedCount} expected keywords`;
   }
 
+  const negated = [...result.failure_negated, ...result.expected_negated];
+  if (negated.length > 0) {
+    result.details += `; negated: ${negated.join(', ')}`;
+  }
+
+  if (result.verdict !== VERDICT.PASS && options.semantic !== false) {
+    applySemanticCheck(result, response, query);
+  }
+
+  result.keyword_verdict = result.verdict;
   return result;
 }
 
+/**
+ * Check whether an expected keyword pins down a specific fact (a figure or a name)
+ * @param {string} keyword - Expected keyword
+ * @returns {boolean} True for keywords with a digit or a capital first letter
+ */
+function isAnchorKeyword(keyword) {
+  return /\d/.test(keyword) || /^[A-Z]/.test(keyword);
+}
+
+/**
+ * Compare a response with its query's fact and raise the verdict if it matches
+ * Similarity is lexical, so "Cr4000 flat fee" reads like "Cr3000 flat fee".
+ * Only a response that also names one of the expected figures or names
+ * (anchor keywords, often alternatives such as Cr3000/3000) can be raised to
+ * PASS; without one the verdict goes no higher than WARN.
+ * @param {Object} result - Keyword result from validateResponse (updated in place)
+ * @param {string} response - NPC's response text
+ * @param {Object} query - Query with fact_id
+ */
+function applySemanticCheck(result, response, query) {
+  const fact = query.fact_id ? getFact(query.fact_id) : null;
+  if (!fact?.content) return;
+
+  const match = bestSentenceMatch(response, getSemanticIndex().getFactVector(fact));
+  result.semantic = { score: Math.round(match.score * 1000) / 1000, sentence: match.sentence };
+
+  const anchors = (query.expected_keywords || []).filter(isAnchorKeyword);
+  const anchored = anchors.length === 0 || anchors.some(keyword => result.expected_found.includes(keyword));
+
+  const similarity = `similarity ${result.semantic.score.toFixed(2)}`;
+  if (match.score >= SEMANTIC_PASS_SCORE && anchored) {
+    result.verdict = VERDICT.PASS;
+    result.details = `Fact conveyed in other words (${similarity}); ${result.details}`;
+  } else if (match.score >= SEMANTIC_PASS_SCORE) {
+    result.verdict = VERDICT.WARN;
+    result.details = `Fact paraphrased without ${anchors.join(' / ')} (${similarity}); ${result.details}`;
+  } else if (result.verdict === VERDICT.FAIL && match.score >= SEMANTIC_WARN_SCORE) {
+    result.verdict = VERDICT.WARN;
+    result.details = `Fact partly conveyed (${similarity}); ${result.details}`;
+  }
+}
+
 /**
  * Run validation for a single query result
  * @param {Object} queryResult - Result from executeQuery
@@ -284,6 +374,19 @@ function generatePatchSuggestion(query, validation) {
   };
 }
 
+/**
+ * Fingerprint an NPC's persona file, so reports show when it was edited
+ * @param {string} npcId - NPC identifier
+ * @returns {string|null} Short hash of the file, or null if missing
+ */
+function getPersonaHash(npcId) {
+  const npcFile = path.join(NPCS_DIR, `${npcId}.json`);
+  if (!fs.existsSync(npcFile)) {
+    return null;
+  }
+  return crypto.createHash('sha1').update(fs.readFileSync(npcFile)).digest('hex').slice(0, 12);
+}
+
 /**
  * Run full validation for an NPC
  * @param {string} npcId - NPC identifier
@@ -294,6 +397,7 @@ function runNpcValidation(npcId, queryResults) {
   const report = {
     npc_id: npcId,
     timestamp: new Date().toISOString(),
+    persona_hash: getPersonaHash(npcId),
     results: [],
     summary: {
       total: 0,
@@ -324,8 +428,71 @@ function runNpcValidation(npcId, queryResults) {
   return report;
 }
 
+/**
+ * Count verdicts in a list of results
+ * @param {Array} results - Validation results
+ * @returns {Object} { total, pass, fail, warn }
+ */
+function tallyVerdicts(results) {
+  return {
+    total: results.length,
+    pass: results.filter(r => r.verdict === VERDICT.PASS).length,
+    fail: results.filter(r => r.verdict === VERDICT.FAIL).length,
+    warn: results.filter(r => r.verdict === VERDICT.WARN).length
+  };
+}
+
+/**
+ * Run the LLM judge over a validation report
+ * Each answered query gets judge_verdict and judge_rationale next to its
+ * keyword_verdict; the judge's verdict becomes the result's verdict. The
+ * summary is recounted and gains agreement statistics between the layers.
+ * Queries the judge could not answer keep their keyword verdict.
+ * @param {Object} report - Report from runNpcValidation (updated in place)
+ * @param {Object} options - { client }
+ * @returns {Promise<Object>} The report
+ */
+async function judgeReport(report, options = {}) {
+  const { client = null } = options;
+
+  for (const result of report.results) {
+    if (result.error || typeof result.response !== 'string') continue;
+
+    const query = getQuery(result.query_id);
+    if (!query) continue;
+
+    if (!result.keyword_verdict) result.keyword_verdict = result.verdict;
+    const judged = await judgeResponse(client, result.response, query, getFact(query.fact_id));
+
+    if (!judged.verdict) {
+      result.judge_error = judged.error;
+      continue;
+    }
+
+    result.judge_verdict = judged.verdict;
+    result.judge_rationale = judged.rationale;
+    result.verdict = judged.verdict;
+
+    if ('suggested_patch' in result) {
+      result.suggested_patch = result.verdict === VERDICT.FAIL
+        ? result.suggested_patch || generatePatchSuggestion(query, result)
+        : null;
+    }
+  }
+
+  report.summary = {
+    ...report.summary,
+    ...tallyVerdicts(report.results),
+    agreement: computeAgreement(report.results)
+  };
+
+  return report;
+}
+
 /**
  * Save validation report to file
+ * Filenames carry the time as well as the date so same-day reruns
+ * (e.g. re-validating after learning) keep their history for the dashboard.
  * @param {Object} report - Validation report
  */
 function saveValidationReport(report) {
@@ -333,8 +500,8 @@ function saveValidationReport(report) {
     fs.mkdirSync(RESULTS_DIR, { recursive: true });
   }
 
-  const date = new Date().toISOString().split('T')[0];
-  const filename = `${report.npc_id}-${date}.json`;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const filename = `${report.npc_id}-${stamp}.json`;
   const filepath = path.join(RESULTS_DIR, filename);
 
   fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
@@ -415,6 +582,11 @@ function formatValidationReport(report) {
     ``
   ];
 
+  const agreement = report.summary.agreement;
+  if (agreement?.judged > 0) {
+    lines.splice(-1, 0, `  Judge agreement: ${agreement.agreed}/${agreement.judged} (${Math.round(agreement.rate * 100)}%)`);
+  }
+
   for (const result of report.results) {
     const icon = result.verdict === VERDICT.PASS ? '✓' : result.verdict === VERDICT.FAIL ? '✗' : '⚠';
     lines.push(`  ${icon} [${result.query_id}] ${result.verdict}`);
@@ -424,6 +596,13 @@ function formatValidationReport(report) {
       lines.push(`    ${result.details}`);
     }
 
+    if (result.judge_verdict) {
+      const layers = result.judge_verdict === result.keyword_verdict ? 'agrees' : `keywords said ${result.keyword_verdict}`;
+      lines.push(`    Judge: ${result.judge_verdict} (${layers}) - ${result.judge_rationale}`);
+    } else if (result.judge_error) {
+      lines.push(`    Judge: unavailable (${result.judge_error})`);
+    }
+
     if (result.suggested_patch) {
       lines.push(`    Suggested: Add to ${result.suggested_patch.field}`);
     }
@@ -525,9 +704,14 @@ function getValidationSummary(npcId) {
 
 module.exports = {
   VERDICT,
+  SEMANTIC_PASS_SCORE,
+  SEMANTIC_WARN_SCORE,
   validateResponse,
   validateQueryResult,
   runNpcValidation,
+  judgeReport,
+  tallyVerdicts,
+  getPersonaHash,
   saveValidationReport,
   loadValidationReport,
   getAllValidationReports,
@@ -5,6 +5,8 @@
 
 const path = require('path');
 const fs = require('fs');
+const { queryCatalog } = require('./equipment-catalog');
+const { getCredits } = require('./character-sheet');
 
 // Cache for loaded resources
 const resourceCache = new Map();
@@ -81,11 +83,10 @@ function getAvailableResources(adventureId, category, location) {
  * Check if a PC can obtain a specific resource
  * @param {string} adventureId - Adventure ID
  * @param {string} resourceId - Resource ID to check
- * @param {Object} pcSkills - PC's skills object
- * @param {number} pcCredits - PC's available credits
+ * @param {Object} [pc] - PC data; credits come from the character sheet
  * @returns {Object} Availability result with reason
  */
-function canPCObtain(adventureId, resourceId, pcSkills = {}, pcCredits = 0) {
+function canPCObtain(adventureId, resourceId, pc = null) {
   const resources = loadResources(adventureId);
   if (!resources) {
     return { available: false, reason: 'Resources not found' };
@@ -100,7 +101,7 @@ function canPCObtain(adventureId, resourceId, pcSkills = {}, pcCredits = 0) {
   // Check cost if applicable
   if (resource.cost) {
     const costMatch = resource.cost.match(/Cr(\d+)/);
-    if (costMatch && parseInt(costMatch[1]) > pcCredits) {
+    if (costMatch && parseInt(costMatch[1]) > getCredits(pc)) {
       return { available: false, reason: `Insufficient credits (need Cr${costMatch[1]})` };
     }
   }
@@ -207,6 +208,21 @@ function getNarratorRedirect(adventureId, resourceType) {
   return null;
 }
 
+/**
+ * Query the equipment catalog for gear that can be bought on the adventure's world
+ * Items above the world's tech level are left out.
+ * @param {string} adventureId - Adventure ID
+ * @param {Object} query - equipment-catalog query, e.g. { category: 'survival', maxCost: 500 }
+ * @returns {Object[]} Catalog items, cheapest first
+ */
+function findLocalEquipment(adventureId, query = {}) {
+  const worldTL = loadResources(adventureId)?.tech_level;
+  const maxTL = Number.isFinite(worldTL)
+    ? Math.min(worldTL, query.maxTL ?? worldTL)
+    : query.maxTL;
+  return queryCatalog({ ...query, maxTL });
+}
+
 /**
  * Clear cache (for testing)
  */
@@ -220,5 +236,6 @@ module.exports = {
   canPCObtain,
   suggestAlternatives,
   getNarratorRedirect,
+  findLocalEquipment,
   clearCache
 };
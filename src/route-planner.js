@@ -0,0 +1,265 @@
+/**
+ * Route Planner - Jump routes between worlds in the loaded subsectors
+ *
+ * Pattern: Stateless rules module
+ * Hexes are sector-relative "XXYY" codes (column, row). Even columns sit
+ * half a hex lower than odd ones, so distances go through cube coordinates.
+ * A ship can jump up to its jump rating in parsecs and only arrives at
+ * worlds, so a route is a chain of worlds each within range of the last.
+ *
+ * Stops need fuel for the next jump: refined fuel at class A and B
+ * starports, unrefined at C and D, or skimmed from a gas giant. Routes take
+ * the fewest jumps, preferring refined fuel over unrefined over skimming,
+ * and never stop where the ship cannot refuel or in a Red zone. Each jump
+ * burns 10% of the hull per parsec.
+ */
+
+const { getWorld, getWorldByHex, listWorlds, parseUWP } = require('./subsector-data');
+
+/**
+ * Days in jump space (a jump takes about a week whatever the distance)
+ */
+const JUMP_DAYS = 7;
+
+/**
+ * Days to reach the jump limit on departure or the world on arrival
+ */
+const IN_SYSTEM_DAYS = 1;
+
+/**
+ * Days to skim fuel from a gas giant
+ */
+const SKIM_DAYS = 1;
+
+/**
+ * Fuel a jump burns per parsec, as a fraction of hull tonnage
+ */
+const FUEL_PER_PARSEC = 0.1;
+
+/**
+ * Default ship: a Type-S scout (100 tons, jump-2)
+ */
+const DEFAULT_SHIP = { jump: 2, hullTons: 100 };
+
+/**
+ * Refuelling at a stop, best first: cost is added per stop to prefer better fuel
+ */
+const REFUEL_OPTIONS = {
+  refined: { label: 'refined fuel', cost: 0, pricePerTon: 500 },
+  unrefined: { label: 'unrefined fuel', cost: 0.1, pricePerTon: 100 },
+  'gas giant': { label: 'gas giant skimming', cost: 0.2, pricePerTon: 0 },
+  none: { label: 'no fuel', cost: Infinity, pricePerTon: null }
+};
+
+/**
+ * Parse a hex code
+ * @param {string} hex - e.g. "1232"
+ * @returns {Object|null} { col, row } or null if not a hex
+ */
+function parseHex(hex) {
+  const match = String(hex || '').trim().match(/^(\d{2})(\d{2})$/);
+  return match ? { col: Number(match[1]), row: Number(match[2]) } : null;
+}
+
+/**
+ * Distance in parsecs between two hexes
+ * @param {string} from - Hex code
+ * @param {string} to - Hex code
+ * @returns {number|null} Parsecs, null if either hex is invalid
+ */
+function hexDistance(from, to) {
+  const a = parseHex(from);
+  const b = parseHex(to);
+  if (!a || !b) return null;
+
+  // Cube coordinates for an "even columns lower" layout
+  const cube = ({ col, row }) => {
+    const r = row - (col + (col & 1)) / 2;
+    return { q: col, r, s: -col - r };
+  };
+  const ca = cube(a);
+  const cb = cube(b);
+  return Math.max(Math.abs(ca.q - cb.q), Math.abs(ca.r - cb.r), Math.abs(ca.s - cb.s));
+}
+
+/**
+ * Find a world by name or hex
+ * @param {string} ref - e.g. "Walston" or "1232"
+ * @returns {Object|null} World
+ */
+function resolveWorld(ref) {
+  if (!ref) return null;
+  return getWorld(String(ref)) || (parseHex(ref) ? getWorldByHex(String(ref).trim()) : null);
+}
+
+/**
+ * Does a world have a gas giant to skim
+ * Reads gasGiants, or the last digit of a PBG code.
+ * @param {Object} world - World data
+ * @returns {boolean} True if it has one
+ */
+function hasGasGiant(world) {
+  if (Number.isFinite(world?.gasGiants)) return world.gasGiants > 0;
+  const pbg = String(world?.pbg || '');
+  return pbg.length === 3 && pbg[2] !== '0';
+}
+
+/**
+ * Best fuel a ship can get at a world
+ * @param {Object} world - World data
+ * @returns {string} Key of REFUEL_OPTIONS
+ */
+function getRefuelling(world) {
+  const starport = parseUWP(world?.uwp)?.starport;
+  if (starport === 'A' || starport === 'B') return 'refined';
+  if (starport === 'C' || starport === 'D') return 'unrefined';
+  return hasGasGiant(world) ? 'gas giant' : 'none';
+}
+
+/**
+ * Is a world a Red zone
+ * @param {Object} world - World data
+ * @returns {boolean} True for Red zones
+ */
+function isRedZone(world) {
+  return /^r/i.test(String(world?.zone || ''));
+}
+
+/**
+ * Parse a jump rating
+ * @param {string|number} ref - "J2", "jump-2", "2" or 2
+ * @returns {number|null} Jump rating 1-6
+ */
+function parseJump(ref) {
+  const match = String(ref ?? '').trim().match(/^(?:j(?:ump)?-?\s*)?([1-6])$/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find the best jump route between two worlds
+ * @param {string} fromRef - Origin name or hex
+ * @param {string} toRef - Destination name or hex
+ * @param {Object} options - { jump, hullTons, allowRed }
+ * @returns {Object} Route (see below) or { error }
+ *   { from, to, jump, hullTons, distance, legs: [{ from, to, parsecs, fuel }],
+ *     stops: [{ name, hex, uwp, refuel }], jumps, days, fuel, maxLegFuel, fuelCost }
+ */
+function findRoute(fromRef, toRef, options = {}) {
+  const jump = options.jump ?? DEFAULT_SHIP.jump;
+  const hullTons = options.hullTons ?? DEFAULT_SHIP.hullTons;
+  const from = resolveWorld(fromRef);
+  const to = resolveWorld(toRef);
+  if (!from) return { error: `Unknown world: ${fromRef}` };
+  if (!to) return { error: `Unknown world: ${toRef}` };
+  if (!Number.isInteger(jump) || jump < 1 || jump > 6) return { error: `Invalid jump rating: ${options.jump}` };
+
+  // Dijkstra over worlds, a jump costing 1 plus the stop's refuelling cost;
+  // parsecs break ties so shorter jumps (less fuel) win
+  const worlds = listWorlds().filter(w => parseHex(w.hex));
+  const cost = new Map([[from.hex, 0]]);
+  const previous = new Map();
+  const done = new Set();
+
+  while (true) {
+    let current = null;
+    for (const [hex, value] of cost) {
+      if (!done.has(hex) && (current === null || value < cost.get(current))) current = hex;
+    }
+    if (current === null || current === to.hex) break;
+    done.add(current);
+
+    const here = getWorldByHex(current);
+    if (current !== from.hex) {
+      if (getRefuelling(here) === 'none') continue;
+      if (isRedZone(here) && !options.allowRed) continue;
+    }
+
+    for (const next of worlds) {
+      if (done.has(next.hex)) continue;
+      const parsecs = hexDistance(current, next.hex);
+      if (parsecs < 1 || parsecs > jump) continue;
+      const stopCost = next.hex === to.hex ? 0 : REFUEL_OPTIONS[getRefuelling(next)].cost;
+      const total = cost.get(current) + 1 + stopCost + parsecs / 1000;
+      if (!cost.has(next.hex) || total < cost.get(next.hex)) {
+        cost.set(next.hex, total);
+        previous.set(next.hex, current);
+      }
+    }
+  }
+
+  if (from.hex !== to.hex && !previous.has(to.hex)) {
+    return { error: `No jump-${jump} route from ${from.name} to ${to.name} with refuelling stops` };
+  }
+
+  const path = [to.hex];
+  while (path[0] !== from.hex) path.unshift(previous.get(path[0]));
+  const chain = path.map(hex => getWorldByHex(hex));
+
+  const legs = chain.slice(1).map((world, i) => {
+    const parsecs = hexDistance(chain[i].hex, world.hex);
+    return { from: chain[i].name, to: world.name, parsecs, fuel: Math.round(hullTons * FUEL_PER_PARSEC * parsecs) };
+  });
+  const stops = chain.slice(1, -1).map(world => ({
+    name: world.name, hex: world.hex, uwp: world.uwp, refuel: getRefuelling(world)
+  }));
+
+  // Fuel for each leg is bought where it starts (skimmed fuel is free)
+  const fuelCost = legs.reduce((sum, leg, i) => {
+    const price = REFUEL_OPTIONS[getRefuelling(chain[i])].pricePerTon || 0;
+    return sum + leg.fuel * price;
+  }, 0);
+  const skims = stops.filter(stop => stop.refuel === 'gas giant').length;
+
+  return {
+    from: { name: from.name, hex: from.hex, uwp: from.uwp },
+    to: { name: to.name, hex: to.hex, uwp: to.uwp },
+    jump,
+    hullTons,
+    distance: hexDistance(from.hex, to.hex),
+    legs,
+    stops,
+    jumps: legs.length,
+    days: legs.length > 0 ? legs.length * JUMP_DAYS + (legs.length + 1) * IN_SYSTEM_DAYS + skims * SKIM_DAYS : 0,
+    fuel: legs.reduce((sum, leg) => sum + leg.fuel, 0),
+    maxLegFuel: Math.max(0, ...legs.map(leg => leg.fuel)),
+    fuelCost
+  };
+}
+
+/**
+ * Format a route for display
+ * @param {Object} route - From findRoute
+ * @returns {string} Route text
+ */
+function formatRoute(route) {
+  if (route.error) return route.error;
+
+  const lines = [
+    `=== ROUTE: ${route.from.name} (${route.from.hex}) to ${route.to.name} (${route.to.hex}), Jump-${route.jump} ===`,
+    `Distance: ${route.distance} parsecs, ${route.jumps} jump${route.jumps === 1 ? '' : 's'}, about ${route.days} days`,
+    `Fuel: ${route.fuel} tons for a ${route.hullTons}-ton hull (largest jump ${route.maxLegFuel} tons), about Cr${route.fuelCost}`
+  ];
+  route.legs.forEach((leg, i) => {
+    const stop = route.stops[i];
+    const refuel = stop ? `, refuel: ${REFUEL_OPTIONS[stop.refuel].label}` : '';
+    lines.push(`  ${i + 1}. ${leg.from} -> ${leg.to} (${leg.parsecs} pc, ${leg.fuel} tons${refuel})`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  JUMP_DAYS,
+  IN_SYSTEM_DAYS,
+  SKIM_DAYS,
+  FUEL_PER_PARSEC,
+  DEFAULT_SHIP,
+  REFUEL_OPTIONS,
+  parseHex,
+  hexDistance,
+  resolveWorld,
+  hasGasGiant,
+  getRefuelling,
+  parseJump,
+  findRoute,
+  formatRoute
+};
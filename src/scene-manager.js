@@ -9,6 +9,8 @@ const { loadScene, listScenes, recordBeat } = require('./story-engine');
 const { setFlag, saveStoryState, selectStage, slugifyStage } = require('./decision-tracker');
 const { sendEmailFromTemplate } = require('./email-system');
 const { loadPersona } = require('./persona');
+const { addDuration, hoursBetween } = require('./imperial-calendar');
+const { advanceSessionClock } = require('./game-clock');
 
 /**
  * Scene directive types
@@ -174,7 +176,7 @@ function triggerSceneEmails(session, scene) {
  * Advance to a new scene
  * @param {Object} session - Adventure session
  * @param {string} sceneId - Target scene ID
- * @param {Object} [options] - Transition options
+ * @param {Object} [options] - Transition options { timeSkip, timeReason, isFlashback, isBack }
  * @returns {Object} Scene transition result
  */
 function advanceToScene(session, sceneId, options = {}) {
@@ -248,12 +250,17 @@ function advanceToScene(session, sceneId, options = {}) {
     session.storyState.currentScene = sceneId;
   }
 
-  // Apply time skip if specified
+  // Apply time skip if specified (through the clock so timed actions and triggers run)
   if (options.timeSkip) {
-    applyTimeSkip(session.storyState, options.timeSkip);
+    result.clock = advanceSessionClock(session, options.timeSkip, [options.timeReason || 'time skip']);
     result.timeAdvanced = options.timeSkip;
   }
 
+  // Stage time estimates restart with the new scene
+  if (!options.isFlashback) {
+    session.storyState.sceneMinutes = 0;
+  }
+
   // Save state
   if (!options.isFlashback) {
     saveStoryState(session.storyState);
@@ -308,35 +315,16 @@ function canGoBack(session) {
 /**
  * Apply a time skip to the story state
  * @param {Object} storyState - Story state
- * @param {Object} timeSkip - { amount, unit }
+ * @param {Object} timeSkip - { amount, unit } with unit h, d or w
+ * @returns {number} Hours advanced (0 if there is no valid game date)
  */
 function applyTimeSkip(storyState, timeSkip) {
-  // Parse current game date (format: DDD-YYYY)
-  const dateMatch = storyState.gameDate?.match(/(\d{3})-(\d{4})/);
-  if (!dateMatch) return;
-
-  let day = parseInt(dateMatch[1], 10);
-  let year = parseInt(dateMatch[2], 10);
-
-  // Apply skip
-  switch (timeSkip.unit) {
-    case 'h': // hours - less than a day, minimal impact
-      break;
-    case 'd': // days
-      day += timeSkip.amount;
-      break;
-    case 'w': // weeks
-      day += timeSkip.amount * 7;
-      break;
-  }
-
-  // Handle year rollover (365 days per year in Traveller)
-  while (day > 365) {
-    day -= 365;
-    year += 1;
-  }
+  const next = addDuration(storyState.gameDate, timeSkip);
+  if (!next) return 0;
 
-  storyState.gameDate = `${String(day).padStart(3, '0')}-${year}`;
+  const hours = hoursBetween(storyState.gameDate, next);
+  storyState.gameDate = next;
+  return hours;
 }
 
 /**
@@ -349,7 +337,6 @@ function markBeatComplete(session, beatId) {
     session.storyState.completedBeats = [];
   }
   if (!session.storyState.completedBeats.includes(beatId)) {
-    session.storyState.completedBeats.push(beatId);
     recordBeat(session.storyState, beatId);
   }
   saveStoryState(session.storyState);
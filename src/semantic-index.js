@@ -0,0 +1,188 @@
+/**
+ * Semantic Index - Embedded collections of facts, NPC knowledge and scene stages
+ *
+ * Pattern: Lazy indexing over the vector store
+ * Keyword checks (scene-extractor.extractKeywords, validator's expected and
+ * failure keywords) miss answers phrased differently from the source. This
+ * module keeps three kinds of collection in the vector store so callers can
+ * ask "what is this text closest to?":
+ *   red-team-facts       manual red-team facts plus facts extracted from scenes
+ *   npc-<npc id>         an NPC's knowledge_base, chunked as knowledge-retrieval does
+ *   scenes-<adventure>   every stage of every scene in an adventure
+ * Each collection is brought up to date the first time it is searched in a
+ * process; unchanged items are not re-embedded.
+ */
+
+const { loadFacts } = require('./red-team/fact-database');
+const { loadAllExtractedFacts } = require('./knowledge-extraction/learning-integration');
+const { listScenes, loadScene } = require('./story-engine');
+const { chunkText } = require('./knowledge-retrieval');
+const { embedTexts } = require('./embeddings');
+const vectorStore = require('./embeddings/vector-store');
+
+const FACTS_COLLECTION = 'red-team-facts';
+
+// Collections already brought up to date in this process
+const indexed = new Set();
+
+/**
+ * Collection name for an NPC's knowledge
+ * @param {string} npcId - NPC identifier
+ * @returns {string} Collection name
+ */
+function npcCollection(npcId) {
+  return `npc-${npcId}`;
+}
+
+/**
+ * Collection name for an adventure's scene stages
+ * @param {string} adventureId - Adventure identifier
+ * @returns {string} Collection name
+ */
+function scenesCollection(adventureId) {
+  return `scenes-${adventureId}`;
+}
+
+/**
+ * Store key for a fact
+ * Extracted fact IDs repeat across fields, so they are qualified by source.
+ * @param {Object} fact - Red-team or extracted fact
+ * @returns {string} Key
+ */
+function factKey(fact) {
+  return fact.source ? `${fact.id}@${fact.source}` : fact.id;
+}
+
+/**
+ * Index every red-team fact
+ * @returns {Object} Upsert stats { added, updated, unchanged, removed }
+ */
+function indexRedTeamFacts() {
+  const facts = [...loadFacts().facts, ...loadAllExtractedFacts()];
+  const stats = vectorStore.upsertItems(FACTS_COLLECTION, facts.map(fact => ({
+    id: factKey(fact),
+    text: fact.content,
+    meta: { factId: fact.id, category: fact.category || null, npcs: fact.relevant_npcs || [] }
+  })), { prune: true });
+  indexed.add(FACTS_COLLECTION);
+  return stats;
+}
+
+/**
+ * Index an NPC's knowledge_base
+ * @param {Object} persona - NPC persona (needs id)
+ * @returns {Object} Upsert stats
+ */
+function indexNpcKnowledge(persona) {
+  const items = [];
+  for (const [topic, content] of Object.entries(persona.knowledge_base || {})) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    chunkText(text).forEach((piece, n) => {
+      items.push({ id: `kb:${topic}#${n}`, text: piece, meta: { topic } });
+    });
+  }
+  const name = npcCollection(persona.id);
+  const stats = vectorStore.upsertItems(name, items, { prune: true });
+  indexed.add(name);
+  return stats;
+}
+
+/**
+ * Index the stages of every scene in an adventure
+ * @param {string} adventureId - Adventure identifier
+ * @returns {Object} Upsert stats
+ */
+function indexSceneStages(adventureId) {
+  const items = [];
+  for (const sceneId of listScenes(adventureId)) {
+    let scene;
+    try {
+      scene = loadScene(adventureId, sceneId);
+    } catch (e) {
+      continue;
+    }
+    if (!Array.isArray(scene.stages)) continue;
+
+    scene.stages.forEach((stage, i) => {
+      const text = [stage.name, stage.altitude, stage.description, stage.objective].filter(Boolean).join(' - ');
+      items.push({ id: `${sceneId}:stages[${i}]`, text, meta: { scene: sceneId, stage: i, name: stage.name || null } });
+    });
+  }
+  const name = scenesCollection(adventureId);
+  const stats = vectorStore.upsertItems(name, items, { prune: true });
+  indexed.add(name);
+  return stats;
+}
+
+/**
+ * Facts most similar to a text
+ * @param {string} text - e.g. an NPC response or a player question
+ * @param {Object} options - { npcId: only facts relevant to this NPC, limit, minScore }
+ * @returns {Object[]} { id, factId, text, score }, best first
+ */
+function findSimilarFacts(text, options = {}) {
+  if (!indexed.has(FACTS_COLLECTION)) indexRedTeamFacts();
+  const filter = options.npcId ? hit => hit.meta.npcs.includes(options.npcId) : null;
+  return vectorStore.querySimilar(FACTS_COLLECTION, text, { limit: options.limit, minScore: options.minScore, filter })
+    .map(hit => ({ id: hit.id, factId: hit.meta.factId, text: hit.text, score: hit.score }));
+}
+
+/**
+ * Knowledge chunks of one NPC most similar to a text
+ * @param {Object} persona - NPC persona (needs id)
+ * @param {string} text - Query text
+ * @param {Object} options - { limit, minScore }
+ * @returns {Object[]} { id, topic, text, score }, best first
+ */
+function findSimilarKnowledge(persona, text, options = {}) {
+  if (!indexed.has(npcCollection(persona.id))) indexNpcKnowledge(persona);
+  return vectorStore.querySimilar(npcCollection(persona.id), text, options)
+    .map(hit => ({ id: hit.id, topic: hit.meta.topic, text: hit.text, score: hit.score }));
+}
+
+/**
+ * Scene stages most similar to a text
+ * @param {string} adventureId - Adventure identifier
+ * @param {string} text - Query text
+ * @param {Object} options - { scene: only this scene, limit, minScore }
+ * @returns {Object[]} { id, scene, stage, name, text, score }, best first
+ */
+function findSimilarStages(adventureId, text, options = {}) {
+  if (!indexed.has(scenesCollection(adventureId))) indexSceneStages(adventureId);
+  const filter = options.scene ? hit => hit.meta.scene === options.scene : null;
+  return vectorStore.querySimilar(scenesCollection(adventureId), text, { limit: options.limit, minScore: options.minScore, filter })
+    .map(hit => ({ id: hit.id, ...hit.meta, text: hit.text, score: hit.score }));
+}
+
+/**
+ * Vector for a fact, from the store when indexed
+ * @param {Object} fact - Red-team or extracted fact
+ * @returns {number[]} Vector
+ */
+function getFactVector(fact) {
+  if (!indexed.has(FACTS_COLLECTION)) indexRedTeamFacts();
+  return vectorStore.getVector(FACTS_COLLECTION, factKey(fact)) || embedTexts([fact.content])[0];
+}
+
+/**
+ * Forget which collections are up to date (the next search re-checks them)
+ */
+function reset() {
+  indexed.clear();
+  vectorStore.reset();
+}
+
+module.exports = {
+  FACTS_COLLECTION,
+  npcCollection,
+  scenesCollection,
+  factKey,
+  indexRedTeamFacts,
+  indexNpcKnowledge,
+  indexSceneStages,
+  findSimilarFacts,
+  findSimilarKnowledge,
+  findSimilarStages,
+  getFactVector,
+  reset
+};
@@ -3,8 +3,12 @@
  * Abstraction for skill checks - mock implementation for prototype.
  *
  * Pattern: Strategy - swap mock for VTT integration later
+ * Rolls through task-engine, so results carry Effect and band like skill checks.
  */
 
+const { rollTask } = require('./task-engine');
+const { getSkillLevel } = require('./character-sheet');
+
 /**
  * Roll 2d6
  * @returns {number} Sum of two d6 rolls (2-12)
@@ -19,43 +23,41 @@ function roll2d6() {
  * @param {number} threshold - Target number to meet or exceed
  * @param {Object} options - Optional modifiers
  * @param {number} options.modifier - Bonus/penalty to roll
- * @returns {Object} { success, roll, total, threshold, margin }
+ * @param {Object[]} options.dms - Situational DMs [{ source, value }]
+ * @param {boolean} options.boon - Roll 3D, keep the best two
+ * @param {boolean} options.bane - Roll 3D, keep the worst two
+ * @returns {Object} { success, roll, total, threshold, margin, effect, band }
  */
 function performCheck(skill, threshold, options = {}) {
-  const modifier = options.modifier || 0;
-  const roll = roll2d6();
-  const total = roll + modifier;
+  const task = rollTask({
+    difficulty: threshold,
+    dm: options.modifier || 0,
+    dms: options.dms,
+    boon: options.boon,
+    bane: options.bane
+  });
 
   return {
-    success: total >= threshold,
-    roll,
-    total,
+    success: task.success,
+    roll: task.roll,
+    total: task.total,
     threshold,
-    margin: total - threshold
+    margin: task.effect,
+    effect: task.effect,
+    band: task.band
   };
 }
 
 /**
  * Check if PC has skill at minimum level
- * @param {Object} pc - PC data object
+ * @param {Object} pc - PC data object (see character-sheet)
  * @param {string} skill - Skill name to check
  * @param {number} minLevel - Minimum level required
  * @returns {boolean} True if PC has skill at or above minLevel
  */
 function hasSkillLevel(pc, skill, minLevel) {
-  if (!pc || !pc.skills_notable) return false;
-
-  // skills_notable format: ["Pilot-2", "Gunner-1", "Vacc Suit-0"]
-  const skillEntry = pc.skills_notable.find(s =>
-    s.toLowerCase().startsWith(skill.toLowerCase())
-  );
-
-  if (!skillEntry) return false;
-
-  const match = skillEntry.match(/-(\d+)/);
-  if (!match) return false;
-
-  return parseInt(match[1], 10) >= minLevel;
+  const level = getSkillLevel(pc, skill);
+  return level !== null && level >= minLevel;
 }
 
 module.exports = {
@@ -2,9 +2,13 @@
  * Skill Resolver - Dice rolling and modifier calculation for Traveller RPG
  *
  * Pattern: Stateless utility module
- * Uses 2D6 + skill + attribute modifier vs difficulty
+ * Uses 2D6 + skill + attribute modifier + situational DMs vs difficulty,
+ * rolled through task-engine for Effect, boon/bane and timeframes
  */
 
+const { UNSKILLED_DM, SKILL_ATTRIBUTES, rollTask, getBandLabel, formatDMs } = require('./task-engine');
+const { CHARACTERISTICS, getSkillList, getSkillLevel, getCharacteristicModifier } = require('./character-sheet');
+
 /**
  * Roll N dice of D sides
  * @param {number} n - Number of dice
@@ -20,70 +24,63 @@ function rollDice(n, d) {
 }
 
 /**
- * Skill to attribute mapping (Traveller conventions)
+ * Get a PC's skills as { name, level }
+ * Reads the character sheet skill map, a skills array or skills_notable.
+ * @param {Object} pc - PC data
+ * @returns {Object[]} Skills
  */
-const SKILL_ATTRIBUTES = {
-  athletics: 'dex',
-  pilot: 'dex',
-  gunner: 'dex',
-  drive: 'dex',
-  flyer: 'dex',
-  vacc_suit: 'dex',
-  stealth: 'dex',
-  persuade: 'soc',
-  diplomat: 'soc',
-  leadership: 'soc',
-  carouse: 'soc',
-  streetwise: 'int',
-  electronics: 'edu',
-  engineer: 'edu',
-  medic: 'edu',
-  science: 'edu',
-  astrogation: 'edu',
-  survival: 'end',
-  recon: 'int',
-  investigate: 'int',
-  tactics: 'int',
-  admin: 'edu',
-  advocate: 'edu',
-  broker: 'int',
-  mechanic: 'edu',
-  animals: 'int'
-};
+function getPCSkills(pc) {
+  return getSkillList(pc);
+}
 
 /**
- * Get skill modifier from PC skills array
- * @param {Object} pc - PC data with skills array
- * @param {string} skillName - Skill name
+ * Get skill modifier from PC skills
+ * @param {Object} pc - PC data (see character-sheet)
+ * @param {string} skillName - Skill name, optionally with a speciality
  * @returns {number} Skill level (0 if untrained)
  */
 function getSkillModifier(pc, skillName) {
-  if (!pc || !pc.skills) return 0;
+  return getSkillLevel(pc, skillName) || 0;
+}
 
-  const normalized = skillName.toLowerCase().replace(/[_\s]/g, '');
-  const skill = pc.skills.find(s => {
-    const sNorm = s.name.toLowerCase().replace(/[_\s]/g, '');
-    return sNorm === normalized || sNorm.includes(normalized) || normalized.includes(sNorm);
-  });
+/**
+ * Check whether a check is a plain characteristic roll ("END", "end check")
+ * @param {string} skillName - Skill name from the check
+ * @returns {string|null} Characteristic key or null
+ */
+function getCharacteristicCheck(skillName) {
+  const key = String(skillName || '').toLowerCase().replace(/\s*check$/, '').trim();
+  return CHARACTERISTICS.includes(key) ? key : null;
+}
 
-  return skill?.level || 0;
+/**
+ * Get the DM for attempting a skill the PC does not have
+ * Only applies when the PC's skills are known. Jack-of-all-Trades offsets it.
+ * @param {Object} pc - PC data
+ * @param {string} skillName - Skill name
+ * @returns {number} 0 or a negative DM
+ */
+function getUnskilledModifier(pc, skillName) {
+  if (getCharacteristicCheck(skillName)) return 0;
+  if (getPCSkills(pc).length === 0 || getSkillLevel(pc, skillName) !== null) return 0;
+  return Math.min(0, UNSKILLED_DM + (getSkillLevel(pc, 'Jack-of-all-Trades') || 0));
 }
 
 /**
  * Get attribute modifier for a skill check
- * Traveller formula: (attribute - 7) / 3, rounded down
+ * Traveller formula: (attribute - 7) / 3, rounded down, on the characteristic
+ * as it stands after wounds
  * @param {Object} pc - PC data with characteristics
  * @param {string} skillName - Skill name to determine attribute
  * @returns {number} Attribute modifier
  */
 function getAttributeModifier(pc, skillName) {
-  if (!pc || !pc.characteristics) return 0;
+  if (!pc) return 0;
 
-  const normalized = skillName.toLowerCase().replace(/[_\s]/g, '');
-  const attr = SKILL_ATTRIBUTES[normalized] || 'int';
+  const normalized = skillName.toLowerCase().replace(/\s*\(.*\)$/, '').replace(/[_\s]/g, '');
+  const attr = getCharacteristicCheck(skillName) || SKILL_ATTRIBUTES[normalized] || 'int';
 
-  const value = pc.characteristics[attr] || 7;
-  return Math.floor((value - 7) / 3);
+  return getCharacteristicModifier(pc, attr);
 }
 
 /**
@@ -91,41 +88,88 @@ function getAttributeModifier(pc, skillName) {
  * @param {Object} check - Check parameters
  * @param {number} total - Total rolled
  * @param {boolean} success - Whether check succeeded
+ * @param {string} [band] - Effect band ID, shown instead of plain Success/Failure
  * @returns {string} Formatted result string
  */
-function formatCheckResult(check, total, success) {
-  const outcome = success ? 'Success' : 'Failure';
+function formatCheckResult(check, total, success, band = null) {
+  const outcome = band ? getBandLabel(band) : (success ? 'Success' : 'Failure');
   return `[${check.skill} check: ${total} vs ${check.difficulty}+ = ${outcome}]`;
 }
 
+/**
+ * Collect the situational DMs that apply to a check
+ * @param {Object} check - { skill, dm, dms }
+ * @param {Object} pc - PC data
+ * @param {Object} options - { equipment: items with task_dms, conditions: [{ name, dm, skills }] }
+ * @returns {Object[]} [{ source, value }]
+ */
+function getSituationalDMs(check, pc, options = {}) {
+  const dms = [];
+  const skill = check.skill.toLowerCase().replace(/[\s-]+/g, '_');
+
+  const unskilled = getUnskilledModifier(pc, check.skill);
+  if (unskilled) dms.push({ source: 'unskilled', value: unskilled });
+
+  // Gear that helps with the task: { task_dms: { athletics: 1 } }
+  for (const item of options.equipment || []) {
+    const value = item?.task_dms?.[skill] ?? item?.task_dms?.[skill.replace(/_?\(.*\)$/, '')];
+    if (value) dms.push({ source: item.name || item.id, value });
+  }
+
+  // Conditions such as altitude sickness: { name, dm, skills } (no skills = all checks)
+  for (const condition of options.conditions || []) {
+    const applies = !condition.skills || condition.skills.map(s => s.toLowerCase()).includes(skill);
+    if (applies && condition.dm) dms.push({ source: condition.name, value: condition.dm });
+  }
+
+  // DMs the narrator called for
+  if (check.dm) dms.push({ source: check.dmReason || 'circumstances', value: check.dm });
+  for (const dm of check.dms || []) dms.push(dm);
+
+  return dms;
+}
+
 /**
  * Resolve a skill check
- * @param {Object} check - { skill, difficulty, reason }
+ * @param {Object} check - { skill, difficulty, reason, dm, dms, boon, bane, pace, timeframe }
  * @param {Object} pc - PC data
  * @param {number} [forcedRoll] - Optional forced roll for testing
- * @returns {Object} Check result with all details
+ * @param {Object} [options] - { equipment, conditions } see getSituationalDMs
+ * @returns {Object} Check result with all details, including effect and band
  */
-function resolveCheck(check, pc, forcedRoll = null) {
-  const roll = forcedRoll !== null ? forcedRoll : rollDice(2, 6);
+function resolveCheck(check, pc, forcedRoll = null, options = {}) {
   const skillMod = getSkillModifier(pc, check.skill);
   const attrMod = getAttributeModifier(pc, check.skill);
-  const total = roll + skillMod + attrMod;
-
-  const success = total >= check.difficulty;
-  const exceptional = total >= check.difficulty + 6;
-  const fumble = roll === 2;
+  const task = rollTask({
+    difficulty: check.difficulty,
+    dm: skillMod + attrMod,
+    dms: getSituationalDMs(check, pc, options),
+    boon: check.boon,
+    bane: check.bane,
+    pace: check.pace,
+    timeframe: check.timeframe
+  }, { roll: forcedRoll });
 
   return {
-    roll,
+    roll: task.roll,
+    dice: task.dice,
+    boon: task.boon,
+    bane: task.bane,
     skillMod,
     attrMod,
-    total,
+    dms: task.dms,
+    dm: task.dm,
+    total: task.total,
     difficulty: check.difficulty,
-    success,
-    exceptional,
-    fumble,
-    margin: total - check.difficulty,
-    narrative: formatCheckResult(check, total, success),
+    success: task.success,
+    effect: task.effect,
+    band: task.band,
+    exceptional: task.band === 'exceptional_success',
+    fumble: task.roll === 2,
+    margin: task.effect,
+    timeframe: task.timeframe,
+    minutes: task.minutes,
+    narrative: formatCheckResult(check, task.total, task.success, task.band),
     check
   };
 }
@@ -137,8 +181,13 @@ function resolveCheck(check, pc, forcedRoll = null) {
  */
 function formatDetailedResult(result) {
   const parts = [];
-  parts.push(`Rolling 2D6 + ${result.check.skill} (${result.skillMod}) + modifier (${result.attrMod})...`);
-  parts.push(`Result: ${result.roll} + ${result.skillMod + result.attrMod} = ${result.total} vs difficulty ${result.difficulty}+`);
+  const dice = result.boon ? '3D6 (boon, best two)' : result.bane ? '3D6 (bane, worst two)' : '2D6';
+  parts.push(`Rolling ${dice} + ${result.check.skill} (${result.skillMod}) + modifier (${result.attrMod})...`);
+  if (result.dms?.length > 0) {
+    parts.push(`DMs: ${formatDMs(result.dms)}`);
+  }
+  const modifier = result.total - result.roll;
+  parts.push(`Result: ${result.roll} ${modifier < 0 ? '-' : '+'} ${Math.abs(modifier)} = ${result.total} vs difficulty ${result.difficulty}+`);
 
   if (result.fumble) {
     parts.push('FUMBLE! Critical failure.');
@@ -149,16 +198,24 @@ function formatDetailedResult(result) {
   } else {
     parts.push(`Failed by ${-result.margin}.`);
   }
+  if (result.band) {
+    parts.push(`Effect ${result.effect >= 0 ? '+' : ''}${result.effect}: ${getBandLabel(result.band)}.`);
+  }
 
   return parts.join('\n');
 }
 
 module.exports = {
   rollDice,
+  getPCSkills,
   getSkillModifier,
+  getSkillLevel,
+  getUnskilledModifier,
   getAttributeModifier,
+  getSituationalDMs,
   resolveCheck,
   formatCheckResult,
   formatDetailedResult,
-  SKILL_ATTRIBUTES
+  SKILL_ATTRIBUTES,
+  CHARACTERISTICS
 };
@@ -185,16 +185,20 @@ function createStoryState(adventureId) {
     completedStages: {},          // NEW - per-scene stage completion { 'scene-id': ['stage-1', 'stage-2'] }
     expandedScenes: [],           // NEW - scenes expanded in menu
     completedBeats: [],
+    beatTimestamps: {},           // Game date each beat was completed (time triggers)
     completedScenes: [],          // Ensure this exists
     flags: {},
     choices: {},
     startDate: new Date().toISOString(),
-    gameDate: adventure.timing?.start_date || '001-1105'
+    gameDate: adventure.timing?.start_date || '001-1105',
+    elapsedMinutes: 0,            // Game time since the adventure began (game-clock)
+    sceneMinutes: 0               // Game time spent in the current scene
   };
 }
 
 /**
  * Record a story beat as completed
+ * The completion date is kept for time triggers ("2 days after beat X").
  * @param {Object} state - Story state
  * @param {string} beatId - Beat ID
  * @param {string} [gameDate] - In-game date
@@ -207,6 +211,13 @@ function recordBeat(state, beatId, gameDate = null) {
   if (gameDate) {
     state.gameDate = gameDate;
   }
+
+  if (!state.beatTimestamps) {
+    state.beatTimestamps = {};
+  }
+  if (!state.beatTimestamps[beatId]) {
+    state.beatTimestamps[beatId] = gameDate ?? state.gameDate;
+  }
 }
 
 /**
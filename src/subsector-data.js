@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseUWP } = require('./uwp');
 
 // Data directory
 const SUBSECTORS_DIR = path.join(__dirname, '../data/subsectors');
@@ -74,6 +75,35 @@ const HYDROGRAPHICS = {
   'A': '100% water'
 };
 
+/**
+ * Get the subsector data directory (SUBSECTORS_DIR overrides it)
+ * @returns {string} Directory path
+ */
+function getSubsectorsDir() {
+  return process.env.SUBSECTORS_DIR || SUBSECTORS_DIR;
+}
+
+/**
+ * Add a subsector's systems to the lookup maps
+ * @param {Object} subsector - { name, systems: [{ name, hex, uwp, ... }] }
+ * @returns {number} Number of systems indexed
+ */
+function indexSubsector(subsector) {
+  if (!subsector?.systems || !Array.isArray(subsector.systems)) return 0;
+
+  for (const world of subsector.systems) {
+    // Index by name (case-insensitive)
+    if (world.name) {
+      worldsByName[world.name.toLowerCase()] = world;
+    }
+    // Index by hex
+    if (world.hex) {
+      worldsByHex[world.hex] = world;
+    }
+  }
+  return subsector.systems.length;
+}
+
 /**
  * Initialize the subsector data by loading all JSON files
  */
@@ -81,33 +111,21 @@ function initialize() {
   if (initialized) return;
 
   try {
-    if (!fs.existsSync(SUBSECTORS_DIR)) {
-      console.warn('Subsector data directory not found:', SUBSECTORS_DIR);
+    const dir = getSubsectorsDir();
+    if (!fs.existsSync(dir)) {
+      console.warn('Subsector data directory not found:', dir);
       initialized = true;
       return;
     }
 
-    const files = fs.readdirSync(SUBSECTORS_DIR)
+    const files = fs.readdirSync(dir)
       .filter(f => f.endsWith('.json'));
 
     for (const file of files) {
       try {
-        const filePath = path.join(SUBSECTORS_DIR, file);
+        const filePath = path.join(dir, file);
         const content = fs.readFileSync(filePath, 'utf8');
-        const subsector = JSON.parse(content);
-
-        if (subsector.systems && Array.isArray(subsector.systems)) {
-          for (const world of subsector.systems) {
-            // Index by name (case-insensitive)
-            if (world.name) {
-              worldsByName[world.name.toLowerCase()] = world;
-            }
-            // Index by hex
-            if (world.hex) {
-              worldsByHex[world.hex] = world;
-            }
-          }
-        }
+        indexSubsector(JSON.parse(content));
       } catch (e) {
         // Skip invalid files
       }
@@ -143,23 +161,12 @@ function getWorldByHex(hex) {
 }
 
 /**
- * Parse a UWP code into components
- * @param {string} uwp - UWP code (e.g., 'E532000-0')
- * @returns {Object} Parsed UWP components
+ * List every loaded world
+ * @returns {Object[]} Worlds, one per hex
  */
-function parseUWP(uwp) {
-  if (!uwp || uwp.length < 9) return null;
-
-  return {
-    starport: uwp[0],
-    size: uwp[1],
-    atmosphere: uwp[2],
-    hydrographics: uwp[3],
-    population: uwp[4],
-    government: uwp[5],
-    lawLevel: uwp[6],
-    techLevel: uwp[8] // After the dash
-  };
+function listWorlds() {
+  if (!initialized) initialize();
+  return Object.values(worldsByHex);
 }
 
 /**
@@ -230,9 +237,12 @@ function reset() {
 }
 
 module.exports = {
+  getSubsectorsDir,
   initialize,
+  indexSubsector,
   getWorld,
   getWorldByHex,
+  listWorlds,
   buildWorldContext,
   parseUWP,
   getStats,
@@ -0,0 +1,385 @@
+/**
+ * Subsector Import - Read Traveller sector files into subsector JSON
+ *
+ * Pattern: Stateless parser module
+ * Reads the three common plain-text sector formats from local disk:
+ * - Tab-delimited (header row of column names, one world per line)
+ * - T5 column (header row, then a row of dashes marking each column's width)
+ * - Legacy SEC (name, hex, UWP, base, remarks, zone, PBG, allegiance, stars)
+ *
+ * Every world is validated (hex, UWP, bases, trade codes, allegiance, PBG).
+ * Worlds with errors are left out; warnings (say, a trade code the UWP does
+ * not support) are reported but the world is kept. Worlds are grouped into
+ * subsectors A-P by hex, in the { name, sector, letter, systems } shape
+ * subsector-data indexes.
+ */
+
+const { getTradeCodes, TRADE_CODE_RULES } = require('./trade');
+const { STARPORTS, ehexValue, decodeUWP } = require('./uwp');
+
+/**
+ * UWP digits after the starport, with the highest value each may take
+ */
+const UWP_LIMITS = [
+  { field: 'size', max: 'F' },
+  { field: 'atmosphere', max: 'F' },
+  { field: 'hydrographics', max: 'A' },
+  { field: 'population', max: 'F' },
+  { field: 'government', max: 'F' },
+  { field: 'law level', max: 'J' }
+];
+
+/**
+ * Base codes (T5 lists one letter per base; legacy SEC packs pairs into A, B, F and U)
+ */
+const BASE_CODES = {
+  C: 'Corsair', D: 'Depot', E: 'Embassy', K: 'Naval (K\'kree)', L: 'Naval (Hiver)',
+  M: 'Military', N: 'Naval', R: 'Clan (Aslan)', S: 'Scout', T: 'Tlaukhu (Aslan)',
+  V: 'Exploration', W: 'Way station', X: 'Relay station', Z: 'Naval (Zhodani)'
+};
+const LEGACY_BASES = { A: ['N', 'S'], B: ['N', 'W'], F: ['M', 'N'], U: ['R', 'T'] };
+
+/**
+ * Remark codes besides the UWP trade codes (political, special and secondary)
+ */
+const OTHER_REMARKS = [
+  'Oc', 'He', 'Cp', 'Cs', 'Cx', 'Ph', 'Pa', 'Pi', 'Pr', 'Px', 'Fa', 'Mi', 'Mr', 'Re', 'Fo', 'Pz',
+  'Da', 'Ab', 'An', 'Sa', 'Lk', 'Tz', 'Co', 'Cy', 'Di', 'Fr', 'Ho', 'Tr', 'Tu', 'Rs', 'Dp'
+];
+
+/**
+ * Remarks naming sophonts, owners or colonies, e.g. (Amindii)2, [Darrians], O:1232
+ */
+const SOPHONT_REMARK = /^(\(.+\)|\[.+\])\d?$|^[A-Z][A-Za-z']{2,3}[0-9W]$|^[OC]:[\w-]+$|^Rs[A-Z]$/;
+
+/**
+ * Column header aliases, by field
+ */
+const COLUMN_ALIASES = {
+  sector: ['sector'],
+  subsector: ['ss', 'subsector'],
+  hex: ['hex'],
+  name: ['name'],
+  uwp: ['uwp'],
+  bases: ['b', 'bases', 'base'],
+  remarks: ['remarks', 'trade codes'],
+  zone: ['z', 'zone'],
+  pbg: ['pbg'],
+  allegiance: ['a', 'allegiance', 'alleg'],
+  stellar: ['stellar', 'stars']
+};
+
+/**
+ * Find the field a column header holds
+ * @param {string} header - Column header
+ * @returns {string|null} Field name
+ */
+function headerField(header) {
+  const wanted = header.trim().toLowerCase();
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(wanted)) || null;
+}
+
+/**
+ * Work out which format a sector file is in
+ * @param {string} text - File contents
+ * @returns {string} 'tab', 'column' or 'sec'
+ */
+function detectFormat(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  const header = lines.findIndex(line => /^\s*hex\b/i.test(line) || /\thex\t/i.test(line));
+  if (header >= 0 && lines[header].includes('\t')) return 'tab';
+  if (header >= 0 && /^-+(\s+-+)+\s*$/.test(lines[header + 1] || '')) return 'column';
+  return 'sec';
+}
+
+/**
+ * Parse a tab-delimited file
+ * @param {string} text - File contents
+ * @returns {Object[]} Raw rows { line, hex, name, uwp, ... }
+ */
+function parseTabDelimited(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.includes('\t') && /(^|\t)hex(\t|$)/i.test(line));
+  if (headerIndex < 0) return [];
+  const fields = lines[headerIndex].split('\t').map(headerField);
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim() || lines[i].startsWith('#')) continue;
+    const row = { line: i + 1 };
+    lines[i].split('\t').forEach((value, col) => {
+      if (fields[col]) row[fields[col]] = value.trim();
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse a T5 column file (column widths come from the row of dashes)
+ * @param {string} text - File contents
+ * @returns {Object[]} Raw rows
+ */
+function parseColumns(text) {
+  const lines = text.split(/\r?\n/);
+  const dashIndex = lines.findIndex((line, i) => i > 0 && /^-+(\s+-+)+\s*$/.test(line) && /^\s*hex\b/i.test(lines[i - 1]));
+  if (dashIndex < 0) return [];
+
+  const columns = [];
+  const runs = /-+/g;
+  let match;
+  while ((match = runs.exec(lines[dashIndex])) !== null) {
+    columns.push({ start: match.index, end: match.index + match[0].length });
+  }
+  const header = lines[dashIndex - 1];
+  columns.forEach((col, i) => {
+    col.field = headerField(header.slice(col.start, i === columns.length - 1 ? undefined : columns[i + 1].start));
+  });
+
+  const rows = [];
+  for (let i = dashIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim() || lines[i].startsWith('#')) continue;
+    const row = { line: i + 1 };
+    columns.forEach((col, c) => {
+      const end = c === columns.length - 1 ? undefined : columns[c + 1].start;
+      if (col.field) row[col.field] = lines[i].slice(col.start, end).trim();
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse a legacy SEC file
+ * The base sits right after the UWP; the zone, if any, right before the PBG.
+ * @param {string} text - File contents
+ * @returns {Object[]} Raw rows (lines that do not look like worlds are skipped)
+ */
+function parseSec(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.startsWith('#') || line.startsWith('@')) return;
+    const world = line.match(/^(.*?)\s*(\d{4})\s+(\S{7}-\S)(.*)$/);
+    if (!world) return;
+
+    const rest = world[4].match(/^(?: {1,2}([A-Z]{1,2}))?\s+(.*?)(?:\s+([AR]))?\s+([0-9][0-9A-F]{2})\s+([A-Za-z0-9]{2,4})(?:\s+(.*))?$/);
+    rows.push({
+      line: i + 1,
+      legacy: true,
+      name: world[1].trim(),
+      hex: world[2],
+      uwp: world[3],
+      ...(rest
+        ? { bases: rest[1] || '', remarks: rest[2].trim(), zone: rest[3] || '', pbg: rest[4], allegiance: rest[5], stellar: (rest[6] || '').trim() }
+        : { remarks: world[4].trim() })
+    });
+  });
+  return rows;
+}
+
+/**
+ * Read "# Subsector A: Cronor" comment lines
+ * @param {string} text - File contents
+ * @returns {Object} Subsector names by letter
+ */
+function parseSubsectorNames(text) {
+  const names = {};
+  for (const match of text.matchAll(/^#\s*Subsector\s+([A-P])\s*:\s*(.+?)\s*$/gim)) {
+    names[match[1].toUpperCase()] = match[2];
+  }
+  return names;
+}
+
+/**
+ * Subsector letter for a hex (8 columns by 10 rows each, A-D across the top)
+ * @param {string} hex - e.g. "1232"
+ * @returns {string|null} Letter A-P
+ */
+function getSubsectorLetter(hex) {
+  const match = String(hex || '').match(/^(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const col = Number(match[1]);
+  const row = Number(match[2]);
+  if (col < 1 || col > 32 || row < 1 || row > 40) return null;
+  return 'ABCDEFGHIJKLMNOP'[Math.floor((col - 1) / 8) + 4 * Math.floor((row - 1) / 10)];
+}
+
+/**
+ * Validate a UWP
+ * @param {string} uwp - e.g. "C544338-8"
+ * @returns {string[]} Errors
+ */
+function validateUWP(uwp) {
+  const match = String(uwp || '').toUpperCase().match(/^(.)(.)(.)(.)(.)(.)(.)-(.)$/);
+  if (!match) return [`Invalid UWP: ${uwp || '(missing)'}`];
+
+  const errors = [];
+  if (!STARPORTS.includes(match[1])) errors.push(`UWP starport ${match[1]} is not one of ${STARPORTS}`);
+  UWP_LIMITS.forEach(({ field, max }, i) => {
+    const value = ehexValue(match[i + 2]);
+    if (value === null || value > ehexValue(max)) {
+      errors.push(`UWP ${field} digit ${match[i + 2]} out of range (0-${max})`);
+    }
+  });
+  if (ehexValue(match[8]) === null) errors.push(`UWP tech level digit ${match[8]} is not extended hex`);
+  return errors;
+}
+
+/**
+ * Validate and convert one raw row to a world
+ * @param {Object} row - Raw row from a parser
+ * @param {Object} options - { sector }
+ * @returns {Object} { world, errors, warnings } world is null when there are errors
+ */
+function buildWorld(row, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const name = row.name || '';
+  const uwp = String(row.uwp || '').toUpperCase();
+
+  const letter = getSubsectorLetter(row.hex);
+  if (!letter) errors.push(`Invalid hex: ${row.hex || '(missing)'}`);
+  if (!name) errors.push('Missing name');
+  errors.push(...validateUWP(uwp));
+
+  // Bases: "NS", "-" or a legacy combined code
+  const baseText = (row.bases || '').replace(/^-$/, '');
+  const bases = [];
+  for (const code of baseText.toUpperCase()) {
+    if (row.legacy && LEGACY_BASES[code]) bases.push(...LEGACY_BASES[code]);
+    else if (BASE_CODES[code]) bases.push(code);
+    else errors.push(`Unknown base code: ${code}`);
+  }
+
+  // Remarks: trade codes must match the UWP; other remarks are checked for shape
+  const remarks = (row.remarks || '').split(/\s+/).filter(Boolean);
+  const derivable = TRADE_CODE_RULES.map(rule => rule.code);
+  const tradeCodes = remarks.filter(code => derivable.includes(code) || OTHER_REMARKS.includes(code));
+  for (const code of remarks) {
+    if (!tradeCodes.includes(code) && !SOPHONT_REMARK.test(code)) warnings.push(`Unknown remark: ${code}`);
+  }
+  if (errors.length === 0) {
+    const derived = getTradeCodes(uwp);
+    for (const code of tradeCodes.filter(c => derivable.includes(c) && !derived.includes(c))) {
+      warnings.push(`Trade code ${code} does not match UWP ${uwp}`);
+    }
+    for (const code of derived.filter(c => !tradeCodes.includes(c))) {
+      warnings.push(`Trade code ${code} missing (UWP ${uwp} gives it)`);
+    }
+  }
+
+  const allegiance = (row.allegiance || '').replace(/^-+$/, '');
+  if (allegiance && !/^[A-Za-z0-9]{2,4}$/.test(allegiance)) errors.push(`Invalid allegiance: ${allegiance}`);
+
+  const pbg = row.pbg || '';
+  if (pbg && !/^[0-9][0-9A-F]{2}$/i.test(pbg)) {
+    errors.push(`Invalid PBG: ${pbg}`);
+  } else if (pbg && errors.length === 0) {
+    const { population } = decodeUWP(uwp);
+    if (population > 0 && pbg[0] === '0') warnings.push(`PBG population multiplier 0 with population ${uwp[4]}`);
+    if (population === 0 && pbg[0] !== '0') warnings.push(`PBG population multiplier ${pbg[0]} on an unpopulated world`);
+  }
+
+  const zone = (row.zone || '').toUpperCase();
+  if (zone && !['A', 'R', 'G', '-'].includes(zone)) errors.push(`Invalid zone: ${row.zone}`);
+
+  if (errors.length > 0) return { world: null, errors, warnings };
+
+  return {
+    world: {
+      name,
+      hex: row.hex,
+      uwp,
+      starport: uwp[0],
+      techLevel: decodeUWP(uwp).techLevel,
+      bases,
+      remarks: remarks.join(' '),
+      tradeCodes,
+      zone: zone === 'A' || zone === 'R' ? zone : null,
+      pbg: pbg || null,
+      gasGiants: pbg ? parseInt(pbg[2], 16) : null,
+      allegiance: allegiance || null,
+      stellar: row.stellar || null,
+      sector: options.sector || row.sector || null,
+      subsector: letter
+    },
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Import a sector file
+ * @param {string} text - File contents
+ * @param {Object} options - { sector, format, subsectorNames }
+ * @returns {Object} { sector, format, subsectors: [{ name, sector, letter, systems }], errors, warnings }
+ *   errors and warnings are [{ line, hex, name, message }]
+ */
+function importSector(text, options = {}) {
+  const format = options.format || detectFormat(text);
+  const parsers = { tab: parseTabDelimited, column: parseColumns, sec: parseSec };
+  if (!parsers[format]) throw new Error(`Unknown sector format: ${format}`);
+
+  const names = { ...parseSubsectorNames(text), ...(options.subsectorNames || {}) };
+  const bySubsector = {};
+  const errors = [];
+  const warnings = [];
+  const seen = new Set();
+
+  for (const row of parsers[format](text)) {
+    const where = { line: row.line, hex: row.hex || null, name: row.name || null };
+    const result = buildWorld(row, options);
+    result.warnings.forEach(message => warnings.push({ ...where, message }));
+    if (!result.world) {
+      result.errors.forEach(message => errors.push({ ...where, message }));
+      continue;
+    }
+    if (seen.has(row.hex)) {
+      errors.push({ ...where, message: `Duplicate hex ${row.hex}` });
+      continue;
+    }
+    seen.add(row.hex);
+    (bySubsector[result.world.subsector] = bySubsector[result.world.subsector] || []).push(result.world);
+  }
+
+  const subsectors = Object.keys(bySubsector).sort().map(letter => ({
+    name: names[letter] || `Subsector ${letter}`,
+    sector: options.sector || null,
+    letter,
+    systems: bySubsector[letter].sort((a, b) => a.hex.localeCompare(b.hex))
+  }));
+
+  return { sector: options.sector || null, format, subsectors, errors, warnings };
+}
+
+/**
+ * Lower-case, dash-separated form of a name for file names
+ * @param {string} text - Name
+ * @returns {string} e.g. "spinward-marches"
+ */
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * File name for a subsector's JSON
+ * @param {Object} subsector - { name, sector }
+ * @returns {string} e.g. "spinward-marches-district-268.json"
+ */
+function getSubsectorFileName(subsector) {
+  return `${[subsector.sector, subsector.name].filter(Boolean).map(slugify).join('-')}.json`;
+}
+
+module.exports = {
+  BASE_CODES,
+  detectFormat,
+  parseTabDelimited,
+  parseColumns,
+  parseSec,
+  parseSubsectorNames,
+  getSubsectorLetter,
+  validateUWP,
+  buildWorld,
+  importSector,
+  getSubsectorFileName
+};
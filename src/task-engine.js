@@ -0,0 +1,265 @@
+/**
+ * Task Engine - Mongoose Traveller 2e task resolution
+ *
+ * Pattern: Stateless rules module
+ * A task is 2D + DMs vs a difficulty. Effect is the total minus the
+ * difficulty, and its band (marginal, average or exceptional success or
+ * failure) decides how well things went. A boon rolls 3D and keeps the best
+ * two, a bane keeps the worst two; one of each cancels out.
+ *
+ * Skill checks (skill-resolver.resolveCheck) and plain threshold checks
+ * (skill-check.performCheck) both roll through rollTask(), so every check in
+ * the game produces the same Effect and band.
+ */
+
+/**
+ * Effect bands, best first (min is the lowest Effect in the band)
+ */
+const EFFECT_BANDS = [
+  { id: 'exceptional_success', label: 'Exceptional Success', min: 6, success: true },
+  { id: 'average_success', label: 'Average Success', min: 1, success: true },
+  { id: 'marginal_success', label: 'Marginal Success', min: 0, success: true },
+  { id: 'marginal_failure', label: 'Marginal Failure', min: -1, success: false },
+  { id: 'average_failure', label: 'Average Failure', min: -5, success: false },
+  { id: 'exceptional_failure', label: 'Exceptional Failure', min: -Infinity, success: false }
+];
+
+/**
+ * DM for attempting a task without the skill
+ */
+const UNSKILLED_DM = -3;
+
+/**
+ * Skill to attribute mapping (Traveller conventions)
+ * Lives here rather than in skill-resolver so the equipment catalog can read
+ * it without loading character-sheet, which loads the catalog.
+ */
+const SKILL_ATTRIBUTES = {
+  athletics: 'dex',
+  pilot: 'dex',
+  gunner: 'dex',
+  drive: 'dex',
+  flyer: 'dex',
+  vacc_suit: 'dex',
+  stealth: 'dex',
+  persuade: 'soc',
+  diplomat: 'soc',
+  leadership: 'soc',
+  carouse: 'soc',
+  streetwise: 'int',
+  electronics: 'edu',
+  engineer: 'edu',
+  medic: 'edu',
+  science: 'edu',
+  astrogation: 'edu',
+  survival: 'end',
+  recon: 'int',
+  investigate: 'int',
+  tactics: 'int',
+  admin: 'edu',
+  advocate: 'edu',
+  broker: 'int',
+  mechanic: 'edu',
+  animals: 'int',
+  art: 'int',
+  deception: 'int'
+};
+
+/**
+ * Task timeframes, shortest first (seconds per die rolled)
+ */
+const TIMEFRAMES = [
+  { id: 'seconds', label: '1D seconds', seconds: 1 },
+  { id: 'rounds', label: '1D combat rounds', seconds: 6 },
+  { id: 'tens_of_seconds', label: '1Dx10 seconds', seconds: 10 },
+  { id: 'minutes', label: '1D minutes', seconds: 60 },
+  { id: 'tens_of_minutes', label: '1Dx10 minutes', seconds: 10 * 60 },
+  { id: 'hours', label: '1D hours', seconds: 60 * 60 },
+  { id: 'four_hours', label: '1Dx4 hours', seconds: 4 * 60 * 60 },
+  { id: 'tens_of_hours', label: '1Dx10 hours', seconds: 10 * 60 * 60 },
+  { id: 'days', label: '1D days', seconds: 24 * 60 * 60 }
+];
+
+/**
+ * Trading time for a DM: hurrying is one timeframe step shorter at DM-2,
+ * taking care is one step longer at DM+1
+ */
+const PACES = {
+  hasty: { steps: -1, dm: -2 },
+  normal: { steps: 0, dm: 0 },
+  careful: { steps: 1, dm: 1 }
+};
+
+/**
+ * Roll one six-sided die
+ * @returns {number} 1-6
+ */
+function rollDie() {
+  return Math.floor(Math.random() * 6) + 1;
+}
+
+/**
+ * Roll the task dice: 2D, or 3D keeping the best/worst two for a boon/bane
+ * @param {Object} options - { boon, bane, dice } dice fixes the rolled dice (for testing)
+ * @returns {Object} { roll, dice, kept, boon, bane } boon/bane are false when they cancel
+ */
+function rollTaskDice(options = {}) {
+  const boon = Boolean(options.boon) && !options.bane;
+  const bane = Boolean(options.bane) && !options.boon;
+  const count = boon || bane ? 3 : 2;
+
+  const dice = options.dice ? options.dice.slice(0, count) : Array.from({ length: count }, rollDie);
+  const sorted = [...dice].sort((a, b) => b - a);
+  const kept = bane ? sorted.slice(-2) : sorted.slice(0, 2);
+
+  return { roll: kept.reduce((sum, d) => sum + d, 0), dice, kept, boon, bane };
+}
+
+/**
+ * Get the Effect band for an Effect
+ * @param {number} effect - Total minus difficulty
+ * @returns {Object} Band from EFFECT_BANDS
+ */
+function getEffectBand(effect) {
+  return EFFECT_BANDS.find(band => effect >= band.min);
+}
+
+/**
+ * Normalize situational DMs to a list
+ * @param {Array|Object|number} dms - [{ source, value }], { source: value } or a bare number
+ * @returns {Object[]} [{ source, value }] without zero entries
+ */
+function normalizeDMs(dms) {
+  if (!dms) return [];
+  if (typeof dms === 'number') return dms ? [{ source: 'situation', value: dms }] : [];
+  const list = Array.isArray(dms)
+    ? dms
+    : Object.entries(dms).map(([source, value]) => ({ source, value }));
+  return list
+    .filter(dm => Number.isFinite(dm?.value) && dm.value !== 0)
+    .map(dm => ({ source: dm.source || 'situation', value: dm.value }));
+}
+
+/**
+ * Find a timeframe by ID or label
+ * @param {string} ref - e.g. "hours" or "1D hours"
+ * @returns {Object|null} Timeframe
+ */
+function findTimeframe(ref) {
+  if (!ref) return null;
+  const wanted = String(ref).trim().toLowerCase();
+  return TIMEFRAMES.find(t => t.id === wanted || t.label.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Roll how long a task takes
+ * @param {string} timeframe - Timeframe ID or label
+ * @param {Object} options - { pace: hasty|normal|careful, die: fixed die roll }
+ * @returns {Object|null} { timeframe, seconds, minutes } minutes is at least 1, null if unknown
+ */
+function rollTimeframe(timeframe, options = {}) {
+  const base = findTimeframe(timeframe);
+  if (!base) return null;
+
+  const steps = PACES[options.pace]?.steps || 0;
+  const index = Math.min(TIMEFRAMES.length - 1, Math.max(0, TIMEFRAMES.indexOf(base) + steps));
+  const actual = TIMEFRAMES[index];
+  const seconds = (options.die || rollDie()) * actual.seconds;
+
+  return { timeframe: actual.id, seconds, minutes: Math.max(1, Math.round(seconds / 60)) };
+}
+
+/**
+ * Roll a task
+ * @param {Object} task - { difficulty, dm, dms, boon, bane, pace, timeframe }
+ *   dm is the character's own DM (skill + characteristic); dms are situational
+ * @param {Object} options - { roll: forced 2D total, dice: fixed dice, timeDie: fixed timeframe die }
+ * @returns {Object} { roll, dice, boon, bane, dms, dm, total, difficulty, effect, band, success, timeframe, minutes }
+ */
+function rollTask(task, options = {}) {
+  const dice = options.roll !== undefined && options.roll !== null
+    ? { roll: options.roll, dice: null, boon: false, bane: false }
+    : rollTaskDice({ boon: task.boon, bane: task.bane, dice: options.dice });
+
+  const dms = normalizeDMs(task.dms);
+  const pace = PACES[task.pace];
+  if (pace?.dm) dms.push({ source: task.pace, value: pace.dm });
+  const situational = dms.reduce((sum, dm) => sum + dm.value, 0);
+
+  const total = dice.roll + (task.dm || 0) + situational;
+  const effect = total - task.difficulty;
+  const band = getEffectBand(effect);
+  const time = task.timeframe ? rollTimeframe(task.timeframe, { pace: task.pace, die: options.timeDie }) : null;
+
+  return {
+    roll: dice.roll,
+    dice: dice.dice,
+    boon: dice.boon,
+    bane: dice.bane,
+    dms,
+    dm: situational,
+    total,
+    difficulty: task.difficulty,
+    effect,
+    band: band.id,
+    success: band.success,
+    timeframe: time?.timeframe || null,
+    minutes: time?.minutes ?? null
+  };
+}
+
+/**
+ * Pick the outcome text for a result from adventure data
+ * Looks for a band-specific entry first ("on_marginal_failure" or
+ * "marginal_failure"), then the plain success/failure entry.
+ * @param {Object} entry - Check data (scene stage skill_checks or skill-checks.json entry)
+ * @param {Object} result - From rollTask or resolveCheck
+ * @returns {string|null} Outcome text
+ */
+function selectOutcome(entry, result) {
+  if (!entry || !result) return null;
+  const effect = result.effect ?? result.margin;
+  const band = result.band || (Number.isFinite(effect) ? getEffectBand(effect).id : null);
+  const plain = result.success ? 'success' : 'failure';
+  const keys = band ? [`on_${band}`, band] : [];
+
+  for (const key of [...keys, `on_${plain}`, plain]) {
+    if (typeof entry[key] === 'string') return entry[key];
+  }
+  return null;
+}
+
+/**
+ * Get the display label for a band
+ * @param {string} bandId - Band ID
+ * @returns {string} e.g. "Marginal Failure"
+ */
+function getBandLabel(bandId) {
+  return EFFECT_BANDS.find(band => band.id === bandId)?.label || bandId;
+}
+
+/**
+ * Format situational DMs for display
+ * @param {Object[]} dms - [{ source, value }]
+ * @returns {string} e.g. "unskilled -3, altitude sickness -2"
+ */
+function formatDMs(dms) {
+  return (dms || []).map(dm => `${dm.source} ${dm.value > 0 ? '+' : ''}${dm.value}`).join(', ');
+}
+
+module.exports = {
+  EFFECT_BANDS,
+  UNSKILLED_DM,
+  SKILL_ATTRIBUTES,
+  TIMEFRAMES,
+  PACES,
+  rollTaskDice,
+  getEffectBand,
+  normalizeDMs,
+  findTimeframe,
+  rollTimeframe,
+  rollTask,
+  selectOutcome,
+  getBandLabel,
+  formatDMs
+};
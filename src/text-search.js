@@ -0,0 +1,187 @@
+/**
+ * Text Search - BM25 inverted index over fielded documents
+ *
+ * Pattern: Stateless index builder
+ * An index is plain JSON (safe to persist): the documents, their token
+ * counts per field and a postings list per field mapping each term to
+ * [docIndex, termFrequency] pairs. Scores are BM25 per field, weighted and
+ * summed, so a hit in a short name field outranks one buried in a body.
+ *
+ * Query syntax:
+ *   walston scouts          any term may match (ranked by BM25)
+ *   "naval base"            phrase, must match
+ *   name:walston            term in one field, must match
+ *   allegiance:"third imperium"
+ */
+
+/**
+ * BM25 term-frequency saturation
+ */
+const K1 = 1.2;
+
+/**
+ * BM25 length normalisation
+ */
+const B = 0.75;
+
+/**
+ * Words too common to index
+ */
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+  'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'some', 'tell',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a crude stem (plurals and possessives only)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Any text
+ * @returns {string[]} Lowercase, stemmed terms in order, stopwords removed
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Build an index
+ * @param {Object[]} docs - Documents; each field named in options.fields is text
+ * @param {Object} options - { fields: string[], weights: { field: number } }
+ * @returns {Object} Index { fields, weights, docs, lengths, avgLengths, postings }
+ */
+function buildIndex(docs, options = {}) {
+  const fields = options.fields || ['body'];
+  const weights = Object.fromEntries(fields.map(f => [f, options.weights?.[f] ?? 1]));
+  const postings = Object.fromEntries(fields.map(f => [f, {}]));
+  const totals = Object.fromEntries(fields.map(f => [f, 0]));
+
+  const lengths = docs.map((doc, docIndex) => fields.map(field => {
+    const counts = {};
+    const terms = tokenize(doc[field]);
+    for (const term of terms) counts[term] = (counts[term] || 0) + 1;
+    for (const [term, tf] of Object.entries(counts)) {
+      (postings[field][term] ||= []).push([docIndex, tf]);
+    }
+    totals[field] += terms.length;
+    return terms.length;
+  }));
+
+  const avgLengths = Object.fromEntries(fields.map(f => [f, docs.length ? totals[f] / docs.length : 0]));
+  return { fields, weights, docs, lengths, avgLengths, postings };
+}
+
+/**
+ * Parse a query into clauses
+ * @param {string} query - Query text
+ * @param {string[]} fields - Fields that may be named
+ * @returns {Object[]} Clauses { terms, field, phrase, required }
+ */
+function parseQuery(query, fields) {
+  const clauses = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+  while ((match = pattern.exec(String(query || '')))) {
+    const field = match[1] && fields.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
+    const raw = match[2] ?? (match[1] && !field ? match[0] : match[3]);
+    const phrase = match[2] !== undefined;
+    const terms = tokenize(raw);
+    if (terms.length === 0) continue;
+
+    if (phrase || field) {
+      clauses.push({ terms, field, phrase: phrase && terms.length > 1, required: true });
+    } else {
+      for (const term of terms) clauses.push({ terms: [term], field: null, phrase: false, required: false });
+    }
+  }
+  return clauses;
+}
+
+/**
+ * Does a field contain the terms in order
+ * @param {string} text - Field text
+ * @param {string[]} terms - Phrase terms
+ * @returns {boolean} True if the phrase appears
+ */
+function containsPhrase(text, terms) {
+  const tokens = tokenize(text);
+  for (let i = 0; i + terms.length <= tokens.length; i++) {
+    if (terms.every((term, j) => tokens[i + j] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Search an index
+ * @param {Object} index - From buildIndex
+ * @param {string} query - Query text (see module header)
+ * @param {Object} options - { limit, filter: (doc) => boolean }
+ * @returns {Object[]} Hits { doc, score }, best first
+ */
+function search(index, query, options = {}) {
+  const limit = options.limit ?? 5;
+  const clauses = parseQuery(query, index.fields);
+  if (clauses.length === 0 || index.docs.length === 0) return [];
+
+  const total = index.docs.length;
+  const scores = new Map();
+  const matched = clauses.map(() => new Set());
+
+  clauses.forEach((clause, c) => {
+    const fields = clause.field ? [clause.field] : index.fields;
+    fields.forEach(field => {
+      const f = index.fields.indexOf(field);
+      const hits = clause.terms.map(term => new Map(index.postings[field][term] || []));
+      // Every term of a clause must be in the field for it to count
+      for (const docIndex of hits[0].keys()) {
+        if (!hits.every(tfs => tfs.has(docIndex))) continue;
+        if (options.filter && !options.filter(index.docs[docIndex])) continue;
+        if (clause.phrase && !containsPhrase(index.docs[docIndex][field], clause.terms)) continue;
+
+        const length = index.lengths[docIndex][f];
+        const norm = K1 * (1 - B + B * length / (index.avgLengths[field] || 1));
+        let score = 0;
+        hits.forEach(tfs => {
+          const tf = tfs.get(docIndex);
+          const idf = Math.log(1 + (total - tfs.size + 0.5) / (tfs.size + 0.5));
+          score += idf * tf * (K1 + 1) / (tf + norm);
+        });
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score * index.weights[field]);
+        matched[c].add(docIndex);
+      }
+    });
+  });
+
+  return [...scores.entries()]
+    .filter(([docIndex]) => clauses.every((clause, c) => !clause.required || matched[c].has(docIndex)))
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, limit)
+    .map(([docIndex, score]) => ({ doc: index.docs[docIndex], score }));
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  buildIndex,
+  parseQuery,
+  search
+};
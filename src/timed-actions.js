@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { addHours } = require('./imperial-calendar');
 
 const STATE_FILE = path.join(__dirname, '../data/state/timed-actions.json');
 
@@ -15,30 +16,13 @@ let activeActions = [];
 
 /**
  * Calculate Traveller date after adding hours
- * @param {string} startDate - Start date (DDD-YYYY)
+ * @param {string} startDate - Start date (DDD-YYYY[ HH:MM])
  * @param {number} hours - Hours to add
- * @returns {string} New date
+ * @returns {string} New date, including time of day when not midnight
  */
 function addHoursToDate(startDate, hours) {
   if (!startDate) return null;
-
-  const match = startDate.match(/^(\d{3})-(\d{4})$/);
-  if (!match) return startDate;
-
-  let day = parseInt(match[1], 10);
-  let year = parseInt(match[2], 10);
-
-  // Add days (24 hours = 1 day)
-  const daysToAdd = Math.floor(hours / 24);
-  day += daysToAdd;
-
-  // Handle year rollover
-  while (day > 365) {
-    day -= 365;
-    year++;
-  }
-
-  return `${String(day).padStart(3, '0')}-${year}`;
+  return addHours(startDate, hours) || startDate;
 }
 
 /**
@@ -0,0 +1,592 @@
+/**
+ * Trade - Mongoose Traveller 2e speculative trade
+ *
+ * Pattern: Stateless rules module, with session helpers at the end
+ * A world's trade codes come from its UWP. Common goods are on sale
+ * everywhere; other goods only where the world has one of their
+ * availability codes. Prices are the base price per ton scaled by the
+ * Modified Price table: roll 3D, add the Effect of the buyer's Broker check
+ * (INT, 8+) and the best purchase DM for the world, take off the best sale
+ * DM and the other side's Broker skill. Selling works the same way round.
+ * Before any of that a supplier (and buyers) must be found: another Broker
+ * check, with a DM for the size of the starport.
+ *
+ * The session keeps one market per world (storyState.market) so quotes stay
+ * put until the PCs move on or a week passes. Bought cargo goes into the
+ * inventory as type "cargo" (inventory.getCargoItems) and is paid for
+ * through the credits ledger.
+ */
+
+const { rollTask, UNSKILLED_DM } = require('./task-engine');
+const { getSkillLevel, getCharacteristicModifier } = require('./character-sheet');
+const { getWorld } = require('./subsector-data');
+const { parseUWP, decodeUWP } = require('./uwp');
+const { daysBetween } = require('./imperial-calendar');
+const { getActivePC, getSessionParty } = require('./party');
+const { addToInventory, removeFromInventory, getCargoItems } = require('./inventory');
+const { postTransaction } = require('./credits-ledger');
+
+/**
+ * Trade codes and the UWP values that give them
+ * Each rule lists allowed values per UWP field; all fields must match.
+ */
+const TRADE_CODE_RULES = [
+  { code: 'Ag', label: 'Agricultural', atmosphere: [4, 5, 6, 7, 8, 9], hydrographics: [4, 5, 6, 7, 8], population: [5, 6, 7] },
+  { code: 'As', label: 'Asteroid', size: [0], atmosphere: [0], hydrographics: [0] },
+  { code: 'Ba', label: 'Barren', population: [0], government: [0], lawLevel: [0] },
+  { code: 'De', label: 'Desert', atmosphere: [2, 3, 4, 5, 6, 7, 8, 9], hydrographics: [0] },
+  { code: 'Fl', label: 'Fluid Oceans', atmosphere: [10, 11, 12], hydrographics: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] },
+  { code: 'Ga', label: 'Garden', size: [6, 7, 8], atmosphere: [5, 6, 8], hydrographics: [5, 6, 7] },
+  { code: 'Hi', label: 'High Population', population: [9, 10, 11, 12, 13, 14, 15] },
+  { code: 'Ht', label: 'High Tech', techLevel: [12, 13, 14, 15, 16, 17, 18, 19, 20] },
+  { code: 'Ic', label: 'Ice-Capped', atmosphere: [0, 1], hydrographics: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] },
+  { code: 'In', label: 'Industrial', atmosphere: [0, 1, 2, 4, 7, 9, 10, 11, 12], population: [9, 10, 11, 12, 13, 14, 15] },
+  { code: 'Lo', label: 'Low Population', population: [1, 2, 3] },
+  { code: 'Lt', label: 'Low Tech', population: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], techLevel: [0, 1, 2, 3, 4, 5] },
+  { code: 'Na', label: 'Non-Agricultural', atmosphere: [0, 1, 2, 3], hydrographics: [0, 1, 2, 3], population: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15] },
+  { code: 'Ni', label: 'Non-Industrial', population: [4, 5, 6] },
+  { code: 'Po', label: 'Poor', atmosphere: [2, 3, 4, 5], hydrographics: [0, 1, 2, 3] },
+  { code: 'Ri', label: 'Rich', atmosphere: [6, 8], population: [6, 7, 8], government: [4, 5, 6, 7, 8, 9] },
+  { code: 'Va', label: 'Vacuum', atmosphere: [0] },
+  { code: 'Wa', label: 'Water World', atmosphere: [3, 4, 5, 6, 7, 8, 9, 13], hydrographics: [10] }
+];
+
+/**
+ * Speculative trade goods (Mongoose 2e Trade Goods table, D66)
+ * available: trade codes that stock it ('all' for common goods)
+ * tons: dice and multiplier for the lot size, e.g. 2Dx10
+ * purchase/sale: DMs by trade code; Amber and Red are travel zones
+ */
+const TRADE_GOODS = [
+  { d66: 11, id: 'common-electronics', name: 'Common Electronics', available: 'all', tons: [2, 10], basePrice: 20000, purchase: { In: 2, Ht: 3, Ri: 1 }, sale: { Ni: 2, Lt: 1, Po: 1 } },
+  { d66: 12, id: 'common-industrial-goods', name: 'Common Industrial Goods', available: 'all', tons: [2, 10], basePrice: 10000, purchase: { Na: 2, In: 5 }, sale: { Ni: 3, Ag: 2 } },
+  { d66: 13, id: 'common-manufactured-goods', name: 'Common Manufactured Goods', available: 'all', tons: [2, 10], basePrice: 20000, purchase: { Na: 2, In: 5 }, sale: { Ni: 3, Hi: 2 } },
+  { d66: 14, id: 'common-raw-materials', name: 'Common Raw Materials', available: 'all', tons: [2, 20], basePrice: 5000, purchase: { Ag: 3, Ga: 2 }, sale: { In: 2, Po: 2 } },
+  { d66: 15, id: 'common-consumables', name: 'Common Consumables', available: 'all', tons: [2, 20], basePrice: 500, purchase: { Ag: 3, Wa: 2, Ga: 1, As: -4 }, sale: { As: 1, Fl: 1, Ic: 1, Hi: 1 } },
+  { d66: 16, id: 'common-ore', name: 'Common Ore', available: 'all', tons: [2, 20], basePrice: 1000, purchase: { As: 4 }, sale: { In: 3, Ni: 1 } },
+  { d66: 21, id: 'advanced-electronics', name: 'Advanced Electronics', available: ['In', 'Ht'], tons: [1, 5], basePrice: 100000, purchase: { In: 2, Ht: 3 }, sale: { Ni: 1, Ri: 2, As: 3 } },
+  { d66: 22, id: 'advanced-machine-parts', name: 'Advanced Machine Parts', available: ['In', 'Ht'], tons: [1, 5], basePrice: 75000, purchase: { In: 2, Ht: 1 }, sale: { As: 2, Ni: 1 } },
+  { d66: 23, id: 'advanced-manufactured-goods', name: 'Advanced Manufactured Goods', available: ['In', 'Ht'], tons: [1, 5], basePrice: 100000, purchase: { In: 1 }, sale: { Hi: 1, Ri: 2 } },
+  { d66: 24, id: 'advanced-weapons', name: 'Advanced Weapons', available: ['In', 'Ht'], tons: [1, 5], basePrice: 150000, purchase: { Ht: 2 }, sale: { Po: 1, Amber: 2, Red: 4 } },
+  { d66: 25, id: 'advanced-vehicles', name: 'Advanced Vehicles', available: ['In', 'Ht'], tons: [1, 5], basePrice: 180000, purchase: { Ht: 2 }, sale: { As: 2, Ri: 2 } },
+  { d66: 26, id: 'biochemicals', name: 'Biochemicals', available: ['Ag', 'Wa'], tons: [1, 5], basePrice: 50000, purchase: { Ag: 1, Wa: 2 }, sale: { In: 2 } },
+  { d66: 31, id: 'crystals-and-gems', name: 'Crystals and Gems', available: ['As', 'De', 'Ic'], tons: [1, 5], basePrice: 20000, purchase: { As: 2, De: 1, Ic: 1 }, sale: { In: 3, Ri: 3 } },
+  { d66: 32, id: 'cybernetics', name: 'Cybernetics', available: ['Ht'], tons: [1, 1], basePrice: 250000, purchase: { Ht: 1 }, sale: { As: 1, Ic: 1, Ri: 2 } },
+  { d66: 33, id: 'live-animals', name: 'Live Animals', available: ['Ag', 'Ga'], tons: [1, 10], basePrice: 10000, purchase: { Ag: 2 }, sale: { Lo: 3 } },
+  { d66: 34, id: 'luxury-consumables', name: 'Luxury Consumables', available: ['Ag', 'Ga', 'Wa'], tons: [1, 10], basePrice: 20000, purchase: { Ag: 2, Wa: 1 }, sale: { Ri: 2, Hi: 2 } },
+  { d66: 35, id: 'luxury-goods', name: 'Luxury Goods', available: ['Hi'], tons: [1, 1], basePrice: 200000, purchase: { Hi: 1 }, sale: { Ri: 4 } },
+  { d66: 36, id: 'medical-supplies', name: 'Medical Supplies', available: ['Ht', 'Hi'], tons: [1, 5], basePrice: 50000, purchase: { Ht: 2 }, sale: { In: 2, Po: 1, Ri: 1 } },
+  { d66: 41, id: 'petrochemicals', name: 'Petrochemicals', available: ['De', 'Fl', 'Ic', 'Wa'], tons: [1, 10], basePrice: 10000, purchase: { De: 2 }, sale: { In: 2, Ag: 1, Lt: 2 } },
+  { d66: 42, id: 'pharmaceuticals', name: 'Pharmaceuticals', available: ['As', 'De', 'Hi', 'Wa'], tons: [1, 1], basePrice: 100000, purchase: { As: 2, Hi: 1 }, sale: { Ri: 2, Lt: 1 } },
+  { d66: 43, id: 'polymers', name: 'Polymers', available: ['In'], tons: [1, 10], basePrice: 7000, purchase: { In: 1 }, sale: { Ri: 2, Ni: 1 } },
+  { d66: 44, id: 'precious-metals', name: 'Precious Metals', available: ['As', 'De', 'Ic', 'Fl'], tons: [1, 1], basePrice: 50000, purchase: { As: 3, De: 1, Ic: 2 }, sale: { Ri: 3, In: 2, Ht: 1 } },
+  { d66: 45, id: 'radioactives', name: 'Radioactives', available: ['As', 'De', 'Lo'], tons: [1, 1], basePrice: 1000000, purchase: { As: 2, Lo: 2 }, sale: { In: 3, Ht: 1, Ni: -2, Ag: -3 } },
+  { d66: 46, id: 'robots', name: 'Robots', available: ['In'], tons: [1, 5], basePrice: 400000, purchase: { In: 1 }, sale: { Ag: 2, Ht: 1 } },
+  { d66: 51, id: 'spices', name: 'Spices', available: ['Ga', 'De', 'Wa'], tons: [1, 10], basePrice: 6000, purchase: { De: 2 }, sale: { Hi: 2, Ri: 3, Po: 3 } },
+  { d66: 52, id: 'textiles', name: 'Textiles', available: ['Ag', 'Ni'], tons: [1, 20], basePrice: 3000, purchase: { Ag: 7 }, sale: { Hi: 3, Na: 2 } },
+  { d66: 53, id: 'uncommon-ore', name: 'Uncommon Ore', available: ['As', 'Ic'], tons: [1, 20], basePrice: 5000, purchase: { As: 4 }, sale: { In: 3, Ni: 1 } },
+  { d66: 54, id: 'uncommon-raw-materials', name: 'Uncommon Raw Materials', available: ['Ag', 'De', 'Wa'], tons: [1, 10], basePrice: 20000, purchase: { Ag: 2, Wa: 1 }, sale: { In: 2, Ht: 1 } },
+  { d66: 55, id: 'wood', name: 'Wood', available: ['Ag', 'Ga'], tons: [1, 20], basePrice: 1000, purchase: { Ag: 6 }, sale: { Ri: 2, In: 1 } },
+  { d66: 56, id: 'vehicles', name: 'Vehicles', available: ['In', 'Ht'], tons: [1, 10], basePrice: 15000, purchase: { In: 2, Ht: 1 }, sale: { Ni: 2, Hi: 1 } },
+  { d66: 61, id: 'illegal-biochemicals', name: 'Illegal Biochemicals', available: ['Ag', 'Wa'], illegal: true, tons: [1, 5], basePrice: 50000, purchase: { Wa: 2 }, sale: { In: 6 } },
+  { d66: 62, id: 'illegal-cybernetics', name: 'Illegal Cybernetics', available: ['Ht'], illegal: true, tons: [1, 1], basePrice: 250000, purchase: { Ht: 1 }, sale: { As: 4, Ic: 4, Ri: 8, Amber: 6, Red: 6 } },
+  { d66: 63, id: 'illegal-drugs', name: 'Illegal Drugs', available: ['As', 'De', 'Hi', 'Wa'], illegal: true, tons: [1, 1], basePrice: 100000, purchase: { As: 1, De: 1, Ga: 1, Wa: 1 }, sale: { Ri: 6, Hi: 6 } },
+  { d66: 64, id: 'illegal-luxuries', name: 'Illegal Luxuries', available: ['Ag', 'Ga', 'Wa'], illegal: true, tons: [1, 1], basePrice: 50000, purchase: { Ag: 2, Wa: 1 }, sale: { Ri: 6, Hi: 4 } },
+  { d66: 65, id: 'illegal-weapons', name: 'Illegal Weapons', available: ['In', 'Ht'], illegal: true, tons: [1, 5], basePrice: 150000, purchase: { Ht: 2 }, sale: { Po: 6, Amber: 8, Red: 10 } }
+];
+
+/**
+ * Modified Price table: percent of base price by 3D result, lowest result first
+ * Results below the first row use it; above the last use the last.
+ */
+const PRICE_TABLE = [
+  { result: -3, purchase: 300, sale: 10 },
+  { result: -2, purchase: 250, sale: 20 },
+  { result: -1, purchase: 200, sale: 30 },
+  { result: 0, purchase: 175, sale: 40 },
+  { result: 1, purchase: 150, sale: 45 },
+  { result: 2, purchase: 135, sale: 50 },
+  { result: 3, purchase: 125, sale: 55 },
+  { result: 4, purchase: 120, sale: 60 },
+  { result: 5, purchase: 115, sale: 65 },
+  { result: 6, purchase: 110, sale: 70 },
+  { result: 7, purchase: 105, sale: 75 },
+  { result: 8, purchase: 100, sale: 80 },
+  { result: 9, purchase: 95, sale: 85 },
+  { result: 10, purchase: 90, sale: 90 },
+  { result: 11, purchase: 85, sale: 100 },
+  { result: 12, purchase: 80, sale: 105 },
+  { result: 13, purchase: 75, sale: 110 },
+  { result: 14, purchase: 70, sale: 115 },
+  { result: 15, purchase: 65, sale: 120 },
+  { result: 16, purchase: 60, sale: 125 },
+  { result: 17, purchase: 55, sale: 150 },
+  { result: 18, purchase: 50, sale: 175 },
+  { result: 19, purchase: 45, sale: 200 },
+  { result: 20, purchase: 40, sale: 250 },
+  { result: 21, purchase: 35, sale: 300 },
+  { result: 22, purchase: 30, sale: 400 },
+  { result: 23, purchase: 25, sale: 500 }
+];
+
+/**
+ * Difficulty of the Broker checks to find a supplier and to haggle
+ */
+const BROKER_DIFFICULTY = 8;
+
+/**
+ * Broker skill of the supplier or buyer on the other side of the deal
+ */
+const DEFAULT_COUNTERPARTY_BROKER = 2;
+
+/**
+ * DM to find a supplier for the starport's size of market
+ */
+const STARPORT_SUPPLIER_DMS = { A: 6, B: 4, C: 2 };
+
+/**
+ * Days before a market restocks and reprices
+ */
+const MARKET_REFRESH_DAYS = 7;
+
+/**
+ * Roll and total some six-sided dice
+ * @param {number} count - Number of dice
+ * @param {number[]} [fixed] - Fixed dice (for testing)
+ * @returns {number} Total
+ */
+function rollDice(count, fixed) {
+  const dice = fixed ? fixed.slice(0, count) : Array.from({ length: count }, () => Math.floor(Math.random() * 6) + 1);
+  return dice.reduce((sum, d) => sum + d, 0);
+}
+
+/**
+ * Derive trade codes from a UWP
+ * @param {string} uwp - e.g. "C544338-8"
+ * @returns {string[]} Trade codes, e.g. ['Lo', 'Ni'] (empty if the UWP is invalid)
+ */
+function getTradeCodes(uwp) {
+  const values = decodeUWP(uwp);
+  if (!values) return [];
+
+  return TRADE_CODE_RULES
+    .filter(rule => Object.keys(values).every(field => !rule[field] || rule[field].includes(values[field])))
+    .map(rule => rule.code);
+}
+
+/**
+ * Trade codes plus the travel zone, as used for trade DMs
+ * @param {Object} world - { uwp, zone }
+ * @returns {string[]} e.g. ['Lo', 'Ni', 'Amber']
+ */
+function getMarketCodes(world) {
+  const codes = getTradeCodes(world?.uwp);
+  const zone = String(world?.zone || '').trim().toUpperCase();
+  if (zone === 'A' || zone === 'AMBER') codes.push('Amber');
+  if (zone === 'R' || zone === 'RED') codes.push('Red');
+  return codes;
+}
+
+/**
+ * Find a trade good by ID, D66 number or name
+ * @param {string|number} ref - e.g. "wood", 55 or "Common Ore"
+ * @returns {Object|null} Trade good
+ */
+function getTradeGood(ref) {
+  if (ref === null || ref === undefined || ref === '') return null;
+  const wanted = String(ref).trim().toLowerCase();
+  return TRADE_GOODS.find(good =>
+    good.id === wanted ||
+    String(good.d66) === wanted ||
+    good.name.toLowerCase() === wanted
+  ) || TRADE_GOODS.find(good => good.name.toLowerCase().includes(wanted)) || null;
+}
+
+/**
+ * Goods a world stocks
+ * @param {string[]} codes - World trade codes
+ * @param {Object} options - { illegal: include illegal goods (black market) }
+ * @returns {Object[]} Trade goods
+ */
+function getAvailableGoods(codes, options = {}) {
+  return TRADE_GOODS.filter(good =>
+    (!good.illegal || options.illegal) &&
+    (good.available === 'all' || good.available.some(code => codes.includes(code)))
+  );
+}
+
+/**
+ * Highest DM a good gets from a world's codes
+ * @param {Object} dms - { code: dm } purchase or sale DMs of a good
+ * @param {string[]} codes - World trade codes
+ * @returns {number} Highest applicable DM, 0 if none apply
+ */
+function getBestDM(dms, codes) {
+  const values = codes.filter(code => dms[code] !== undefined).map(code => dms[code]);
+  return values.length > 0 ? Math.max(...values) : 0;
+}
+
+/**
+ * Look up the Modified Price table
+ * @param {number} result - 3D + DMs
+ * @returns {Object} { purchase, sale } percent of base price
+ */
+function getPriceModifier(result) {
+  const clamped = Math.min(PRICE_TABLE[PRICE_TABLE.length - 1].result, Math.max(PRICE_TABLE[0].result, result));
+  const row = PRICE_TABLE.find(r => r.result === clamped);
+  return { purchase: row.purchase, sale: row.sale };
+}
+
+/**
+ * The PC's own DM for Broker checks (skill + INT, or unskilled)
+ * @param {Object} pc - PC data
+ * @returns {number} DM
+ */
+function getBrokerDM(pc) {
+  const level = pc ? getSkillLevel(pc, 'Broker') : null;
+  return (level === null ? UNSKILLED_DM : level) + (pc ? getCharacteristicModifier(pc, 'int') : 0);
+}
+
+/**
+ * Roll a Broker check to find a supplier (and buyers) on a world
+ * @param {Object} pc - PC looking for one
+ * @param {Object} world - { uwp } for the starport DM
+ * @param {Object} options - { roll, dice } passed to rollTask (for testing)
+ * @returns {Object} rollTask result
+ */
+function rollSupplierCheck(pc, world, options = {}) {
+  const starport = parseUWP(world?.uwp)?.starport;
+  return rollTask({
+    difficulty: BROKER_DIFFICULTY,
+    dm: getBrokerDM(pc),
+    dms: STARPORT_SUPPLIER_DMS[starport] ? [{ source: `starport ${starport}`, value: STARPORT_SUPPLIER_DMS[starport] }] : []
+  }, options);
+}
+
+/**
+ * Roll the Broker check whose Effect goes on the price
+ * @param {Object} pc - PC doing the haggling
+ * @param {Object} options - { roll, dice } passed to rollTask (for testing)
+ * @returns {Object} rollTask result
+ */
+function rollBrokerCheck(pc, options = {}) {
+  return rollTask({ difficulty: BROKER_DIFFICULTY, dm: getBrokerDM(pc) }, options);
+}
+
+/**
+ * Price a good for buying or selling
+ * @param {Object} good - Trade good
+ * @param {string[]} codes - Market trade codes
+ * @param {Object} options - { side: purchase|sale, effect: Broker check Effect,
+ *   counterpartyBroker, roll: fixed 3D total (for testing) }
+ * @returns {Object} { side, roll, dm, result, percent, pricePerTon }
+ */
+function quotePrice(good, codes, options = {}) {
+  const side = options.side === 'sale' ? 'sale' : 'purchase';
+  const roll = options.roll ?? rollDice(3);
+  const purchaseDM = getBestDM(good.purchase, codes);
+  const saleDM = getBestDM(good.sale, codes);
+  const dm = (options.effect || 0) +
+    (side === 'purchase' ? purchaseDM - saleDM : saleDM - purchaseDM) -
+    (options.counterpartyBroker ?? DEFAULT_COUNTERPARTY_BROKER);
+
+  const result = roll + dm;
+  const percent = getPriceModifier(result)[side];
+  return { side, roll, dm, result, percent, pricePerTon: Math.round(good.basePrice * percent / 100) };
+}
+
+/**
+ * Roll how many tons of a good are on offer
+ * Population 3 or less takes 3 off the dice, 9 or more adds 3.
+ * @param {Object} good - Trade good
+ * @param {number} population - World population digit value
+ * @param {Object} options - { dice: fixed dice (for testing) }
+ * @returns {number} Tons
+ */
+function rollTons(good, population, options = {}) {
+  const [count, multiplier] = good.tons;
+  const popDM = population <= 3 ? -3 : population >= 9 ? 3 : 0;
+  return Math.max(0, rollDice(count, options.dice) + popDM) * multiplier;
+}
+
+/**
+ * Build a market for a world
+ * Without a supplier nothing is on offer until the market refreshes.
+ * @param {Object} world - { name, uwp, zone }
+ * @param {Object} pc - PC doing the buying (rolls the Broker checks)
+ * @param {Object} options - { illegal, supplierRoll, brokerRoll, priceRoll, tonsDice, gameDate }
+ * @returns {Object} { world, uwp, tradeCodes, gameDate, supplier: { found, effect },
+ *   broker: { pcId, effect, band }, goods: [...], sales: {} }
+ */
+function createMarket(world, pc, options = {}) {
+  const codes = getMarketCodes(world);
+  const population = decodeUWP(world.uwp)?.population ?? 0;
+  const supplier = rollSupplierCheck(pc, world, { roll: options.supplierRoll });
+  const broker = rollBrokerCheck(pc, { roll: options.brokerRoll });
+
+  const goods = (supplier.success ? getAvailableGoods(codes, options) : [])
+    .map(good => {
+      const quote = quotePrice(good, codes, { side: 'purchase', effect: broker.effect, roll: options.priceRoll });
+      return {
+        id: good.id,
+        name: good.name,
+        tons: rollTons(good, population, { dice: options.tonsDice }),
+        basePrice: good.basePrice,
+        percent: quote.percent,
+        price: quote.pricePerTon
+      };
+    })
+    .filter(good => good.tons > 0);
+
+  return {
+    world: world.name,
+    uwp: world.uwp,
+    tradeCodes: codes,
+    gameDate: options.gameDate || null,
+    supplier: { found: supplier.success, effect: supplier.effect },
+    broker: { pcId: pc?.id || null, effect: broker.effect, band: broker.band },
+    goods,
+    sales: {}
+  };
+}
+
+/**
+ * Check whether a market found a supplier (markets from before the check did)
+ * @param {Object} market - Market
+ * @returns {boolean} True if the PCs can trade there
+ */
+function hasSupplier(market) {
+  return market.supplier?.found !== false;
+}
+
+// === SESSION HELPERS ===
+
+/**
+ * Get the world a session is on
+ * Subsector data wins; the adventure may also give world_uwp.
+ * @param {Object} session - Adventure session
+ * @returns {Object|null} { name, uwp, zone } or null if the UWP is unknown
+ */
+function getSessionWorld(session) {
+  const name = session?.adventure?.world;
+  if (!name) return null;
+  const world = getWorld(name);
+  const uwp = world?.uwp || session.adventure.world_uwp;
+  if (!parseUWP(uwp)) return null;
+  return { name, uwp, zone: world?.zone || session.adventure.world_zone || null };
+}
+
+/**
+ * Get the session's market, building a new one on a new world or after a week
+ * @param {Object} session - Adventure session
+ * @param {Object} options - Passed to createMarket when one is built
+ * @returns {Object|null} Market (stored on storyState.market), null if the world is unknown
+ */
+function getMarket(session, options = {}) {
+  const world = getSessionWorld(session);
+  if (!world) return null;
+
+  const current = session.storyState.market;
+  const gameDate = session.storyState.gameDate || null;
+  const age = current?.gameDate && gameDate ? daysBetween(current.gameDate, gameDate) : 0;
+  if (current && current.world === world.name && age !== null && age < MARKET_REFRESH_DAYS) {
+    return current;
+  }
+
+  const pc = session.party ? getActivePC(getSessionParty(session)) : session.pc;
+  session.storyState.market = createMarket(world, pc, { ...options, gameDate });
+  return session.storyState.market;
+}
+
+/**
+ * Quote what a cargo lot would sell for here
+ * Uses the market's Broker Effect, and the offer per good is kept with the
+ * market so it stays put until the market refreshes. Selling where the lot
+ * was bought is allowed, but the purchase DMs work against it.
+ * @param {Object} session - Adventure session
+ * @param {Object} cargo - Cargo inventory item
+ * @param {Object} options - { roll } fixed 3D total for a new offer (for testing)
+ * @returns {Object|null} { pricePerTon, total, percent } or null without a market or buyers
+ */
+function quoteCargoSale(session, cargo, options = {}) {
+  const market = getMarket(session);
+  const good = getTradeGood(cargo.good_id);
+  if (!market || !good || !hasSupplier(market)) return null;
+
+  if (!market.sales[good.id]) {
+    const quote = quotePrice(good, market.tradeCodes, { side: 'sale', effect: market.broker.effect, roll: options.roll });
+    market.sales[good.id] = { percent: quote.percent, price: quote.pricePerTon };
+  }
+  const offer = market.sales[good.id];
+  return { pricePerTon: offer.price, total: offer.price * cargo.tons, percent: offer.percent };
+}
+
+/**
+ * Buy tons of a good from the market, paying through the ledger
+ * @param {Object} session - Adventure session
+ * @param {string} goodRef - Good ID, D66 or name
+ * @param {number} tons - Tons to buy
+ * @param {Object} options - { pcId, counterparty }
+ * @returns {Object} { item, entry, pc } or { error }
+ */
+function buyCargo(session, goodRef, tons, options = {}) {
+  const market = getMarket(session);
+  if (!market) return { error: 'No market here: the world UWP is unknown' };
+  if (!hasSupplier(market)) return { error: `No supplier found on ${market.world} this week` };
+
+  const good = getTradeGood(goodRef);
+  const offer = good && market.goods.find(g => g.id === good.id);
+  if (!offer) return { error: `${good ? good.name : goodRef} is not on sale on ${market.world}` };
+
+  const amount = Math.floor(Number(tons));
+  if (!Number.isFinite(amount) || amount <= 0) return { error: `Invalid tonnage: ${tons}` };
+  if (amount > offer.tons) return { error: `Only ${offer.tons} tons of ${offer.name} on offer` };
+
+  const cost = offer.price * amount;
+  const paid = postTransaction(session, {
+    type: 'purchase',
+    amount: cost,
+    counterparty: options.counterparty || `${market.world.toLowerCase()}-market`,
+    description: `${amount} tons ${offer.name} at Cr${offer.price}/ton`,
+    pcId: options.pcId
+  });
+  if (paid.error) return { error: paid.error };
+
+  // Lots are numbered per good; skip numbers still in the hold
+  const held = new Set(getCargoItems(session).map(c => c.id));
+  let lot = 1;
+  while (held.has(`cargo-${good.id}-${lot}`)) lot++;
+
+  const item = {
+    id: `cargo-${good.id}-${lot}`,
+    name: `${offer.name} (${amount} tons)`,
+    type: 'cargo',
+    good_id: good.id,
+    tons: amount,
+    price_per_ton: offer.price,
+    bought_on: market.world,
+    bought_date: session.storyState.gameDate || null
+  };
+  addToInventory(session, item);
+  offer.tons -= amount;
+
+  return { item, entry: paid.entry, pc: paid.pc };
+}
+
+/**
+ * Sell a cargo lot at the current market
+ * @param {Object} session - Adventure session
+ * @param {string} cargoRef - Cargo item ID or good ID/name
+ * @param {Object} options - { pcId, counterparty, roll }
+ * @returns {Object} { item, entry, pc, profit } or { error }
+ */
+function sellCargo(session, cargoRef, options = {}) {
+  const cargo = getCargoItems(session);
+  const good = getTradeGood(cargoRef);
+  const item = cargo.find(c => c.id === cargoRef) || (good && cargo.find(c => c.good_id === good.id));
+  if (!item) return { error: `No cargo "${cargoRef}" aboard` };
+
+  const market = getMarket(session);
+  if (!market) return { error: 'No market here: the world UWP is unknown' };
+  if (!hasSupplier(market)) return { error: `No buyers found on ${market.world} this week` };
+  const quote = quoteCargoSale(session, item, { roll: options.roll });
+
+  const paid = postTransaction(session, {
+    type: 'income',
+    amount: quote.total,
+    counterparty: options.counterparty || `${market.world.toLowerCase()}-market`,
+    description: `${item.tons} tons ${getTradeGood(item.good_id).name} at Cr${quote.pricePerTon}/ton`,
+    pcId: options.pcId
+  });
+  if (paid.error) return { error: paid.error };
+
+  removeFromInventory(session, item.id);
+  return { item, entry: paid.entry, pc: paid.pc, profit: quote.total - item.price_per_ton * item.tons };
+}
+
+/**
+ * Format the market and cargo for display
+ * @param {Object} session - Adventure session
+ * @returns {string} Market text
+ */
+function formatMarket(session) {
+  const market = getMarket(session);
+  if (!market) return 'No market here: the world UWP is unknown.';
+
+  const lines = [
+    `=== MARKET: ${market.world} (${market.uwp}) ===`,
+    `Trade codes: ${market.tradeCodes.join(' ') || 'none'}`,
+    `Broker check Effect ${market.broker.effect >= 0 ? '+' : ''}${market.broker.effect}`,
+    ''
+  ];
+  if (!hasSupplier(market)) {
+    lines.push(`No supplier or buyers found this week (Broker check Effect ${market.supplier.effect}).`);
+    return lines.join('\n');
+  }
+
+  lines.push('For sale (per ton):');
+  for (const good of market.goods) {
+    lines.push(`  ${good.id}: ${good.name}, ${good.tons} tons at Cr${good.price} (${good.percent}%)`);
+  }
+  if (market.goods.length === 0) lines.push('  Nothing on offer');
+
+  const cargo = getCargoItems(session);
+  if (cargo.length > 0) {
+    lines.push('', 'Cargo aboard (sale offers):');
+    for (const item of cargo) {
+      const quote = quoteCargoSale(session, item);
+      lines.push(`  ${item.id}: ${item.tons} tons bought at Cr${item.price_per_ton}, offered Cr${quote.pricePerTon}/ton (Cr${quote.total})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the market section of a broker NPC's prompt
+ * @param {Object} session - Adventure session
+ * @returns {string} Prices the broker can quote, or '' without a market
+ */
+function buildBrokerContext(session) {
+  const market = getMarket(session);
+  if (!market) return '';
+  if (!hasSupplier(market)) {
+    return `\n\n=== MARKET (${market.world}) ===
+No supplier or buyers have been found this week; there is nothing to quote.`;
+  }
+
+  const goods = market.goods.map(g => `- ${g.name}: ${g.tons} tons at Cr${g.price}/ton`);
+  const cargo = getCargoItems(session).map(item => {
+    const quote = quoteCargoSale(session, item);
+    return `- ${item.name}: buyers offer Cr${quote.pricePerTon}/ton`;
+  });
+
+  return `\n\n=== MARKET (${market.world}, ${market.tradeCodes.join(' ') || 'no trade codes'}) ===
+Quote these prices; do not invent others. The PC buys and sells with /trade.
+${goods.join('\n') || '- Nothing on offer'}${cargo.length > 0 ? `\nPC cargo:\n${cargo.join('\n')}` : ''}`;
+}
+
+module.exports = {
+  TRADE_CODE_RULES,
+  TRADE_GOODS,
+  PRICE_TABLE,
+  BROKER_DIFFICULTY,
+  getTradeCodes,
+  getMarketCodes,
+  getTradeGood,
+  getAvailableGoods,
+  getBestDM,
+  getPriceModifier,
+  getBrokerDM,
+  rollSupplierCheck,
+  rollBrokerCheck,
+  quotePrice,
+  rollTons,
+  createMarket,
+  getSessionWorld,
+  getMarket,
+  quoteCargoSale,
+  buyCargo,
+  sellCargo,
+  formatMarket,
+  buildBrokerContext
+};
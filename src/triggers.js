@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { daysBetween } = require('./imperial-calendar');
 
 const TRIGGER_STATE_FILE = path.join(__dirname, '../data/state/trigger-state.json');
 
@@ -62,21 +63,6 @@ function markTriggerFired(triggerId, triggerState) {
   triggerState.fired[triggerId] = true;
 }
 
-/**
- * Parse Traveller date string to day number
- * Format: "DDD-YYYY" where DDD is day of year (001-365)
- * @param {string} dateStr
- * @returns {number} Total days since year 0
- */
-function parseTravellerDate(dateStr) {
-  if (!dateStr || typeof dateStr !== 'string') return 0;
-  const match = dateStr.match(/(\d{3})-(\d{4})/);
-  if (!match) return 0;
-  const day = parseInt(match[1], 10);
-  const year = parseInt(match[2], 10);
-  return year * 365 + day;
-}
-
 /**
  * Check if required conditions are met
  * @param {string[]} requires - Array of beat requirements (prefix ! for negation)
@@ -159,9 +145,10 @@ function evaluateTrigger(trigger, storyState, triggerState) {
         return { shouldFire: false, reason: 'Missing date information' };
       }
 
-      const beatDay = parseTravellerDate(beatTimestamp);
-      const currentDay = parseTravellerDate(currentDate);
-      const elapsed = currentDay - beatDay;
+      const elapsed = daysBetween(beatTimestamp, currentDate);
+      if (elapsed === null) {
+        return { shouldFire: false, reason: 'Invalid date information' };
+      }
 
       if (elapsed >= days) {
         return { shouldFire: true, reason: `${elapsed} days elapsed (required: ${days})` };
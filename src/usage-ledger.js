@@ -0,0 +1,303 @@
+/**
+ * Usage Ledger - Persistent record of LLM calls and spend
+ *
+ * Pattern: Repository (load/save) over an append-only ledger
+ * Every live call made through ai-client is written here with its caller
+ * (the feature that made it), provider, model, tokens and per-model cost.
+ * Budget caps and the /usage report are computed from the ledger, so they
+ * survive restarts.
+ *
+ * Periods are calendar based in local time: day, week (Monday start), month.
+ * Override the file with USAGE_LEDGER_FILE (tests point it at a temp dir).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_FILE = path.join(__dirname, '../data/state/usage-ledger.json');
+
+// Entries older than this are pruned on save (covers the monthly cap)
+const RETENTION_DAYS = 92;
+
+/**
+ * Caller tags for attribution
+ */
+const USAGE_CALLERS = {
+  NARRATION: 'narration',
+  NPC_DIALOGUE: 'npc-dialogue',
+  RED_TEAM_PROBE: 'red-team-probe',
+  RED_TEAM_JUDGE: 'red-team-judge',
+  LEARNER: 'learner',
+  CSC_EXTRACT: 'csc-extract',
+  PLAYER_AGENT: 'player-agent',
+  KNOWLEDGE_EXTRACT: 'knowledge-extract',
+  MEMORY_SUMMARY: 'memory-summary',
+  UNTAGGED: 'untagged'
+};
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Get ledger file path
+ * @returns {string} File path
+ */
+function getLedgerPath() {
+  return process.env.USAGE_LEDGER_FILE || LEDGER_FILE;
+}
+
+/**
+ * Load the ledger
+ * @param {string} file - Optional file override
+ * @returns {Object} Ledger { entries }
+ */
+function loadLedger(file = getLedgerPath()) {
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { entries: Array.isArray(data.entries) ? data.entries : [] };
+    }
+  } catch (e) {
+    // Return empty ledger on error
+  }
+  return { entries: [] };
+}
+
+/**
+ * Save the ledger, pruning entries past retention
+ * @param {Object} ledger - Ledger from loadLedger
+ * @param {string} file - Optional file override
+ * @param {Date} now - Current time
+ */
+function saveLedger(ledger, file = getLedgerPath(), now = new Date()) {
+  const cutoff = now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  ledger.entries = ledger.entries.filter(e => new Date(e.timestamp).getTime() >= cutoff);
+
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(ledger, null, 2));
+}
+
+/**
+ * Append a usage entry
+ * @param {Object} call - { caller, provider, model, usage, cost }
+ * @param {Object} options - { file, now }
+ * @returns {Object} The stored entry
+ */
+function recordUsage(call, options = {}) {
+  const { file = getLedgerPath(), now = new Date() } = options;
+  const entry = {
+    timestamp: now.toISOString(),
+    caller: call.caller || USAGE_CALLERS.UNTAGGED,
+    provider: call.provider || null,
+    model: call.model || null,
+    inputTokens: call.usage?.input_tokens || 0,
+    outputTokens: call.usage?.output_tokens || 0,
+    cost: call.cost || 0
+  };
+
+  const ledger = loadLedger(file);
+  ledger.entries.push(entry);
+  saveLedger(ledger, file, now);
+  return entry;
+}
+
+/**
+ * Get the start of the calendar period containing a date
+ * @param {string} period - daily | weekly | monthly
+ * @param {Date} now - Reference time
+ * @returns {Date} Period start (local midnight)
+ */
+function getPeriodStart(period, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (period === 'weekly') {
+    const daysSinceMonday = (start.getDay() + 6) % 7;
+    start.setDate(start.getDate() - daysSinceMonday);
+  } else if (period === 'monthly') {
+    start.setDate(1);
+  } else if (period !== 'daily') {
+    throw new Error(`Unknown usage period: ${period}`);
+  }
+  return start;
+}
+
+/**
+ * Get entries since a time
+ * @param {Object[]} entries - Ledger entries
+ * @param {Date} since - Start time (inclusive)
+ * @returns {Object[]} Matching entries
+ */
+function entriesSince(entries, since) {
+  const from = since.getTime();
+  return entries.filter(e => new Date(e.timestamp).getTime() >= from);
+}
+
+/**
+ * Add an entry's numbers into a bucket
+ * @param {Object} bucket - { requests, inputTokens, outputTokens, cost }
+ * @param {Object} entry - Ledger entry
+ */
+function addToBucket(bucket, entry) {
+  bucket.requests++;
+  bucket.inputTokens += entry.inputTokens;
+  bucket.outputTokens += entry.outputTokens;
+  bucket.cost += entry.cost;
+}
+
+/**
+ * Create an empty totals bucket
+ * @returns {Object}
+ */
+function emptyBucket() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Summarize entries by caller and model
+ * @param {Object[]} entries - Ledger entries
+ * @returns {Object} { requests, inputTokens, outputTokens, cost, byCaller, byModel }
+ */
+function summarizeEntries(entries) {
+  const summary = { ...emptyBucket(), byCaller: {}, byModel: {} };
+  for (const entry of entries) {
+    addToBucket(summary, entry);
+
+    summary.byCaller[entry.caller] = summary.byCaller[entry.caller] || emptyBucket();
+    addToBucket(summary.byCaller[entry.caller], entry);
+
+    const model = entry.model || 'unknown';
+    summary.byModel[model] = summary.byModel[model] || emptyBucket();
+    addToBucket(summary.byModel[model], entry);
+  }
+  return summary;
+}
+
+/**
+ * Get total spend for the current period
+ * @param {string} period - daily | weekly | monthly
+ * @param {Object} options - { file, now, ledger }
+ * @returns {number} Spend in USD
+ */
+function getSpend(period, options = {}) {
+  const { now = new Date() } = options;
+  const ledger = options.ledger || loadLedger(options.file);
+  return entriesSince(ledger.entries, getPeriodStart(period, now))
+    .reduce((sum, e) => sum + e.cost, 0);
+}
+
+/**
+ * Count calls in a trailing time window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {Object} options - { file, now }
+ * @returns {Object} { count, oldest } oldest is the earliest timestamp (ms) in the window
+ */
+function countRecentCalls(windowMs, options = {}) {
+  const { now = new Date() } = options;
+  const ledger = loadLedger(options.file);
+  const recent = entriesSince(ledger.entries, new Date(now.getTime() - windowMs));
+  return {
+    count: recent.length,
+    oldest: recent.length > 0 ? new Date(recent[0].timestamp).getTime() : null
+  };
+}
+
+/**
+ * Check spend against daily/weekly/monthly caps
+ * A cap of null/undefined/0 means no limit for that period.
+ * @param {Object} caps - { daily, weekly, monthly } in USD
+ * @param {Object} options - { file, now }
+ * @returns {Object} { allowed, exceeded, periods: { daily: { spent, cap, remaining }, ... } }
+ */
+function checkCaps(caps = {}, options = {}) {
+  const ledger = loadLedger(options.file);
+  const result = { allowed: true, exceeded: null, periods: {} };
+
+  for (const period of PERIODS) {
+    const cap = caps[period] || null;
+    const spent = getSpend(period, { ...options, ledger });
+    result.periods[period] = {
+      spent,
+      cap,
+      remaining: cap === null ? null : Math.max(0, cap - spent)
+    };
+    if (cap !== null && spent >= cap && result.allowed) {
+      result.allowed = false;
+      result.exceeded = period;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build usage report for each period
+ * @param {Object} caps - { daily, weekly, monthly } in USD
+ * @param {Object} options - { file, now }
+ * @returns {Object} { daily, weekly, monthly } each a summary plus cap
+ */
+function buildUsageReport(caps = {}, options = {}) {
+  const { now = new Date() } = options;
+  const ledger = loadLedger(options.file);
+  const report = {};
+  for (const period of PERIODS) {
+    report[period] = {
+      since: getPeriodStart(period, now).toISOString(),
+      cap: caps[period] || null,
+      ...summarizeEntries(entriesSince(ledger.entries, getPeriodStart(period, now)))
+    };
+  }
+  return report;
+}
+
+/**
+ * Format a usage report for the TUI
+ * @param {Object} report - From buildUsageReport
+ * @returns {string} Report text
+ */
+function formatUsageReport(report) {
+  const lines = ['', '  === USAGE ==='];
+  const labels = { daily: 'Today', weekly: 'This week', monthly: 'This month' };
+
+  for (const period of PERIODS) {
+    const p = report[period];
+    const cap = p.cap ? ` / $${p.cap.toFixed(2)}` : ' (no cap)';
+    lines.push(`  ${labels[period].padEnd(11)} $${p.cost.toFixed(4)}${cap}  ${p.requests} requests`);
+  }
+
+  const month = report.monthly;
+  if (month.requests > 0) {
+    lines.push('', '  By caller (this month):');
+    const callers = Object.entries(month.byCaller).sort((a, b) => b[1].cost - a[1].cost);
+    for (const [caller, b] of callers) {
+      lines.push(`    ${caller.padEnd(18)} $${b.cost.toFixed(4)}  ${b.requests} req  ${b.inputTokens}/${b.outputTokens} tok`);
+    }
+
+    lines.push('', '  By model (this month):');
+    const models = Object.entries(month.byModel).sort((a, b) => b[1].cost - a[1].cost);
+    for (const [model, b] of models) {
+      lines.push(`    ${model.padEnd(28)} $${b.cost.toFixed(4)}  ${b.requests} req`);
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = {
+  LEDGER_FILE,
+  RETENTION_DAYS,
+  USAGE_CALLERS,
+  PERIODS,
+  getLedgerPath,
+  loadLedger,
+  saveLedger,
+  recordUsage,
+  getPeriodStart,
+  summarizeEntries,
+  getSpend,
+  countRecentCalls,
+  checkCaps,
+  buildUsageReport,
+  formatUsageReport
+};
@@ -0,0 +1,92 @@
+/**
+ * UWP - Extended hex digits and Universal World Profiles
+ *
+ * Pattern: Value functions
+ * Traveller writes UWPs ("C544338-8") and UPPs ("789A87") in extended hex:
+ * 0-9, then A-Z without I and O, so G is 16. A UWP is a starport class
+ * followed by size, atmosphere, hydrographics, population, government and
+ * law level, a dash, then the tech level.
+ */
+
+/**
+ * Extended hex digits, by value (I and O are skipped)
+ */
+const EHEX = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Starport classes a UWP may start with
+ */
+const STARPORTS = 'ABCDEX';
+
+/**
+ * UWP fields after the starport, in order
+ */
+const UWP_FIELDS = ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'lawLevel', 'techLevel'];
+
+const UWP_PATTERN = /^([ABCDEX])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])-([0-9A-HJ-NP-Z])$/;
+
+/**
+ * Read one extended hex digit as a number
+ * @param {string} digit - e.g. "A"
+ * @returns {number|null} Value, null if not an extended hex digit
+ */
+function ehexValue(digit) {
+  if (typeof digit !== 'string' && typeof digit !== 'number') return null;
+  const text = String(digit).toUpperCase();
+  const value = text.length === 1 ? EHEX.indexOf(text) : -1;
+  return value >= 0 ? value : null;
+}
+
+/**
+ * Write a number as one extended hex digit (clamped to 0-33)
+ * @param {number} value - Value
+ * @returns {string} Digit
+ */
+function toEhex(value) {
+  return EHEX[Math.max(0, Math.min(EHEX.length - 1, Math.trunc(value) || 0))];
+}
+
+/**
+ * Parse a UWP into its digits
+ * @param {string} uwp - UWP (e.g. "C544338-7"), any case
+ * @returns {Object|null} { starport, size, atmosphere, hydrographics, population,
+ *   government, lawLevel, techLevel } as digits, or null if invalid
+ */
+function parseUWP(uwp) {
+  if (!uwp || typeof uwp !== 'string') return null;
+
+  const match = uwp.toUpperCase().trim().match(UWP_PATTERN);
+  if (!match) return null;
+
+  const parsed = { starport: match[1] };
+  UWP_FIELDS.forEach((field, i) => {
+    parsed[field] = match[i + 2];
+  });
+  return parsed;
+}
+
+/**
+ * Parse a UWP into numbers (the starport stays a letter)
+ * @param {string} uwp - UWP
+ * @returns {Object|null} As parseUWP, with each field after the starport a number
+ */
+function decodeUWP(uwp) {
+  const parsed = parseUWP(uwp);
+  if (!parsed) return null;
+
+  const decoded = { starport: parsed.starport };
+  for (const field of UWP_FIELDS) {
+    decoded[field] = ehexValue(parsed[field]);
+  }
+  return decoded;
+}
+
+module.exports = {
+  EHEX,
+  STARPORTS,
+  UWP_FIELDS,
+  ehexValue,
+  toEhex,
+  parseUWP,
+  decodeUWP
+};
@@ -8,7 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const WIKI_CACHE_PATH = path.join(__dirname, '../data/wiki-cache');
+const WIKI_CACHE_PATH = process.env.WIKI_CACHE_DIR || path.join(__dirname, '../data/wiki-cache');
 const INDEX_FILE = path.join(WIKI_CACHE_PATH, 'index.json');
 const SYSTEMS_DIR = path.join(WIKI_CACHE_PATH, 'systems');
 
@@ -214,11 +214,15 @@ function search(query) {
 
 module.exports = {
   WIKI_CACHE_PATH,
+  INDEX_FILE,
+  SYSTEMS_DIR,
   isInitialized,
   initialize,
   getByHex,
   getByName,
   getBySlug,
+  loadSystemFile,
+  stripHtml,
   getTextContent,
   getRawHtml,
   getAllHexes,
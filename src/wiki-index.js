@@ -0,0 +1,229 @@
+/**
+ * Wiki Index - Full-text search over the cached wiki system pages
+ *
+ * Pattern: Singleton + Lazy Loading
+ * Each system page is stripped of HTML once and split into passages of a
+ * few paragraphs; passages are the searchable documents, with the world's
+ * name and allegiance as extra fields. The BM25 index (text-search) is
+ * saved as search-index.json beside the wiki cache's index.json and
+ * rebuilt when the system files change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const wikiCache = require('./wiki-cache');
+const { getWorldByHex } = require('./subsector-data');
+const { buildIndex, search } = require('./text-search');
+
+const SEARCH_INDEX_FILE = path.join(wikiCache.WIKI_CACHE_PATH, 'search-index.json');
+
+/**
+ * Bump when the saved index layout changes
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Searchable fields and their weights
+ */
+const FIELDS = ['name', 'allegiance', 'body'];
+const FIELD_WEIGHTS = { name: 3, allegiance: 2, body: 1 };
+
+/**
+ * Passage size in characters: short paragraphs are merged up to the minimum,
+ * long ones split at sentences below the maximum
+ */
+const MIN_PASSAGE_CHARS = 200;
+const MAX_PASSAGE_CHARS = 1200;
+
+// Singleton state
+let index = null;
+
+/**
+ * Split page HTML into passages of plain text
+ * @param {string} html - Raw page HTML
+ * @returns {string[]} Passages in page order
+ */
+function splitPassages(html) {
+  const blocks = String(html || '')
+    .split(/<\/(?:p|li|h[1-6]|tr|dd|blockquote|div)>|<br\s*\/?>/i)
+    .map(wikiCache.stripHtml)
+    .filter(Boolean);
+
+  // Long blocks are cut at sentence ends
+  const pieces = blocks.flatMap(block => {
+    if (block.length <= MAX_PASSAGE_CHARS) return [block];
+    const parts = [];
+    let current = '';
+    for (const sentence of block.match(/[^.!?]+[.!?]*\s*/g) || [block]) {
+      if (current && current.length + sentence.length > MAX_PASSAGE_CHARS) {
+        parts.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  });
+
+  const passages = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > MAX_PASSAGE_CHARS) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+    if (current.length >= MIN_PASSAGE_CHARS) {
+      passages.push(current);
+      current = '';
+    }
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+/**
+ * Fingerprint of the system files, to tell when a saved index is stale
+ * @returns {Object|null} { files, latest } or null if there are no system files
+ */
+function getSourceSignature() {
+  try {
+    const files = fs.readdirSync(wikiCache.SYSTEMS_DIR).filter(f => f.endsWith('.json'));
+    const latest = Math.max(0, ...files.map(f => fs.statSync(path.join(wikiCache.SYSTEMS_DIR, f)).mtimeMs));
+    return { files: files.length, latest };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the index from the system files
+ * @param {Object} options - { save: write search-index.json (default true) }
+ * @returns {Object} Index (see text-search.buildIndex) plus { version, source }
+ */
+function buildWikiIndex(options = {}) {
+  const source = getSourceSignature();
+  const docs = [];
+
+  if (source) {
+    const hexes = fs.readdirSync(wikiCache.SYSTEMS_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => path.basename(f, '.json'))
+      .sort();
+
+    for (const hex of hexes) {
+      const system = wikiCache.loadSystemFile(hex);
+      if (!system?.rawHtml) continue;
+      const entry = wikiCache.getByHex(hex);
+      const name = system.name || entry?.name || hex;
+      const allegiance = system.allegiance || entry?.allegiance || getWorldByHex(hex)?.allegiance || '';
+
+      splitPassages(system.rawHtml).forEach((body, passage) => {
+        docs.push({ id: `${hex}#${passage}`, hex, name, allegiance, passage, body });
+      });
+    }
+  }
+
+  const built = {
+    version: INDEX_VERSION,
+    source,
+    ...buildIndex(docs, { fields: FIELDS, weights: FIELD_WEIGHTS })
+  };
+
+  if (source && options.save !== false) {
+    try {
+      fs.writeFileSync(SEARCH_INDEX_FILE, JSON.stringify(built));
+    } catch (e) {
+      // Read-only cache: keep the index in memory only
+    }
+  }
+  return built;
+}
+
+/**
+ * Get the index, loading the saved one if current or building it
+ * @returns {Object} Index
+ */
+function getWikiIndex() {
+  if (index) return index;
+
+  const source = getSourceSignature();
+  try {
+    const saved = JSON.parse(fs.readFileSync(SEARCH_INDEX_FILE, 'utf8'));
+    if (saved.version === INDEX_VERSION && source &&
+        saved.source?.files === source.files && saved.source?.latest === source.latest) {
+      index = saved;
+      return index;
+    }
+  } catch (e) {
+    // No saved index yet
+  }
+
+  index = buildWikiIndex();
+  return index;
+}
+
+/**
+ * Search cached wiki passages
+ * @param {string} query - Query text; supports "phrases" and name:, allegiance:, body: fields
+ * @param {Object} options - { limit (default 5), hex: only this world }
+ * @returns {Object[]} { id, hex, name, allegiance, passage, text, score }, best first
+ */
+function searchWiki(query, options = {}) {
+  const filter = options.hex ? doc => doc.hex === options.hex : null;
+  return search(getWikiIndex(), query, { limit: options.limit, filter }).map(({ doc, score }) => ({
+    id: doc.id,
+    hex: doc.hex,
+    name: doc.name,
+    allegiance: doc.allegiance,
+    passage: doc.passage,
+    text: doc.body,
+    score
+  }));
+}
+
+/**
+ * All passages of one world's page, in page order
+ * @param {string} hex - Hex code
+ * @returns {string[]} Passages (empty if the page is not cached)
+ */
+function getPassages(hex) {
+  return getWikiIndex().docs.filter(doc => doc.hex === hex).map(doc => doc.body);
+}
+
+/**
+ * Format search results for display
+ * @param {string} query - Query text
+ * @param {Object[]} results - From searchWiki
+ * @param {number} [maxChars] - Trim each passage to this length
+ * @returns {string} Results text
+ */
+function formatLoreResults(query, results, maxChars = 400) {
+  if (results.length === 0) return `No lore found for "${query}".`;
+
+  const lines = [`=== LORE: ${query} ===`];
+  for (const result of results) {
+    const text = result.text.length > maxChars ? result.text.substring(0, maxChars - 3).trim() + '...' : result.text;
+    const allegiance = result.allegiance ? `, ${result.allegiance}` : '';
+    lines.push(`\n[${result.name} (${result.hex}${allegiance})]`, text);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Drop the in-memory index (the next search reloads it)
+ */
+function reset() {
+  index = null;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  splitPassages,
+  buildWikiIndex,
+  getWikiIndex,
+  searchWiki,
+  getPassages,
+  formatLoreResults,
+  reset
+};
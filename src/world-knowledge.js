@@ -1,13 +1,16 @@
 /**
  * World Knowledge Module
- * UWP parsing and world summary generation for Traveller RPG.
+ * UWP descriptions and world summary generation for Traveller RPG.
  *
  * UWP format: XNNNNNN-T where:
  * - X = Starport class (A-E, X)
- * - N = Size, Atmosphere, Hydrographics, Population, Government, Law Level (0-F hex)
- * - T = Tech Level (0-F hex)
+ * - N = Size, Atmosphere, Hydrographics, Population, Government, Law Level (extended hex)
+ * - T = Tech Level (extended hex)
+ * Parsing is shared with the other UWP readers (see uwp.js).
  */
 
+const { parseUWP } = require('./uwp');
+
 // Lazy-load wiki-cache to avoid circular dependencies
 let wikiCache = null;
 function getWikiCache() {
@@ -22,6 +25,19 @@ function getWikiCache() {
   return wikiCache;
 }
 
+// Lazy-load wiki-index the same way
+let wikiIndex = null;
+function getWikiIndex() {
+  if (!wikiIndex) {
+    try {
+      wikiIndex = require('./wiki-index');
+    } catch (e) {
+      wikiIndex = null;
+    }
+  }
+  return wikiIndex;
+}
+
 // UWP Descriptions
 const STARPORT_CLASSES = {
   'A': 'excellent quality starport with refined fuel and full repair facilities',
@@ -98,31 +114,6 @@ const TECH_LEVELS = {
   'F': 'imperial maximum'
 };
 
-/**
- * Parse UWP string into components
- * @param {string} uwp - UWP string (e.g., "C544338-7")
- * @returns {Object|null} Parsed components or null if invalid
- */
-function parseUWP(uwp) {
-  if (!uwp || typeof uwp !== 'string') return null;
-
-  const normalized = uwp.toUpperCase().trim();
-  const match = normalized.match(/^([A-EX])([0-9A-F])([0-9A-F])([0-9A-F])([0-9A-F])([0-9A-F])([0-9A-F])-([0-9A-F])$/);
-
-  if (!match) return null;
-
-  return {
-    starport: match[1],
-    size: match[2],
-    atmosphere: match[3],
-    hydrographics: match[4],
-    population: match[5],
-    government: match[6],
-    lawLevel: match[7],
-    techLevel: match[8]
-  };
-}
-
 /**
  * Generate human-readable description of UWP
  * @param {string} uwp - UWP string
@@ -189,10 +180,13 @@ function getFirstParagraph(text, maxLength = null) {
 
 /**
  * Get world summary from wiki cache
+ * Passages come from the wiki search index: the best matches for
+ * options.query on this world's page, or the opening passages without one.
  * @param {string} worldNameOrHex - World name or hex code
- * @returns {Object|null} { name, uwp, description } or null
+ * @param {Object} [options] - { query, limit (passages, default 3) }
+ * @returns {Object|null} { name, hex, uwp, description, firstParagraph, passages } or null
  */
-function getWorldSummary(worldNameOrHex) {
+function getWorldSummary(worldNameOrHex, options = {}) {
   if (!worldNameOrHex) return null;
 
   const cache = getWikiCache();
@@ -214,10 +208,16 @@ function getWorldSummary(worldNameOrHex) {
 
   if (!entry) return null;
 
-  // Get text content
-  const textContent = cache.getTextContent(entry.hex);
+  // Get text content (already stripped and split by the index)
+  const index = getWikiIndex();
+  const allPassages = index ? index.getPassages(entry.hex) : [];
+  const textContent = allPassages.length > 0 ? allPassages.join('\n\n') : cache.getTextContent(entry.hex);
   const firstPara = textContent ? getFirstParagraph(textContent, 1500) : '';
 
+  const limit = options.limit ?? 3;
+  const matches = index && options.query ? index.searchWiki(options.query, { hex: entry.hex, limit }) : [];
+  const passages = matches.length > 0 ? matches.map(m => m.text) : allPassages.slice(0, limit);
+
   // Try to extract UWP from content or use placeholder
   // Look for pattern like "C544338-7" in text
   const uwpMatch = textContent?.match(/[A-EX][0-9A-F]{6}-[0-9A-F]/i);
@@ -228,7 +228,8 @@ function getWorldSummary(worldNameOrHex) {
     hex: entry.hex,
     uwp: uwp,
     description: uwp ? describeUWP(uwp) : '',
-    firstParagraph: firstPara
+    firstParagraph: firstPara,
+    passages
   };
 }
 
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Adventure Memory Tests
+ *
+ * Tests persistent NPC memory in adventure mode:
+ * - Per-adventure, per-PC storage
+ * - Round-trip of facts, summary and recent messages
+ * - Haiku summarization pass via shouldSummarize/applySummary
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the mock summarization calls out of the real usage ledger
+process.env.USAGE_LEDGER_FILE = path.join(os.tmpdir(), `adventure-memory-ledger-${process.pid}.json`);
+
+const {
+  getMemoryPath,
+  loadMemoryStore,
+  loadNpcMemory,
+  saveNpcMemory,
+  clearAdventureMemory,
+  needsSummary,
+  buildSummaryPrompt,
+  summarizeIfNeeded
+} = require('../src/adventure-memory');
+const { createMemory, addMessage, addFact, SUMMARIZE_THRESHOLD, KEEP_AFTER_SUMMARY } = require('../src/memory');
+const { saveActiveNpcMemory, handleNpcDialogue } = require('../src/adventure-player');
+const { loadPersona } = require('../src/persona');
+
+const TEST_ADVENTURE = 'test-adventure-memory';
+const TEST_PC = 'test-pc';
+
+// Async test runner
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Mock client recording prompts sent through ai-client.chat()
+ */
+function createMockClient(text = 'Greener hired the PC for Cr3000.') {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      create: async (params) => {
+        calls.push(params);
+        return {
+          content: [{ type: 'text', text }],
+          usage: { input_tokens: 10, output_tokens: 10 },
+          model: params.model,
+          stop_reason: 'end_turn'
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Mock client for a whole dialogue: the NPC always says "Noted." and
+ * summaries list every "Fact N" in the transcript and the earlier summary
+ */
+function createDialogueClient() {
+  return {
+    messages: {
+      create: async (params) => {
+        const prompt = params.messages[params.messages.length - 1].content;
+        const text = prompt.startsWith('Summarize the conversation history')
+          ? [...new Set(prompt.match(/Fact \d+/g))].join(', ')
+          : 'Noted.';
+        return {
+          content: [{ type: 'text', text }],
+          usage: { input_tokens: 10, output_tokens: 10 },
+          model: params.model,
+          stop_reason: 'end_turn'
+        };
+      }
+    }
+  };
+}
+
+function buildLongMemory() {
+  const mem = createMemory();
+  for (let i = 0; i <= SUMMARIZE_THRESHOLD; i++) {
+    addMessage(mem, i % 2 ? 'assistant' : 'user', `Message ${i}`, '015-1105');
+  }
+  return mem;
+}
+
+function cleanup() {
+  clearAdventureMemory(TEST_ADVENTURE, TEST_PC);
+  clearAdventureMemory(TEST_ADVENTURE, 'other-pc');
+}
+
+// === STORAGE TESTS ===
+
+const storageTests = {
+  'getMemoryPath is keyed by adventure and PC': () => {
+    const p = getMemoryPath(TEST_ADVENTURE, TEST_PC);
+    assert.ok(p.includes('npc-memory'));
+    assert.ok(p.endsWith(`${TEST_ADVENTURE}-${TEST_PC}.json`));
+  },
+
+  'loadNpcMemory returns null when nothing saved': () => {
+    cleanup();
+    assert.equal(loadNpcMemory(TEST_ADVENTURE, TEST_PC, 'minister-greener'), null);
+  },
+
+  'saveNpcMemory round-trips facts, summary and messages': () => {
+    cleanup();
+    const mem = createMemory();
+    addFact(mem, { type: 'deal', value: 'Cr3000 for ship recovery' });
+    addMessage(mem, 'user', 'What is the job?', '015-1105');
+    addMessage(mem, 'assistant', 'Recover the Highndry.', '015-1105');
+    mem.historySummary = 'Met the PC at the scout office.';
+
+    saveNpcMemory(TEST_ADVENTURE, TEST_PC, 'minister-greener', mem);
+    const loaded = loadNpcMemory(TEST_ADVENTURE, TEST_PC, 'minister-greener');
+
+    assert.deepEqual(loaded.facts, mem.facts);
+    assert.equal(loaded.historySummary, mem.historySummary);
+    assert.equal(loaded.recentMessages.length, 2);
+    assert.equal(loaded.totalInteractions, 2);
+    assert.equal(loaded.lastContact, '015-1105');
+  },
+
+  'multiple NPCs share one store file': () => {
+    cleanup();
+    saveNpcMemory(TEST_ADVENTURE, TEST_PC, 'minister-greener', createMemory({ totalInteractions: 3 }));
+    saveNpcMemory(TEST_ADVENTURE, TEST_PC, 'mr-casarii', createMemory({ totalInteractions: 5 }));
+
+    const store = loadMemoryStore(TEST_ADVENTURE, TEST_PC);
+    assert.deepEqual(Object.keys(store.npcs).sort(), ['minister-greener', 'mr-casarii']);
+    assert.ok(store.lastSaved);
+  },
+
+  'memories are PC-specific': () => {
+    cleanup();
+    saveNpcMemory(TEST_ADVENTURE, TEST_PC, 'mr-casarii', createMemory({ totalInteractions: 5 }));
+    assert.equal(loadNpcMemory(TEST_ADVENTURE, 'other-pc', 'mr-casarii'), null);
+  },
+
+  'clearAdventureMemory removes the store file': () => {
+    saveNpcMemory(TEST_ADVENTURE, TEST_PC, 'mr-casarii', createMemory());
+    assert.equal(clearAdventureMemory(TEST_ADVENTURE, TEST_PC), true);
+    assert.ok(!fs.existsSync(getMemoryPath(TEST_ADVENTURE, TEST_PC)));
+    assert.equal(clearAdventureMemory(TEST_ADVENTURE, TEST_PC), false);
+  }
+};
+
+// === SUMMARIZATION TESTS ===
+
+const summarizationTests = {
+  'needsSummary false for short conversations': () => {
+    const mem = createMemory();
+    addMessage(mem, 'user', 'Hello', '015-1105');
+    assert.equal(needsSummary(mem), false);
+  },
+
+  'needsSummary true past threshold with unsummarized messages': () => {
+    assert.equal(needsSummary(buildLongMemory()), true);
+  },
+
+  'buildSummaryPrompt includes names, transcript and earlier summary': () => {
+    const mem = buildLongMemory();
+    mem.historySummary = 'Earlier they argued about price.';
+    const prompt = buildSummaryPrompt(mem, 'Greener', 'Alex');
+    assert.ok(prompt.includes('Greener'));
+    assert.ok(prompt.includes('Alex: Message'));
+    assert.ok(prompt.includes('Earlier they argued about price.'));
+  },
+
+  'summarizeIfNeeded applies Haiku summary and trims messages': async () => {
+    const client = createMockClient();
+    const mem = buildLongMemory();
+    const applied = await summarizeIfNeeded(client, mem, { npcName: 'Greener', pcName: 'Alex', gameDate: '016-1105' });
+
+    assert.equal(applied, true);
+    assert.equal(client.calls.length, 1);
+    assert.ok(client.calls[0].model.includes('haiku'));
+    assert.equal(mem.historySummary, 'Greener hired the PC for Cr3000.');
+    assert.equal(mem.summaryAsOf, '016-1105');
+    assert.equal(mem.recentMessages.length, KEEP_AFTER_SUMMARY);
+  },
+
+  'summarizeIfNeeded skips when below threshold': async () => {
+    const client = createMockClient();
+    const mem = createMemory();
+    addMessage(mem, 'user', 'Hello', '015-1105');
+    assert.equal(await summarizeIfNeeded(client, mem), false);
+    assert.equal(client.calls.length, 0);
+  }
+};
+
+// === ADVENTURE PLAYER INTEGRATION ===
+
+const playerTests = {
+  'saveActiveNpcMemory persists summarized memory for the session PC': async () => {
+    cleanup();
+    const session = {
+      adventureId: TEST_ADVENTURE,
+      pc: { id: TEST_PC, name: 'Alex' },
+      activeNpc: { id: 'minister-greener', name: 'Greener' },
+      npcMemory: buildLongMemory(),
+      storyState: { gameDate: '020-1105' },
+      client: createMockClient()
+    };
+
+    assert.equal(await saveActiveNpcMemory(session), true);
+    const loaded = loadNpcMemory(TEST_ADVENTURE, TEST_PC, 'minister-greener');
+    assert.equal(loaded.historySummary, 'Greener hired the PC for Cr3000.');
+    assert.equal(loaded.summaryAsOf, '020-1105');
+  },
+
+  'saveActiveNpcMemory still saves when summarization fails': async () => {
+    cleanup();
+    const session = {
+      adventureId: TEST_ADVENTURE,
+      pc: { id: TEST_PC, name: 'Alex' },
+      activeNpc: { id: 'mr-casarii', name: 'Casarii' },
+      npcMemory: buildLongMemory(),
+      storyState: { gameDate: '020-1105' },
+      client: { messages: { create: async () => { throw new Error('offline'); } } }
+    };
+
+    assert.equal(await saveActiveNpcMemory(session), true);
+    const loaded = loadNpcMemory(TEST_ADVENTURE, TEST_PC, 'mr-casarii');
+    assert.equal(loaded.historySummary, null);
+    assert.equal(loaded.totalInteractions, SUMMARIZE_THRESHOLD + 1);
+  },
+
+  'long dialogues are summarized before old messages are dropped': async () => {
+    const session = {
+      client: createDialogueClient(),
+      activeNpc: loadPersona('minister-greener'),
+      npcMemory: createMemory(),
+      pc: { id: TEST_PC, name: 'Alex' },
+      storyState: { gameDate: '020-1105' },
+      agmState: null
+    };
+
+    // Ledger entries go nowhere, so the calls stay under the per-minute rate limit
+    const ledgerFile = process.env.USAGE_LEDGER_FILE;
+    process.env.USAGE_LEDGER_FILE = os.devNull;
+    try {
+      for (let i = 0; i < 25; i++) {
+        await handleNpcDialogue(session, `Fact ${i}: remember this.`);
+      }
+    } finally {
+      process.env.USAGE_LEDGER_FILE = ledgerFile;
+    }
+
+    const memory = session.npcMemory;
+    assert.equal(memory.totalInteractions, 50);
+    assert.match(memory.historySummary, /\bFact 0\b/);
+    const remembered = memory.historySummary + memory.recentMessages.map(m => m.content).join(' ');
+    for (let i = 0; i < 25; i++) {
+      assert.match(remembered, new RegExp(`\\bFact ${i}\\b`), `Fact ${i} was dropped`);
+    }
+  },
+
+  'saveActiveNpcMemory is a no-op without an active NPC': async () => {
+    assert.equal(await saveActiveNpcMemory({ activeNpc: null, npcMemory: null }), false);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+(async () => {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  ADVENTURE MEMORY TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Storage Tests ---');
+  const storage = await runTests(storageTests);
+
+  console.log('\n--- Summarization Tests ---');
+  const summarization = await runTests(summarizationTests);
+
+  console.log('\n--- Adventure Player Tests ---');
+  const player = await runTests(playerTests);
+
+  cleanup();
+  fs.rmSync(process.env.USAGE_LEDGER_FILE, { force: true });
+
+  const allPassed = storage && summarization && player;
+  process.exit(allPassed ? 0 : 1);
+})();
@@ -3,6 +3,9 @@
  */
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Test suite for adventure-player
 const tests = [];
@@ -56,6 +59,36 @@ test('handleAdventureCommand recognizes /status', () => {
   });
 });
 
+// Test streamed NPC replies reach onDelta and memory
+test('handleNpcDialogue streams the reply through onDelta', async () => {
+  const { handleNpcDialogue } = require('../src/adventure-player');
+  const { createClient } = require('../src/ai-client');
+  const { loadPersona } = require('../src/persona');
+  const { createMemory } = require('../src/memory');
+
+  // Keep the replayed call out of the real usage ledger
+  const ledgerFile = path.join(os.tmpdir(), `adventure-player-ledger-${process.pid}.json`);
+  process.env.USAGE_LEDGER_FILE = ledgerFile;
+
+  const session = {
+    client: createClient(null, { provider: 'replay', responses: ['The job pays three thousand.'] }),
+    activeNpc: loadPersona('minister-greener'),
+    npcMemory: createMemory(),
+    pc: { id: 'test-pc', name: 'Test PC' },
+    storyState: { gameDate: '001-1105' },
+    agmState: null
+  };
+
+  const deltas = [];
+  const result = await handleNpcDialogue(session, 'What does it pay?', { onDelta: t => deltas.push(t) });
+  fs.rmSync(ledgerFile, { force: true });
+
+  assert.ok(deltas.length > 1, 'reply should arrive in several chunks');
+  assert.strictEqual(deltas.join(''), 'The job pays three thousand.');
+  assert.strictEqual(result.streamedText, result.text);
+  assert.strictEqual(session.npcMemory.recentMessages.slice(-1)[0].content, 'The job pays three thousand.');
+});
+
 // Run tests
 async function runTests() {
   console.log('Running adventure-player tests...\n');
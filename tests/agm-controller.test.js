@@ -6,6 +6,7 @@ const assert = require('assert');
 const {
   buildPCContext,
   parseAgmResponse,
+  createDirectiveFilter,
   formatFlags,
   DIRECTIVE_PATTERNS
 } = require('../src/agm-controller');
@@ -119,6 +120,40 @@ test('parseAgmResponse handles response with no directives', () => {
   assert.strictEqual(result.narrativeText, response);
 });
 
+// Test createDirectiveFilter
+function streamThrough(text, chunkSize) {
+  const filter = createDirectiveFilter();
+  let out = '';
+  for (let i = 0; i < text.length; i += chunkSize) {
+    out += filter.push(text.slice(i, i + chunkSize));
+  }
+  return out + filter.flush();
+}
+
+test('createDirectiveFilter strips directives split across chunks', () => {
+  const response = 'The guard eyes you. [SKILL_CHECK: Persuade 8+ talk past the guard] He waits.\n[SCENE: starport-arrival, TIME: +2d]';
+  for (const size of [1, 3, 7, response.length]) {
+    const shown = streamThrough(response, size);
+    assert.ok(!shown.includes('SKILL_CHECK'), `chunk size ${size}`);
+    assert.ok(!shown.includes('SCENE:'), `chunk size ${size}`);
+    assert.ok(shown.includes('The guard eyes you.'));
+    assert.ok(shown.includes('He waits.'));
+  }
+});
+
+test('createDirectiveFilter keeps ordinary bracketed text', () => {
+  const response = 'A sign reads [CLOSED]. The readout shows [SCENE-7] and [Sc';
+  assert.strictEqual(streamThrough(response, 2), response);
+});
+
+test('createDirectiveFilter leaves directives for parseAgmResponse', () => {
+  const response = 'You reach the office. [NPC_DIALOGUE: minister-greener]';
+  const shown = streamThrough(response, 4);
+  const parsed = parseAgmResponse(response);
+  assert.strictEqual(shown.trim(), parsed.narrativeText);
+  assert.strictEqual(parsed.npcId, 'minister-greener');
+});
+
 // Test formatFlags
 test('formatFlags handles empty flags', () => {
   assert.strictEqual(formatFlags(null), 'None set.');
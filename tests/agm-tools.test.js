@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * AGM Tools Tests
+ *
+ * Tests structured narrator directives:
+ * - Tool schemas built from the adventure (scenes, NPCs, skills)
+ * - Schema validation of tool inputs
+ * - Conversion of tool calls to directives, including several per turn and travel
+ * - parseAgmResponse preferring tool calls over [TAG] directives
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  AGM_TOOLS,
+  getDirectiveContext,
+  buildAgmTools,
+  validateSchema,
+  toolCallsToDirectives
+} = require('../src/agm-tools');
+const { parseAgmResponse } = require('../src/agm-controller');
+const { loadAdventure } = require('../src/story-engine');
+
+const session = { adventure: loadAdventure('high-and-dry') };
+const context = getDirectiveContext(session);
+
+function call(name, input) {
+  return { id: `call-${name}`, name, input };
+}
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === SCHEMA TESTS ===
+
+const schemaTests = {
+  'context lists scenes, NPCs and skills for the adventure': () => {
+    assert.ok(context.sceneIds.includes('meeting-greener'));
+    assert.ok(context.npcIds.includes('minister-greener'));
+    assert.ok(context.skills.includes('vacc_suit'));
+  },
+
+  'tools constrain IDs with enums': () => {
+    const tools = Object.fromEntries(buildAgmTools(context).map(t => [t.name, t]));
+    assert.deepEqual(tools[AGM_TOOLS.CHANGE_SCENE].input_schema.properties.scene_id.enum, context.sceneIds);
+    assert.deepEqual(tools[AGM_TOOLS.NPC_DIALOGUE].input_schema.properties.npc_id.enum, context.npcIds);
+    assert.deepEqual(tools[AGM_TOOLS.SKILL_CHECK].input_schema.properties.skill.enum, context.skills);
+  },
+
+  'enums are omitted when there is nothing to check against': () => {
+    const tools = buildAgmTools({ sceneIds: [], npcIds: [], skills: [] });
+    const scene = tools.find(t => t.name === AGM_TOOLS.CHANGE_SCENE);
+    assert.equal(scene.input_schema.properties.scene_id.enum, undefined);
+  },
+
+  'validateSchema reports missing, mistyped and out-of-range fields': () => {
+    const skill = buildAgmTools(context).find(t => t.name === AGM_TOOLS.SKILL_CHECK).input_schema;
+    const errors = validateSchema(skill, { skill: 'pilot', difficulty: 40, extra: true });
+    assert.ok(errors.some(e => /reason is required/.test(e)));
+    assert.ok(errors.some(e => /difficulty must be at most/.test(e)));
+    assert.ok(errors.some(e => /extra is not allowed/.test(e)));
+    assert.deepEqual(validateSchema(skill, 'nope'), ['input must be an object']);
+  }
+};
+
+// === CONVERSION TESTS ===
+
+const conversionTests = {
+  'several checks and decisions in one turn are kept in order': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      call(AGM_TOOLS.SKILL_CHECK, { skill: 'Athletics', difficulty: 8, reason: 'climb the scree' }),
+      call(AGM_TOOLS.SKILL_CHECK, { skill: 'Vacc Suit', difficulty: '10', reason: 'seal the helmet' }),
+      call(AGM_TOOLS.RECORD_DECISION, { decision_id: 'negotiate_payment', choice: 'pushed hard' }),
+      call(AGM_TOOLS.RECORD_DECISION, { decision_id: 'gather_intel', choice: 'skipped Startown' })
+    ], context);
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(directives.skillChecks.map(c => c.skill), ['athletics', 'vacc_suit']);
+    assert.equal(directives.skillChecks[1].difficulty, 10);
+    assert.deepEqual(directives.decisions.map(d => d.id), ['negotiate_payment', 'gather_intel']);
+  },
+
+  'skill check options and conditions convert from tool calls': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      call(AGM_TOOLS.SKILL_CHECK, { skill: 'athletics', difficulty: 8, reason: 'climb', dm: '-2', bane: true, pace: 'hasty', timeframe: 'tens_of_minutes' }),
+      call(AGM_TOOLS.SET_CONDITION, { name: 'altitude sickness', dm: -2 }),
+      call(AGM_TOOLS.SET_CONDITION, { name: 'sprained wrist', dm: -1, skills: 'Athletics, Melee' }),
+      call(AGM_TOOLS.SET_CONDITION, { name: 'rope', clear: true }),
+      call(AGM_TOOLS.SKILL_CHECK, { skill: 'athletics', difficulty: 8, reason: 'climb', timeframe: 'fortnight' })
+    ], context);
+
+    assert.deepEqual(directives.skillChecks[0], {
+      skill: 'athletics', difficulty: 8, reason: 'climb', dm: -2, bane: true, pace: 'hasty', timeframe: 'tens_of_minutes'
+    });
+    assert.deepEqual(directives.conditions, [
+      { name: 'altitude sickness', dm: -2 },
+      { name: 'sprained wrist', dm: -1, skills: ['athletics', 'melee'] },
+      { name: 'rope', clear: true }
+    ]);
+    assert.equal(rejected.length, 1);
+  },
+
+  'unknown scenes, NPCs and skills are rejected': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      call(AGM_TOOLS.CHANGE_SCENE, { scene_id: 'the-moon' }),
+      call(AGM_TOOLS.NPC_DIALOGUE, { npc_id: 'emperor-strephon' }),
+      call(AGM_TOOLS.SKILL_CHECK, { skill: 'juggling', difficulty: 8, reason: 'show off' })
+    ], context);
+
+    assert.equal(rejected.length, 3);
+    assert.equal(directives.advanceScene, false);
+    assert.equal(directives.enterNpcDialogue, false);
+    assert.deepEqual(directives.skillChecks, []);
+  },
+
+  'scene change carries time skip and flashback': () => {
+    const { directives } = toolCallsToDirectives([
+      call(AGM_TOOLS.CHANGE_SCENE, { scene_id: 'walston-arrival', time_skip: { amount: 3, unit: 'd' } })
+    ], context);
+    assert.equal(directives.nextSceneId, 'walston-arrival');
+    assert.deepEqual(directives.timeSkip, { amount: 3, unit: 'd' });
+    assert.equal(directives.isFlashback, false);
+  },
+
+  'only one scene change is honored per turn': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      call(AGM_TOOLS.CHANGE_SCENE, { scene_id: 'walston-arrival' }),
+      call(AGM_TOOLS.CHANGE_SCENE, { scene_id: 'meeting-greener' })
+    ], context);
+    assert.equal(directives.nextSceneId, 'walston-arrival');
+    assert.match(rejected[0].errors[0], /once per turn/);
+  },
+
+  'travel is limited to known settlements': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      call(AGM_TOOLS.TRAVEL, { from: 'startown', to: 'central', method: 'rail' }),
+      call(AGM_TOOLS.TRAVEL, { from: 'central', to: 'atlantis' })
+    ], context);
+    assert.deepEqual(directives.travel, { from: 'startown', to: 'central', method: 'rail' });
+    assert.equal(rejected.length, 1);
+  },
+
+  'unknown tools are rejected': () => {
+    const { rejected } = toolCallsToDirectives([call('launch_missiles', {})], context);
+    assert.match(rejected[0].errors[0], /unknown tool/);
+  }
+};
+
+// === PARSE TESTS ===
+
+const parseTests = {
+  'tool calls take precedence over tags, and tags are still stripped': () => {
+    const text = 'The customs officer frowns. [SKILL_CHECK: Admin 8+ paperwork]';
+    const parsed = parseAgmResponse(text, {
+      toolCalls: [call(AGM_TOOLS.SKILL_CHECK, { skill: 'persuade', difficulty: 9, reason: 'talk past the officer' })],
+      context
+    });
+    assert.equal(parsed.source, 'tools');
+    assert.equal(parsed.narrativeText, 'The customs officer frowns.');
+    assert.equal(parsed.skillChecks.length, 1);
+    assert.equal(parsed.skillCheck.skill, 'persuade');
+  },
+
+  'tag parser is the fallback and now finds every check and decision': () => {
+    const text = 'Two problems. [SKILL_CHECK: Athletics 8+ climb] [SKILL_CHECK: Recon 6+ spot the wolf]\n' +
+      '[DECISION: tensher_reaction = fled] [DECISION: crisis_priorities = ship first]';
+    const parsed = parseAgmResponse(text);
+    assert.equal(parsed.source, 'tags');
+    assert.deepEqual(parsed.skillChecks.map(c => c.skill), ['Athletics', 'Recon']);
+    assert.deepEqual(parsed.decisions.map(d => d.id), ['tensher_reaction', 'crisis_priorities']);
+    assert.equal(parsed.skillCheck.skill, 'Athletics');
+    assert.equal(parsed.decision.id, 'tensher_reaction');
+    assert.equal(parsed.narrativeText, 'Two problems.');
+  },
+
+  'travel tags are parsed and stripped': () => {
+    const parsed = parseAgmResponse('The maglev hums north. [TRAVEL: startown -> central, rail]');
+    assert.deepEqual(parsed.travel, { from: 'startown', to: 'central', method: 'rail' });
+    assert.equal(parsed.narrativeText, 'The maglev hums north.');
+  },
+
+  'rejected tool calls are reported': () => {
+    const parsed = parseAgmResponse('Text.', {
+      toolCalls: [call(AGM_TOOLS.NPC_DIALOGUE, { npc_id: 'nobody' })],
+      context
+    });
+    assert.equal(parsed.enterNpcDialogue, false);
+    assert.equal(parsed.rejected.length, 1);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  AGM TOOLS TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Schema Tests ---');
+const schema = runTests(schemaTests);
+
+console.log('\n--- Conversion Tests ---');
+const conversion = runTests(conversionTests);
+
+console.log('\n--- Parse Tests ---');
+const parse = runTests(parseTests);
+
+const allPassed = schema && conversion && parse;
+process.exit(allPassed ? 0 : 1);
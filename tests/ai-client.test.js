@@ -0,0 +1,544 @@
+#!/usr/bin/env node
+/**
+ * AI Client Tests
+ *
+ * Tests the provider layer behind chat()/quickChat():
+ * - Provider registry and client routing
+ * - Anthropic, OpenAI-compatible and replay adapters
+ * - Per-provider pricing in trackUsage()
+ * - Ledger-backed budget caps and caller attribution
+ * - Streaming via streamChat()
+ * - Tool definitions and tool calls across providers
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test calls out of the real usage ledger
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-client-test-'));
+process.env.USAGE_LEDGER_FILE = path.join(TMP_DIR, 'usage-ledger.json');
+
+const {
+  createClient,
+  chat,
+  streamChat,
+  supportsTools,
+  quickChat,
+  trackUsage,
+  checkBudget,
+  getUsageStats,
+  USAGE_CALLERS,
+  validateApiKey,
+  listProviders,
+  DEFAULT_MODEL,
+  HAIKU_MODEL
+} = require('../src/ai-client');
+const providers = require('../src/providers');
+
+// Async test runner
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Fake fetch for the OpenAI-compatible adapter
+ */
+function createFakeFetch(reply = 'Local model reply', status = 200) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      text: async () => 'server error',
+      json: async () => ({
+        model: 'llama3',
+        choices: [{ message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 4 }
+      })
+    };
+  };
+  fetch.requests = requests;
+  return fetch;
+}
+
+// === REGISTRY TESTS ===
+
+const registryTests = {
+  'lists anthropic, openai-compatible and replay providers': () => {
+    const names = listProviders();
+    assert.ok(names.includes('anthropic'));
+    assert.ok(names.includes('openai-compatible'));
+    assert.ok(names.includes('replay'));
+  },
+
+  'getProvider accepts aliases': () => {
+    assert.equal(providers.getProvider('ollama').name, 'openai-compatible');
+    assert.equal(providers.getProvider('Claude').name, 'anthropic');
+  },
+
+  'getProvider rejects unknown providers': () => {
+    assert.throws(() => providers.getProvider('nope'), /Unknown LLM provider/);
+  },
+
+  'untagged messages.create clients route to anthropic': () => {
+    const mock = { messages: { create: async () => ({}) } };
+    assert.equal(providers.getProviderForClient(mock).name, 'anthropic');
+  },
+
+  'unrecognized clients are rejected': () => {
+    assert.throws(() => providers.getProviderForClient({}), /Unrecognized AI client/);
+  },
+
+  'validateApiKey keeps sk-ant- validation for anthropic': () => {
+    assert.equal(validateApiKey('not-a-key').valid, false);
+    assert.equal(validateApiKey(null).valid, false);
+  }
+};
+
+// === PRICING TESTS ===
+
+const pricingTests = {
+  'each provider declares a pricing table': () => {
+    for (const name of listProviders()) {
+      const provider = providers.getProvider(name);
+      assert.ok(provider.pricing, `${name} should declare pricing`);
+      assert.ok(provider.pricing.default, `${name} should have a default price`);
+    }
+  },
+
+  'haiku is priced below sonnet': () => {
+    const usage = { input_tokens: 1_000_000, output_tokens: 1_000_000 };
+    const anthropic = providers.getProvider('anthropic');
+    const sonnet = providers.estimateCost(anthropic, DEFAULT_MODEL, usage);
+    const haiku = providers.estimateCost(anthropic, HAIKU_MODEL, usage);
+    assert.equal(sonnet, 18);
+    assert.ok(haiku < sonnet);
+  },
+
+  'trackUsage uses provider pricing': () => {
+    const usage = { input_tokens: 1000, output_tokens: 0 };
+    assert.equal(trackUsage(usage, 'llama3', providers.getProvider('openai-compatible')), 0);
+    assert.equal(trackUsage(usage, DEFAULT_MODEL, providers.getProvider('anthropic')), 0.003);
+  }
+};
+
+// === ADAPTER TESTS ===
+
+const adapterTests = {
+  'chat works with an anthropic-shaped mock client': async () => {
+    const mock = {
+      messages: {
+        create: async (params) => ({
+          content: [{ type: 'text', text: `model=${params.model}` }],
+          usage: { input_tokens: 1, output_tokens: 1 },
+          stop_reason: 'end_turn'
+        })
+      }
+    };
+    const response = await chat(mock, 'system', [{ role: 'user', content: 'hi' }]);
+    assert.equal(response.content, `model=${DEFAULT_MODEL}`);
+    assert.equal(response.provider, 'anthropic');
+  },
+
+  'openai-compatible adapter posts chat completions': async () => {
+    const fetch = createFakeFetch();
+    const client = createClient(null, {
+      provider: 'openai-compatible',
+      baseUrl: 'http://localhost:11434/v1/',
+      model: 'llama3',
+      fetch
+    });
+
+    const response = await chat(client, 'You are Greener.', [{ role: 'user', content: 'Hello' }]);
+
+    assert.equal(response.content, 'Local model reply');
+    assert.equal(response.provider, 'openai-compatible');
+    assert.deepEqual(response.usage, { input_tokens: 12, output_tokens: 4 });
+    assert.equal(fetch.requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(fetch.requests[0].body.messages[0].role, 'system');
+    assert.equal(fetch.requests[0].body.model, 'llama3');
+  },
+
+  'openai-compatible maps the fast model for quickChat': async () => {
+    const fetch = createFakeFetch();
+    const client = createClient(null, {
+      provider: 'ollama',
+      model: 'llama3',
+      fastModel: 'llama3-small',
+      fetch
+    });
+
+    await quickChat(client, 'Summarize');
+    assert.equal(fetch.requests[0].body.model, 'llama3-small');
+  },
+
+  'openai-compatible surfaces HTTP errors': async () => {
+    const client = createClient(null, { provider: 'local', fetch: createFakeFetch('', 500) });
+    await assert.rejects(
+      () => chat(client, '', [{ role: 'user', content: 'hi' }]),
+      /temporarily unavailable/
+    );
+  },
+
+  'openai-compatible rejects malformed base URLs': () => {
+    assert.throws(() => createClient(null, { provider: 'openai-compatible', baseUrl: 'localhost:8080' }), /Invalid LLM_BASE_URL/);
+  },
+
+  'replay adapter serves matching rules first': async () => {
+    const client = createClient(null, {
+      provider: 'replay',
+      responses: [
+        { match: 'price', response: 'Cr3000, paid on delivery.' },
+        'First in sequence',
+        'Second in sequence'
+      ]
+    });
+
+    const priced = await chat(client, '', [{ role: 'user', content: 'What is the price?' }]);
+    assert.equal(priced.content, 'Cr3000, paid on delivery.');
+
+    const first = await chat(client, '', [{ role: 'user', content: 'Hello' }]);
+    const second = await chat(client, '', [{ role: 'user', content: 'Hello' }]);
+    assert.equal(first.content, 'First in sequence');
+    assert.equal(second.content, 'Second in sequence');
+    assert.equal(client.calls.length, 3);
+  },
+
+  'replay adapter falls back to default response': async () => {
+    const client = createClient(null, { provider: 'replay', responses: [], defaultResponse: 'Nothing scripted.' });
+    const response = await chat(client, '', [{ role: 'user', content: 'Hello' }]);
+    assert.equal(response.content, 'Nothing scripted.');
+    assert.ok(response.usage.input_tokens > 0);
+  },
+
+  'replay adapter is deterministic across clients': async () => {
+    const script = { provider: 'replay', responses: ['A', 'B'] };
+    const a = createClient(null, script);
+    const b = createClient(null, script);
+    const ra = await chat(a, '', [{ role: 'user', content: 'x' }]);
+    const rb = await chat(b, '', [{ role: 'user', content: 'x' }]);
+    assert.equal(ra.content, rb.content);
+  }
+};
+
+// === BUDGET TESTS ===
+
+const { loadLedger, getLedgerPath } = require('../src/usage-ledger');
+
+const budgetTests = {
+  'chat records caller, model and per-model cost in the ledger': async () => {
+    const mock = {
+      messages: {
+        create: async (params) => ({
+          content: [{ type: 'text', text: 'ok' }],
+          model: params.model,
+          usage: { input_tokens: 1000, output_tokens: 0 },
+          stop_reason: 'end_turn'
+        })
+      }
+    };
+    await chat(mock, 'system', [{ role: 'user', content: 'hi' }], { model: HAIKU_MODEL, caller: USAGE_CALLERS.CSC_EXTRACT });
+
+    const entry = loadLedger().entries.slice(-1)[0];
+    assert.equal(entry.caller, 'csc-extract');
+    assert.equal(entry.model, HAIKU_MODEL);
+    assert.equal(entry.cost, 0.0008);
+  },
+
+  'usage stats survive a reload of the ledger': () => {
+    const stats = getUsageStats();
+    assert.ok(stats.requestCount >= 1);
+    assert.ok(parseFloat(stats.dailySpend) > 0);
+  },
+
+  'weekly cap blocks calls': async () => {
+    const budget = checkBudget(100, { weekly: 0.000001 });
+    assert.equal(budget.allowed, false);
+    assert.equal(budget.exceeded, 'weekly');
+
+    const mock = { messages: { create: async () => ({ content: [{ type: 'text', text: 'x' }] }) } };
+    await assert.rejects(
+      () => chat(mock, '', [{ role: 'user', content: 'hi' }], { weeklyBudget: 0.000001 }),
+      /Weekly budget exhausted/
+    );
+  },
+
+  'monthly cap blocks calls': async () => {
+    const mock = { messages: { create: async () => ({ content: [{ type: 'text', text: 'x' }] }) } };
+    await assert.rejects(
+      () => chat(mock, '', [{ role: 'user', content: 'hi' }], { monthlyBudget: 0.000001 }),
+      /Monthly budget exhausted/
+    );
+  },
+
+  'ledger file honours USAGE_LEDGER_FILE': () => {
+    assert.equal(getLedgerPath(), process.env.USAGE_LEDGER_FILE);
+  }
+};
+
+// === STREAMING TESTS ===
+
+/**
+ * Drain a streamChat() generator
+ */
+async function collectStream(generator) {
+  const deltas = [];
+  let response = null;
+  for await (const event of generator) {
+    if (event.type === 'delta') deltas.push(event.text);
+    else response = event.response;
+  }
+  return { deltas, response };
+}
+
+/**
+ * Fake fetch returning an SSE body for the OpenAI-compatible adapter
+ */
+function createFakeStreamFetch(chunks) {
+  const lines = chunks.map(text => `data: ${JSON.stringify({ model: 'llama3', choices: [{ delta: { content: text } }] })}\n\n`);
+  lines.push(`data: ${JSON.stringify({ model: 'llama3', choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 3 } })}\n\n`);
+  lines.push('data: [DONE]\n\n');
+  // Split mid-line to exercise buffering across network chunks
+  const body = lines.join('');
+  const parts = [body.slice(0, 25), body.slice(25, 70), body.slice(70)].map(p => Buffer.from(p));
+
+  return async (url, init) => ({
+    ok: true,
+    status: 200,
+    body: parts,
+    request: JSON.parse(init.body)
+  });
+}
+
+const streamingTests = {
+  'streamChat yields anthropic text deltas then the full response': async () => {
+    const events = [
+      { type: 'message_start', message: { model: DEFAULT_MODEL, usage: { input_tokens: 20 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'The dust ' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'settles.' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }
+    ];
+    let params = null;
+    const mock = {
+      messages: {
+        create: async (p) => {
+          params = p;
+          return (async function* () { yield* events; })();
+        }
+      }
+    };
+
+    const { deltas, response } = await collectStream(streamChat(mock, 'system', [{ role: 'user', content: 'hi' }]));
+    assert.equal(params.stream, true);
+    assert.deepEqual(deltas, ['The dust ', 'settles.']);
+    assert.equal(response.content, 'The dust settles.');
+    assert.deepEqual(response.usage, { input_tokens: 20, output_tokens: 4 });
+    assert.equal(response.stopReason, 'end_turn');
+    assert.equal(response.provider, 'anthropic');
+  },
+
+  'streamed text blocks join like a complete() response': async () => {
+    const blocks = [{ type: 'text', text: 'The dust settles.' }, { type: 'text', text: 'A rover approaches.' }];
+    const events = [
+      { type: 'message_start', message: { model: DEFAULT_MODEL, usage: { input_tokens: 20 } } },
+      ...blocks.flatMap((block, index) => [
+        { type: 'content_block_start', index, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } },
+        { type: 'content_block_stop', index }
+      ]),
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 8 } }
+    ];
+    const mock = {
+      messages: {
+        create: async (p) => p.stream
+          ? (async function* () { yield* events; })()
+          : { content: blocks, model: DEFAULT_MODEL, usage: { input_tokens: 20, output_tokens: 8 }, stop_reason: 'end_turn' }
+      }
+    };
+
+    const complete = await chat(mock, '', [{ role: 'user', content: 'hi' }]);
+    const { deltas, response } = await collectStream(streamChat(mock, '', [{ role: 'user', content: 'hi' }]));
+    assert.equal(response.content, complete.content);
+    assert.equal(deltas.join(''), complete.content);
+    assert.equal(complete.content, 'The dust settles.\nA rover approaches.');
+  },
+
+  'streamChat falls back to one delta for non-streaming mocks': async () => {
+    const mock = {
+      messages: {
+        create: async () => ({
+          content: [{ type: 'text', text: 'Whole reply' }],
+          usage: { input_tokens: 1, output_tokens: 1 },
+          stop_reason: 'end_turn'
+        })
+      }
+    };
+    const { deltas, response } = await collectStream(streamChat(mock, '', [{ role: 'user', content: 'hi' }]));
+    assert.deepEqual(deltas, ['Whole reply']);
+    assert.equal(response.content, 'Whole reply');
+  },
+
+  'streamChat parses OpenAI-compatible server-sent events': async () => {
+    const client = createClient(null, {
+      provider: 'openai-compatible',
+      model: 'llama3',
+      fetch: createFakeStreamFetch(['Cr3000', ', on ', 'delivery.'])
+    });
+    const { deltas, response } = await collectStream(streamChat(client, 'You are Greener.', [{ role: 'user', content: 'Pay?' }]));
+    assert.deepEqual(deltas, ['Cr3000', ', on ', 'delivery.']);
+    assert.equal(response.content, 'Cr3000, on delivery.');
+    assert.deepEqual(response.usage, { input_tokens: 9, output_tokens: 3 });
+    assert.equal(response.stopReason, 'stop');
+  },
+
+  'streamChat splits replay responses into word chunks': async () => {
+    const client = createClient(null, { provider: 'replay', responses: ['Welcome to Walston.'] });
+    const { deltas, response } = await collectStream(streamChat(client, '', [{ role: 'user', content: 'hi' }]));
+    assert.deepEqual(deltas, ['Welcome ', 'to ', 'Walston.']);
+    assert.equal(deltas.join(''), response.content);
+    assert.equal(response.provider, 'replay');
+  }
+};
+
+// === TOOL USE TESTS ===
+
+const ROLL_TOOL = {
+  name: 'skill_check',
+  description: 'Roll a check',
+  input_schema: { type: 'object', properties: { skill: { type: 'string' } }, required: ['skill'] }
+};
+
+const toolTests = {
+  'anthropic passes tools and returns tool_use blocks as toolCalls': async () => {
+    let params = null;
+    const mock = {
+      messages: {
+        create: async (p) => {
+          params = p;
+          return {
+            content: [
+              { type: 'text', text: 'The ridge is steep.' },
+              { type: 'tool_use', id: 'tu_1', name: 'skill_check', input: { skill: 'athletics' } }
+            ],
+            usage: { input_tokens: 1, output_tokens: 1 },
+            stop_reason: 'tool_use'
+          };
+        }
+      }
+    };
+    const response = await chat(mock, 'system', [{ role: 'user', content: 'climb' }], { tools: [ROLL_TOOL] });
+    assert.deepEqual(params.tools, [ROLL_TOOL]);
+    assert.equal(response.content, 'The ridge is steep.');
+    assert.deepEqual(response.toolCalls, [{ id: 'tu_1', name: 'skill_check', input: { skill: 'athletics' } }]);
+  },
+
+  'anthropic streams tool input JSON fragments': async () => {
+    const events = [
+      { type: 'message_start', message: { usage: { input_tokens: 5 } } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Steep.' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'tu_2', name: 'skill_check' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"skill":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"recon"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } }
+    ];
+    const mock = { messages: { create: async () => (async function* () { yield* events; })() } };
+
+    const { deltas, response } = await collectStream(streamChat(mock, '', [{ role: 'user', content: 'x' }], { tools: [ROLL_TOOL] }));
+    assert.deepEqual(deltas, ['Steep.']);
+    assert.deepEqual(response.toolCalls, [{ id: 'tu_2', name: 'skill_check', input: { skill: 'recon' } }]);
+  },
+
+  'openai-compatible sends functions and parses tool_calls': async () => {
+    let body = null;
+    const fetch = async (url, init) => {
+      body = JSON.parse(init.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({
+          choices: [{
+            message: {
+              content: 'Steep.',
+              tool_calls: [{ id: 'c1', type: 'function', function: { name: 'skill_check', arguments: '{"skill":"athletics"}' } }]
+            },
+            finish_reason: 'tool_calls'
+          }]
+        })
+      };
+    };
+    const client = createClient(null, { provider: 'openai-compatible', fetch });
+    const response = await chat(client, '', [{ role: 'user', content: 'climb' }], { tools: [ROLL_TOOL] });
+
+    assert.equal(body.tools[0].type, 'function');
+    assert.equal(body.tools[0].function.name, 'skill_check');
+    assert.deepEqual(body.tools[0].function.parameters, ROLL_TOOL.input_schema);
+    assert.deepEqual(response.toolCalls, [{ id: 'c1', name: 'skill_check', input: { skill: 'athletics' } }]);
+  },
+
+  'openai-compatible can be told the server has no tool support': () => {
+    const on = createClient(null, { provider: 'openai-compatible', fetch: createFakeFetch() });
+    const off = createClient(null, { provider: 'openai-compatible', tools: false, fetch: createFakeFetch() });
+    assert.equal(supportsTools(on), true);
+    assert.equal(supportsTools(off), false);
+  },
+
+  'replay serves scripted tool calls only when tools are offered': async () => {
+    const script = {
+      provider: 'replay',
+      responses: [{ match: 'climb', response: 'Steep.', toolCalls: [{ name: 'skill_check', input: { skill: 'athletics' } }] }]
+    };
+    const withTools = await chat(createClient(null, script), '', [{ role: 'user', content: 'climb' }], { tools: [ROLL_TOOL] });
+    const withoutTools = await chat(createClient(null, script), '', [{ role: 'user', content: 'climb' }]);
+
+    assert.equal(withTools.toolCalls[0].name, 'skill_check');
+    assert.equal(withTools.stopReason, 'tool_use');
+    assert.deepEqual(withoutTools.toolCalls, []);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+(async () => {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  AI CLIENT / PROVIDER TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Registry Tests ---');
+  const registry = await runTests(registryTests);
+
+  console.log('\n--- Pricing Tests ---');
+  const pricing = await runTests(pricingTests);
+
+  console.log('\n--- Adapter Tests ---');
+  const adapters = await runTests(adapterTests);
+
+  console.log('\n--- Budget Tests ---');
+  const budget = await runTests(budgetTests);
+
+  console.log('\n--- Streaming Tests ---');
+  const streaming = await runTests(streamingTests);
+
+  console.log('\n--- Tool Use Tests ---');
+  const toolUse = await runTests(toolTests);
+
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+  const allPassed = registry && pricing && adapters && budget && streaming && toolUse;
+  process.exit(allPassed ? 0 : 1);
+})();
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Cassette Tests
+ *
+ * Tests record-and-replay of LLM calls through ai-client.chat():
+ * - Hash keys for requests
+ * - Recording through a provider
+ * - Deterministic replay with no provider
+ * - Strict mode failing loudly on prompt drift
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  CASSETTE_MISS,
+  hashRequest,
+  looseKey,
+  getCassettePath,
+  loadCassette,
+  useCassette,
+  ejectCassette,
+  isOffline
+} = require('../src/cassette');
+const { createClient, chat, quickChat } = require('../src/ai-client');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+process.env.USAGE_LEDGER_FILE = path.join(TMP_DIR, 'usage-ledger.json');
+
+// Async test runner
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    } finally {
+      ejectCassette();
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+const GREENER_SYSTEM = 'You are Minister Greener of Walston.';
+const ASK_PRICE = [{ role: 'user', content: 'What does the job pay?' }];
+
+/**
+ * Record one Greener exchange using the replay provider as the "real" model
+ */
+async function recordGreener(name) {
+  useCassette(name, { mode: 'record', dir: TMP_DIR });
+  const live = createClient(null, {
+    provider: 'replay',
+    responses: [{ match: 'pay', response: 'Three thousand credits, on completion.' }]
+  });
+  const response = await chat(live, GREENER_SYSTEM, ASK_PRICE);
+  ejectCassette();
+  return response;
+}
+
+// === KEY TESTS ===
+
+const keyTests = {
+  'hashRequest is stable for identical requests': () => {
+    const a = hashRequest({ model: 'm', system: 's', messages: ASK_PRICE });
+    const b = hashRequest({ model: 'm', system: 's', messages: [{ content: 'What does the job pay?', role: 'user' }] });
+    assert.equal(a, b);
+    assert.equal(a.length, 16);
+  },
+
+  'hashRequest changes when the system prompt changes': () => {
+    const a = hashRequest({ model: 'm', system: 's1', messages: ASK_PRICE });
+    const b = hashRequest({ model: 'm', system: 's2', messages: ASK_PRICE });
+    assert.notEqual(a, b);
+  },
+
+  'hashRequest covers tool definitions only when offered': () => {
+    const plain = hashRequest({ model: 'm', system: 's', messages: ASK_PRICE });
+    const emptyTools = hashRequest({ model: 'm', system: 's', messages: ASK_PRICE, tools: [] });
+    const withTools = hashRequest({ model: 'm', system: 's', messages: ASK_PRICE, tools: [{ name: 'skill_check' }] });
+    assert.equal(plain, emptyTools);
+    assert.notEqual(plain, withTools);
+  },
+
+  'looseKey ignores the system prompt': () => {
+    const a = looseKey({ model: 'm', system: 's1', messages: ASK_PRICE });
+    const b = looseKey({ model: 'm', system: 's2', messages: ASK_PRICE });
+    assert.equal(a, b);
+  }
+};
+
+// === RECORD / REPLAY TESTS ===
+
+const recordReplayTests = {
+  'record mode writes request and response to the fixtures directory': async () => {
+    const response = await recordGreener('record-basic');
+    assert.equal(response.content, 'Three thousand credits, on completion.');
+
+    const file = getCassettePath('record-basic', TMP_DIR);
+    assert.ok(fs.existsSync(file));
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const [interaction] = Object.values(data.interactions);
+    assert.equal(interaction.request.system, GREENER_SYSTEM);
+    assert.deepEqual(interaction.request.messages, ASK_PRICE);
+    assert.equal(interaction.response.content, 'Three thousand credits, on completion.');
+  },
+
+  'replay mode serves recordings with no provider': async () => {
+    await recordGreener('replay-basic');
+    useCassette('replay-basic', { mode: 'replay', dir: TMP_DIR });
+
+    assert.equal(isOffline(), true);
+    const client = createClient();
+    assert.equal(client.offline, true);
+
+    const response = await chat(client, GREENER_SYSTEM, ASK_PRICE);
+    assert.equal(response.content, 'Three thousand credits, on completion.');
+    assert.equal(response.provider, 'cassette');
+    assert.equal(response.cassette.exact, true);
+  },
+
+  'replay mode tolerates system prompt drift': async () => {
+    await recordGreener('replay-drift');
+    useCassette('replay-drift', { mode: 'replay', dir: TMP_DIR });
+
+    const response = await chat(createClient(), GREENER_SYSTEM + ' (patched)', ASK_PRICE);
+    assert.equal(response.content, 'Three thousand credits, on completion.');
+    assert.equal(response.cassette.exact, false);
+  },
+
+  'strict mode fails loudly when the prompt changes': async () => {
+    await recordGreener('strict-drift');
+    useCassette('strict-drift', { mode: 'strict', dir: TMP_DIR });
+
+    await assert.rejects(
+      () => chat(createClient(), GREENER_SYSTEM + ' (patched)', ASK_PRICE),
+      (err) => err.code === CASSETTE_MISS && /prompt changed/.test(err.message) && err.details.changed.includes('system prompt')
+    );
+  },
+
+  'strict mode fails on unrecorded requests': async () => {
+    await recordGreener('strict-miss');
+    useCassette('strict-miss', { mode: 'strict', dir: TMP_DIR });
+
+    await assert.rejects(
+      () => quickChat(createClient(), 'Something never recorded'),
+      (err) => err.code === CASSETTE_MISS && /no recording/.test(err.message)
+    );
+  },
+
+  'tool definitions and tool calls survive record and replay': async () => {
+    const tools = [{ name: 'skill_check', description: 'Roll a skill', input_schema: { type: 'object' } }];
+    const toolCall = { name: 'skill_check', input: { skill: 'Recon', difficulty: 8 } };
+
+    useCassette('tools-roundtrip', { mode: 'record', dir: TMP_DIR });
+    const live = createClient(null, {
+      provider: 'replay',
+      responses: [{ match: 'pay', response: 'Roll for it.', toolCalls: [toolCall] }]
+    });
+    const recorded = await chat(live, GREENER_SYSTEM, ASK_PRICE, { tools });
+    ejectCassette();
+    assert.equal(recorded.toolCalls.length, 1);
+
+    const data = JSON.parse(fs.readFileSync(getCassettePath('tools-roundtrip', TMP_DIR), 'utf8'));
+    const [interaction] = Object.values(data.interactions);
+    assert.deepEqual(interaction.request.tools, tools);
+    assert.deepEqual(interaction.response.toolCalls, recorded.toolCalls);
+
+    useCassette('tools-roundtrip', { mode: 'strict', dir: TMP_DIR });
+    const replayed = await chat(createClient(), GREENER_SYSTEM, ASK_PRICE, { tools });
+    assert.equal(replayed.cassette.exact, true);
+    assert.deepEqual(replayed.toolCalls, recorded.toolCalls);
+
+    // Only a real change to the tool definitions is reported as one
+    const renamed = [{ ...tools[0], description: 'Roll any skill' }];
+    await assert.rejects(
+      () => chat(createClient(), GREENER_SYSTEM, ASK_PRICE, { tools: renamed }),
+      (err) => err.code === CASSETTE_MISS && err.details.changed.join() === 'tool definitions'
+    );
+  },
+
+  'recordings without tool calls replay with an empty list': async () => {
+    await recordGreener('tools-none');
+    useCassette('tools-none', { mode: 'replay', dir: TMP_DIR });
+
+    const response = await chat(createClient(), GREENER_SYSTEM, ASK_PRICE);
+    assert.deepEqual(response.toolCalls, []);
+  },
+
+  'replay of a missing cassette is an error': () => {
+    assert.throws(() => loadCassette('does-not-exist', { mode: 'replay', dir: TMP_DIR }), /Cassette not found/);
+  },
+
+  'invalid modes are rejected': () => {
+    assert.throws(() => loadCassette('x', { mode: 'rewind', dir: TMP_DIR }), /Invalid cassette mode/);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+(async () => {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  CASSETTE TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Key Tests ---');
+  const keys = await runTests(keyTests);
+
+  console.log('\n--- Record/Replay Tests ---');
+  const recordReplay = await runTests(recordReplayTests);
+
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+  const allPassed = keys && recordReplay;
+  process.exit(allPassed ? 0 : 1);
+})();
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Character Sheet Tests
+ *
+ * Tests the Traveller character model for PCs:
+ * - UPP and characteristic DMs
+ * - Skill map with specialities, read from old and new PC files
+ * - Wounds, credits and catalog-linked equipment
+ * - Validator and PC file migration
+ * - Skill checks, narrator context and resource lookup reading the sheet
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  getCharacteristicDM,
+  parseUPP,
+  formatUPP,
+  getSkillList,
+  getSkillLevel,
+  getCharacteristic,
+  parseCredits,
+  getCredits,
+  getEquipmentList,
+  resolveEquipment,
+  applyDamage,
+  healDamage,
+  getWoundStatus,
+  normalizeCharacter
+} = require('../src/character-sheet');
+const { validateCharacter } = require('../src/character-validator');
+const { migratePC } = require('../scripts/migrate-pcs');
+const { loadPC, listPCs } = require('../src/pc-roster');
+const { resolveCheck, getAttributeModifier } = require('../src/skill-resolver');
+const { buildPCContext } = require('../src/agm-controller');
+const { canPCObtain } = require('../src/resource-lookup');
+
+const PCS_DIR = path.join(__dirname, '../data/pcs');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * A PC in the older file form
+ * @returns {Object} Legacy PC data
+ */
+function legacyPC() {
+  return {
+    id: 'legacy-scout',
+    name: 'Legacy Scout',
+    skills_notable: ['Pilot (small craft)-2', 'Pilot-1', 'Vacc Suit-1', 'Gun Combat-0'],
+    social_standing: 9,
+    equipment: {
+      survey_kit: { description: 'Field survey gear', items: ['sample cases'] },
+      expenses_credit: { amount: 'Cr1,500', source: 'Survey contract' }
+    }
+  };
+}
+
+// === MODEL TESTS ===
+
+const modelTests = {
+  'UPP round trip with extended hex': () => {
+    assert.deepEqual(parseUPP('789A8C'), { str: 7, dex: 8, end: 9, int: 10, edu: 8, soc: 12 });
+    assert.equal(formatUPP({ str: 7, dex: 8, end: 9, int: 10, edu: 8, soc: 12 }), '789A8C');
+    assert.equal(parseUPP('789A8'), null);
+    assert.equal(parseUPP('789I87'), null);
+  },
+
+  'characteristic DMs follow the resolver formula': () => {
+    assert.equal(getCharacteristicDM(4), -1);
+    assert.equal(getCharacteristicDM(7), 0);
+    assert.equal(getCharacteristicDM(10), 1);
+    assert.equal(getCharacteristicDM(undefined), 0);
+  },
+
+  'specialities are separate from the base skill': () => {
+    const pc = legacyPC();
+    assert.equal(getSkillLevel(pc, 'Pilot (small craft)'), 2);
+    assert.equal(getSkillLevel(pc, 'Pilot (spacecraft)'), 1);
+    assert.equal(getSkillLevel(pc, 'Pilot'), 2);
+    assert.equal(getSkillLevel(pc, 'vacc_suit'), 1);
+    assert.equal(getSkillLevel(pc, 'Gun Combat'), 0);
+    assert.equal(getSkillLevel(pc, 'Medic'), null);
+    assert.deepEqual(getSkillList(pc).map(s => `${s.name}-${s.level}`),
+      ['Pilot-1', 'Pilot (small craft)-2', 'Vacc Suit-1', 'Gun Combat-0']);
+  },
+
+  'a skill map may give plain levels': () => {
+    const pc = { skills: { Electronics: { level: 0, specialities: { Sensors: 1 } }, Recon: 2 } };
+    assert.deepEqual(getSkillList(pc).map(s => `${s.name}-${s.level}`), ['Electronics (Sensors)-1', 'Recon-2']);
+    assert.equal(getSkillLevel(pc, 'Electronics (comms)'), 0);
+  },
+
+  'wounds come off END first and lower the characteristic DM': () => {
+    const pc = { characteristics: { str: 8, dex: 10, end: 6 } };
+    const hit = applyDamage(pc, 9);
+    assert.deepEqual(hit.taken, { str: 0, dex: 3, end: 6 });
+    assert.equal(hit.status, 'wounded');
+    assert.equal(getCharacteristic(pc, 'dex'), 7);
+    assert.equal(getAttributeModifier(pc, 'Pilot'), 0);
+
+    assert.equal(applyDamage(pc, 8).status, 'unconscious');
+    assert.equal(applyDamage(pc, 20).status, 'dead');
+    healDamage(pc);
+    assert.equal(getWoundStatus(pc), 'unhurt');
+  },
+
+  'credits are read from numbers and legacy text': () => {
+    assert.equal(parseCredits('Cr1,500'), 1500);
+    assert.equal(parseCredits('MCr2'), 2000000);
+    assert.equal(getCredits(legacyPC()), 1500);
+    assert.equal(getCredits({ credits: 250 }), 250);
+    assert.equal(getCredits(null), 0);
+  },
+
+  'linked equipment takes catalog stats but keeps its own fields': () => {
+    const pistol = resolveEquipment({ id: 'sidearm', name: 'Autopistol', catalog_id: 'autopistol-tl5', legal_at_law_level: 5 });
+    assert.equal(pistol.weapon_stats.damage, '3D-3');
+    assert.equal(pistol.legal_at_law_level, 5);
+    assert.equal(pistol.id, 'sidearm');
+    assert.deepEqual(getEquipmentList(legacyPC()).map(i => i.id), ['survey-kit']);
+  },
+
+  'normalizing is idempotent and drops legacy fields': () => {
+    const sheet = normalizeCharacter(legacyPC());
+    assert.equal(sheet.upp, '777779');
+    assert.equal(sheet.credits, 1500);
+    assert.equal(sheet.credits_source, 'Survey contract');
+    assert.equal(sheet.skills_notable, undefined);
+    assert.equal(sheet.social_standing, undefined);
+    assert.deepEqual(sheet.skills.Pilot, { level: 1, specialities: { 'small craft': 2 } });
+    assert.deepEqual(normalizeCharacter(sheet), sheet);
+  }
+};
+
+// === VALIDATION TESTS ===
+
+const validationTests = {
+  'every PC file is migrated and valid': () => {
+    for (const id of listPCs()) {
+      const raw = JSON.parse(fs.readFileSync(path.join(PCS_DIR, `${id}.json`), 'utf8'));
+      assert.deepEqual(validateCharacter(raw).errors, [], id);
+      assert.deepEqual(migratePC(raw).pc, raw, `${id} needs scripts/migrate-pcs.js`);
+    }
+  },
+
+  'legacy files and bad sheets are rejected': () => {
+    assert.ok(validateCharacter(legacyPC()).errors.some(e => /skills_notable/.test(e)));
+
+    const sheet = normalizeCharacter(legacyPC());
+    sheet.upp = '777777';
+    sheet.wounds.end = 9;
+    sheet.personal_weapons = [{ id: 'ray-gun', name: 'Ray Gun', catalog_id: 'ray-gun-tl99' }];
+    const { errors } = validateCharacter(sheet);
+    assert.ok(errors.some(e => /UPP 777777 does not match/.test(e)));
+    assert.ok(errors.some(e => /END wounds exceed/.test(e)));
+    assert.ok(errors.some(e => /Unknown catalog_id for ray-gun/.test(e)));
+  },
+
+  'migration links weapons by catalog name': () => {
+    const { pc, unlinked } = migratePC({
+      id: 'armed', name: 'Armed', personal_weapons: [{ id: 'pistol', name: 'Autopistol', type: 'weapon' }]
+    });
+    assert.equal(pc.personal_weapons[0].catalog_id, 'autopistol-tl5');
+    assert.deepEqual(unlinked, []);
+  }
+};
+
+// === INTEGRATION TESTS ===
+
+const integrationTests = {
+  'loadPC returns the character sheet': () => {
+    const alex = loadPC('alex-ryder');
+    assert.equal(alex.upp, '777776');
+    assert.equal(alex.credits, 1000);
+    assert.equal(alex.personal_weapons.find(w => w.subtype === 'blade').catalog_id, 'blade-tl1');
+  },
+
+  'checks use the sheet skill levels': () => {
+    const result = resolveCheck({ skill: 'Pilot', difficulty: 8, reason: 'landing' }, loadPC('alex-ryder'), 7);
+    assert.equal(result.skillMod, 1);
+    assert.equal(result.total, 8);
+  },
+
+  'narrator context shows UPP, wounds, credits and gear': () => {
+    const alex = loadPC('alex-ryder');
+    applyDamage(alex, 3);
+    const context = buildPCContext(alex);
+    assert.match(context, /UPP: 777776/);
+    assert.match(context, /SOC: 6 \(-1\)/);
+    assert.match(context, /Skills: Pilot-1, Astrogation-1, Vacc Suit-1, Survival-1, Gun Combat-0/);
+    assert.match(context, /Wounds: wounded \(END -3\)/);
+    assert.match(context, /Credits: Cr1000/);
+    assert.match(context, /Equipment: Scout Service Kit, Autopistol, Combat Blade/);
+  },
+
+  'resource availability reads credits from the sheet': () => {
+    assert.equal(canPCObtain('high-and-dry', 'portable-radio', loadPC('alex-ryder')).available, true);
+    const broke = canPCObtain('high-and-dry', 'portable-radio', loadPC('traveller-one'));
+    assert.equal(broke.reason, 'Insufficient credits (need Cr100)');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  CHARACTER SHEET TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Model Tests ---');
+const model = runTests(modelTests);
+
+console.log('\n--- Validation Tests ---');
+const validation = runTests(validationTests);
+
+console.log('\n--- Integration Tests ---');
+const integration = runTests(integrationTests);
+
+const allPassed = model && validation && integration;
+process.exit(allPassed ? 0 : 1);
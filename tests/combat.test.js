@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Combat Tests
+ *
+ * Tests personal combat:
+ * - Dice, weapon traits, distances and range DMs
+ * - Creature stat blocks and PC weapons, armour and attack DMs
+ * - Attack rolls, damage, armour and AP
+ * - Initiative, rounds, wounds and the end of a fight
+ * - The COMBAT directive, start_combat tool and /attack command
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  parseDice,
+  rollDice,
+  parseWeaponTraits,
+  parseDistance,
+  getRangeBand,
+  getRangeDM,
+  getPCWeapons,
+  getPCAttackDMs,
+  createCreatureCombatants,
+  startCombat,
+  resolveAttack,
+  applyAttack,
+  playRound,
+  buildCombatContext,
+  markCombatReported
+} = require('../src/combat');
+const { getCreature } = require('../src/adventure-data');
+const { resolveEquipment } = require('../src/character-sheet');
+const { parseTagDirectives } = require('../src/agm-controller');
+const { buildAgmTools, toolCallsToDirectives, AGM_TOOLS } = require('../src/agm-tools');
+const { handleAdventureCommand } = require('../src/adventure-player');
+
+const STATE_FILE = path.join(__dirname, '../data/state/adventures/high-and-dry-test-combat.json');
+
+const AUTOPISTOL = { id: 'autopistol-standard', name: 'Autopistol', catalog_id: 'autopistol-tl5' };
+const BLADE = { id: 'blade-combat', name: 'Combat Blade', catalog_id: 'blade-tl1' };
+
+/**
+ * Fresh session with a made-up PC carrying an autopistol and a blade
+ * END 8, Gun Combat 1 and no Melee.
+ * @returns {Object} Session
+ */
+function createSession() {
+  const pc = {
+    id: 'test-combat',
+    name: 'Ines Okafor',
+    characteristics: { str: 7, dex: 9, end: 8, int: 7, edu: 7, soc: 7 },
+    skills: { 'Gun Combat': { level: 1 }, Pilot: { level: 1 } },
+    wounds: { str: 0, dex: 0, end: 0 }
+  };
+  return {
+    adventure: { id: 'high-and-dry' },
+    pc,
+    storyState: {
+      adventure: 'high-and-dry',
+      pcId: 'test-combat',
+      flags: {},
+      inventory: [resolveEquipment(AUTOPISTOL), resolveEquipment(BLADE)]
+    }
+  };
+}
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === RULES TESTS ===
+
+const rulesTests = {
+  'dice and weapon traits are read from equipment text': () => {
+    assert.deepEqual(parseDice('3D-3'), { dice: 3, modifier: -3, destructive: false });
+    assert.deepEqual(parseDice('1d6+2'), { dice: 1, modifier: 2, destructive: false });
+    assert.equal(parseDice('2DD').destructive, true);
+    assert.equal(parseDice('Bite'), null);
+    assert.equal(rollDice('2DD', 7), 70);
+    assert.equal(rollDice('3D-3', 2), 0, 'damage never goes below 0');
+
+    assert.deepEqual(parseWeaponTraits(['AP 5', 'Auto 3', 'Stun', 'DM-2 to attack rolls', 'Bulky']), { ap: 5, auto: 3, stun: true, dm: -2 });
+  },
+
+  'distances and range DMs': () => {
+    assert.equal(parseDistance('20m'), 20);
+    assert.equal(parseDistance('short'), 10);
+    assert.equal(parseDistance('very long'), 1000);
+    assert.equal(parseDistance('nearby'), null);
+    assert.equal(getRangeBand(20).id, 'medium');
+
+    const pistol = { melee: false, range: 10 };
+    assert.deepEqual(getRangeDM(pistol, 2), { id: 'short range', dm: 1 });
+    assert.deepEqual(getRangeDM(pistol, 10), { id: 'in range', dm: 0 });
+    assert.deepEqual(getRangeDM(pistol, 15), { id: 'long range', dm: -2 });
+    assert.deepEqual(getRangeDM(pistol, 40), { id: 'extreme range', dm: -4 });
+    assert.equal(getRangeDM(pistol, 41), null);
+    assert.equal(getRangeDM({ melee: true }, 3), null, 'melee needs to be within reach');
+  },
+
+  'creature stat blocks become opponents': () => {
+    const [hunter] = createCreatureCombatants(getCreature('alderson', 'high-and-dry'), 'alderson', 1, 30);
+    assert.equal(hunter.id, 'alderson');
+    assert.equal(hunter.hits, 16);
+    assert.equal(hunter.armour, 3);
+    assert.equal(hunter.size, -1);
+    assert.equal(hunter.speed, 6);
+    assert.deepEqual(hunter.skill, { name: 'melee_bite', level: 1 });
+    assert.deepEqual(hunter.attacks.map(a => [a.name, a.damage, a.melee]), [['Bite', '2D', true]]);
+
+    const wolves = createCreatureCombatants(getCreature('tenshers_wolf', 'high-and-dry'), 'tenshers_wolf', 2, 20);
+    assert.deepEqual(wolves.map(w => w.id), ['tenshers_wolf-1', 'tenshers_wolf-2']);
+    assert.deepEqual(wolves[0].skill, { name: 'melee_unarmed', level: 3 });
+  },
+
+  'PCs fight with what they carry, at Gun Combat + DEX or Melee + STR': () => {
+    const session = createSession();
+    const [autopistol, blade, unarmed] = getPCWeapons(session, session.pc);
+    assert.deepEqual([autopistol.name, autopistol.damage, autopistol.range, autopistol.melee], ['Autopistol', '3D-3', 10, false]);
+    assert.equal(blade.melee, true);
+    assert.equal(unarmed.name, 'Unarmed');
+
+    assert.deepEqual(getPCAttackDMs(session.pc, autopistol), [{ source: 'Gun Combat', value: 1 }, { source: 'DEX', value: 0 }]);
+    assert.deepEqual(getPCAttackDMs(session.pc, blade), [{ source: 'unskilled', value: -3 }, { source: 'STR', value: 0 }]);
+
+    // Checked-in weapons stay at customs
+    session.storyState.inventory[0].location = 'Walston customs';
+    assert.deepEqual(getPCWeapons(session, session.pc).map(w => w.name), ['Combat Blade', 'Unarmed']);
+  },
+
+  'attacks roll 8+ and damage is dice plus Effect less armour': () => {
+    const session = createSession();
+    const autopistol = getPCWeapons(session, session.pc)[0];
+    const [wolf] = createCreatureCombatants(getCreature('tenshers_wolf', 'high-and-dry'), 'tenshers_wolf', 1, 2);
+
+    // 8 + Gun Combat 1 + short range 1 = 10, Effect 2; 10 - 3 + 2 - armour 2 = 7
+    const hit = resolveAttack({ target: wolf, weapon: autopistol, distance: 2, dms: [{ source: 'Gun Combat', value: 1 }] }, { roll: 8, damage: 10 });
+    assert.equal(hit.check.total, 10);
+    assert.deepEqual(hit.damage, { rolled: 7, effect: 2, auto: 0, armour: 2, total: 9, dealt: 7 });
+    assert.equal(applyAttack(session, wolf, hit), '29/36 hits');
+
+    const miss = resolveAttack({ target: wolf, weapon: autopistol, distance: 2, dms: [] }, { roll: 5 });
+    assert.equal(miss.hit, false);
+    assert.equal(miss.damage, null);
+    assert.equal(resolveAttack({ target: wolf, weapon: autopistol, distance: 50 }).outOfRange, true);
+  },
+
+  'AP cuts through armour, Auto adds a burst and small targets are harder to hit': () => {
+    const [hunter] = createCreatureCombatants(getCreature('alderson', 'high-and-dry'), 'alderson', 1, 50);
+    const rifle = { name: 'Test Rifle', damage: '3D', melee: false, range: 100, traits: ['AP 5', 'Auto 2'] };
+    const result = resolveAttack({ target: hunter, weapon: rifle, distance: 50, dms: [] }, { roll: 9, damage: 10 });
+    assert.deepEqual(result.check.dms, [{ source: 'small target', value: -1 }]);
+    assert.deepEqual(result.damage, { rolled: 10, effect: 0, auto: 2, armour: 0, total: 12, dealt: 12 });
+
+    const stunned = { ...hunter };
+    applyAttack({ storyState: {} }, stunned, { stun: true, damage: { dealt: 40 } });
+    assert.equal(stunned.status, 'unconscious', 'stun weapons knock out rather than kill');
+  }
+};
+
+// === FIGHT TESTS ===
+
+const fightTests = {
+  'initiative orders the fight and reinforcements join it': () => {
+    const session = createSession();
+    const { combat, log } = startCombat(session, { creature: 'tenshers_wolf', count: 2, distance: '20m' }, { initiative: 7 });
+    // PCs win ties
+    assert.deepEqual(combat.combatants.map(c => [c.id, c.initiative]), [['test-combat', 7], ['tenshers_wolf-1', 7], ['tenshers_wolf-2', 7]]);
+    assert.equal(log[0], "Combat: 2× Tensher's Wolf (Kimbley) at 20m (Medium)");
+
+    const more = startCombat(session, { creature: 'tenshers_wolf', distance: 'long' }, { initiative: 7 });
+    assert.deepEqual(more.joined.map(c => [c.id, c.distance]), [['tenshers_wolf-3', 250]]);
+    assert.match(more.log[0], /^Joining the fight/);
+    assert.equal(session.storyState.combat.combatants.length, 4);
+
+    assert.match(startCombat(session, { creature: 'walston_pet' }).error, /has no combat stats/);
+    assert.equal(startCombat(session, { creature: 'sandworm' }).error, 'Unknown creature: sandworm');
+  },
+
+  'rounds trade attacks and wounds land on the PC\'s characteristics': () => {
+    const session = createSession();
+    startCombat(session, { creature: 'tenshers_wolf', count: 2, distance: '20m' }, { initiative: 7 });
+    const rolls = { roll: 10, damage: 12, opponentRoll: 8, opponentDamage: 3 };
+
+    // Long range: 10 + 1 - 2 = 9, Effect 1; 9 + 1 - 2 = 8 damage. The wolves close to 8m.
+    const first = playRound(session, {}, rolls);
+    assert.equal(first.round, 1);
+    assert.match(first.log.join('\n'), /Ines Okafor attacks Tensher's Wolf \(Kimbley\) 1 with Autopistol: 10 Gun Combat \+1, long range -2 = 9 vs 8\+ → hit/);
+    assert.match(first.log.join('\n'), /Tensher's Wolf \(Kimbley\) 1 closes 12m \(now 8m\)/);
+    assert.equal(session.storyState.combat.combatants[1].hits, 28);
+
+    // Each bite: 8 + 3 = 11, Effect 3; 3 + 3 = 6 damage, END first, then DEX
+    const second = playRound(session, {}, rolls);
+    assert.match(second.log.join('\n'), /Bite: 8 melee_unarmed \+3 = 11 vs 8\+ → hit/);
+    assert.match(second.log.join('\n'), /Ines Okafor wounded \(DEX -4, END -8\)/);
+    assert.deepEqual(session.pc.wounds, { str: 0, dex: 4, end: 8 });
+    assert.deepEqual(session.storyState.wounds['test-combat'], { str: 0, dex: 4, end: 8 });
+    assert.equal(second.outcome, null);
+  },
+
+  'the fight ends when a side is down, and the narrator hears it once': () => {
+    const session = createSession();
+    startCombat(session, { creature: 'alderson', distance: 'short' }, { initiative: 7 });
+    const round = playRound(session, { target: 'coastal', weapon: 'pistol' }, { roll: 12, damage: 18 });
+
+    assert.equal(round.outcome, 'victory');
+    assert.equal(session.storyState.combat, null);
+    assert.equal(session.storyState.lastCombat.opponents[0].status, 'dead');
+    assert.equal(round.log[round.log.length - 1], 'Combat over: victory');
+
+    const context = buildCombatContext(session);
+    assert.match(context, /=== COMBAT ENDED: VICTORY after 1 round\(s\) ===/);
+    assert.match(context, /Party: Ines Okafor: unhurt/);
+    markCombatReported(session);
+    assert.equal(buildCombatContext(session), '');
+  }
+};
+
+// === DIRECTIVE AND COMMAND TESTS ===
+
+const commandTests = {
+  'the narrator starts a fight with a tag or the start_combat tool': () => {
+    const { directives, tags } = parseTagDirectives('The grass parts. [COMBAT: tenshers_wolf x3 at 20m]');
+    assert.deepEqual(directives.combat, { creature: 'tenshers_wolf', count: 3, distance: '20m' });
+    assert.deepEqual(tags, ['[COMBAT: tenshers_wolf x3 at 20m]']);
+    assert.deepEqual(parseTagDirectives('[COMBAT: alderson]').directives.combat, { creature: 'alderson', count: 1, distance: null });
+
+    const context = { creatureIds: ['tenshers_wolf', 'alderson'] };
+    const tool = buildAgmTools(context).find(t => t.name === AGM_TOOLS.START_COMBAT);
+    assert.deepEqual(tool.input_schema.properties.creature.enum, ['tenshers_wolf', 'alderson']);
+
+    const { directives: fromTools, rejected } = toolCallsToDirectives([
+      { name: 'start_combat', input: { creature: 'alderson', distance: 'short' } },
+      { name: 'start_combat', input: { creature: 'walston_pet' } }
+    ], context);
+    assert.deepEqual(fromTools.combat, { creature: 'alderson', count: 1, distance: 'short' });
+    assert.match(rejected[0].errors.join(), /is not a known value/);
+  },
+
+  '/attack plays a round, /combat shows the fight and /flee ends it': async () => {
+    const session = createSession();
+    assert.equal((await handleAdventureCommand(session, '/attack')).text, 'No fight is under way.');
+
+    startCombat(session, { creature: 'tenshers_wolf', count: 2, distance: '100m' }, { initiative: 7 });
+    assert.match((await handleAdventureCommand(session, '/combat')).text, /Tensher's Wolf \(Kimbley\) 2 \(tenshers_wolf-2\) \[7\]: 36\/36 hits, 100m \(Long\)/);
+
+    const { text } = await handleAdventureCommand(session, '/attack 2 with blade');
+    assert.match(text, /Ines Okafor closes 6m on Tensher's Wolf \(Kimbley\) 2 \(now 94m\)/);
+    assert.match(text, /Tensher's Wolf \(Kimbley\) 1 closes 12m \(now 88m\)/);
+    assert.match((await handleAdventureCommand(session, '/attack 2 with rifle')).text, /has no "rifle" \(has Autopistol, Combat Blade, Unarmed\)/);
+
+    assert.equal((await handleAdventureCommand(session, '/flee')).text, 'The party breaks off the fight.');
+    assert.equal(session.storyState.lastCombat.outcome, 'fled');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  COMBAT TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  let allPassed = false;
+  try {
+    console.log('--- Rules Tests ---');
+    const rules = await runTests(rulesTests);
+
+    console.log('\n--- Fight Tests ---');
+    const fights = await runTests(fightTests);
+
+    console.log('\n--- Directive and Command Tests ---');
+    const commands = await runTests(commandTests);
+
+    allPassed = rules && fights && commands;
+  } finally {
+    fs.rmSync(STATE_FILE, { force: true });
+  }
+  process.exit(allPassed ? 0 : 1);
+}
+
+main();
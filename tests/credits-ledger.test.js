@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Credits Ledger Tests
+ *
+ * Tests per-PC credits and transaction history:
+ * - Opening balance from the character sheet
+ * - Income, purchases, bribes, fines and payments with date, scene and counterparty
+ * - PAY and CHARGE tags, tool calls and NPC dialogue
+ * - Narrator money context and the /wallet display
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getLedger,
+  getBalance,
+  syncPartyCredits,
+  postTransaction,
+  getOutstandingPayment,
+  formatWallet
+} = require('../src/credits-ledger');
+const { parseAgmResponse, buildMoneyContext, createDirectiveFilter } = require('../src/agm-controller');
+const { toolCallsToDirectives, AGM_TOOLS } = require('../src/agm-tools');
+const { createParty } = require('../src/party');
+const { canPCObtain } = require('../src/resource-lookup');
+const { handleNpcDialogue, handleAdventureCommand } = require('../src/adventure-player');
+const { createClient } = require('../src/ai-client');
+const { loadPersona } = require('../src/persona');
+const { createMemory } = require('../src/memory');
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Build a session for Alex and Drake at the Walston starport
+ * @returns {Object} Minimal adventure session
+ */
+function walletSession() {
+  const party = createParty(['alex-ryder', 'captain-drake']);
+  return {
+    adventureId: 'high-and-dry',
+    party,
+    pc: party.members[0],
+    storyState: { currentScene: 'meeting-greener', gameDate: '012-1105', flags: {} }
+  };
+}
+
+// === LEDGER TESTS ===
+
+const ledgerTests = {
+  'the ledger opens with the sheet credits': () => {
+    const session = walletSession();
+    const [opening] = getLedger(session, session.pc);
+    assert.equal(opening.type, 'opening');
+    assert.equal(opening.amount, 1000);
+    assert.equal(opening.description, 'Scout Service upfront payment');
+    assert.equal(getBalance(session, session.party.members[1]), 0);
+  },
+
+  'entries record date, scene and counterparty': () => {
+    const session = walletSession();
+    const { entry } = postTransaction(session, {
+      type: 'income', amount: 3000, counterparty: 'minister-greener', description: 'survey fee'
+    });
+    assert.deepEqual(entry, {
+      id: 2, type: 'income', amount: 3000, description: 'survey fee',
+      counterparty: 'minister-greener', scene: 'meeting-greener', gameDate: '012-1105', balance: 4000
+    });
+    assert.equal(session.pc.credits, 4000);
+
+    session.storyState.currentScene = 'startown-investigation';
+    const bribe = postTransaction(session, { type: 'bribe', amount: 50, counterparty: 'clerk' }).entry;
+    assert.equal(bribe.amount, -50);
+    assert.equal(bribe.scene, 'startown-investigation');
+    assert.equal(getBalance(session, session.pc), 3950);
+  },
+
+  'spending more than the PC holds is refused': () => {
+    const session = walletSession();
+    assert.match(postTransaction(session, { type: 'purchase', amount: 1200 }).error, /Alex Ryder has Cr1000, needs Cr1200/);
+    assert.match(postTransaction(session, { type: 'gift', amount: 5 }).error, /Unknown transaction type/);
+    assert.match(postTransaction(session, { type: 'income', amount: 0 }).error, /Invalid amount/);
+    assert.equal(getLedger(session, session.pc).length, 1);
+  },
+
+  'another party member can pay, and paying a fine clears it': () => {
+    const session = walletSession();
+    session.storyState.pendingFine = { amount: 800 };
+    assert.ok(postTransaction(session, { type: 'fine', amount: 800, pcId: 'captain-drake' }).error);
+    postTransaction(session, { type: 'fine', amount: 800, counterparty: 'starport-customs' });
+    assert.equal(session.storyState.pendingFine, undefined);
+    assert.equal(session.pc.credits, 200);
+  },
+
+  'resuming restores credits and resource checks see them': () => {
+    const session = walletSession();
+    postTransaction(session, { type: 'purchase', amount: 950, counterparty: 'walston-general' });
+
+    const resumed = { ...walletSession(), storyState: session.storyState };
+    assert.equal(resumed.pc.credits, 1000);
+    syncPartyCredits(resumed);
+    assert.equal(resumed.pc.credits, 50);
+    assert.equal(canPCObtain('high-and-dry', 'portable-radio', resumed.pc).reason, 'Insufficient credits (need Cr100)');
+  }
+};
+
+// === DIRECTIVE TESTS ===
+
+const directiveTests = {
+  'PAY and CHARGE tags become transactions': () => {
+    const parsed = parseAgmResponse(
+      'Greener slides the case across. [PAY: Cr3,000 minister-greener | survey fee] ' +
+      '[CHARGE: Cr50 bribe clerk | stamp the papers @captain-drake] [CHARGE: 20 walston-general]'
+    );
+    assert.equal(parsed.narrativeText, 'Greener slides the case across.');
+    assert.deepEqual(parsed.transactions, [
+      { type: 'income', amount: 3000, counterparty: 'minister-greener', description: 'survey fee', pcId: null },
+      { type: 'bribe', amount: 50, counterparty: 'clerk', description: 'stamp the papers', pcId: 'captain-drake' },
+      { type: 'purchase', amount: 20, counterparty: 'walston-general', description: null, pcId: null }
+    ]);
+  },
+
+  'pay and charge tool calls are validated': () => {
+    const { directives, rejected } = toolCallsToDirectives([
+      { id: 't1', name: AGM_TOOLS.PAY, input: { amount: 'Cr3000', from: 'minister-greener', reason: 'survey fee' } },
+      { id: 't2', name: AGM_TOOLS.CHARGE, input: { amount: 10, type: 'payment', to: 'starport', reason: 'weapon storage' } },
+      { id: 't3', name: AGM_TOOLS.CHARGE, input: { amount: 10, type: 'theft', reason: 'x' } },
+      { id: 't4', name: AGM_TOOLS.PAY, input: { amount: -5, reason: 'x' } }
+    ], {});
+    assert.deepEqual(directives.transactions.map(t => [t.type, t.amount, t.counterparty]),
+      [['income', 3000, 'minister-greener'], ['payment', 10, 'starport']]);
+    assert.equal(rejected.length, 2);
+  },
+
+  'an NPC filter strips only money tags': () => {
+    const filter = createDirectiveFilter(['PAY', 'CHARGE']);
+    const shown = filter.push('Here. [PAY: Cr100 | tip] [SCENE: elsewhere]') + filter.flush();
+    assert.equal(shown, 'Here.  [SCENE: elsewhere]');
+  },
+
+  'NPCs pay the PC from dialogue': async () => {
+    const usageFile = path.join(os.tmpdir(), `credits-ledger-usage-${process.pid}.json`);
+    process.env.USAGE_LEDGER_FILE = usageFile;
+
+    const session = walletSession();
+    session.client = createClient(null, { provider: 'replay', responses: ['Half now, half on delivery. [PAY: Cr1500 | survey advance]'] });
+    session.activeNpc = loadPersona('minister-greener');
+    session.npcMemory = createMemory();
+    session.agmState = null;
+
+    const result = await handleNpcDialogue(session, 'Can we have something up front?');
+    fs.rmSync(usageFile, { force: true });
+
+    assert.equal(result.text, 'Half now, half on delivery.');
+    assert.equal(session.npcMemory.recentMessages.slice(-1)[0].content, 'Half now, half on delivery.');
+    assert.match(result.stateChanges[0], /Alex Ryder: \+Cr1500 income from minister-greener \(survey advance\), balance Cr2500/);
+  }
+};
+
+// === DISPLAY TESTS ===
+
+const displayTests = {
+  'the narrator is told about fines and unpaid deals': () => {
+    const session = walletSession();
+    assert.equal(buildMoneyContext(session), '');
+
+    session.storyState.flags.payment_amount = 3000;
+    session.storyState.pendingFine = { amount: 800 };
+    const context = buildMoneyContext(session);
+    assert.match(context, /Unpaid fine: Cr800/);
+    assert.match(context, /Agreed payment not yet made: Cr3000/);
+
+    postTransaction(session, { type: 'income', amount: 3000, counterparty: 'minister-greener' });
+    assert.equal(getOutstandingPayment(session), null);
+  },
+
+  '/wallet shows balance and history': async () => {
+    const session = walletSession();
+    postTransaction(session, { type: 'purchase', amount: 120, counterparty: 'walston-general', description: 'rope' });
+
+    const { text } = await handleAdventureCommand(session, '/wallet');
+    assert.match(text, /=== WALLET: Alex Ryder ===/);
+    assert.match(text, /Balance: Cr880/);
+    assert.match(text, /012-1105 -Cr120 purchase to walston-general \(rope\) \[meeting-greener\] = Cr880/);
+
+    assert.match((await handleAdventureCommand(session, '/wallet marcus')).text, /WALLET: Marcus Drake/);
+    assert.match(formatWallet(session, { pcId: 'nobody' }), /No party member "nobody"/);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  CREDITS LEDGER TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Ledger Tests ---');
+  const ledger = await runTests(ledgerTests);
+
+  console.log('\n--- Directive Tests ---');
+  const directives = await runTests(directiveTests);
+
+  console.log('\n--- Display Tests ---');
+  const display = await runTests(displayTests);
+
+  process.exit(ledger && directives && display ? 0 : 1);
+}
+
+main();
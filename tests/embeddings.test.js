@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Embeddings Tests
+ *
+ * Tests the local embeddings layer:
+ * - Hashed n-gram embedder and the embedder registry
+ * - Vector store collections, persisted and re-embedded only on change
+ * - Semantic index over red-team facts, NPC knowledge and scene stages
+ * - Semantic validation of NPC responses
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Vectors go to a scratch directory
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+process.env.VECTOR_STORE_DIR = STORE_DIR;
+
+const {
+  registerEmbedder,
+  listEmbedders,
+  getEmbedder,
+  embedTexts,
+  cosineSimilarity,
+  bestSentenceMatch
+} = require('../src/embeddings');
+const hashedNgram = require('../src/embeddings/hashed-ngram');
+const vectorStore = require('../src/embeddings/vector-store');
+const semanticIndex = require('../src/semantic-index');
+const { VERDICT, SEMANTIC_PASS_SCORE, validateResponse } = require('../src/red-team/validator');
+
+// A toy embedder: one dimension per letter a-d
+const LETTERS = {
+  name: 'test-letters',
+  dimensions: 4,
+  embed: texts => texts.map(text => ['a', 'b', 'c', 'd'].map(letter => text.split(letter).length - 1))
+};
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    } finally {
+      delete process.env.EMBEDDINGS_PROVIDER;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === EMBEDDER TESTS ===
+
+const embedderTests = {
+  'hashed n-gram vectors are deterministic unit vectors': () => {
+    const [a, b, empty] = hashedNgram.embed(['Fuel cells depleted', 'Fuel cells depleted', 'the and of']);
+    assert.equal(a.length, 512);
+    assert.deepEqual(a, b);
+    assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+    assert.ok(empty.every(v => v === 0), 'stopwords alone give a zero vector');
+  },
+
+  'similar wording scores higher than unrelated text': () => {
+    const [fact, close, far] = embedTexts([
+      'PC receives one-year LEASE under detached duty terms',
+      'You get the vessel on a one year lease, on detached duty terms.',
+      'The weather in the capital is lovely this time of year.'
+    ]);
+    assert.ok(cosineSimilarity(fact, close) > 0.6, `${cosineSimilarity(fact, close)}`);
+    assert.ok(cosineSimilarity(fact, far) < 0.2, `${cosineSimilarity(fact, far)}`);
+
+    // Character trigrams link word forms the stemmer keeps apart
+    const [pay, payment, cargo] = embedTexts(['paying', 'payment', 'cargo']);
+    assert.ok(cosineSimilarity(pay, payment) > cosineSimilarity(pay, cargo));
+  },
+
+  'the best sentence of a long answer is found': () => {
+    const match = bestSentenceMatch(
+      'Welcome aboard. The weather is fine. Your ship is on a one-year lease under detached duty.',
+      'PC receives one-year LEASE under detached duty terms'
+    );
+    assert.equal(match.sentence, 'Your ship is on a one-year lease under detached duty.');
+    assert.equal(bestSentenceMatch('', 'anything').score, 0);
+  },
+
+  'embedders are chosen by name, alias or environment': () => {
+    assert.equal(getEmbedder().name, 'hashed-ngram');
+    assert.equal(getEmbedder('offline').name, 'hashed-ngram');
+    assert.throws(() => getEmbedder('nope'), /Unknown embedder: nope/);
+    assert.throws(() => registerEmbedder({ name: 'broken' }), /must have a name, dimensions and an embed/);
+
+    registerEmbedder(LETTERS);
+    assert.ok(listEmbedders().includes('test-letters'));
+    process.env.EMBEDDINGS_PROVIDER = 'test-letters';
+    assert.deepEqual(embedTexts(['abba']), [[2, 2, 0, 0]]);
+  }
+};
+
+// === VECTOR STORE TESTS ===
+
+const storeTests = {
+  'collections are saved and only changed items re-embedded': () => {
+    const items = [
+      { id: 'one', text: 'Fuel cells depleted', meta: { kind: 'ship' } },
+      { id: 'two', text: 'Thin atmosphere above 1000m' }
+    ];
+    assert.deepEqual(vectorStore.upsertItems('test-ship', items), { added: 2, updated: 0, unchanged: 0, removed: 0 });
+    assert.ok(fs.existsSync(path.join(STORE_DIR, 'test-ship.json')));
+
+    vectorStore.reset();
+    items[1] = { id: 'two', text: 'Thin atmosphere above 1200m' };
+    assert.deepEqual(vectorStore.upsertItems('test-ship', items), { added: 0, updated: 1, unchanged: 1, removed: 0 });
+    assert.deepEqual(vectorStore.upsertItems('test-ship', items.slice(0, 1), { prune: true }), { added: 0, updated: 0, unchanged: 1, removed: 1 });
+    assert.deepEqual(vectorStore.listCollections(), ['test-ship']);
+
+    vectorStore.dropCollection('test-ship');
+    assert.deepEqual(vectorStore.listCollections(), []);
+  },
+
+  'queries rank items by similarity': () => {
+    vectorStore.upsertItems('test-query', [
+      { id: 'fuel', text: 'The fuel cells are depleted and need replacing' },
+      { id: 'air', text: 'The atmosphere is thin at altitude' },
+      { id: 'law', text: 'Weapons are checked in at customs' }
+    ]);
+    const hits = vectorStore.querySimilar('test-query', 'replace the depleted fuel cells', { limit: 2 });
+    assert.equal(hits[0].id, 'fuel');
+    assert.ok(hits.length <= 2 && hits.every(hit => hit.score > 0));
+    assert.deepEqual(vectorStore.querySimilar('test-query', 'replace the depleted fuel cells', { minScore: 0.5 }).map(h => h.id), ['fuel']);
+    assert.deepEqual(vectorStore.querySimilar('test-query', 'thin atmosphere', { filter: hit => hit.id === 'law' }).map(h => h.id), []);
+    assert.deepEqual(vectorStore.querySimilar('test-missing', 'fuel'), []);
+  },
+
+  'changing embedder re-embeds the whole collection': () => {
+    registerEmbedder(LETTERS);
+    process.env.EMBEDDINGS_PROVIDER = 'test-letters';
+    assert.equal(vectorStore.getVector('test-query', 'fuel'), null, 'vectors from another embedder are not used');
+    assert.deepEqual(vectorStore.querySimilar('test-query', 'fuel'), []);
+
+    const stats = vectorStore.upsertItems('test-query', [{ id: 'fuel', text: 'The fuel cells are depleted and need replacing' }]);
+    assert.deepEqual(stats, { added: 1, updated: 0, unchanged: 0, removed: 0 });
+    assert.equal(vectorStore.loadCollection('test-query').embedder, 'test-letters');
+    assert.deepEqual(Object.keys(vectorStore.loadCollection('test-query').items), ['fuel']);
+  }
+};
+
+// === SEMANTIC INDEX TESTS ===
+
+const indexTests = {
+  'red-team facts are searchable, optionally per NPC': () => {
+    const hits = semanticIndex.findSimilarFacts('the previous crew committed fraud so their agreement was voided', { limit: 3 });
+    assert.equal(hits[0].factId, 'FACT_003');
+
+    const forCasarii = semanticIndex.findSimilarFacts('lease detached duty', { npcId: 'mr-casarii', limit: 10 });
+    assert.ok(forCasarii.length > 0);
+    assert.ok(forCasarii.every(hit => hit.factId.startsWith('FACT_')), 'extracted facts are for the narrator only');
+    assert.equal(semanticIndex.factKey({ id: 'EXT_MC_ALT_000', source: 'mountain-climb.json:altitude_sickness.mild' }), 'EXT_MC_ALT_000@mountain-climb.json:altitude_sickness.mild');
+  },
+
+  'NPC knowledge and scene stages are searchable': () => {
+    const persona = {
+      id: 'test-embeddings-npc',
+      knowledge_base: {
+        the_job: 'Recover a stranded survey ship from the salt flats.',
+        local_gossip: 'The harbourmaster is feuding with the brewery over water rights.'
+      }
+    };
+    const knowledge = semanticIndex.findSimilarKnowledge(persona, 'who is the brewery feuding with?', { limit: 1 });
+    assert.deepEqual(knowledge.map(k => [k.id, k.topic]), [['kb:local_gossip#0', 'local_gossip']]);
+
+    const stages = semanticIndex.findSimilarStages('high-and-dry', 'climbing down into the crater', { scene: 'mountain-climb', limit: 1 });
+    assert.equal(stages[0].id, 'mountain-climb:stages[5]');
+    assert.equal(stages[0].name, 'Crater Descent');
+    assert.ok(vectorStore.listCollections().includes('scenes-high-and-dry'));
+  }
+};
+
+// === VALIDATION TESTS ===
+
+const QUERY = {
+  id: 'TEST_Q_003',
+  fact_id: 'FACT_003',
+  expected_keywords: ['voided', 'fraud', 'previous crew'],
+  failure_keywords: ['paid in full']
+};
+
+const validationTests = {
+  'a fact conveyed in other words passes': () => {
+    const result = validateResponse('Them? The last crew cheated, so their agreement was voided.', QUERY);
+    assert.equal(result.verdict, VERDICT.PASS);
+    assert.match(result.details, /^Fact conveyed in other words \(similarity 0\.\d\d\)/);
+    assert.equal(result.semantic.sentence, 'The last crew cheated, so their agreement was voided.');
+  },
+
+  'a loose match is softened to WARN, unrelated answers still FAIL': () => {
+    assert.equal(validateResponse('The last crew cheated us, so their agreement was cancelled.', QUERY).verdict, VERDICT.WARN);
+
+    const unrelated = validateResponse('Welcome to Walston. Customs is through that door.', QUERY);
+    assert.equal(unrelated.verdict, VERDICT.FAIL);
+    assert.equal(unrelated.semantic.score, 0);
+  },
+
+  'a wrong figure in the fact\'s own words is never a PASS': () => {
+    const feeQuery = { id: 'TEST_Q_040', fact_id: 'FACT_050', expected_keywords: ['Cr3000', '3000', 'credits'], failure_keywords: [] };
+
+    const wrong = validateResponse('Greener offers Cr4000 flat fee for survey', feeQuery);
+    assert.ok(wrong.semantic.score >= SEMANTIC_PASS_SCORE, 'the wording matches the fact');
+    assert.equal(wrong.verdict, VERDICT.WARN);
+    assert.match(wrong.details, /^Fact paraphrased without Cr3000 \/ 3000 \(similarity 0\.\d\d\)/);
+
+    const wrongOnly = validateResponse('Greener offers Cr4000 flat fee for survey', { ...feeQuery, expected_keywords: ['Cr3000'] });
+    assert.equal(wrongOnly.verdict, VERDICT.WARN);
+
+    assert.equal(validateResponse('Greener offers Cr3000 flat fee for survey', feeQuery).verdict, VERDICT.PASS);
+  },
+
+  'failure keywords and keyword-only mode are unchanged': () => {
+    const failure = validateResponse('The previous crew were paid in full; their agreement was voided anyway.', QUERY);
+    assert.equal(failure.verdict, VERDICT.FAIL);
+    assert.equal(failure.semantic, undefined);
+
+    const keywordOnly = validateResponse('The last crew cheated us, so their agreement was cancelled.', QUERY, { semantic: false });
+    assert.equal(keywordOnly.verdict, VERDICT.FAIL);
+    assert.equal(keywordOnly.semantic, undefined);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  EMBEDDINGS TESTS');
+console.log('══════════════════════════════════════════\n');
+
+let allPassed = false;
+try {
+  console.log('--- Embedder Tests ---');
+  const embedders = runTests(embedderTests);
+
+  console.log('\n--- Vector Store Tests ---');
+  const store = runTests(storeTests);
+
+  console.log('\n--- Semantic Index Tests ---');
+  const index = runTests(indexTests);
+
+  console.log('\n--- Validation Tests ---');
+  const validation = runTests(validationTests);
+
+  allPassed = embedders && store && index && validation;
+} finally {
+  fs.rmSync(STORE_DIR, { recursive: true, force: true });
+}
+process.exit(allPassed ? 0 : 1);
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Encounter Runner Tests
+ *
+ * Tests rolling encounter mechanics:
+ * - Difficulty strings and stakes thresholds
+ * - Modifier conditions on species, flags, circumstances and disposition
+ * - Best allowed skill, the roll, stakes and the applied outcome
+ * - The GM log and the /encounter command
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dispositions the runs change go to a scratch store
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'encounter-runner-'));
+process.env.DISPOSITIONS_FILE = path.join(TMP_DIR, 'dispositions.json');
+
+const {
+  parseDifficulty,
+  parseThreshold,
+  evaluateCondition,
+  rankSkills,
+  findStake,
+  runEncounter
+} = require('../src/encounter-runner');
+const { loadEncounter } = require('../src/story-engine');
+const { getDisposition } = require('../src/disposition');
+const { handleAdventureCommand } = require('../src/adventure-player');
+
+// Made-up PCs: a Vargr diplomat and a human with no social skills
+const VARGR = {
+  id: 'test-vargr',
+  name: 'Ksaengvae',
+  species: 'Vargr',
+  characteristics: { str: 7, dex: 9, end: 7, int: 8, edu: 7, soc: 8 },
+  skills: { Diplomat: { level: 1 }, Broker: { level: 2 } }
+};
+const SPACER = {
+  id: 'test-spacer',
+  name: 'Ada Brandt',
+  species: 'Human',
+  characteristics: { str: 7, dex: 7, end: 7, int: 7, edu: 7, soc: 7 },
+  skills: { Pilot: { level: 1 } }
+};
+
+/**
+ * Fresh session for a PC
+ * @param {Object} pc - PC data
+ * @param {Object} flags - Story flags
+ * @returns {Object} Session
+ */
+function createSession(pc, flags = {}) {
+  return {
+    adventure: { id: 'high-and-dry' },
+    pc,
+    storyState: { adventure: 'high-and-dry', flags: { ...flags }, inventory: [], completedBeats: [] }
+  };
+}
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === PARSING TESTS ===
+
+const parsingTests = {
+  'difficulties parse from names, numbers or both': () => {
+    assert.equal(parseDifficulty('Average (8+)'), 8);
+    assert.equal(parseDifficulty('Easy (6+)'), 6, 'the stated number wins');
+    assert.equal(parseDifficulty('Very Difficult'), 12);
+    assert.equal(parseDifficulty('10+'), 10);
+    assert.equal(parseDifficulty(9), 9);
+    assert.equal(parseDifficulty('Tricky'), null);
+  },
+
+  'stakes thresholds cover open and closed ranges': () => {
+    assert.deepEqual(parseThreshold('12+'), { min: 12, max: Infinity });
+    assert.deepEqual(parseThreshold('6-7'), { min: 6, max: 7 });
+    assert.deepEqual(parseThreshold('5-'), { min: -Infinity, max: 5 });
+    assert.equal(parseThreshold('lots'), null);
+
+    const stakes = loadEncounter('high-and-dry', 'negotiation').stakes;
+    assert.equal(findStake(stakes, 13).name, 'exceptional_success');
+    assert.equal(findStake(stakes, 9).name, 'success');
+    assert.equal(findStake(stakes, 7).name, 'partial');
+    assert.equal(findStake(stakes, 1).name, 'failure');
+  }
+};
+
+// === CONDITION TESTS ===
+
+const conditionTests = {
+  'species, flags and circumstances are evaluated': () => {
+    const context = { pc: VARGR, flags: { prior_intel_gathered: true }, circumstances: ['buying_rounds'] };
+    assert.equal(evaluateCondition('PC is Vargr', context).applies, true);
+    assert.equal(evaluateCondition('PC is not Vargr', context).applies, false);
+    assert.equal(evaluateCondition('PC is Vargr', { pc: SPACER }).applies, false);
+    assert.equal(evaluateCondition('prior_intel_gathered', context).detail, 'flag');
+    assert.equal(evaluateCondition('buying_rounds', context).detail, 'circumstance');
+    assert.equal(evaluateCondition('!pushy_attitude', context).applies, true);
+    assert.equal(evaluateCondition('not buying_rounds', context).applies, false);
+    assert.deepEqual(evaluateCondition('If the moon is full', context), { applies: false, known: false, detail: 'unrecognised condition' });
+  },
+
+  'disposition conditions read the NPC\'s attitude to the PC': () => {
+    const context = { pc: SPACER, npcId: 'minister-greener' };
+    const level = getDisposition('minister-greener', SPACER.id).level;
+    assert.equal(evaluateCondition(`disposition >= ${level}`, context).applies, true);
+    assert.equal(evaluateCondition(`disposition > ${level}`, context).applies, false);
+    assert.equal(evaluateCondition('disposition >= 0', { pc: SPACER }).known, false, 'no NPC to ask');
+  },
+
+  'the best allowed skill is chosen, ties going to the primary': () => {
+    assert.deepEqual(rankSkills(VARGR, ['Diplomat', 'Persuade', 'Broker']), [
+      { skill: 'Broker', dm: 2 },
+      { skill: 'Diplomat', dm: 1 },
+      { skill: 'Persuade', dm: -3 }
+    ]);
+    assert.deepEqual(rankSkills(SPACER, ['Diplomat', 'Persuade']).map(s => s.skill), ['Diplomat', 'Persuade']);
+  }
+};
+
+// === RUN TESTS ===
+
+const runTestsSuite = {
+  'a negotiation rolls, pays by the stakes and strikes the deal': () => {
+    const session = createSession(VARGR, { prior_intel_gathered: true });
+    const run = runEncounter(session, loadEncounter('high-and-dry', 'negotiation'), { roll: 7, circumstances: ['professional_demeanor'] });
+
+    // 7 + Broker 2 + INT 0 - Vargr 2 + intel 1 + demeanour 1 = 9
+    assert.equal(run.skill, 'Broker');
+    assert.equal(run.difficulty, 8);
+    assert.deepEqual(run.check.dms.map(dm => dm.value), [-2, 1, 1]);
+    assert.equal(run.check.total, 9);
+    assert.equal(run.stake.name, 'success');
+    assert.equal(run.outcome, 'deal_struck');
+
+    assert.equal(session.storyState.flags.survey_accepted, true);
+    assert.equal(session.storyState.flags.negotiated_payment, 4000);
+    assert.deepEqual(session.storyState.completedBeats, ['survey_accepted']);
+    assert.equal(getDisposition('minister-greener', VARGR.id).level, 1);
+
+    const log = run.log.join('\n');
+    assert.match(log, /Difficulty: Average \(8\+\) → 8\+/);
+    assert.match(log, /Modifier "PC is Vargr": applies, -2 \(Vargr\) - Local social bias/);
+    assert.match(log, /Modifier "pushy_attitude": does not apply \(not set\)/);
+    assert.match(log, /Skills for Ksaengvae: Broker \+2, Diplomat \+1, Persuade -3 → Broker/);
+    assert.match(log, /Stakes: success \(8\+\): payment 4000, intel yes, relationship \+1/);
+    assert.match(log, /Disposition minister-greener → test-vargr: \+1 \(now 1\)/);
+    assert.match(log, /Flags: survey_accepted = true, negotiated_payment = 4000/);
+    assert.match(log, /Unlocks: departure-briefing, startown-investigation/);
+  },
+
+  'a failed negotiation still deals, at the base offer': () => {
+    const session = createSession(SPACER);
+    const run = runEncounter(session, loadEncounter('high-and-dry', 'negotiation'), { roll: 2, skill: 'persuade' });
+    assert.equal(run.skill, 'Persuade');
+    assert.equal(run.check.success, false);
+    assert.equal(run.stake.name, 'failure');
+    assert.equal(session.storyState.flags.negotiated_payment, 3000);
+    assert.equal(getDisposition('minister-greener', SPACER.id).level, -1);
+  },
+
+  'single-outcome encounters apply it only on success': () => {
+    const failed = createSession(SPACER);
+    const miss = runEncounter(failed, loadEncounter('high-and-dry', 'bartender-rumors'), { roll: 3 });
+    assert.equal(miss.outcome, null);
+    assert.equal(failed.storyState.flags.prior_intel_gathered, undefined);
+    assert.match(miss.log.join('\n'), /No outcome applied; the GM narrates the result/);
+
+    const lucky = createSession(SPACER);
+    const hit = runEncounter(lucky, loadEncounter('high-and-dry', 'bartender-rumors'), { roll: 10, circumstances: ['buying_rounds'] });
+    assert.equal(hit.outcome, 'intel_gathered');
+    assert.equal(lucky.storyState.flags.heard_volcano_concerns, true);
+  },
+
+  'skills outside the encounter, missing mechanics and unmet prerequisites stop early': () => {
+    const session = createSession(SPACER);
+    const wrong = runEncounter(session, loadEncounter('high-and-dry', 'negotiation'), { skill: 'Pilot' });
+    assert.equal(wrong.error, 'Pilot is not allowed here (use Diplomat, Persuade, Broker)');
+    assert.equal(wrong.check, undefined);
+
+    assert.match(runEncounter(session, loadEncounter('high-and-dry', 'distress-call')).error, /no skill mechanics/);
+    assert.equal(runEncounter(session, { id: 'gated', trigger: { prerequisite: { has_flag: 'never_set' } }, mechanics: { primary_skill: 'Recon' } }).triggered, false);
+  },
+
+  '/encounter lists encounters and runs one for the acting PC': async () => {
+    const session = createSession(VARGR);
+    const list = (await handleAdventureCommand(session, '/encounter')).text;
+    assert.match(list, /negotiation: Diplomat\/Persuade\/Broker, Average \(8\+\)/);
+    assert.doesNotMatch(list, /distress-call/);
+
+    const { text } = await handleAdventureCommand(session, '/encounter bartender-rumors Carouse +buying_rounds');
+    assert.match(text, /^=== ENCOUNTER: The Dusty Airlock ===/);
+    assert.match(text, /Modifier "buying_rounds": applies, \+2 \(circumstance\)/);
+    assert.match(text, /→ Carouse \(chosen\)/);
+    assert.equal(session.lastEncounter.encounterId, 'bartender-rumors');
+    assert.match((await handleAdventureCommand(session, '/encounter nowhere')).text, /No encounter "nowhere"/);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  ENCOUNTER RUNNER TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  let allPassed = false;
+  try {
+    console.log('--- Parsing Tests ---');
+    const parsing = await runTests(parsingTests);
+
+    console.log('\n--- Condition Tests ---');
+    const conditions = await runTests(conditionTests);
+
+    console.log('\n--- Run Tests ---');
+    const runs = await runTests(runTestsSuite);
+
+    allPassed = parsing && conditions && runs;
+  } finally {
+    fs.rmSync(TMP_DIR, { recursive: true, force: true });
+  }
+  process.exit(allPassed ? 0 : 1);
+}
+
+main();
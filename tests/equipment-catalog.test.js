@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Equipment Catalog Tests
+ *
+ * Tests the unified CSC equipment catalog:
+ * - Normalizing flat extraction items into the validator schema
+ * - Stable IDs for TL and range variants
+ * - Category, TL, cost band and trait queries
+ * - Resource lookup, inventory and narrator prompt hooks
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  getCostBand,
+  getTraitKey,
+  deriveTaskDMs,
+  normalizeCatalogItem,
+  getCatalogItem,
+  queryCatalog,
+  formatCatalogItem,
+  getCatalogReport
+} = require('../src/equipment-catalog');
+const { validateEquipment } = require('../src/equipment-validator');
+const { findLocalEquipment } = require('../src/resource-lookup');
+const { addCatalogItem, getIllegalItems } = require('../src/inventory');
+const { buildEquipmentContext } = require('../src/agm-controller');
+const { resolveCheck } = require('../src/skill-resolver');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === NORMALIZE TESTS ===
+
+const normalizeTests = {
+  'flat weapon fields become weapon_stats the validator accepts': () => {
+    const item = normalizeCatalogItem({
+      name: 'Autopistol', category: 'weapon', tl: 6, range: 10, damage: '3D-3',
+      mass: 1, cost: 200, magazine: 15, magazine_cost: 10, traits: [], source_page: 120
+    });
+    assert.equal(item.id, 'autopistol-tl6');
+    assert.equal(item.category, 'weapons');
+    assert.deepEqual(item.weapon_stats, {
+      damage: '3D-3', range: 'Pistol', range_m: 10, magazine: 15, magazine_cost: 10, traits: []
+    });
+    assert.deepEqual(item.source, { book: 'CSC', page: 120 });
+    assert.equal(validateEquipment(item).valid, true);
+  },
+
+  'damage the validator cannot read is kept as text': () => {
+    const item = normalizeCatalogItem({ name: 'Stunstick', category: 'weapon', tl: 8, damage: 'Special', cost: 300 });
+    assert.equal(item.weapon_stats.damage, null);
+    assert.equal(item.weapon_stats.damage_text, 'Special');
+    assert.equal(validateEquipment(item).valid, true);
+  },
+
+  'armor protection moves into armor_stats': () => {
+    const item = normalizeCatalogItem({ name: 'Ballistic Vest', category: 'armor', tl: 8, protection: 4, rad: 0, cost: 500 });
+    assert.deepEqual(item.armor_stats, { protection: 4, rad: 0, traits: [] });
+    assert.equal(item.cost_band, 'cheap');
+  },
+
+  'trait keys drop their ratings': () => {
+    assert.equal(getTraitKey('AP 4'), 'ap');
+    assert.equal(getTraitKey('Blast 1,000'), 'blast');
+    assert.equal(getTraitKey('Very Bulky'), 'very-bulky');
+    assert.equal(getTraitKey('Zero-G'), 'zero-g');
+    assert.equal(getTraitKey('32 vs fire, lasers, and energy'), null);
+  },
+
+  'skill DMs are read from effect text': () => {
+    assert.deepEqual(deriveTaskDMs('DM+2 to climbing-related checks'), { athletics: 2 });
+    assert.deepEqual(deriveTaskDMs('First Aid Medic check DM+1'), { medic: 1 });
+    assert.deepEqual(deriveTaskDMs('DM+1 to Electronics (sensors) checks'), { electronics: 1 });
+    assert.deepEqual(deriveTaskDMs('DM+2 to all Deception checks'), { deception: 2 });
+    assert.deepEqual(deriveTaskDMs('DM+2 to Art checks'), { art: 2 });
+    assert.equal(deriveTaskDMs('DM+1 vs. Electronics (sensors) checks'), null);
+    assert.equal(deriveTaskDMs('Kit for First Aid (DM+0) and surgery (DM-2)'), null);
+  },
+
+  'cost bands': () => {
+    assert.equal(getCostBand(100), 'trivial');
+    assert.equal(getCostBand(5000), 'moderate');
+    assert.equal(getCostBand(2000000), 'luxury');
+    assert.equal(getCostBand(null), null);
+  }
+};
+
+// === CATALOG TESTS ===
+
+const catalogTests = {
+  'every extracted file is loaded and only valid items are indexed': () => {
+    const report = getCatalogReport();
+    assert.equal(report.files.length, 9);
+    assert.ok(report.indexed > 900, `expected over 900 items, got ${report.indexed}`);
+    assert.ok(report.invalid.some(entry => /between 0 and 15/.test(entry.errors[0])), 'TL16+ items are reported');
+    assert.equal(getCatalogItem('directed-plasma-tl16'), null);
+  },
+
+  'versions at one TL are told apart by range': () => {
+    const regional = getCatalogItem('radio-transceiver-tl7-regional');
+    assert.equal(regional.cost, 500);
+    assert.equal(getCatalogItem('radio-transceiver-tl7'), null);
+    assert.equal(getCatalogItem('autopistol-tl5').weapon_stats.damage, '3D-3');
+  },
+
+  'TL9 or lower survival gear under Cr500': () => {
+    const items = queryCatalog({ category: 'survival', maxTL: 9, maxCost: 500 });
+    assert.ok(items.length > 0);
+    assert.ok(items.every(i => i.category === 'survival' && i.tl <= 9 && i.cost <= 500));
+    assert.ok(items.some(i => i.id === 'climbing-kit-improved-tl8'));
+    assert.ok(items.every((item, i) => i === 0 || items[i - 1].cost <= item.cost), 'cheapest first');
+  },
+
+  'placeholder zero costs and masses are unknown, not free': () => {
+    const item = normalizeCatalogItem({ name: 'Vacc Suit', category: 'survival', tl: 8, cost: 0, mass: 0 });
+    assert.equal(item.cost, null);
+    assert.equal(item.cost_band, null);
+    assert.equal(item.mass, null);
+    assert.equal(normalizeCatalogItem({ name: 'Rope', category: 'survival', tl: 5 }).cost, null);
+
+    const vacc = getCatalogItem('vacc-suit-tl8');
+    assert.equal(vacc.cost, null);
+    assert.match(formatCatalogItem(vacc), /^Vacc Suit \(TL8, price varies\) /);
+    const cheap = queryCatalog({ category: 'survival', maxTL: 9, maxCost: 500 }).map(i => i.id);
+    assert.ok(!cheap.includes('vacc-suit-tl8') && !cheap.includes('rescue-suit-tl8'));
+    assert.ok(!queryCatalog({ costBand: 'trivial' }).some(i => i.cost === null));
+  },
+
+  'trait and cost band queries': () => {
+    const ap = queryCatalog({ category: 'weapon', trait: 'AP' });
+    assert.ok(ap.length > 0);
+    assert.ok(ap.every(i => i.category === 'weapons' && i.trait_keys.includes('ap')));
+    assert.ok(queryCatalog({ costBand: 'luxury', limit: 3 }).every(i => i.cost > 100000));
+  },
+
+  'formatCatalogItem shows TL, price and stats': () => {
+    assert.equal(formatCatalogItem(getCatalogItem('autopistol-tl5')), 'Autopistol (TL5, Cr200, 1kg) 3D-3, Pistol');
+  }
+};
+
+// === INTEGRATION TESTS ===
+
+const integrationTests = {
+  'local equipment stops at the world\'s tech level': () => {
+    const items = findLocalEquipment('high-and-dry', { text: 'climbing kit' });
+    assert.deepEqual(items.map(i => i.id), ['climbing-kit-basic-tl4', 'climbing-kit-improved-tl8']);
+    assert.ok(findLocalEquipment('high-and-dry', { maxTL: 12 }).every(i => i.tl <= 8));
+  },
+
+  'catalog items carry their DMs into inventory and checks': () => {
+    const session = { storyState: { inventory: [], currentScene: 'mountain-climb' } };
+    const kit = addCatalogItem(session, 'climbing-kit-improved-tl8');
+    assert.equal(kit.type, 'equipment');
+    assert.equal(addCatalogItem(session, 'climbing-kit-improved-tl8'), null);
+    assert.equal(addCatalogItem(session, 'no-such-item-tl1'), null);
+
+    const pc = { skills: [{ name: 'Athletics', level: 1 }] };
+    const result = resolveCheck({ skill: 'Athletics', difficulty: 8, reason: 'climb' }, pc, 5, { equipment: session.storyState.inventory });
+    assert.deepEqual(result.dms, [{ source: 'Climbing Kit Improved', value: 2 }]);
+  },
+
+  'catalog weapons are checked against law level': () => {
+    const session = { storyState: { inventory: [] } };
+    addCatalogItem(session, 'autopistol-tl5', { legal_at_law_level: 3 });
+    assert.deepEqual(getIllegalItems(session, 5).map(i => i.id), ['autopistol-tl5']);
+  },
+
+  'the narrator sees prices only when the player shops': () => {
+    const session = { adventureId: 'high-and-dry' };
+    const context = buildEquipmentContext(session, 'I want to buy a filter mask');
+    assert.match(context, /EQUIPMENT PRICES .*TL8 or lower/);
+    assert.match(context, /Filter Mask Basic \(TL3, Cr10\)/);
+    assert.equal(buildEquipmentContext(session, 'I look around the starport'), '');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  EQUIPMENT CATALOG TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Normalize Tests ---');
+const normalize = runTests(normalizeTests);
+
+console.log('\n--- Catalog Tests ---');
+const catalogResults = runTests(catalogTests);
+
+console.log('\n--- Integration Tests ---');
+const integration = runTests(integrationTests);
+
+const allPassed = normalize && catalogResults && integration;
+process.exit(allPassed ? 0 : 1);
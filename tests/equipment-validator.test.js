@@ -288,6 +288,20 @@ test('EV.4.4: Weapon damage format validated', () => {
   }
 });
 
+test('EV.4.5: Destructive damage (DD) is valid', () => {
+  const { validateEquipment } = require('../src/equipment-validator');
+
+  for (const dmg of ['2DD', '6DD']) {
+    const weapon = createValidWeapon();
+    weapon.weapon_stats.damage = dmg;
+    assert.ok(validateEquipment(weapon).valid, `Damage ${dmg} should be valid`);
+  }
+
+  const weapon = createValidWeapon();
+  weapon.weapon_stats.damage = 'D3';
+  assert.strictEqual(validateEquipment(weapon).valid, false);
+});
+
 // ============================================================
 // EV.5: Armor-Specific Validation
 // ============================================================
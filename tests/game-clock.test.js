@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Game Clock Tests
+ *
+ * Tests automatic time advancement:
+ * - Parsing free-text time estimates from adventure data
+ * - Durations for skill checks, travel and scene stages
+ * - advanceClock running timed actions and triggers
+ * - TUI status line
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  DEFAULT_DURATIONS,
+  parseTimeEstimate,
+  estimateSkillCheck,
+  estimateTravel,
+  estimateSceneDuration,
+  estimateSceneRemainder,
+  advanceClock,
+  mergeAdvances,
+  formatClockStatus
+} = require('../src/game-clock');
+const { startTimedAction, cancelTimedAction } = require('../src/timed-actions');
+const { markBeatComplete } = require('../src/scene-manager');
+
+const ADVENTURE = 'high-and-dry';
+const STATE_FILE = path.join(__dirname, '../data/state/adventures/high-and-dry-test-game-clock.json');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === ESTIMATE TESTS ===
+
+const estimateTests = {
+  'time text uses expected values for dice and ranges': () => {
+    assert.equal(parseTimeEstimate('2 hours'), 120);
+    assert.equal(parseTimeEstimate('1-2 hours'), 90);
+    assert.equal(parseTimeEstimate('1D hours'), 210);
+    assert.equal(parseTimeEstimate('1D+2 man-hours'), 330);
+    assert.equal(parseTimeEstimate('Several hours'), 180);
+    assert.equal(parseTimeEstimate('Seconds to act before impact'), 1);
+  },
+
+  'text without a usable time gives null': () => {
+    assert.equal(parseTimeEstimate('Variable'), null);
+    assert.equal(parseTimeEstimate('Fall, skid down rocky slope, 3D damage. Must retry.'), null);
+    assert.equal(parseTimeEstimate(undefined), null);
+  },
+
+  'skill checks take their time from skill-checks.json': () => {
+    const repair = estimateSkillCheck(ADVENTURE, 'ship-repairs', { check: { skill: 'electronics' }, success: true });
+    assert.equal(repair.minutes, 330);
+    assert.match(repair.source, /flight-controls-repair/);
+  },
+
+  'a failed check adds the time its failure text costs': () => {
+    const climb = estimateSkillCheck(ADVENTURE, 'mountain-climb', { check: { skill: 'athletics' }, success: false });
+    assert.equal(climb.minutes, DEFAULT_DURATIONS.skillCheck + 210);
+  },
+
+  'checks with no data use the default': () => {
+    const check = estimateSkillCheck(ADVENTURE, 'starport-arrival', { check: { skill: 'admin' }, success: true });
+    assert.deepEqual(check, { minutes: DEFAULT_DURATIONS.skillCheck, source: 'default' });
+  },
+
+  'travel uses geography travel times in either direction': () => {
+    assert.deepEqual(estimateTravel(ADVENTURE, { from: 'central', to: 'startown' }),
+      { minutes: 120, method: 'rail', source: 'rail central-startown' });
+    assert.equal(estimateTravel(ADVENTURE, { from: 'startown', to: 'central', method: 'road' }).minutes, 180);
+    assert.equal(estimateTravel(ADVENTURE, { from: 'salbarii', to: 'barvinn', method: 'rail' }), null);
+  },
+
+  'scenes sum their stage times, less time already spent': () => {
+    const total = estimateSceneDuration(ADVENTURE, 'mountain-climb');
+    assert.ok(total > 10 * 60, `mountain climb should take most of a day, got ${total}m`);
+    const state = { currentScene: 'mountain-climb', sceneMinutes: 60 };
+    assert.equal(estimateSceneRemainder(ADVENTURE, state), total - 60);
+    assert.equal(estimateSceneDuration(ADVENTURE, 'no-such-scene'), 0);
+  }
+};
+
+// === ADVANCE TESTS ===
+
+const advanceTests = {
+  'advanceClock moves the date and tracks elapsed time': () => {
+    const state = { gameDate: '015-1105 22:00', flags: {} };
+    const advance = advanceClock(state, { minutes: 150 }, { reasons: ['Athletics check'] });
+    assert.equal(state.gameDate, '016-1105 00:30');
+    assert.equal(state.elapsedMinutes, 150);
+    assert.equal(state.sceneMinutes, 150);
+    assert.equal(advance.from, '015-1105 22:00');
+    assert.deepEqual(advance.reasons, ['Athletics check']);
+  },
+
+  'advanceClock completes timed actions that fall due': () => {
+    const state = { gameDate: '015-1105', flags: {} };
+    startTimedAction({
+      id: 'clock-repair',
+      npcId: 'npc-1',
+      duration: { hours: 2 },
+      effects: [{ type: 'modify-flag', flag: 'repaired', operation: 'set', value: true }]
+    }, state.gameDate);
+
+    const first = advanceClock(state, { minutes: 60 });
+    assert.deepEqual(first.completedActions, []);
+    const second = advanceClock(state, { minutes: 90 });
+    cancelTimedAction('clock-repair');
+
+    assert.equal(second.completedActions[0].id, 'clock-repair');
+    assert.equal(state.flags.repaired, true);
+  },
+
+  'time triggers count from the date a beat is completed in play': () => {
+    const session = {
+      storyState: { adventure: ADVENTURE, pcId: 'test-game-clock', gameDate: '010-1105', completedBeats: [], flags: {} }
+    };
+    const npc = {
+      id: 'clock-npc',
+      triggers: [{ id: 'follow-up', type: 'time', condition: { daysAfterBeat: 'arrived', days: 2 }, message: { subject: 'Checking in' } }]
+    };
+
+    markBeatComplete(session, 'arrived');
+    assert.equal(session.storyState.beatTimestamps.arrived, '010-1105');
+
+    const state = session.storyState;
+    assert.deepEqual(advanceClock(state, { amount: 1, unit: 'd' }, { npcs: [npc] }).messages, []);
+    const later = advanceClock(state, { amount: 1, unit: 'd' }, { npcs: [npc] });
+    assert.equal(later.messages[0].subject, 'Checking in');
+  },
+
+  'nothing moves without a valid date or a positive duration': () => {
+    assert.equal(advanceClock({}, { minutes: 10 }), null);
+    const state = { gameDate: '015-1105' };
+    assert.equal(advanceClock(state, { minutes: 0 }), null);
+    assert.equal(state.gameDate, '015-1105');
+  },
+
+  'mergeAdvances combines a turn of advances': () => {
+    const state = { gameDate: '015-1105', flags: {} };
+    const merged = mergeAdvances([
+      advanceClock(state, { minutes: 10 }, { reasons: ['Recon check'] }),
+      null,
+      advanceClock(state, { amount: 2, unit: 'h' }, { reasons: ['time skip'] })
+    ]);
+    assert.equal(merged.from, '015-1105');
+    assert.equal(merged.to, '015-1105 02:10');
+    assert.equal(merged.minutes, 130);
+    assert.deepEqual(merged.reasons, ['Recon check', 'time skip']);
+    assert.equal(mergeAdvances([null]), null);
+  },
+
+  'status line shows the date, the last advance and total elapsed': () => {
+    const state = { gameDate: '016-1105 14:30', elapsedMinutes: (2 * 24 + 6) * 60 };
+    const line = formatClockStatus(state, { minutes: 25, reasons: ['Athletics check'] });
+    assert.equal(line, '016-1105 14:30  +25m (Athletics check)  │  2d 6h elapsed');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  GAME CLOCK TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Estimate Tests ---');
+const estimates = runTests(estimateTests);
+
+console.log('\n--- Advance Tests ---');
+const advances = runTests(advanceTests);
+
+fs.rmSync(STATE_FILE, { force: true });
+
+const allPassed = estimates && advances;
+process.exit(allPassed ? 0 : 1);
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Imperial Calendar Tests
+ *
+ * Tests the shared Traveller date model:
+ * - Parsing and formatting DDD-YYYY with optional HH:MM
+ * - Durations and date arithmetic without lost hours
+ * - Comparison across years
+ * - Holiday, weeks and weekdays
+ * - Modules migrated onto the calendar
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  parseImperialDate,
+  formatImperialDate,
+  toMinutes,
+  fromMinutes,
+  parseDuration,
+  addDuration,
+  addHours,
+  hoursBetween,
+  daysBetween,
+  compareDates,
+  isHoliday,
+  getCalendarPosition,
+  formatDuration,
+  describeImperialDate
+} = require('../src/imperial-calendar');
+const { startTimedAction, cancelTimedAction } = require('../src/timed-actions');
+const { shouldActOnGoal } = require('../src/npc-goals');
+const { evaluateTrigger } = require('../src/triggers');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === PARSE/FORMAT TESTS ===
+
+const formatTests = {
+  'parses dates with and without a time of day': () => {
+    assert.deepEqual(parseImperialDate('015-1105'), { day: 15, year: 1105, hour: 0, minute: 0 });
+    assert.deepEqual(parseImperialDate('015-1105 07:30'), { day: 15, year: 1105, hour: 7, minute: 30 });
+  },
+
+  'rejects malformed and out-of-range dates': () => {
+    assert.equal(parseImperialDate('366-1105'), null);
+    assert.equal(parseImperialDate('000-1105'), null);
+    assert.equal(parseImperialDate('015-1105 24:00'), null);
+    assert.equal(parseImperialDate('day 15'), null);
+    assert.equal(parseImperialDate(null), null);
+  },
+
+  'midnight formats without a time so old state files are unchanged': () => {
+    assert.equal(formatImperialDate({ day: 5, year: 1105, hour: 0, minute: 0 }), '005-1105');
+    assert.equal(formatImperialDate({ day: 5, year: 1105, hour: 9, minute: 5 }), '005-1105 09:05');
+    assert.equal(formatImperialDate({ day: 5, year: 1105 }, { withTime: true }), '005-1105 00:00');
+  },
+
+  'minutes round-trip through fromMinutes': () => {
+    const date = parseImperialDate('365-1105 23:59');
+    assert.deepEqual(fromMinutes(toMinutes(date)), date);
+  }
+};
+
+// === DURATION TESTS ===
+
+const durationTests = {
+  'durations come in several shapes': () => {
+    assert.equal(parseDuration(1.5), 90);
+    assert.equal(parseDuration({ amount: 3, unit: 'd' }), 3 * 24 * 60);
+    assert.equal(parseDuration({ days: 1, hours: 6 }), 30 * 60);
+    assert.equal(parseDuration('+3d'), 3 * 24 * 60);
+    assert.equal(parseDuration('1w 2h 15m'), (7 * 24 + 2) * 60 + 15);
+    assert.equal(parseDuration('soon'), null);
+    assert.equal(parseDuration({ amount: 2, unit: 'y' }), null);
+  },
+
+  'adding hours keeps sub-day time': () => {
+    assert.equal(addHours('015-1105', 6), '015-1105 06:00');
+    assert.equal(addHours('015-1105 20:00', 6), '016-1105 02:00');
+    assert.equal(addHours('015-1105', 24), '016-1105');
+  },
+
+  'year rollover lands on Holiday of the next year': () => {
+    assert.equal(addDuration('365-1105 12:00', '12h'), '001-1106');
+    assert.equal(addDuration('300-1105', { amount: 100, unit: 'w' }), '270-1107');
+  },
+
+  'invalid inputs return null': () => {
+    assert.equal(addDuration('not a date', 5), null);
+    assert.equal(addDuration('015-1105', 'soon'), null);
+  },
+
+  'formatDuration is compact': () => {
+    assert.equal(formatDuration(0), '0m');
+    assert.equal(formatDuration(45), '45m');
+    assert.equal(formatDuration((2 * 24 + 6) * 60), '2d 6h');
+  }
+};
+
+// === COMPARISON TESTS ===
+
+const comparisonTests = {
+  'differences span years and include hours': () => {
+    assert.equal(hoursBetween('364-1105 18:00', '002-1106 06:00'), 60);
+    assert.equal(daysBetween('360-1105', '005-1106'), 10);
+    assert.equal(daysBetween('010-1105 23:00', '011-1105 01:00'), 0);
+    assert.equal(hoursBetween('010-1105', 'bad'), null);
+  },
+
+  'compareDates orders by time of day within a day': () => {
+    assert.equal(compareDates('010-1105 08:00', '010-1105 09:00'), -1);
+    assert.equal(compareDates('001-1106', '365-1105'), 1);
+    assert.equal(compareDates('010-1105', '010-1105 00:00'), 0);
+  }
+};
+
+// === CALENDAR TESTS ===
+
+const calendarTests = {
+  'Holiday is day 001 and has no week or weekday': () => {
+    assert.equal(isHoliday('001-1105'), true);
+    assert.equal(isHoliday('002-1105'), false);
+    assert.equal(getCalendarPosition('001-1105'), null);
+    assert.equal(describeImperialDate('001-1105'), 'Holiday 1105');
+  },
+
+  'weeks and months start on day 002': () => {
+    assert.deepEqual(getCalendarPosition('002-1105'), { week: 1, month: 1, weekday: 'Wonday' });
+    assert.deepEqual(getCalendarPosition('009-1105'), { week: 2, month: 1, weekday: 'Wonday' });
+    assert.deepEqual(getCalendarPosition('030-1105'), { week: 5, month: 2, weekday: 'Wonday' });
+    assert.deepEqual(getCalendarPosition('365-1105'), { week: 52, month: 13, weekday: 'Senday' });
+  },
+
+  'describeImperialDate names the weekday and time': () => {
+    assert.equal(describeImperialDate('019-1105 14:30'), 'Fourday, week 3 of 1105 (day 019), 14:30');
+  }
+};
+
+// === MIGRATION TESTS ===
+
+const migrationTests = {
+  'timed actions keep sub-day completion times': () => {
+    const action = startTimedAction({ id: 'calendar-test', npcId: 'npc-1', duration: { hours: 30 } }, '015-1105');
+    cancelTimedAction(action.id);
+    assert.equal(action.completesAt, '016-1105 06:00');
+  },
+
+  'goal cooldowns count hours within a day': () => {
+    const goal = { id: 'g', status: 'active', lastActed: '015-1105 08:00', cooldown: { hours: 6 } };
+    assert.equal(shouldActOnGoal(goal, {}, '015-1105 12:00'), false);
+    assert.equal(shouldActOnGoal(goal, {}, '015-1105 14:00'), true);
+  },
+
+  'time triggers count days across a year boundary': () => {
+    const trigger = { id: 't', type: 'time', condition: { daysAfterBeat: 'arrived', days: 3 } };
+    const state = { completedBeats: ['arrived'], beatTimestamps: { arrived: '364-1105' }, gameDate: '002-1106' };
+    assert.equal(evaluateTrigger(trigger, state, {}).shouldFire, true);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  IMPERIAL CALENDAR TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Parse/Format Tests ---');
+const format = runTests(formatTests);
+
+console.log('\n--- Duration Tests ---');
+const durations = runTests(durationTests);
+
+console.log('\n--- Comparison Tests ---');
+const comparison = runTests(comparisonTests);
+
+console.log('\n--- Calendar Tests ---');
+const calendar = runTests(calendarTests);
+
+console.log('\n--- Migration Tests ---');
+const migration = runTests(migrationTests);
+
+const allPassed = format && durations && comparison && calendar && migration;
+process.exit(allPassed ? 0 : 1);
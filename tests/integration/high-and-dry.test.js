@@ -16,6 +16,10 @@ const infoGating = require('../../src/info-gating');
 const plotContext = require('../../src/plot-context');
 const beatSummaries = require('../../src/beat-summaries');
 const actionReports = require('../../src/action-reports');
+const { useCassette, ejectCassette, getCassettePath } = require('../../src/cassette');
+const { createClient } = require('../../src/ai-client');
+const { enterNpcDialogue, handleNpcDialogue, PLAY_MODES } = require('../../src/adventure-player');
+const { loadAdventure } = require('../../src/story-engine');
 
 // Fixtures
 const { getState, advanceToState, STORY_STATES } = require('./fixtures/story-states');
@@ -378,6 +382,82 @@ const archetypeTests = {
   }
 };
 
+// === RECORDED TRANSCRIPT TESTS ===
+// Transcripts replayed from tests/fixtures/cassettes/high-and-dry.json.
+// Record with: LLM_CASSETTE_MODE=record node tests/integration/high-and-dry.test.js
+// (the committed cassette was recorded with LLM_PROVIDER=replay and scripted lines).
+// Default mode is strict, so any persona or prompt change fails until re-recorded,
+// and so does a missing cassette; only replay mode outside CI skips without one.
+
+const TRANSCRIPT_CASSETTE = 'high-and-dry';
+
+/**
+ * Build a session at the Greener negotiation with an isolated PC id
+ */
+function createTranscriptSession(client) {
+  const pc = { ...getTestPc('alex_ryder'), id: 'cassette-alex-ryder' };
+  return {
+    adventure: loadAdventure('high-and-dry'),
+    adventureId: 'high-and-dry',
+    pc,
+    storyState: { ...getState('act2_negotiation'), pcId: pc.id },
+    client,
+    mode: PLAY_MODES.NARRATION,
+    activeNpc: null,
+    npcMemory: null,
+    agmState: null
+  };
+}
+
+const transcriptTests = {
+  'Greener greets the PC from a recorded transcript': async (ctx) => {
+    ctx.session = createTranscriptSession(createClient());
+    const greeting = await enterNpcDialogue(ctx.session, 'minister-greener');
+
+    assert.equal(ctx.session.mode, PLAY_MODES.NPC_DIALOGUE);
+    assert.ok(greeting && greeting.trim().length > 0, 'Greeting should not be empty');
+  },
+
+  'Greener answers the payment question in character': async (ctx) => {
+    const reply = await handleNpcDialogue(ctx.session, 'What does the survey job pay?');
+
+    assert.equal(reply.speaker, ctx.session.activeNpc.name);
+    assert.ok(reply.text.trim().length > 0, 'Reply should not be empty');
+    assert.equal(ctx.session.npcMemory.recentMessages.length, 3, 'Greeting, question and reply in memory');
+  }
+};
+
+async function runTranscriptTests() {
+  const mode = process.env.LLM_CASSETTE_MODE || 'strict';
+  if (mode !== 'record' && !fs.existsSync(getCassettePath(TRANSCRIPT_CASSETTE))) {
+    if (mode === 'strict' || process.env.CI) {
+      console.log(`\x1b[31m✗\x1b[0m no recorded cassette at ${getCassettePath(TRANSCRIPT_CASSETTE)}`);
+      console.log('    Record it with LLM_CASSETTE_MODE=record');
+      return false;
+    }
+    console.log('  (skipped - no recorded cassette; record with LLM_CASSETTE_MODE=record)');
+    return true;
+  }
+
+  useCassette(TRANSCRIPT_CASSETTE, { mode });
+  const ctx = {};
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(transcriptTests)) {
+    try {
+      await fn(ctx);
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  ejectCassette();
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
 // === RUN ALL TESTS ===
 
 console.log('\n══════════════════════════════════════════════════════════════');
@@ -394,17 +474,22 @@ const playthrough = runTests(playthroughTests);
 console.log('\n--- Archetype Tests ---');
 const archetypes = runTests(archetypeTests);
 
-// Final cleanup
-resetAllState();
+(async () => {
+  console.log('\n--- Recorded Transcript Tests ---');
+  const transcripts = await runTranscriptTests();
 
-const allPassed = playthrough && archetypes;
+  // Final cleanup
+  resetAllState();
 
-console.log('\n══════════════════════════════════════════════════════════════');
-if (allPassed) {
-  console.log('  ALL INTEGRATION TESTS PASSED ✓');
-} else {
-  console.log('  SOME INTEGRATION TESTS FAILED ✗');
-}
-console.log('══════════════════════════════════════════════════════════════\n');
+  const allPassed = playthrough && archetypes && transcripts;
+
+  console.log('\n══════════════════════════════════════════════════════════════');
+  if (allPassed) {
+    console.log('  ALL INTEGRATION TESTS PASSED ✓');
+  } else {
+    console.log('  SOME INTEGRATION TESTS FAILED ✗');
+  }
+  console.log('══════════════════════════════════════════════════════════════\n');
 
-process.exit(allPassed ? 0 : 1);
+  process.exit(allPassed ? 0 : 1);
+})();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Retrieval Tests
+ *
+ * Tests per-turn retrieval of NPC knowledge:
+ * - Chunking knowledge_base entries
+ * - Scoring chunks against the player's message within a token budget
+ * - Scene facts for narrators and shared world facts
+ * - Prompts carrying only the retrieved chunks, with their IDs reported
+ * - Red-team probes recording which chunks they used
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  chunkText,
+  retrieveKnowledge,
+  getRetrievedChunks,
+  summarizeRetrieval
+} = require('../src/knowledge-retrieval');
+const { assembleFullPrompt } = require('../src/prompts');
+const { createMemory, addMessage } = require('../src/memory');
+const { buildSceneContext } = require('../src/knowledge-extraction/context-injector');
+const { addSharedFact } = require('../src/world-state');
+const { buildProbePrompt, executeQuery } = require('../src/red-team/query-engine');
+
+const WORLD_FACTS_FILE = path.join(__dirname, '../data/state/world-facts.json');
+
+// A made-up patron with a few topics and one long entry
+const PATRON = {
+  id: 'test-patron',
+  name: 'Ilse Varga',
+  title: 'Shipping Agent',
+  world: 'Nowhere In Particular',
+  knowledge_base: {
+    the_job: 'Recover a stranded survey ship from the salt flats and fly it back to the downport.',
+    the_payment: 'Cr5000 on delivery, plus free berthing for a month.',
+    local_gossip: 'The harbourmaster is feuding with the brewery over water rights.',
+    history: [
+      'The colony was founded as a salt mine two centuries ago. The mine closed when cheaper salt arrived from offworld.',
+      'Most of the old workings are flooded now. Smugglers are said to use the upper galleries.'
+    ].join('\n\n')
+  }
+};
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === RETRIEVAL TESTS ===
+
+const retrievalTests = {
+  'long entries are cut at paragraphs, then sentences': () => {
+    assert.deepEqual(chunkText('One.\n\nTwo.'), ['One.', 'Two.']);
+    const pieces = chunkText('First sentence here. Second sentence here. Third one.', 25);
+    assert.deepEqual(pieces, ['First sentence here.', 'Second sentence here.', 'Third one.']);
+    assert.deepEqual(chunkText(''), []);
+  },
+
+  'the best matching chunks are chosen and kept in source order': () => {
+    const retrieval = retrieveKnowledge(PATRON, 'What will the job pay? Cr5000?');
+    assert.equal(retrieval.matched, true);
+    assert.deepEqual(summarizeRetrieval(retrieval).ids, ['kb:the_job#0', 'kb:the_payment#0']);
+    assert.equal(retrieval.candidates, 5);
+
+    const smugglers = retrieveKnowledge(PATRON, 'Any "smugglers" around: in the mines?');
+    assert.deepEqual(smugglers.chunks.map(c => c.id), ['kb:history#0', 'kb:history#1']);
+  },
+
+  'with nothing to match, chunks go in source order within the budget': () => {
+    const hello = retrieveKnowledge(PATRON, 'Hello there');
+    assert.equal(hello.matched, false);
+    assert.deepEqual(hello.chunks.map(c => c.id), ['kb:the_job#0', 'kb:the_payment#0', 'kb:local_gossip#0', 'kb:history#0', 'kb:history#1']);
+
+    const tight = retrieveKnowledge(PATRON, '', { budget: 35 });
+    assert.ok(tight.tokens <= 35, `${tight.tokens} tokens over budget`);
+    assert.deepEqual(tight.chunks.map(c => c.id), ['kb:the_job#0', 'kb:the_payment#0']);
+  },
+
+  'narrators retrieve scene facts; others never see them': () => {
+    const narrator = { id: 'test-narrator', archetype: 'narrator', knowledge_base: {} };
+    const storyState = { adventure: 'high-and-dry', currentScene: 'mountain-climb', flags: {} };
+    const retrieval = retrieveKnowledge(narrator, 'What does oxygen do for altitude sickness?', { storyState });
+    const ids = getRetrievedChunks(retrieval, 'scene').map(c => c.id);
+    assert.ok(ids.includes('scene:mountain-climb.json:altitude_sickness.oxygen_boost'), ids.join(', '));
+    assert.ok(!ids.some(id => id.includes('stages[4]')), 'unrelated stage facts are left out');
+
+    // The scene section shows only the retrieved facts
+    const context = buildSceneContext(narrator, storyState, { facts: getRetrievedChunks(retrieval, 'scene').map(c => c.item) });
+    assert.match(context, /oxygen boost: Dispels symptoms/);
+    assert.doesNotMatch(context, /Final Ascent: 1350-1400m/);
+
+    assert.deepEqual(getRetrievedChunks(retrieveKnowledge(PATRON, 'altitude', { storyState }), 'scene'), []);
+  },
+
+  'shared world facts are chunks too': () => {
+    const original = fs.readFileSync(WORLD_FACTS_FILE, 'utf8');
+    try {
+      addSharedFact('test-quarantine', 'The downport is under quarantine after a fever outbreak.', ['test-patron']);
+      const retrieval = retrieveKnowledge(PATRON, 'Is there a quarantine on?', { storyState: { flags: {} } });
+      assert.deepEqual(retrieval.chunks.map(c => c.id), ['world:test-quarantine']);
+      assert.deepEqual(retrieveKnowledge(PATRON, 'quarantine').chunks.map(c => c.source), ['knowledge', 'knowledge', 'knowledge', 'knowledge', 'knowledge']);
+    } finally {
+      fs.writeFileSync(WORLD_FACTS_FILE, original);
+    }
+  }
+};
+
+// === PROMPT TESTS ===
+
+const promptTests = {
+  'prompts carry only the retrieved knowledge and report its IDs': () => {
+    const { system, retrieval } = assembleFullPrompt(PATRON, createMemory(), 'How much is the payment for the job?');
+    assert.match(system, /YOUR SPECIALIZED KNOWLEDGE:\n\n\[THE JOB\]\nRecover a stranded survey ship/);
+    assert.match(system, /\[THE PAYMENT\]\nCr5000 on delivery/);
+    assert.doesNotMatch(system, /harbourmaster/);
+    assert.deepEqual(retrieval.ids, ['kb:the_job#0', 'kb:the_payment#0']);
+    assert.equal(retrieval.query, 'How much is the payment for the job?');
+  },
+
+  'an empty turn retrieves against the last thing the player said': () => {
+    const memory = createMemory();
+    addMessage(memory, 'user', 'Heard any gossip about the harbourmaster?');
+    addMessage(memory, 'assistant', 'Plenty.');
+    const { system, retrieval } = assembleFullPrompt(PATRON, memory, '');
+    assert.deepEqual(retrieval.ids, ['kb:local_gossip#0']);
+    assert.match(system, /\[LOCAL GOSSIP\]/);
+  },
+
+  'retrieval can be switched off': () => {
+    const { system, retrieval } = assembleFullPrompt(PATRON, createMemory(), 'How much does the job pay?', null, null, { retrieval: false });
+    assert.equal(retrieval, null);
+    assert.match(system, /harbourmaster/);
+    assert.match(system, /\[HISTORY\]/);
+  },
+
+  'red-team probes record the chunks they were given': async () => {
+    const query = { id: 'TEST-Q1', query: 'What is the payment for the job?' };
+    assert.match(buildProbePrompt(query, PATRON), /YOUR KNOWLEDGE:\n- the job: Recover.*\n- the payment: Cr5000/);
+    assert.doesNotMatch(buildProbePrompt(query, PATRON), /harbourmaster/);
+
+    const result = await executeQuery(query, PATRON);
+    assert.equal(result.mock, true);
+    assert.deepEqual(result.retrieved_chunks, ['kb:the_job#0', 'kb:the_payment#0']);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  KNOWLEDGE RETRIEVAL TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Retrieval Tests ---');
+  const retrieval = await runTests(retrievalTests);
+
+  console.log('\n--- Prompt Tests ---');
+  const prompts = await runTests(promptTests);
+
+  process.exit(retrieval && prompts ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Legality Tests
+ *
+ * Tests the law-level legality engine:
+ * - Law level from a UWP or the current scene
+ * - Weapon, armour and drug classification
+ * - Customs outcomes: permitted, check-in, confiscation and fine
+ * - Applying customs to the inventory with a claim ticket
+ * - CUSTOMS directives and prompt context
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  getLawLevel,
+  getWorldLawLevel,
+  classifyItem,
+  isLegalAt,
+  assessCustoms
+} = require('../src/legality');
+const { resolveCustoms, redeemClaimTicket, applyEncounterOutcome } = require('../src/gated-encounters');
+const { getIllegalItems, addCatalogItem } = require('../src/inventory');
+const { parseAgmResponse, buildCustomsContext } = require('../src/agm-controller');
+const { toolCallsToDirectives, AGM_TOOLS } = require('../src/agm-tools');
+const { loadAdventure } = require('../src/story-engine');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Build a session carrying a PC's weapons and some extra gear
+ * @param {Object[]} extra - Extra inventory items
+ * @returns {Object} Minimal adventure session at the Walston starport
+ */
+function customsSession(extra = []) {
+  return {
+    adventure: loadAdventure('high-and-dry'),
+    storyState: {
+      currentScene: 'starport-arrival',
+      flags: {},
+      inventory: [
+        { id: 'autopistol-standard', name: 'Autopistol', type: 'weapon', subtype: 'firearm', legal_at_law_level: 5 },
+        { id: 'blade-combat', name: 'Combat Blade', type: 'weapon', subtype: 'blade', legal_at_law_level: 8 },
+        ...extra
+      ]
+    }
+  };
+}
+
+// === CLASSIFICATION TESTS ===
+
+const classificationTests = {
+  'law level is the UWP law digit': () => {
+    assert.equal(getLawLevel('C544338-8'), 8);
+    assert.equal(getLawLevel('A788899-C'), 9);
+    assert.equal(getLawLevel('B'), 11);
+    assert.equal(getLawLevel('bad'), null);
+  },
+
+  'without subsector data the scene gives the law level': () => {
+    assert.deepEqual(getWorldLawLevel(customsSession()), { lawLevel: 8, source: 'scene starport-arrival' });
+    const elsewhere = customsSession();
+    elsewhere.storyState.currentScene = 'mountain-climb';
+    assert.equal(getWorldLawLevel(elsewhere), null);
+  },
+
+  'weapons are banned by class': () => {
+    assert.equal(classifyItem({ name: 'Frag Grenade', type: 'weapon' }).bannedAt, 1);
+    assert.equal(classifyItem({ name: 'Laser Pistol', type: 'weapon' }).restriction, 'energy');
+    assert.equal(classifyItem({ name: 'Submachine Gun', type: 'weapon' }).restriction, 'assault');
+    assert.equal(classifyItem({ name: 'Revolver', type: 'weapon' }).bannedAt, 5);
+    assert.equal(classifyItem({ name: 'Hunting Rifle', type: 'weapon' }).bannedAt, 6);
+    assert.equal(classifyItem({ name: 'Shotgun', type: 'weapon' }).bannedAt, 7);
+    assert.equal(classifyItem({ name: 'Dagger', type: 'weapon' }).bannedAt, 8);
+    assert.equal(classifyItem({ name: 'Club', type: 'weapon' }).bannedAt, 9);
+  },
+
+  'armour and drugs are classified, survival suits are not': () => {
+    assert.equal(classifyItem({ name: 'Flak Jacket', type: 'armor' }).bannedAt, 3);
+    assert.equal(classifyItem({ name: 'Battle Dress', type: 'armor' }).bannedAt, 1);
+    assert.equal(classifyItem({ name: 'Vacc Suit', type: 'armor' }), null);
+    assert.equal(classifyItem({ id: 'combat-drug-tl10' }).restriction, 'combat-drugs');
+    assert.equal(classifyItem({ name: 'Filter Mask', type: 'equipment' }), null);
+  },
+
+  'an explicit legal_at_law_level wins': () => {
+    const blade = { name: 'Combat Blade', type: 'weapon', subtype: 'blade', legal_at_law_level: 8 };
+    assert.equal(isLegalAt(blade, 8), true);
+    assert.equal(isLegalAt({ name: 'Dagger', type: 'weapon' }, 8), false);
+  },
+
+  'getIllegalItems classifies weapons without a legal level': () => {
+    const session = customsSession([{ id: 'rifle', name: 'Hunting Rifle', type: 'weapon' }]);
+    assert.deepEqual(getIllegalItems(session, 8).map(i => i.id), ['autopistol-standard', 'rifle']);
+    assert.deepEqual(getIllegalItems(session, 5), []);
+  }
+};
+
+// === CUSTOMS TESTS ===
+
+const customsTests = {
+  'nothing restricted is permitted': () => {
+    const assessment = assessCustoms([{ id: 'mask', name: 'Filter Mask', type: 'equipment' }], 8);
+    assert.equal(assessment.outcome, 'permitted');
+    assert.deepEqual(assessment.items, []);
+  },
+
+  'declared weapons are checked in, declared drugs seized': () => {
+    const session = customsSession([{ id: 'combat-drug-tl10', name: 'Combat Drug', catalog_id: 'combat-drug-tl10', type: 'equipment' }]);
+    const weapons = assessCustoms(session.storyState.inventory.slice(0, 2), 8);
+    assert.equal(weapons.outcome, 'check_in');
+    assert.deepEqual(weapons.items.map(r => [r.id, r.action]), [['autopistol-standard', 'check_in']]);
+
+    const all = assessCustoms(session.storyState.inventory, 8);
+    assert.equal(all.outcome, 'confiscation');
+    assert.equal(all.items.find(r => r.id === 'combat-drug-tl10').action, 'confiscate');
+    assert.equal(all.fine, null);
+  },
+
+  'hidden items that are found are seized and fined': () => {
+    const caught = assessCustoms(customsSession().storyState.inventory, 8, { result: 'caught' });
+    assert.equal(caught.outcome, 'fine');
+    assert.equal(caught.fine.amount, 800);
+    assert.equal(assessCustoms(customsSession().storyState.inventory, 8, { result: 'smuggled' }).items[0].action, 'kept');
+  },
+
+  'resolveCustoms stores checked-in items against a claim ticket': () => {
+    const session = customsSession();
+    const customs = resolveCustoms(session, 'declared');
+    const pistol = session.storyState.inventory.find(i => i.id === 'autopistol-standard');
+    assert.equal(customs.lawLevel, 8);
+    assert.equal(pistol.location, 'starport-customs');
+    assert.deepEqual(customs.ticket.claims, ['autopistol-standard']);
+    assert.equal(customs.ticket.type, 'document');
+    assert.equal(session.storyState.flags.customs_check_in, true);
+
+    assert.deepEqual(redeemClaimTicket(session), ['autopistol-standard']);
+    assert.equal(pistol.location, undefined);
+    assert.ok(!session.storyState.inventory.some(i => i.type === 'document'));
+  },
+
+  'resolveCustoms confiscates and fines when the party is caught': () => {
+    const session = customsSession();
+    const customs = resolveCustoms(session, 'caught');
+    assert.equal(customs.ticket, null);
+    assert.equal(session.storyState.inventory[0].confiscated, true);
+    assert.equal(session.storyState.pendingFine.amount, 800);
+  },
+
+  'catalog weapons are classified from the catalog': () => {
+    const session = customsSession();
+    session.storyState.inventory = [];
+    addCatalogItem(session, 'autopistol-tl5');
+    assert.equal(resolveCustoms(session, 'declared').items[0].label, 'personal concealable weapons');
+  },
+
+  'encounter check-in outcomes issue a claim ticket': () => {
+    const session = customsSession();
+    applyEncounterOutcome(session, {
+      outcomes: { checked: { store_items: { location: 'starport-customs', filter: 'illegal_weapons' } } }
+    }, 'checked');
+    const ticket = session.storyState.inventory.find(i => i.id === 'claim-ticket-starport-customs');
+    assert.deepEqual(ticket.claims, ['autopistol-standard']);
+  }
+};
+
+// === NARRATOR TESTS ===
+
+const narratorTests = {
+  'customs tags and tool calls become directives': () => {
+    const parsed = parseAgmResponse('The officer stamps your papers. [CUSTOMS: declared]');
+    assert.equal(parsed.customs, 'declared');
+    assert.equal(parsed.narrativeText, 'The officer stamps your papers.');
+
+    const { directives, rejected } = toolCallsToDirectives([
+      { id: 't1', name: AGM_TOOLS.CUSTOMS, input: { result: 'caught' } },
+      { id: 't2', name: AGM_TOOLS.CUSTOMS, input: { result: 'bribed' } }
+    ], {});
+    assert.equal(directives.customs, 'caught');
+    assert.equal(rejected.length, 1);
+  },
+
+  'customs scenes tell the narrator what is restricted': () => {
+    const session = customsSession();
+    const context = buildCustomsContext(session);
+    assert.match(context, /CUSTOMS \(Law Level 8\)/);
+    assert.match(context, /Autopistol: .*legal to law level 5 - checked in if declared/);
+    assert.ok(!context.includes('Combat Blade'));
+
+    session.storyState.currentScene = 'mountain-climb';
+    assert.equal(buildCustomsContext(session), '');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  LEGALITY TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Classification Tests ---');
+const classification = runTests(classificationTests);
+
+console.log('\n--- Customs Tests ---');
+const customs = runTests(customsTests);
+
+console.log('\n--- Narrator Tests ---');
+const narrator = runTests(narratorTests);
+
+const allPassed = classification && customs && narrator;
+process.exit(allPassed ? 0 : 1);
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Party Tests
+ *
+ * Tests multi-PC adventure sessions:
+ * - Building a party from data/pcs
+ * - Choosing the acting PC by name or "Name: action"
+ * - Best-skilled, named and group skill checks
+ * - Party prompt context and @roller directives
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  CHECK_ROLLERS,
+  createParty,
+  getSessionParty,
+  isMultiPC,
+  findMember,
+  getActivePC,
+  setActivePC,
+  parseActor,
+  selectBestPC,
+  resolvePartyCheck,
+  formatPartyCheck,
+  formatParty
+} = require('../src/party');
+const { parseAgmResponse, buildPartyContext } = require('../src/agm-controller');
+const { buildAgmTools, getDirectiveContext, toolCallsToDirectives, AGM_TOOLS } = require('../src/agm-tools');
+const { loadAdventure } = require('../src/story-engine');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+const PARTY_IDS = ['alex-ryder', 'captain-drake'];
+
+/**
+ * Build a session around a fresh party
+ * @returns {Object} Minimal adventure session
+ */
+function partySession() {
+  const party = createParty(PARTY_IDS);
+  return { party, pc: getActivePC(party), storyState: {}, adventure: loadAdventure('high-and-dry') };
+}
+
+// === MEMBER TESTS ===
+
+const memberTests = {
+  'createParty loads every PC and starts with the first': () => {
+    const party = createParty(PARTY_IDS);
+    assert.equal(party.id, 'alex-ryder+captain-drake');
+    assert.deepEqual(party.members.map(pc => pc.name), ['Alex Ryder', 'Marcus Drake']);
+    assert.equal(getActivePC(party).id, 'alex-ryder');
+    assert.equal(isMultiPC(party), true);
+  },
+
+  'createParty rejects an empty party and unknown PCs': () => {
+    assert.throws(() => createParty([]), /at least one PC/);
+    assert.throws(() => createParty(['alex-ryder', 'nobody-here']));
+  },
+
+  'a session without a party is a party of its PC': () => {
+    const party = getSessionParty({ pc: { id: 'solo', name: 'Solo' } });
+    assert.equal(party.id, 'solo');
+    assert.equal(isMultiPC(party), false);
+  },
+
+  'members are found by ID, full name or first name': () => {
+    const party = createParty(PARTY_IDS);
+    assert.equal(findMember(party, 'captain-drake').id, 'captain-drake');
+    assert.equal(findMember(party, 'Marcus Drake').id, 'captain-drake');
+    assert.equal(findMember(party, 'alex').id, 'alex-ryder');
+    assert.equal(findMember(party, 'Jamison'), null);
+  },
+
+  'setActivePC switches session.pc and records it in story state': () => {
+    const session = partySession();
+    assert.equal(setActivePC(session, 'Marcus').id, 'captain-drake');
+    assert.equal(session.pc.id, 'captain-drake');
+    assert.equal(session.storyState.activePcId, 'captain-drake');
+    assert.equal(setActivePC(session, 'Jamison'), null);
+    assert.equal(session.pc.id, 'captain-drake');
+  },
+
+  'a leading member name picks who acts': () => {
+    const party = createParty(PARTY_IDS);
+    const actor = parseActor(party, 'Marcus: I check the cargo manifest');
+    assert.equal(actor.pc.id, 'captain-drake');
+    assert.equal(actor.text, 'I check the cargo manifest');
+
+    const plain = parseActor(party, 'I say: hello there');
+    assert.equal(plain.pc, null);
+    assert.equal(plain.text, 'I say: hello there');
+  },
+
+  'formatParty marks the acting PC': () => {
+    const lines = formatParty(createParty(PARTY_IDS, 'captain-drake')).split('\n');
+    assert.ok(lines[1].startsWith('▶ Marcus Drake'));
+    assert.ok(lines[0].startsWith('  Alex Ryder'));
+  }
+};
+
+// === CHECK TESTS ===
+
+const checkTests = {
+  'the best-skilled PC is chosen, ties go to the acting PC': () => {
+    const party = createParty(PARTY_IDS);
+    assert.equal(selectBestPC(party, 'leadership').id, 'captain-drake');
+    assert.equal(selectBestPC(party, 'astrogation').id, 'alex-ryder');
+    party.activeId = 'captain-drake';
+    assert.equal(selectBestPC(party, 'pilot').id, 'captain-drake');
+  },
+
+  'the acting PC rolls by default': () => {
+    const party = createParty(PARTY_IDS, 'captain-drake');
+    const result = resolvePartyCheck(party, { skill: 'pilot', difficulty: 8, reason: 'landing' }, 7);
+    assert.equal(result.pcId, 'captain-drake');
+    assert.equal(result.total, 8);
+    assert.ok(result.narrative.startsWith('Marcus Drake:'));
+  },
+
+  'best and named rollers pick the right PC': () => {
+    const party = createParty(PARTY_IDS);
+    const best = resolvePartyCheck(party, { skill: 'tactics', difficulty: 8, reason: 'ambush', roller: CHECK_ROLLERS.BEST }, 6);
+    assert.equal(best.pcId, 'captain-drake');
+    assert.equal(best.success, true);
+
+    const named = resolvePartyCheck(party, { skill: 'tactics', difficulty: 8, reason: 'ambush', roller: 'alex-ryder' }, 6);
+    assert.equal(named.pcId, 'alex-ryder');
+    assert.equal(named.success, false);
+  },
+
+  'a group check succeeds when at least half the party does': () => {
+    const party = createParty(PARTY_IDS);
+    const check = { skill: 'leadership', difficulty: 8, reason: 'rally the crew', roller: CHECK_ROLLERS.GROUP };
+
+    const half = resolvePartyCheck(party, check, 6);
+    assert.equal(half.group, true);
+    assert.equal(half.successes, 1);
+    assert.equal(half.success, true);
+
+    const none = resolvePartyCheck(party, check, 5);
+    assert.equal(none.success, false);
+    assert.match(formatPartyCheck(none, party), /0 of 2 succeeded - the party fails/);
+  }
+};
+
+// === NARRATOR TESTS ===
+
+const narratorTests = {
+  'party context lists every PC and who is acting': () => {
+    const session = partySession();
+    setActivePC(session, 'captain-drake');
+    const context = buildPartyContext(session);
+    assert.match(context, /Name: Alex Ryder/);
+    assert.match(context, /Skills: Leadership-2, Tactics-2, Pilot-1/);
+    assert.match(context, /Acting this turn: Marcus Drake \(captain-drake\)/);
+  },
+
+  'skill check tags may name who rolls': () => {
+    const parsed = parseAgmResponse('The crew braces. [SKILL_CHECK: Leadership 8+ rally the crew @group] [SKILL_CHECK: Pilot 10+ land]');
+    assert.equal(parsed.skillChecks[0].roller, 'group');
+    assert.equal(parsed.skillChecks[0].reason, 'rally the crew');
+    assert.equal(parsed.skillChecks[1].roller, undefined);
+    assert.equal(parsed.narrativeText, 'The crew braces.');
+  },
+
+  'the skill_check tool offers a roller only to parties': () => {
+    const solo = getDirectiveContext({ adventure: loadAdventure('high-and-dry'), pc: { id: 'alex-ryder' } });
+    const soloTool = buildAgmTools(solo).find(t => t.name === AGM_TOOLS.SKILL_CHECK);
+    assert.equal(soloTool.input_schema.properties.roller, undefined);
+
+    const context = getDirectiveContext(partySession());
+    const tool = buildAgmTools(context).find(t => t.name === AGM_TOOLS.SKILL_CHECK);
+    assert.ok(tool.input_schema.properties.roller.enum.includes('captain-drake'));
+
+    const { directives, rejected } = toolCallsToDirectives([
+      { id: 't1', name: AGM_TOOLS.SKILL_CHECK, input: { skill: 'tactics', difficulty: 8, reason: 'ambush', roller: 'best' } },
+      { id: 't2', name: AGM_TOOLS.SKILL_CHECK, input: { skill: 'tactics', difficulty: 8, reason: 'ambush', roller: 'jamison' } }
+    ], context);
+    assert.equal(directives.skillChecks[0].roller, 'best');
+    assert.equal(rejected.length, 1);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  PARTY TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Member Tests ---');
+const members = runTests(memberTests);
+
+console.log('\n--- Check Tests ---');
+const checks = runTests(checkTests);
+
+console.log('\n--- Narrator Tests ---');
+const narrator = runTests(narratorTests);
+
+const allPassed = members && checks && narrator;
+process.exit(allPassed ? 0 : 1);
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * Red Team Dashboard Tests
+ *
+ * Tests the regression dashboard over saved red team results:
+ * - Loading validation runs and persona backups
+ * - Pass-rate trends per NPC and per tier
+ * - Regressions linked to the patch or backup that preceded them
+ * - The TUI screen and static HTML export
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  PATCH_TYPES,
+  loadValidationRuns,
+  loadPatchHistory,
+  summarizeRun,
+  buildTrends,
+  findRegressions,
+  buildDashboard,
+  sparkline,
+  formatDashboard,
+  renderDashboardHtml,
+  exportDashboardHtml
+} = require('../src/red-team/dashboard');
+const { runNpcValidation, getPersonaHash } = require('../src/red-team/validator');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'red-team-dashboard-'));
+const RESULTS_DIR = path.join(TMP_DIR, 'validation-results');
+const PATCHES_DIR = path.join(TMP_DIR, 'patches');
+
+// GEN_Q008 is tier 1, GEN_Q001 tier 2; Q001 has no tier (nice to have)
+const RUN_1 = Date.parse('2026-01-17T10:00:00Z');
+const RUN_2 = Date.parse('2026-01-17T12:00:00Z');
+const RUN_3 = Date.parse('2026-01-18T09:00:00Z');
+
+/**
+ * Write a validation report fixture
+ * @param {string} file - Filename
+ * @param {string} npcId - NPC identifier
+ * @param {number} time - Run time (epoch ms)
+ * @param {Object} verdicts - query_id -> verdict
+ * @param {string} [personaHash] - Persona fingerprint
+ */
+function writeRun(file, npcId, time, verdicts, personaHash = 'aaaa') {
+  const results = Object.entries(verdicts).map(([queryId, verdict]) => ({
+    query_id: queryId,
+    fact_id: `FACT_${queryId}`,
+    verdict,
+    details: `${verdict} details`
+  }));
+  fs.writeFileSync(path.join(RESULTS_DIR, file), JSON.stringify({
+    npc_id: npcId,
+    timestamp: new Date(time).toISOString(),
+    persona_hash: personaHash,
+    results
+  }));
+}
+
+/**
+ * Write a persona backup fixture
+ * @param {string} npcId - NPC identifier
+ * @param {number} time - Backup time (epoch ms)
+ * @returns {string} Backup path
+ */
+function writeBackup(npcId, time) {
+  const file = path.join(PATCHES_DIR, `${npcId}-backup-${time}.json`);
+  fs.writeFileSync(file, JSON.stringify({ id: npcId }));
+  return file;
+}
+
+// The learning cycle behind alpha's first backup
+const LEARNING_ENTRIES = [{
+  npc_id: 'test-alpha',
+  fact_id: 'FACT_GEN_Q008',
+  query_id: 'GEN_Q008',
+  final_status: 'LEARNED',
+  generated_entry: { topic: 'lease' },
+  // Logged on another machine; matched by filename
+  backup_path: `/elsewhere/patches/test-alpha-backup-${RUN_1 + 1000}.json`
+}];
+
+fs.mkdirSync(RESULTS_DIR, { recursive: true });
+fs.mkdirSync(PATCHES_DIR, { recursive: true });
+writeRun('test-alpha-2026-01-17.json', 'test-alpha', RUN_1, { GEN_Q008: 'PASS', GEN_Q001: 'PASS', Q001: 'WARN' });
+writeRun('test-alpha-2026-01-17T12-00-00.json', 'test-alpha', RUN_2, { GEN_Q008: 'FAIL', GEN_Q001: 'PASS', Q001: 'FAIL' }, 'bbbb');
+writeRun('test-alpha-2026-01-18T09-00-00.json', 'test-alpha', RUN_3, { GEN_Q008: 'PASS', GEN_Q001: 'WARN', Q001: 'FAIL' }, 'bbbb');
+writeRun('test-beta-2026-01-17T11-00-00.json', 'test-beta', RUN_1 + 3600000, { GEN_Q008: 'PASS', Q001: 'FAIL' });
+fs.writeFileSync(path.join(RESULTS_DIR, 'validation-cache.json'), JSON.stringify({ 'test-alpha': { passed: 1 } }));
+fs.writeFileSync(path.join(RESULTS_DIR, 'broken.json'), '{ not json');
+// Backups: a learner patch and a manual backup between runs 1 and 2 of
+// alpha, one after run 3, and one for beta before its only run
+writeBackup('test-alpha', RUN_1 + 1000);
+writeBackup('test-alpha', RUN_1 + 2000);
+writeBackup('test-alpha', RUN_3 + 1000);
+writeBackup('test-beta', RUN_1);
+fs.writeFileSync(path.join(PATCHES_DIR, 'notes.txt'), 'not a backup');
+
+const OPTIONS = { resultsDir: RESULTS_DIR, patchesDir: PATCHES_DIR, learningEntries: LEARNING_ENTRIES };
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === LOADING TESTS ===
+
+const loadingTests = {
+  'runs load oldest first, skipping the cache and broken files': () => {
+    const runs = loadValidationRuns(RESULTS_DIR);
+    assert.deepEqual(runs.map(r => [r.npc_id, r.timestamp.slice(0, 16)]), [
+      ['test-alpha', '2026-01-17T10:00'],
+      ['test-beta', '2026-01-17T11:00'],
+      ['test-alpha', '2026-01-17T12:00'],
+      ['test-alpha', '2026-01-18T09:00']
+    ]);
+    assert.deepEqual(loadValidationRuns(path.join(TMP_DIR, 'missing')), []);
+  },
+
+  'backups are matched to their learning cycle by filename': () => {
+    const patches = loadPatchHistory(OPTIONS);
+    assert.equal(patches.length, 4);
+    const learner = patches.find(p => p.timestamp === new Date(RUN_1 + 1000).toISOString());
+    assert.deepEqual(
+      [learner.npc_id, learner.type, learner.fact_id, learner.topic, learner.status],
+      ['test-alpha', PATCH_TYPES.LEARNER_PATCH, 'FACT_GEN_Q008', 'lease', 'LEARNED']
+    );
+    assert.ok(fs.existsSync(learner.path));
+    assert.deepEqual(patches.filter(p => p.type === PATCH_TYPES.BACKUP).map(p => p.status), [null, null, null]);
+  },
+
+  'validation reports carry a persona fingerprint': () => {
+    const report = runNpcValidation('minister-greener', []);
+    assert.match(report.persona_hash, /^[0-9a-f]{12}$/);
+    assert.equal(report.persona_hash, getPersonaHash('minister-greener'));
+    assert.equal(getPersonaHash('no-such-npc'), null);
+  }
+};
+
+// === TREND TESTS ===
+
+const trendTests = {
+  'a run is summarized overall and per tier': () => {
+    const summary = summarizeRun(loadValidationRuns(RESULTS_DIR)[0]);
+    assert.deepEqual([summary.total, summary.pass, summary.warn, summary.fail], [3, 2, 1, 0]);
+    assert.equal(summary.rate, 2 / 3);
+    assert.deepEqual(Object.keys(summary.by_tier), ['1', '2', '3']);
+    assert.deepEqual(summary.by_tier[3], { total: 1, pass: 0, warn: 1, fail: 0, rate: 0 });
+  },
+
+  'NPC series follow each NPC; tier series cover every NPC\'s latest run': () => {
+    const { byNpc, byTier } = buildTrends(loadValidationRuns(RESULTS_DIR));
+    assert.deepEqual(byNpc['test-alpha'].map(p => p.pass), [2, 1, 1]);
+    assert.deepEqual(byNpc['test-beta'].map(p => p.rate), [0.5]);
+
+    // Tier 1 over alpha+beta: PASS+PASS, then alpha FAIL, then alpha PASS
+    assert.deepEqual(byTier[1].map(p => [p.npc_id, p.pass, p.total]), [
+      ['test-alpha', 1, 1], ['test-beta', 2, 2], ['test-alpha', 1, 2], ['test-alpha', 2, 2]
+    ]);
+    assert.deepEqual(byTier[2].map(p => p.rate), [1, 1, 1, 0]);
+  },
+
+  'sparklines scale rates onto block heights': () => {
+    assert.equal(sparkline([{ rate: 0 }, { rate: 0.5 }, { rate: 1 }]), '▁▅█');
+    assert.equal(sparkline(Array.from({ length: 20 }, () => ({ rate: 1 }))).length, 12);
+  }
+};
+
+// === REGRESSION TESTS ===
+
+const regressionTests = {
+  'drops between consecutive runs are regressions, newest run first': () => {
+    const regressions = findRegressions(loadValidationRuns(RESULTS_DIR), loadPatchHistory(OPTIONS));
+    assert.deepEqual(regressions.map(r => [r.query_id, r.from, r.to, r.run.slice(0, 10)]), [
+      ['GEN_Q001', 'PASS', 'WARN', '2026-01-18'],
+      ['GEN_Q008', 'PASS', 'FAIL', '2026-01-17'],
+      ['Q001', 'WARN', 'FAIL', '2026-01-17']
+    ]);
+    // FAIL -> FAIL and recoveries are not regressions; beta has one run
+    assert.ok(regressions.every(r => r.npc_id === 'test-alpha'));
+  },
+
+  'a regression after a learner patch links the backup before it': () => {
+    const regression = findRegressions(loadValidationRuns(RESULTS_DIR), loadPatchHistory(OPTIONS))
+      .find(r => r.query_id === 'GEN_Q008');
+    assert.equal(regression.cause, PATCH_TYPES.LEARNER_PATCH);
+    assert.equal(regression.tier, 1);
+    assert.equal(regression.patches_between.length, 2);
+    assert.equal(regression.preceding.file, `test-alpha-backup-${RUN_1 + 2000}.json`);
+    assert.match(regression.report, /test-alpha-2026-01-17T12-00-00\.json$/);
+  },
+
+  'no edit between runs leaves the cause open but still links the last backup': () => {
+    const regression = findRegressions(loadValidationRuns(RESULTS_DIR), loadPatchHistory(OPTIONS))
+      .find(r => r.query_id === 'GEN_Q001');
+    assert.equal(regression.cause, null);
+    assert.deepEqual(regression.patches_between, []);
+    // The backup taken after run 3 did not precede it
+    assert.equal(regression.preceding.file, `test-alpha-backup-${RUN_1 + 2000}.json`);
+  },
+
+  'a changed persona fingerprint is a persona edit': () => {
+    const runs = loadValidationRuns(RESULTS_DIR);
+    const [regression] = findRegressions(runs, []).filter(r => r.query_id === 'GEN_Q008');
+    assert.equal(regression.cause, 'persona_edit');
+    assert.equal(regression.preceding, null);
+  }
+};
+
+// === DISPLAY TESTS ===
+
+const displayTests = {
+  'the TUI screen shows trends and linked regressions': () => {
+    const text = formatDashboard(buildDashboard(OPTIONS));
+    assert.match(text, /RED TEAM REGRESSION DASHBOARD/);
+    assert.match(text, /Pass rate by NPC \(4 runs\)/);
+    assert.match(text, /test-alpha +▆▃▃ +33% \(\+0\)/);
+    assert.match(text, /T1 critical +██▅█ +100% \(\+50\)/);
+    assert.match(text, /Regressions \(3\)/);
+    assert.match(text, /✗ test-alpha GEN_Q008 FACT_GEN_Q008 PASS→FAIL 01-17 12:00 +║\n.*after learner patch "lease" \(LEARNED\)/);
+    assert.match(text, new RegExp(`↳ test-alpha-backup-${RUN_1 + 2000}\\.json`));
+    assert.match(text, /no edit between runs/);
+
+    const trimmed = formatDashboard(buildDashboard(OPTIONS), { maxRegressions: 1 });
+    assert.match(trimmed, /\.\.\. 2 more/);
+
+    const empty = formatDashboard(buildDashboard({ ...OPTIONS, resultsDir: path.join(TMP_DIR, 'missing') }));
+    assert.match(empty, /No validation runs yet\./);
+  },
+
+  'the HTML export links patches and reports relative to the page': () => {
+    const dashboard = buildDashboard(OPTIONS);
+    const outPath = path.join(TMP_DIR, 'export', 'dashboard.html');
+    assert.equal(exportDashboardHtml(dashboard, outPath), outPath);
+
+    const html = fs.readFileSync(outPath, 'utf8');
+    assert.equal(html, renderDashboardHtml(dashboard, { outPath }));
+    assert.match(html, /<title>Red Team Regression Dashboard<\/title>/);
+    assert.match(html, /from 4 runs and 4 persona backups/);
+    assert.match(html, new RegExp(`<a href="\\.\\./patches/test-alpha-backup-${RUN_1 + 2000}\\.json">`));
+    assert.match(html, /<a href="\.\.\/validation-results\/test-alpha-2026-01-18T09-00-00\.json">report<\/a>/);
+    assert.match(html, /PASS &rarr; FAIL/);
+    assert.match(html, /after learner patch &quot;lease&quot; \(LEARNED\)/);
+
+    // Every linked file exists
+    for (const [, href] of html.matchAll(/href="([^"]+)"/g)) {
+      assert.ok(fs.existsSync(path.resolve(path.dirname(outPath), href)), href);
+    }
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  RED TEAM DASHBOARD TESTS');
+console.log('══════════════════════════════════════════\n');
+
+let allPassed = false;
+try {
+  console.log('--- Loading Tests ---');
+  const loading = runTests(loadingTests);
+
+  console.log('\n--- Trend Tests ---');
+  const trends = runTests(trendTests);
+
+  console.log('\n--- Regression Tests ---');
+  const regressions = runTests(regressionTests);
+
+  console.log('\n--- Display Tests ---');
+  const display = runTests(displayTests);
+
+  allPassed = loading && trends && regressions && display;
+} finally {
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+}
+process.exit(allPassed ? 0 : 1);
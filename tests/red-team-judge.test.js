@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Red Team Judge Tests
+ *
+ * Tests the layered red-team judge:
+ * - Number and currency normalization
+ * - Negated keyword mentions
+ * - Keyword verdicts on normalized, negation-aware text
+ * - LLM judge replies, report verdicts and agreement statistics
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Judge calls are recorded in a scratch ledger
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'red-team-judge-'));
+process.env.USAGE_LEDGER_FILE = path.join(TMP_DIR, 'usage-ledger.json');
+
+const {
+  normalizeText,
+  isNegated,
+  findKeyword,
+  parseJudgeReply,
+  judgeResponse,
+  computeAgreement
+} = require('../src/red-team/judge');
+const {
+  VERDICT,
+  validateResponse,
+  runNpcValidation,
+  judgeReport,
+  formatValidationReport
+} = require('../src/red-team/validator');
+const { loadLedger } = require('../src/usage-ledger');
+
+// Greener's fee (FACT_050), with a wrong figure to trip on
+const FEE_QUERY = {
+  id: 'TEST_FEE',
+  fact_id: 'FACT_050',
+  query: 'How much will you pay us for the survey?',
+  expected_keywords: ['Cr3000'],
+  failure_keywords: ['Cr5000']
+};
+
+/**
+ * Fake client that answers every call with the next canned reply
+ * @param {Array<string>} replies - Reply texts in order
+ * @returns {Object} Client with the calls it received
+ */
+function createMockClient(replies) {
+  const client = {
+    calls: [],
+    messages: {
+      create: async (params) => {
+        client.calls.push(params);
+        return {
+          content: [{ type: 'text', text: replies[client.calls.length - 1] || '' }],
+          model: params.model,
+          usage: { input_tokens: 200, output_tokens: 30 },
+          stop_reason: 'end_turn'
+        };
+      }
+    }
+  };
+  return client;
+}
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === NORMALIZATION TESTS ===
+
+const normalizationTests = {
+  'numbers in words become digits': () => {
+    assert.equal(normalizeText('Three thousand'), '3000');
+    assert.equal(normalizeText('two hundred and fifty thousand'), '250000');
+    assert.equal(normalizeText('twenty-five tons'), '25 tons');
+    assert.equal(normalizeText('a hundred klicks'), '100 klicks');
+    assert.equal(normalizeText('1.5 million people'), '1500000 people');
+    assert.equal(normalizeText('someone, anyone'), 'someone, anyone', 'words inside words are left alone');
+  },
+
+  'credit amounts share one form': () => {
+    for (const text of ['Cr3000', 'Cr 3,000', 'cr.3000', '3000 credits', '3,000 Cr', 'three thousand credits', 'three thousand Imperial credits', 'KCr3']) {
+      assert.equal(normalizeText(text), 'cr3000', text);
+    }
+    assert.equal(normalizeText('MCr1.5'), 'cr1500000');
+    assert.equal(normalizeText('2 MCr'), 'cr2000000');
+    assert.equal(normalizeText('10 crew'), '10 crew');
+  },
+
+  'numbers match whole': () => {
+    assert.equal(findKeyword(normalizeText('Storage is Cr1000'), 'Cr10').found, false);
+    assert.equal(findKeyword(normalizeText('Storage is ten credits a week'), 'Cr10').found, true);
+    assert.equal(findKeyword(normalizeText('The fee is three thousand credits'), '3000').found, true);
+  }
+};
+
+// === NEGATION TESTS ===
+
+const negationTests = {
+  'cues just before a keyword negate it': () => {
+    const text = normalizeText("It's NOT Cr5000, it is Cr3000.");
+    assert.deepEqual(findKeyword(text, 'Cr5000'), { found: true, negated: true });
+    assert.deepEqual(findKeyword(text, 'Cr3000'), { found: true, negated: false });
+
+    assert.equal(findKeyword(normalizeText("The ship isn't yours to keep"), 'yours to keep').negated, true);
+    assert.equal(findKeyword(normalizeText('Weapons are never allowed'), 'allowed').negated, true);
+    assert.equal(findKeyword(normalizeText('a lease rather than ownership'), 'ownership').negated, true);
+  },
+
+  'negation stops at the clause and the window': () => {
+    assert.equal(findKeyword(normalizeText('No, weapons are allowed'), 'allowed').negated, false);
+    assert.equal(findKeyword(normalizeText("I don't know, but it's permanent"), 'permanent').negated, false);
+    assert.equal(findKeyword(normalizeText('not that I mind the ship being permanent'), 'permanent').negated, false);
+    assert.equal(isNegated('the lease is not', 'the lease is not'.length), true);
+  },
+
+  'one plain mention is enough to count': () => {
+    const text = normalizeText("It's not permanent. Well, it is permanent in a way.");
+    assert.deepEqual(findKeyword(text, 'permanent'), { found: true, negated: false });
+  }
+};
+
+// === KEYWORD LAYER TESTS ===
+
+const keywordTests = {
+  'amounts in words pass a currency check': () => {
+    const result = validateResponse('I can offer three thousand credits, flat.', FEE_QUERY, { semantic: false });
+    assert.equal(result.verdict, VERDICT.PASS);
+    assert.deepEqual(result.expected_found, ['Cr3000']);
+    assert.equal(result.keyword_verdict, VERDICT.PASS);
+
+    const q040 = { id: 'Q040', expected_keywords: ['Cr3000', '3000', 'credits'] };
+    assert.deepEqual(validateResponse('Three thousand, in credits.', q040).expected_found, ['3000', 'credits']);
+    assert.deepEqual(validateResponse('Three thousand credits.', q040).expected_found, ['Cr3000', '3000', 'credits'], 'an amount counts as credits');
+  },
+
+  'a denied failure keyword does not fail': () => {
+    const result = validateResponse("It's NOT Cr5000, whatever you heard. Cr3000.", FEE_QUERY, { semantic: false });
+    assert.equal(result.verdict, VERDICT.PASS);
+    assert.deepEqual(result.failure_found, []);
+    assert.deepEqual(result.failure_negated, ['Cr5000']);
+    assert.match(result.details, /; negated: Cr5000$/);
+
+    assert.equal(validateResponse('Five thousand credits, take it or leave it.', FEE_QUERY).verdict, VERDICT.FAIL);
+  },
+
+  'a denied expected keyword is missing': () => {
+    const result = validateResponse("It certainly isn't Cr3000.", FEE_QUERY, { semantic: false });
+    assert.equal(result.verdict, VERDICT.FAIL);
+    assert.deepEqual(result.expected_negated, ['Cr3000']);
+    assert.deepEqual(result.expected_missing, ['Cr3000']);
+  }
+};
+
+// === LLM JUDGE TESTS ===
+
+const judgeTests = {
+  'judge replies are parsed from JSON or plain text': () => {
+    assert.deepEqual(parseJudgeReply('Sure.\n{"verdict": "warn", "rationale": "Vague about the fee."}'), { verdict: 'WARN', rationale: 'Vague about the fee.' });
+    assert.equal(parseJudgeReply('Verdict: FAIL - the NPC quotes Cr5000').verdict, 'FAIL');
+    assert.equal(parseJudgeReply('I cannot tell.').verdict, null);
+  },
+
+  'the judge sees the fact and records its call': async () => {
+    const client = createMockClient(['{"verdict": "PASS", "rationale": "States the Cr3000 fee in words."}']);
+    const judged = await judgeResponse(client, 'Three thousand, flat.', FEE_QUERY, { content: 'Greener offers Cr3000 flat fee for survey' });
+    assert.deepEqual(judged, { verdict: 'PASS', rationale: 'States the Cr3000 fee in words.' });
+
+    const prompt = client.calls[0].messages[0].content;
+    assert.match(prompt, /FACT: Greener offers Cr3000 flat fee for survey/);
+    assert.match(prompt, /WRONG IF IT CLAIMS: Cr5000/);
+    assert.equal(loadLedger().entries.slice(-1)[0].caller, 'red-team-judge');
+
+    const unreadable = await judgeResponse(createMockClient(['Hmm.']), 'x', FEE_QUERY);
+    assert.equal(unreadable.verdict, null);
+    assert.match(unreadable.error, /Unreadable judge reply/);
+  },
+
+  'agreement counts only judged results': () => {
+    const agreement = computeAgreement([
+      { query_id: 'A', keyword_verdict: 'PASS', judge_verdict: 'PASS' },
+      { query_id: 'B', keyword_verdict: 'FAIL', judge_verdict: 'PASS' },
+      { query_id: 'C', keyword_verdict: 'WARN' }
+    ]);
+    assert.deepEqual(agreement, { judged: 2, agreed: 1, rate: 0.5, disagreements: [{ query_id: 'B', keyword: 'FAIL', judge: 'PASS' }] });
+    assert.equal(computeAgreement([]).rate, null);
+  },
+
+  'judged reports keep both verdicts and recount the summary': async () => {
+    const report = runNpcValidation('minister-greener', [
+      { query_id: 'Q040', npc_id: 'minister-greener', query_text: 'What will you pay?', response: 'Three thousand credits for the survey.' },
+      { query_id: 'Q040', npc_id: 'minister-greener', query_text: 'What will you pay?', response: 'We pay in local goods, mostly.' },
+      { query_id: 'Q040', npc_id: 'minister-greener', query_text: 'What will you pay?', error: 'timeout' }
+    ]);
+    assert.deepEqual([report.results[0].keyword_verdict, report.results[1].keyword_verdict], ['PASS', 'FAIL']);
+
+    const client = createMockClient([
+      '{"verdict": "PASS", "rationale": "Quotes the fee."}',
+      '{"verdict": "WARN", "rationale": "Dodges the amount without contradicting it."}'
+    ]);
+    await judgeReport(report, { client });
+
+    assert.equal(client.calls.length, 2, 'failed queries are not judged');
+    const [paid, dodged, errored] = report.results;
+    assert.equal(paid.judge_verdict, 'PASS');
+    assert.equal(dodged.keyword_verdict, 'FAIL');
+    assert.equal(dodged.judge_verdict, 'WARN');
+    assert.equal(dodged.verdict, 'WARN', 'the judge has the last word');
+    assert.equal(dodged.suggested_patch, null);
+    assert.equal(errored.judge_verdict, undefined);
+
+    assert.deepEqual({ ...report.summary, agreement: undefined }, { total: 3, pass: 1, fail: 1, warn: 1, agreement: undefined });
+    assert.deepEqual(report.summary.agreement, { judged: 2, agreed: 1, rate: 0.5, disagreements: [{ query_id: 'Q040', keyword: 'FAIL', judge: 'WARN' }] });
+
+    const text = formatValidationReport(report);
+    assert.match(text, /Judge agreement: 1\/2 \(50%\)/);
+    assert.match(text, /Judge: WARN \(keywords said FAIL\) - Dodges the amount/);
+    assert.match(text, /Judge: PASS \(agrees\) - Quotes the fee\./);
+  },
+
+  'an unavailable judge leaves the keyword verdict': async () => {
+    const report = runNpcValidation('minister-greener', [
+      { query_id: 'Q040', npc_id: 'minister-greener', query_text: 'What will you pay?', response: 'Cr3000.' }
+    ]);
+    await judgeReport(report, { client: createMockClient(['No idea.']) });
+    assert.equal(report.results[0].verdict, 'PASS');
+    assert.match(report.results[0].judge_error, /Unreadable/);
+    assert.equal(report.summary.agreement.judged, 0);
+    assert.match(formatValidationReport(report), /Judge: unavailable/);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  RED TEAM JUDGE TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  let allPassed = false;
+  try {
+    console.log('--- Normalization Tests ---');
+    const normalization = await runTests(normalizationTests);
+
+    console.log('\n--- Negation Tests ---');
+    const negation = await runTests(negationTests);
+
+    console.log('\n--- Keyword Layer Tests ---');
+    const keywords = await runTests(keywordTests);
+
+    console.log('\n--- LLM Judge Tests ---');
+    const judge = await runTests(judgeTests);
+
+    allPassed = normalization && negation && keywords && judge;
+  } finally {
+    fs.rmSync(TMP_DIR, { recursive: true, force: true });
+  }
+  process.exit(allPassed ? 0 : 1);
+}
+
+main();
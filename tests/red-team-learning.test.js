@@ -7,6 +7,8 @@
  *
  * Usage: node tests/red-team-learning.test.js [npcId]
  *        node tests/red-team-learning.test.js --all
+ *        node tests/red-team-learning.test.js --record    (save transcripts to cassette)
+ *        node tests/red-team-learning.test.js --strict --dry-run (replay offline, fail on prompt drift)
  */
 
 require('dotenv').config();
@@ -18,12 +20,14 @@ const path = require('path');
 const redTeam = require('../src/red-team');
 const { loadPersona } = require('../src/persona');
 const { createClient } = require('../src/ai-client');
+const { useCassette, CASSETTE_MODES } = require('../src/cassette');
 const { runLearningForReport } = require('../src/red-team/learner');
 
 // Configuration
 const MAX_FAILURES_TO_LEARN = 5; // Limit per NPC to control costs
 const DRY_RUN = process.argv.includes('--dry-run');
 const AUTO_APPLY = !DRY_RUN; // Apply patches by default unless dry-run
+const CASSETTE_MODE = CASSETTE_MODES.find(mode => process.argv.includes(`--${mode}`));
 
 /**
  * Run validation and learning for a single NPC
@@ -84,6 +88,10 @@ async function main() {
   console.log('Red Team Learning Test');
   console.log('=====================');
   console.log(`Mode: ${DRY_RUN ? 'DRY RUN (no changes)' : 'AUTO APPLY (learning enabled)'}`);
+  if (CASSETTE_MODE) {
+    useCassette('red-team-learning', { mode: CASSETTE_MODE });
+    console.log(`Cassette: red-team-learning (${CASSETTE_MODE})`);
+  }
   console.log('');
 
   // Initialize
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * Route Planner Tests
+ *
+ * Tests jump routes across indexed subsectors:
+ * - Hex distances on the Traveller map grid
+ * - Refuelling by starport class and gas giants
+ * - Routes limited by jump rating, preferring better fuel, avoiding Red zones
+ * - Travel days and fuel estimates
+ * - /route command and the narrator's travel context
+ */
+
+const { strict: assert } = require('assert');
+
+const { indexSubsector } = require('../src/subsector-data');
+const {
+  hexDistance,
+  resolveWorld,
+  getRefuelling,
+  parseJump,
+  findRoute,
+  formatRoute
+} = require('../src/route-planner');
+const { buildTravelContext } = require('../src/agm-controller');
+const { handleAdventureCommand } = require('../src/adventure-player');
+
+// A made-up strip of worlds along the top of a subsector:
+//   Alpha 0101 (B) - Bravo 0201 (X, nothing) - Charlie 0301 (E, gas giant)
+//   Delta 0302 (C) - Echo 0501 (A) - Foxtrot Station 0701 (D)
+indexSubsector({
+  name: 'Test Reach',
+  systems: [
+    { name: 'Alpha', hex: '0101', uwp: 'B867966-A' },
+    { name: 'Bravo', hex: '0201', uwp: 'X300000-0', gasGiants: 0 },
+    { name: 'Charlie', hex: '0301', uwp: 'E400200-5', pbg: '102' },
+    { name: 'Delta', hex: '0302', uwp: 'C544338-8' },
+    { name: 'Echo', hex: '0501', uwp: 'A788899-C' },
+    { name: 'Foxtrot Station', hex: '0701', uwp: 'D200410-9' }
+  ]
+});
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === MAP TESTS ===
+
+const mapTests = {
+  'hex distances follow the offset columns': () => {
+    assert.equal(hexDistance('0101', '0101'), 0);
+    assert.equal(hexDistance('0101', '0201'), 1);
+    assert.equal(hexDistance('0201', '0102'), 1);
+    assert.equal(hexDistance('0101', '0202'), 2);
+    assert.equal(hexDistance('0101', '0103'), 2);
+    assert.equal(hexDistance('0101', '0501'), 4);
+    assert.equal(hexDistance('0302', '0501'), 2);
+    assert.equal(hexDistance('0101', 'Alpha'), null);
+  },
+
+  'refuelling depends on starport and gas giants': () => {
+    assert.equal(getRefuelling(resolveWorld('Alpha')), 'refined');
+    assert.equal(getRefuelling(resolveWorld('Delta')), 'unrefined');
+    assert.equal(getRefuelling(resolveWorld('Charlie')), 'gas giant');
+    assert.equal(getRefuelling(resolveWorld('Bravo')), 'none');
+    assert.equal(getRefuelling({ uwp: 'E400200-5', pbg: '100' }), 'none');
+  },
+
+  'worlds are found by name or hex, jump ratings parsed': () => {
+    assert.equal(resolveWorld('0501').name, 'Echo');
+    assert.equal(resolveWorld('foxtrot station').hex, '0701');
+    assert.equal(resolveWorld('Nowhere'), null);
+    assert.equal(parseJump('J2'), 2);
+    assert.equal(parseJump('jump-3'), 3);
+    assert.equal(parseJump(4), 4);
+    assert.equal(parseJump('J7'), null);
+  }
+};
+
+// === ROUTE TESTS ===
+
+const routeTests = {
+  'routes prefer refined, then unrefined fuel, then skimming': () => {
+    const route = findRoute('Alpha', 'Foxtrot Station', { jump: 2 });
+    assert.deepEqual(route.stops.map(s => `${s.name}:${s.refuel}`), ['Delta:unrefined', 'Echo:refined']);
+    assert.equal(route.distance, 6);
+    assert.equal(route.jumps, 3);
+  },
+
+  'a longer jump rating takes fewer jumps': () => {
+    const route = findRoute('0101', '0701', { jump: 4 });
+    assert.deepEqual(route.legs.map(l => `${l.from}->${l.to} ${l.parsecs}`), ['Alpha->Echo 4', 'Echo->Foxtrot Station 2']);
+  },
+
+  'stops without fuel or in Red zones are avoided': () => {
+    assert.match(findRoute('Alpha', 'Charlie', { jump: 1 }).error, /No jump-1 route from Alpha to Charlie/);
+
+    const delta = resolveWorld('Delta');
+    delta.zone = 'R';
+    try {
+      const route = findRoute('Alpha', 'Foxtrot Station', { jump: 2 });
+      assert.deepEqual(route.stops.map(s => s.name), ['Charlie', 'Echo']);
+      assert.equal(route.days, 3 * 7 + 4 + 1);
+      assert.deepEqual(findRoute('Alpha', 'Foxtrot Station', { jump: 2, allowRed: true }).stops[0].name, 'Delta');
+      assert.deepEqual(findRoute('Alpha', 'Delta', { jump: 2 }).stops, []);
+    } finally {
+      delete delta.zone;
+    }
+  },
+
+  'days and fuel are estimated per jump': () => {
+    const route = findRoute('Alpha', 'Foxtrot Station', { jump: 2 });
+    // Three weeks in jump, plus a day in-system at each of four worlds
+    assert.equal(route.days, 25);
+    assert.deepEqual(route.legs.map(l => l.fuel), [20, 20, 20]);
+    assert.equal(route.fuel, 60);
+    assert.equal(route.maxLegFuel, 20);
+    // Refined at Alpha and Echo (Cr500/ton), unrefined at Delta (Cr100/ton)
+    assert.equal(route.fuelCost, 22000);
+    assert.equal(findRoute('Alpha', 'Foxtrot Station', { jump: 2, hullTons: 200 }).fuel, 120);
+  },
+
+  'bad requests give errors': () => {
+    assert.match(findRoute('Nowhere', 'Alpha').error, /Unknown world: Nowhere/);
+    assert.match(findRoute('Alpha', 'Echo', { jump: 9 }).error, /Invalid jump rating/);
+    assert.equal(formatRoute({ error: 'Unknown world: Nowhere' }), 'Unknown world: Nowhere');
+  }
+};
+
+// === PLAY TESTS ===
+
+const playTests = {
+  '/route plans a trip and the narrator sees it': async () => {
+    const session = { storyState: { flags: {} } };
+    const { text } = await handleAdventureCommand(session, '/route Alpha Foxtrot Station J2');
+    assert.match(text, /=== ROUTE: Alpha \(0101\) to Foxtrot Station \(0701\), Jump-2 ===/);
+    assert.match(text, /Distance: 6 parsecs, 3 jumps, about 25 days/);
+    assert.match(text, /1\. Alpha -> Delta \(2 pc, 20 tons, refuel: unrefined fuel\)/);
+    assert.match(text, /3\. Echo -> Foxtrot Station \(2 pc, 20 tons\)$/);
+
+    const context = buildTravelContext(session);
+    assert.match(context, /Alpha to Foxtrot Station at Jump-2: 3 jumps, about 25 days, 60 tons of fuel/);
+    assert.match(context, /Stops: Delta \(unrefined fuel\), Echo \(refined fuel\)/);
+    assert.match(context, /skip 25 days when changing scene/);
+  },
+
+  '/route accepts "to" and keeps the last good plan': async () => {
+    const session = { storyState: { flags: {} } };
+    await handleAdventureCommand(session, '/route foxtrot station to 0101 J4');
+    assert.equal(session.storyState.plannedRoute.jumps, 2);
+
+    assert.match((await handleAdventureCommand(session, '/route Alpha Nowhere')).text, /Unknown world: Nowhere/);
+    assert.equal(session.storyState.plannedRoute.to.name, 'Alpha');
+    assert.match((await handleAdventureCommand(session, '/route Alpha')).text, /Usage: \/route/);
+    assert.equal(buildTravelContext({ storyState: {} }), '');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  ROUTE PLANNER TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Map Tests ---');
+  const map = await runTests(mapTests);
+
+  console.log('\n--- Route Tests ---');
+  const routes = await runTests(routeTests);
+
+  console.log('\n--- Play Tests ---');
+  const play = await runTests(playTests);
+
+  process.exit(map && routes && play ? 0 : 1);
+}
+
+main();
@@ -12,6 +12,10 @@ const tests = [
   'memory.test.js',
   'persona.test.js',
   'prompts.test.js',
+  'ai-client.test.js',
+  'cassette.test.js',
+  'usage-ledger.test.js',
+  'imperial-calendar.test.js',
   'chat-tui.test.js',
   // Gap features
   'disposition.test.js',
@@ -28,12 +32,33 @@ const tests = [
   'npc-agency.test.js',
   'action-reports.test.js',
   'timed-actions.test.js',
+  'game-clock.test.js',
   // Adventure play mode
   'skill-resolver.test.js',
+  'task-engine.test.js',
   'decision-tracker.test.js',
   'scene-manager.test.js',
   'agm-controller.test.js',
+  'agm-tools.test.js',
   'adventure-player.test.js',
+  'party.test.js',
+  'equipment-catalog.test.js',
+  'uwp.test.js',
+  'legality.test.js',
+  'character-sheet.test.js',
+  'credits-ledger.test.js',
+  'trade.test.js',
+  'route-planner.test.js',
+  'subsector-import.test.js',
+  'wiki-index.test.js',
+  'knowledge-retrieval.test.js',
+  'embeddings.test.js',
+  'encounter-runner.test.js',
+  'combat.test.js',
+  'red-team-judge.test.js',
+  'red-team-adversarial.test.js',
+  'red-team-dashboard.test.js',
+  'adventure-memory.test.js',
   // Integration tests (High and Dry adventure)
   'integration/high-and-dry.test.js',
   'integration/scenarios/disposition.test.js',
@@ -106,10 +106,13 @@ test('applyTimeSkip handles multi-year rollover', () => {
   assert.strictEqual(state.gameDate, '270-1107');  // year + 2
 });
 
-test('applyTimeSkip ignores hours (minimal impact)', () => {
+test('applyTimeSkip advances hours and keeps the time of day', () => {
   const state = { gameDate: '010-1105' };
-  applyTimeSkip(state, { amount: 12, unit: 'h' });
-  assert.strictEqual(state.gameDate, '010-1105');  // unchanged
+  const hours = applyTimeSkip(state, { amount: 12, unit: 'h' });
+  assert.strictEqual(state.gameDate, '010-1105 12:00');
+  assert.strictEqual(hours, 12);
+  applyTimeSkip(state, { amount: 18, unit: 'h' });
+  assert.strictEqual(state.gameDate, '011-1105 06:00');  // rolls into the next day
 });
 
 test('applyTimeSkip handles missing gameDate', () => {
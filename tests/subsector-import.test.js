@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Subsector Import Tests
+ *
+ * Tests reading sector files into subsector JSON:
+ * - Format detection: SEC, T5 column and tab-delimited
+ * - Validation of hex, UWP, bases, trade codes, allegiance and PBG
+ * - Grouping by subsector and writing files subsector-data loads
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Imported files go to a scratch directory, which subsector-data then reads
+const OUT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'subsector-import-'));
+process.env.SUBSECTORS_DIR = OUT_DIR;
+
+const {
+  detectFormat,
+  getSubsectorLetter,
+  validateUWP,
+  importSector,
+  getSubsectorFileName
+} = require('../src/subsector-import');
+const { importFiles, sectorFromFileName } = require('../scripts/import-subsectors');
+const subsectorData = require('../src/subsector-data');
+const { findRoute } = require('../src/route-planner');
+
+// Sample lines in each format (test data, not canon beyond Walston's UWP)
+const SEC_FILE = [
+  '# Sample sector in legacy SEC format',
+  '# Subsector N: District 268',
+  '#--------1---------2---------3---------4---------5---------6---',
+  'Alpha Base           1231 A867A69-F  A Ga Hi Ht Cp            303 Im G2 V',
+  'Walston              1232 C544338-8    Lo                     910 Na M2 V',
+  '567-908              1031 E532000-0    Ba Po                  013 Na M0 V',
+  'Pourne               1332 C310567-8  S Ni                   A 413 Im K1 V',
+  'Mislabel             1234 C544338-8    Ag Lo                  910 Na M2 V',
+  'Bad World            1133 Z999999-9    Ni                     100 Na G2 V'
+].join('\n');
+
+const COLUMN_WIDTHS = [4, 20, 9, 20, 6, 7, 6, 2, 2, 1, 3, 2, 4, 7];
+
+/**
+ * Lay out a T5 column row
+ * @param {string[]} values - One value per column
+ * @returns {string} Padded row
+ */
+function columnRow(values) {
+  return values.map((value, i) => value.padEnd(COLUMN_WIDTHS[i])).join(' ').trimEnd();
+}
+
+const COLUMN_FILE = [
+  columnRow(['Hex', 'Name', 'UWP', 'Remarks', '{Ix}', '(Ex)', '[Cx]', 'N', 'B', 'Z', 'PBG', 'W', 'A', 'Stellar']),
+  columnRow(COLUMN_WIDTHS.map(width => '-'.repeat(width))),
+  columnRow(['0101', 'Alpha', 'B867966-A', 'Ga Hi', '{ 2 }', '(C8A+2)', '[9A5C]', '-', 'NS', '-', '123', '9', 'ImDd', 'G2 V']),
+  columnRow(['0302', 'Delta', 'C544338-8', 'Lo', '{ -1 }', '(A21-3)', '[1113]', '-', '-', 'R', '910', '6', 'ImDd', 'M2 V'])
+].join('\n');
+
+const TAB_FILE = [
+  'Sector\tSS\tHex\tName\tUWP\tBases\tRemarks\tZone\tPBG\tAllegiance\tStars',
+  'Samp\tN\t1232\tWalston\tC544338-8\t-\tLo\t-\t910\tNa\tM2 V',
+  'Samp\tN\t1233\tBroken\tC544338-8\t-\tLo\t-\t9X0\tNa\tM2 V',
+  'Samp\tN\t1234\tOdd Base\tC544338-8\tQ\tLo\t-\t910\tNa!\tM2 V',
+  'Samp\tN\t1232\tWalston Again\tC544338-8\t-\tLo\t-\t910\tNa\tM2 V'
+].join('\n');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Find an imported world by name
+ * @param {Object} result - From importSector
+ * @param {string} name - World name
+ * @returns {Object|undefined} World
+ */
+function findWorld(result, name) {
+  return result.subsectors.flatMap(s => s.systems).find(w => w.name === name);
+}
+
+// === PARSING TESTS ===
+
+const parsingTests = {
+  'formats are detected from the header': () => {
+    assert.equal(detectFormat(SEC_FILE), 'sec');
+    assert.equal(detectFormat(COLUMN_FILE), 'column');
+    assert.equal(detectFormat(TAB_FILE), 'tab');
+  },
+
+  'hexes map to subsectors A-P': () => {
+    assert.equal(getSubsectorLetter('0101'), 'A');
+    assert.equal(getSubsectorLetter('1232'), 'N');
+    assert.equal(getSubsectorLetter('0911'), 'F');
+    assert.equal(getSubsectorLetter('3240'), 'P');
+    assert.equal(getSubsectorLetter('3341'), null);
+  },
+
+  'UWPs are checked digit by digit': () => {
+    assert.deepEqual(validateUWP('C544338-8'), []);
+    assert.deepEqual(validateUWP('Z544338-8'), ['UWP starport Z is not one of ABCDEX']);
+    assert.deepEqual(validateUWP('C54B338-8'), ['UWP hydrographics digit B out of range (0-A)']);
+    assert.match(validateUWP('C544338')[0], /Invalid UWP/);
+  },
+
+  'SEC worlds carry bases, zones, PBG and trade codes': () => {
+    const result = importSector(SEC_FILE, { sector: 'Sample' });
+    assert.equal(result.format, 'sec');
+    assert.deepEqual(result.subsectors.map(s => `${s.letter}:${s.name}`), ['N:District 268']);
+
+    const walston = findWorld(result, 'Walston');
+    assert.deepEqual(
+      { hex: walston.hex, uwp: walston.uwp, techLevel: walston.techLevel, bases: walston.bases, zone: walston.zone, pbg: walston.pbg, gasGiants: walston.gasGiants, allegiance: walston.allegiance, stellar: walston.stellar, subsector: walston.subsector },
+      { hex: '1232', uwp: 'C544338-8', techLevel: 8, bases: [], zone: null, pbg: '910', gasGiants: 0, allegiance: 'Na', stellar: 'M2 V', subsector: 'N' }
+    );
+    assert.deepEqual(findWorld(result, 'Pourne').bases, ['S']);
+    assert.equal(findWorld(result, 'Pourne').zone, 'A');
+    assert.deepEqual(findWorld(result, 'Alpha Base').bases, ['N', 'S']);
+    assert.deepEqual(findWorld(result, 'Alpha Base').tradeCodes, ['Ga', 'Hi', 'Ht', 'Cp']);
+    assert.equal(findWorld(result, '567-908').remarks, 'Ba Po');
+  },
+
+  'bad worlds are left out and mismatched trade codes flagged': () => {
+    const result = importSector(SEC_FILE, { sector: 'Sample' });
+    assert.equal(findWorld(result, 'Bad World'), undefined);
+    assert.deepEqual(result.errors.map(e => `${e.hex} ${e.message}`), ['1133 UWP starport Z is not one of ABCDEX']);
+    assert.ok(result.warnings.some(w => w.name === 'Mislabel' && w.message === 'Trade code Ag does not match UWP C544338-8'));
+    assert.ok(!result.warnings.some(w => w.name === 'Walston'));
+  },
+
+  'T5 column files use the dash row for widths': () => {
+    const result = importSector(COLUMN_FILE, { sector: 'Sample' });
+    assert.deepEqual(result.errors, []);
+    const alpha = findWorld(result, 'Alpha');
+    assert.deepEqual(alpha.bases, ['N', 'S']);
+    assert.equal(alpha.gasGiants, 3);
+    assert.equal(alpha.allegiance, 'ImDd');
+    assert.equal(findWorld(result, 'Delta').zone, 'R');
+    assert.equal(findWorld(result, 'Delta').stellar, 'M2 V');
+    assert.deepEqual(result.subsectors.map(s => s.name), ['Subsector A']);
+  },
+
+  'tab-delimited files reject bad PBG, bases, allegiance and duplicates': () => {
+    const result = importSector(TAB_FILE);
+    assert.deepEqual(result.subsectors[0].systems.map(w => w.name), ['Walston']);
+    const messages = result.errors.map(e => `${e.name}: ${e.message}`);
+    assert.ok(messages.includes('Broken: Invalid PBG: 9X0'));
+    assert.ok(messages.includes('Odd Base: Unknown base code: Q'));
+    assert.ok(messages.includes('Odd Base: Invalid allegiance: Na!'));
+    assert.ok(messages.includes('Walston Again: Duplicate hex 1232'));
+    assert.equal(result.subsectors[0].systems[0].sector, 'Samp');
+  }
+};
+
+// === OUTPUT TESTS ===
+
+const outputTests = {
+  'file and sector names are derived': () => {
+    assert.equal(sectorFromFileName('/tmp/spinward-marches.sec'), 'Spinward Marches');
+    assert.equal(getSubsectorFileName({ sector: 'Spinward Marches', name: 'District 268' }), 'spinward-marches-district-268.json');
+  },
+
+  'a dry run writes nothing': () => {
+    const secPath = path.join(OUT_DIR, 'sample.sec');
+    fs.writeFileSync(secPath, SEC_FILE);
+    const [result] = importFiles([secPath], { dryRun: true });
+    assert.equal(result.worlds, 5);
+    assert.deepEqual(result.written, []);
+    assert.deepEqual(fs.readdirSync(OUT_DIR).filter(f => f.endsWith('.json')), []);
+  },
+
+  'imported subsectors load into world lookups and routes': () => {
+    const secPath = path.join(OUT_DIR, 'sample.sec');
+    const [result] = importFiles([secPath], { sector: 'Spinward Marches' });
+    assert.deepEqual(result.written.map(f => path.basename(f)), ['spinward-marches-district-268.json']);
+
+    subsectorData.reset();
+    assert.equal(subsectorData.getWorld('Walston').uwp, 'C544338-8');
+    assert.equal(subsectorData.getWorldByHex('1232').name, 'Walston');
+    assert.equal(subsectorData.getWorld('Walston').techLevel, 8);
+    assert.match(subsectorData.buildWorldContext('Pourne'), /Travel Zone: A/);
+    assert.equal(findRoute('Walston', 'Pourne', { jump: 1 }).jumps, 1);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  SUBSECTOR IMPORT TESTS');
+console.log('══════════════════════════════════════════\n');
+
+let allPassed = false;
+try {
+  console.log('--- Parsing Tests ---');
+  const parsing = runTests(parsingTests);
+
+  console.log('\n--- Output Tests ---');
+  const output = runTests(outputTests);
+
+  allPassed = parsing && output;
+} finally {
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+}
+process.exit(allPassed ? 0 : 1);
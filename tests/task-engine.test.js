@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Task Engine Tests
+ *
+ * Tests Mongoose 2e task resolution:
+ * - Effect and Effect bands
+ * - Boon and bane dice
+ * - Situational DMs: unskilled, equipment, conditions, narrator DMs
+ * - Task timeframes and pace
+ * - Outcome text branching on Effect band
+ * - Skill check options in narrator directives
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  rollTaskDice,
+  getEffectBand,
+  normalizeDMs,
+  rollTimeframe,
+  rollTask,
+  selectOutcome
+} = require('../src/task-engine');
+const { resolveCheck, getUnskilledModifier, formatDetailedResult } = require('../src/skill-resolver');
+const { performCheck } = require('../src/skill-check');
+const { findSceneCheck } = require('../src/adventure-data');
+const { estimateSkillCheck } = require('../src/game-clock');
+const { parseAgmResponse, buildCheckResultsContext } = require('../src/agm-controller');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+const climber = {
+  skills: [{ name: 'Athletics', level: 1 }, { name: 'Pilot', level: 2 }],
+  characteristics: { dex: 10, end: 4 }
+};
+
+// === EFFECT TESTS ===
+
+const effectTests = {
+  'Effect bands follow the Mongoose 2e table': () => {
+    assert.equal(getEffectBand(-6).id, 'exceptional_failure');
+    assert.equal(getEffectBand(-2).id, 'average_failure');
+    assert.equal(getEffectBand(-1).id, 'marginal_failure');
+    assert.equal(getEffectBand(0).id, 'marginal_success');
+    assert.equal(getEffectBand(5).id, 'average_success');
+    assert.equal(getEffectBand(6).id, 'exceptional_success');
+  },
+
+  'rollTask totals dice, character DM and situational DMs': () => {
+    const task = rollTask({ difficulty: 8, dm: 2, dms: [{ source: 'rope', value: 1 }] }, { dice: [3, 2] });
+    assert.equal(task.roll, 5);
+    assert.equal(task.total, 8);
+    assert.equal(task.effect, 0);
+    assert.equal(task.band, 'marginal_success');
+    assert.equal(task.success, true);
+  },
+
+  'a boon keeps the best two dice and a bane the worst two': () => {
+    assert.equal(rollTaskDice({ boon: true, dice: [1, 6, 4] }).roll, 10);
+    assert.equal(rollTaskDice({ bane: true, dice: [1, 6, 4] }).roll, 5);
+  },
+
+  'a boon and a bane cancel out': () => {
+    const dice = rollTaskDice({ boon: true, bane: true, dice: [1, 6, 4] });
+    assert.equal(dice.boon, false);
+    assert.equal(dice.bane, false);
+    assert.equal(dice.dice.length, 2);
+    assert.equal(dice.roll, 7);
+  },
+
+  'DMs may be given as a list, a map or a number': () => {
+    assert.deepEqual(normalizeDMs({ rope: 1, fatigue: 0 }), [{ source: 'rope', value: 1 }]);
+    assert.deepEqual(normalizeDMs(-2), [{ source: 'situation', value: -2 }]);
+    assert.deepEqual(normalizeDMs(null), []);
+  }
+};
+
+// === SKILL CHECK TESTS ===
+
+const skillTests = {
+  'a missing skill is DM-3, a characteristic check is not': () => {
+    assert.equal(getUnskilledModifier(climber, 'Stealth'), -3);
+    assert.equal(getUnskilledModifier(climber, 'Athletics'), 0);
+    assert.equal(getUnskilledModifier(climber, 'END check'), 0);
+    assert.equal(getUnskilledModifier({ name: 'No skill list' }, 'Stealth'), 0);
+  },
+
+  'Jack-of-all-Trades offsets the unskilled DM': () => {
+    const jack = { skills_notable: ['Pilot-1', 'Jack-of-all-Trades-2'] };
+    assert.equal(getUnskilledModifier(jack, 'Stealth'), -1);
+  },
+
+  'characteristic checks use that characteristic': () => {
+    const result = resolveCheck({ skill: 'END', difficulty: 6, reason: 'altitude' }, climber, 7);
+    assert.equal(result.attrMod, -1);
+    assert.equal(result.total, 6);
+  },
+
+  'equipment, conditions and narrator DMs all apply': () => {
+    const check = { skill: 'athletics', difficulty: 8, reason: 'climb', dm: -1 };
+    const result = resolveCheck(check, climber, 7, {
+      equipment: [{ id: 'climbing-kit', name: 'Climbing kit', task_dms: { athletics: 2 } }],
+      conditions: [
+        { name: 'altitude sickness', dm: -2 },
+        { name: 'sprained wrist', dm: -1, skills: ['pilot'] }
+      ]
+    });
+    assert.deepEqual(result.dms.map(dm => dm.source), ['Climbing kit', 'altitude sickness', 'circumstances']);
+    assert.equal(result.total, 7 + 1 + 1 + 2 - 2 - 1);
+    assert.equal(result.effect, 0);
+    assert.match(formatDetailedResult(result), /DMs: Climbing kit \+2, altitude sickness -2, circumstances -1/);
+    assert.match(formatDetailedResult(result), /Effect \+0: Marginal Success/);
+  },
+
+  'pace trades time for a DM': () => {
+    const careful = rollTask({ difficulty: 8, pace: 'careful', timeframe: 'minutes' }, { roll: 7, timeDie: 3 });
+    assert.equal(careful.total, 8);
+    assert.equal(careful.timeframe, 'tens_of_minutes');
+    assert.equal(careful.minutes, 30);
+
+    const hasty = rollTask({ difficulty: 8, pace: 'hasty', timeframe: 'hours' }, { roll: 7, timeDie: 3 });
+    assert.equal(hasty.total, 5);
+    assert.equal(hasty.minutes, 30);
+  },
+
+  'short timeframes still take a minute of game time': () => {
+    assert.deepEqual(rollTimeframe('1D seconds', { die: 4 }), { timeframe: 'seconds', seconds: 4, minutes: 1 });
+    assert.equal(rollTimeframe('fortnights'), null);
+  },
+
+  'a rolled timeframe drives the game clock': () => {
+    const result = resolveCheck({ skill: 'electronics', difficulty: 8, reason: 'panels', timeframe: 'hours' }, climber, 8);
+    const estimate = estimateSkillCheck('high-and-dry', 'ship-repairs', result);
+    assert.equal(estimate.minutes, result.minutes);
+    assert.match(estimate.source, /timeframe hours/);
+  },
+
+  'performCheck reports Effect like skill checks': () => {
+    const result = performCheck('Persuade', 8, { modifier: 20 });
+    assert.equal(result.effect, result.margin);
+    assert.equal(result.band, 'exceptional_success');
+  }
+};
+
+// === OUTCOME TESTS ===
+
+const outcomeTests = {
+  'scene outcomes branch on Effect band': () => {
+    const entry = findSceneCheck('mountain-climb', 'high-and-dry', { skill: 'Athletics', reason: 'climb the outcrop' });
+    assert.equal(entry.id, 'outcrop-climb');
+    assert.match(selectOutcome(entry, { success: true, effect: 7, band: 'exceptional_success' }), /Fixes a rope/);
+    assert.match(selectOutcome(entry, { success: true, effect: 2, band: 'average_success' }), /Saves several hours/);
+    assert.match(selectOutcome(entry, { success: false, effect: -1, band: 'marginal_failure' }), /climbs back down unhurt/);
+    assert.match(selectOutcome(entry, { success: false, effect: -3, band: 'average_failure' }), /Falls, takes damage/);
+  },
+
+  'skill-checks.json failure text is the fallback': () => {
+    const entry = findSceneCheck('ship-repairs', 'high-and-dry', { skill: 'Electronics (power)', reason: 'rewire the power systems' });
+    assert.equal(entry.id, 'power-systems-repair');
+    assert.equal(selectOutcome({ failure: 'Sparks fly' }, { success: false, effect: -4 }), 'Sparks fly');
+    assert.equal(selectOutcome({}, { success: true, effect: 1 }), null);
+  },
+
+  'tags carry boon, bane, DMs, pace and timeframe': () => {
+    const parsed = parseAgmResponse('You start up. [SKILL_CHECK: Athletics 8+ climb the outcrop | DM-2 boon careful hours @best]');
+    assert.deepEqual(parsed.skillChecks[0], {
+      skill: 'Athletics', difficulty: 8, reason: 'climb the outcrop',
+      dm: -2, boon: true, pace: 'careful', timeframe: 'hours', roller: 'best'
+    });
+    assert.equal(parsed.narrativeText, 'You start up.');
+  },
+
+  'conditions are set and cleared by tag': () => {
+    const parsed = parseAgmResponse('Your head pounds. [CONDITION: altitude sickness DM-2] [CONDITION: rope clear]');
+    assert.deepEqual(parsed.conditions, [
+      { name: 'altitude sickness', dm: -2 },
+      { name: 'rope', clear: true }
+    ]);
+  },
+
+  'the next prompt reports last turn\'s bands and outcomes': () => {
+    const result = resolveCheck({ skill: 'Athletics', difficulty: 8, reason: 'climb the outcrop' }, climber, 5);
+    result.outcome = 'Stalls halfway up';
+    const context = buildCheckResultsContext([result]);
+    assert.match(context, /Athletics 8\+ climb the outcrop: Marginal Failure \(Effect -1\) - Stalls halfway up/);
+    assert.equal(buildCheckResultsContext([]), '');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  TASK ENGINE TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Effect Tests ---');
+const effects = runTests(effectTests);
+
+console.log('\n--- Skill Check Tests ---');
+const skills = runTests(skillTests);
+
+console.log('\n--- Outcome Tests ---');
+const outcomes = runTests(outcomeTests);
+
+const allPassed = effects && skills && outcomes;
+process.exit(allPassed ? 0 : 1);
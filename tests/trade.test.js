@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * Trade Tests
+ *
+ * Tests Mongoose 2e speculative trade:
+ * - Trade codes derived from UWPs
+ * - Goods availability, purchase and sale DMs, Modified Price table
+ * - Broker check Effect feeding the price roll
+ * - Session market, cargo in inventory and payment through the ledger
+ * - /trade command and broker NPC prices
+ */
+
+const { strict: assert } = require('assert');
+
+const {
+  getTradeCodes,
+  getMarketCodes,
+  getTradeGood,
+  getAvailableGoods,
+  getBestDM,
+  getPriceModifier,
+  rollSupplierCheck,
+  rollBrokerCheck,
+  quotePrice,
+  rollTons,
+  getSessionWorld,
+  getMarket,
+  buyCargo,
+  sellCargo,
+  formatMarket,
+  buildBrokerContext
+} = require('../src/trade');
+const { createParty } = require('../src/party');
+const { getCargoItems } = require('../src/inventory');
+const { getBalance, getLedger } = require('../src/credits-ledger');
+const { handleAdventureCommand } = require('../src/adventure-player');
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+/**
+ * Build a session on Walston with a fixed market
+ * Supplier roll 10 (Alex is unskilled: 10 - 3 + starport C 2 = 9, found),
+ * Broker roll 12 (12 - 3 = 9, Effect +1), price roll 10 and lot dice of 4.
+ * @param {number} [credits] - Alex's credits
+ * @returns {Object} Minimal adventure session
+ */
+function tradeSession(credits = 50000) {
+  const party = createParty(['alex-ryder']);
+  party.members[0].credits = credits;
+  const session = {
+    adventure: { world: 'Walston', world_uwp: 'C544338-8' },
+    party,
+    pc: party.members[0],
+    storyState: { currentScene: 'starport-arrival', gameDate: '012-1105', inventory: [], flags: {} }
+  };
+  getMarket(session, { supplierRoll: 10, brokerRoll: 12, priceRoll: 10, tonsDice: [4, 4] });
+  return session;
+}
+
+// === RULES TESTS ===
+
+const rulesTests = {
+  'trade codes come from the UWP': () => {
+    assert.deepEqual(getTradeCodes('C544338-8'), ['Lo']);
+    assert.deepEqual(getTradeCodes('A867A69-F'), ['Ga', 'Hi', 'Ht']);
+    assert.deepEqual(getTradeCodes('B000453-E'), ['As', 'Ht', 'Ni', 'Va']);
+    assert.deepEqual(getTradeCodes('E685532-3'), ['Ag', 'Ga', 'Lt', 'Ni']);
+    assert.deepEqual(getTradeCodes('E685432-3'), ['Ga', 'Lt', 'Ni']);
+    assert.deepEqual(getTradeCodes('not a uwp'), []);
+    assert.deepEqual(getMarketCodes({ uwp: 'C544338-8', zone: 'A' }), ['Lo', 'Amber']);
+  },
+
+  'common goods are everywhere, others need a trade code': () => {
+    const ids = codes => getAvailableGoods(codes).map(g => g.id);
+    assert.equal(ids([]).length, 6);
+    assert.ok(ids(['Lo']).includes('radioactives'));
+    assert.ok(!ids(['Lo']).includes('cybernetics'));
+    assert.ok(ids(['Ht']).includes('cybernetics'));
+    assert.ok(!ids(['Ht']).includes('illegal-cybernetics'));
+    assert.ok(getAvailableGoods(['Ht'], { illegal: true }).some(g => g.id === 'illegal-cybernetics'));
+  },
+
+  'goods are found by ID, D66 or name': () => {
+    assert.equal(getTradeGood('wood').d66, 55);
+    assert.equal(getTradeGood(45).id, 'radioactives');
+    assert.equal(getTradeGood('Crystals').id, 'crystals-and-gems');
+    assert.equal(getTradeGood('spam'), null);
+  },
+
+  'the best DM applies and the price table clamps': () => {
+    const radioactives = getTradeGood('radioactives');
+    assert.equal(getBestDM(radioactives.sale, ['In', 'Ht']), 3);
+    assert.equal(getBestDM(radioactives.sale, ['Ni', 'Ag']), -2);
+    assert.equal(getBestDM(radioactives.sale, ['Lo']), 0);
+    assert.deepEqual(getPriceModifier(8), { purchase: 100, sale: 80 });
+    assert.deepEqual(getPriceModifier(-10), { purchase: 300, sale: 10 });
+    assert.deepEqual(getPriceModifier(40), { purchase: 25, sale: 500 });
+  },
+
+  'prices follow 3D, Effect, trade DMs and the other broker': () => {
+    const wood = getTradeGood('wood');
+    // 10 + purchase Ag +6 - supplier Broker 2 = 14: 70%
+    assert.equal(quotePrice(wood, ['Ag'], { roll: 10 }).pricePerTon, 700);
+    // 10 + Effect 2 + sale Ri +2 - purchase 0 - buyer Broker 2 = 12: 105%
+    assert.equal(quotePrice(wood, ['Ri'], { side: 'sale', roll: 10, effect: 2 }).pricePerTon, 1050);
+    // Selling on the world that grows it: 10 + 0 - 6 - 2 = 2: 50%
+    assert.equal(quotePrice(wood, ['Ag'], { side: 'sale', roll: 10 }).percent, 50);
+  },
+
+  'finding a supplier uses skill, INT and the starport': () => {
+    const [alex] = createParty(['alex-ryder']).members;
+    const unskilled = rollSupplierCheck(alex, { uwp: 'C544338-8' }, { roll: 8 });
+    assert.equal(unskilled.effect, -1);
+    assert.deepEqual(unskilled.dms, [{ source: 'starport C', value: 2 }]);
+
+    alex.skills.Broker = { level: 2 };
+    assert.equal(rollSupplierCheck(alex, { uwp: 'A867A69-F' }, { roll: 8 }).effect, 8);
+  },
+
+  'the price Broker check uses only skill and INT': () => {
+    const [alex] = createParty(['alex-ryder']).members;
+    const unskilled = rollBrokerCheck(alex, { roll: 8 });
+    assert.equal(unskilled.effect, -3);
+    assert.deepEqual(unskilled.dms, []);
+
+    alex.skills.Broker = { level: 2 };
+    assert.equal(rollBrokerCheck(alex, { roll: 8 }).effect, 2);
+  },
+
+  'population changes lot sizes': () => {
+    const ore = getTradeGood('common-ore');
+    assert.equal(rollTons(ore, 5, { dice: [3, 4] }), 140);
+    assert.equal(rollTons(ore, 3, { dice: [3, 4] }), 80);
+    assert.equal(rollTons(ore, 10, { dice: [3, 4] }), 200);
+    assert.equal(rollTons(ore, 1, { dice: [1, 1] }), 0);
+  }
+};
+
+// === MARKET TESTS ===
+
+const marketTests = {
+  'the world comes from the adventure when subsector data is missing': () => {
+    const session = tradeSession();
+    assert.deepEqual(getSessionWorld(session), { name: 'Walston', uwp: 'C544338-8', zone: null });
+    assert.equal(getSessionWorld({ adventure: { world: 'Nowhere' } }), null);
+  },
+
+  'the market is kept until the PCs move on or a week passes': () => {
+    const session = tradeSession();
+    const market = session.storyState.market;
+    assert.equal(market.broker.effect, 1);
+    // 10 + Effect 1 + 0 - 2 = 9: 95% of Cr1000
+    assert.equal(market.goods.find(g => g.id === 'common-ore').price, 950);
+    // Lot dice 4+4, population 3 takes 3 off: 5 x 20
+    assert.equal(market.goods.find(g => g.id === 'common-ore').tons, 100);
+    assert.ok(!market.goods.some(g => g.id === 'cybernetics'));
+
+    session.storyState.gameDate = '018-1105';
+    assert.equal(getMarket(session), market);
+    session.storyState.gameDate = '019-1105';
+    assert.notEqual(getMarket(session), market);
+  },
+
+  'buying cargo pays through the ledger and loads the hold': () => {
+    const session = tradeSession();
+    const { item, entry } = buyCargo(session, 'common ore', 20);
+    assert.equal(item.id, 'cargo-common-ore-1');
+    assert.equal(item.tons, 20);
+    assert.equal(entry.amount, -19000);
+    assert.equal(entry.counterparty, 'walston-market');
+    assert.equal(getBalance(session, session.pc), 31000);
+    assert.deepEqual(getCargoItems(session).map(c => c.id), ['cargo-common-ore-1']);
+    assert.equal(session.storyState.market.goods.find(g => g.id === 'common-ore').tons, 80);
+
+    assert.equal(buyCargo(session, 'common ore', 10).item.id, 'cargo-common-ore-2');
+    sellCargo(session, 'cargo-common-ore-1');
+    assert.equal(buyCargo(session, 'common ore', 10).item.id, 'cargo-common-ore-1');
+  },
+
+  'bad purchases are refused without touching the hold': () => {
+    const session = tradeSession(1000);
+    assert.match(buyCargo(session, 'common ore', 500).error, /Only 100 tons of Common Ore/);
+    assert.match(buyCargo(session, 'common ore', 5).error, /Alex Ryder has Cr1000, needs Cr4750/);
+    assert.match(buyCargo(session, 'wood', 1).error, /Wood is not on sale on Walston/);
+    assert.match(buyCargo(session, 'common ore', 'lots').error, /Invalid tonnage/);
+    assert.deepEqual(getCargoItems(session), []);
+    assert.equal(getLedger(session, session.pc).length, 1);
+  },
+
+  'selling cargo pays the PC and empties the hold': () => {
+    const session = tradeSession();
+    buyCargo(session, 'common-ore', 20);
+
+    session.adventure = { world: 'Regina', world_uwp: 'A788899-C' };
+    getMarket(session, { supplierRoll: 5, brokerRoll: 14, priceRoll: 10, tonsDice: [4, 4] });
+    // Supplier 5 - 3 + starport A 6 = 8, found; Broker 14 - 3 = 11, Effect +3;
+    // Regina is Ri, where ore has no sale DM: 10 + 3 - 2 = 11: 100%
+    const { entry, profit } = sellCargo(session, 'cargo-common-ore-1', { roll: 10 });
+    assert.equal(entry.amount, 20000);
+    assert.equal(profit, 1000);
+    assert.deepEqual(getCargoItems(session), []);
+    assert.match(sellCargo(session, 'common-ore').error, /No cargo "common-ore" aboard/);
+  },
+
+  'without a supplier nothing can be bought or sold until the market refreshes': () => {
+    const session = tradeSession();
+    buyCargo(session, 'common-ore', 20);
+
+    session.adventure = { world: 'Regina', world_uwp: 'A788899-C' };
+    // Supplier 4 - 3 + starport A 6 = 7: none found
+    const market = getMarket(session, { supplierRoll: 4, brokerRoll: 12, priceRoll: 10, tonsDice: [4, 4] });
+    assert.deepEqual(market.supplier, { found: false, effect: -1 });
+    assert.deepEqual(market.goods, []);
+    assert.match(buyCargo(session, 'common ore', 1).error, /No supplier found on Regina this week/);
+    assert.match(sellCargo(session, 'cargo-common-ore-1').error, /No buyers found on Regina this week/);
+    assert.equal(getCargoItems(session).length, 1);
+    assert.match(formatMarket(session), /No supplier or buyers found this week \(Broker check Effect -1\)/);
+    assert.match(buildBrokerContext(session), /nothing to quote/);
+
+    session.storyState.gameDate = '019-1105';
+    assert.ok(getMarket(session, { supplierRoll: 10 }).supplier.found);
+  }
+};
+
+// === PLAY TESTS ===
+
+const playTests = {
+  '/trade shows the market and handles buying and selling': async () => {
+    const session = tradeSession();
+    const shown = (await handleAdventureCommand(session, '/trade')).text;
+    assert.match(shown, /=== MARKET: Walston \(C544338-8\) ===/);
+    assert.match(shown, /Trade codes: Lo/);
+    assert.match(shown, /common-ore: Common Ore, 100 tons at Cr950 \(95%\)/);
+
+    const bought = (await handleAdventureCommand(session, '/trade buy common ore 10')).text;
+    assert.match(bought, /Bought Common Ore \(10 tons\)/);
+    assert.match(bought, /Alex Ryder: -Cr9500 purchase to walston-market/);
+    assert.match((await handleAdventureCommand(session, '/trade')).text, /cargo-common-ore-1: 10 tons bought at Cr950/);
+
+    assert.match((await handleAdventureCommand(session, '/trade sell cargo-common-ore-1')).text, /Sold Common Ore \(10 tons\) \((profit|loss) Cr\d+\)/);
+    assert.match((await handleAdventureCommand(session, '/trade buy wood 1')).text, /Purchase refused/);
+  },
+
+  'a broker NPC is given the real prices': () => {
+    const session = tradeSession(1000000);
+    assert.ok(buyCargo(session, 'radioactives', 1).item);
+    const context = buildBrokerContext(session);
+    assert.match(context, /=== MARKET \(Walston, Lo\) ===/);
+    assert.match(context, /Common Ore: 100 tons at Cr950\/ton/);
+    assert.match(context, /PC cargo:\n- Radioactives \(1 tons\): buyers offer Cr\d+\/ton/);
+    assert.equal(buildBrokerContext({ adventure: {}, storyState: {} }), '');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  TRADE TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  console.log('--- Rules Tests ---');
+  const rules = await runTests(rulesTests);
+
+  console.log('\n--- Market Tests ---');
+  const market = await runTests(marketTests);
+
+  console.log('\n--- Play Tests ---');
+  const play = await runTests(playTests);
+
+  process.exit(rules && market && play ? 0 : 1);
+}
+
+main();
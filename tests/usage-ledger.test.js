@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Usage Ledger Tests
+ *
+ * Tests the persistent usage ledger:
+ * - Recording and pruning entries
+ * - Calendar periods (day, Monday-start week, month)
+ * - Daily/weekly/monthly caps
+ * - Report by caller and model
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  USAGE_CALLERS,
+  RETENTION_DAYS,
+  loadLedger,
+  recordUsage,
+  getPeriodStart,
+  getSpend,
+  countRecentCalls,
+  checkCaps,
+  buildUsageReport,
+  formatUsageReport
+} = require('../src/usage-ledger');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-ledger-test-'));
+let fileCount = 0;
+
+function freshFile() {
+  fileCount++;
+  return path.join(TMP_DIR, `ledger-${fileCount}.json`);
+}
+
+// Wednesday 15 Oct 2025, local time
+const WEDNESDAY = new Date(2025, 9, 15, 14, 30);
+
+function daysBefore(date, days) {
+  return new Date(date.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+function record(file, now, cost, caller = USAGE_CALLERS.NARRATION, model = 'claude-sonnet-4-20250514') {
+  return recordUsage(
+    { caller, provider: 'anthropic', model, usage: { input_tokens: 100, output_tokens: 50 }, cost },
+    { file, now }
+  );
+}
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === LEDGER TESTS ===
+
+const ledgerTests = {
+  'recordUsage persists tagged entries': () => {
+    const file = freshFile();
+    record(file, WEDNESDAY, 0.01, USAGE_CALLERS.LEARNER);
+
+    const ledger = loadLedger(file);
+    assert.equal(ledger.entries.length, 1);
+    assert.equal(ledger.entries[0].caller, 'learner');
+    assert.equal(ledger.entries[0].model, 'claude-sonnet-4-20250514');
+    assert.equal(ledger.entries[0].inputTokens, 100);
+    assert.equal(ledger.entries[0].cost, 0.01);
+  },
+
+  'untagged calls are attributed to untagged': () => {
+    const file = freshFile();
+    recordUsage({ model: 'm', usage: { input_tokens: 1, output_tokens: 1 }, cost: 0 }, { file, now: WEDNESDAY });
+    assert.equal(loadLedger(file).entries[0].caller, USAGE_CALLERS.UNTAGGED);
+  },
+
+  'entries past retention are pruned on save': () => {
+    const file = freshFile();
+    record(file, daysBefore(WEDNESDAY, RETENTION_DAYS + 5), 0.5);
+    record(file, WEDNESDAY, 0.01);
+    assert.equal(loadLedger(file).entries.length, 1);
+  },
+
+  'missing or corrupt ledger loads empty': () => {
+    const file = freshFile();
+    assert.deepEqual(loadLedger(file), { entries: [] });
+    fs.writeFileSync(file, '{not json');
+    assert.deepEqual(loadLedger(file), { entries: [] });
+  }
+};
+
+// === PERIOD TESTS ===
+
+const periodTests = {
+  'weeks start on Monday': () => {
+    const start = getPeriodStart('weekly', WEDNESDAY);
+    assert.equal(start.getDay(), 1);
+    assert.equal(start.getDate(), 13);
+  },
+
+  'Sunday belongs to the week that started the previous Monday': () => {
+    const sunday = new Date(2025, 9, 19, 23, 0);
+    assert.equal(getPeriodStart('weekly', sunday).getDate(), 13);
+  },
+
+  'months start on the 1st': () => {
+    const start = getPeriodStart('monthly', WEDNESDAY);
+    assert.equal(start.getDate(), 1);
+    assert.equal(start.getMonth(), 9);
+  },
+
+  'getSpend sums only the current period': () => {
+    const file = freshFile();
+    record(file, daysBefore(WEDNESDAY, 20), 0.4);
+    record(file, daysBefore(WEDNESDAY, 2), 0.2);
+    record(file, WEDNESDAY, 0.1);
+
+    assert.equal(getSpend('daily', { file, now: WEDNESDAY }).toFixed(2), '0.10');
+    assert.equal(getSpend('weekly', { file, now: WEDNESDAY }).toFixed(2), '0.30');
+    assert.equal(getSpend('monthly', { file, now: WEDNESDAY }).toFixed(2), '0.30');
+  },
+
+  'countRecentCalls looks at a trailing window': () => {
+    const file = freshFile();
+    record(file, new Date(WEDNESDAY.getTime() - 120000), 0);
+    record(file, new Date(WEDNESDAY.getTime() - 30000), 0);
+    const recent = countRecentCalls(60000, { file, now: WEDNESDAY });
+    assert.equal(recent.count, 1);
+    assert.equal(recent.oldest, WEDNESDAY.getTime() - 30000);
+  }
+};
+
+// === CAP TESTS ===
+
+const capTests = {
+  'spend under every cap is allowed': () => {
+    const file = freshFile();
+    record(file, WEDNESDAY, 0.1);
+    const result = checkCaps({ daily: 1, weekly: 5, monthly: 20 }, { file, now: WEDNESDAY });
+    assert.equal(result.allowed, true);
+    assert.equal(result.exceeded, null);
+    assert.equal(result.periods.daily.remaining.toFixed(2), '0.90');
+  },
+
+  'weekly cap blocks even when today is under the daily cap': () => {
+    const file = freshFile();
+    record(file, daysBefore(WEDNESDAY, 1), 0.9);
+    record(file, daysBefore(WEDNESDAY, 2), 0.9);
+    record(file, WEDNESDAY, 0.1);
+    const result = checkCaps({ daily: 1, weekly: 1.5 }, { file, now: WEDNESDAY });
+    assert.equal(result.allowed, false);
+    assert.equal(result.exceeded, 'weekly');
+  },
+
+  'a missing cap means no limit': () => {
+    const file = freshFile();
+    record(file, WEDNESDAY, 50);
+    const result = checkCaps({ daily: 100 }, { file, now: WEDNESDAY });
+    assert.equal(result.allowed, true);
+    assert.equal(result.periods.monthly.cap, null);
+    assert.equal(result.periods.monthly.remaining, null);
+  }
+};
+
+// === REPORT TESTS ===
+
+const reportTests = {
+  'report breaks spend down by caller and model': () => {
+    const file = freshFile();
+    record(file, WEDNESDAY, 0.03, USAGE_CALLERS.NARRATION);
+    record(file, WEDNESDAY, 0.02, USAGE_CALLERS.NPC_DIALOGUE);
+    record(file, WEDNESDAY, 0.001, USAGE_CALLERS.CSC_EXTRACT, 'claude-3-5-haiku-20241022');
+
+    const report = buildUsageReport({ daily: 1 }, { file, now: WEDNESDAY });
+    assert.equal(report.daily.requests, 3);
+    assert.equal(report.daily.cap, 1);
+    assert.equal(report.monthly.byCaller['npc-dialogue'].cost, 0.02);
+    assert.equal(report.monthly.byModel['claude-3-5-haiku-20241022'].requests, 1);
+  },
+
+  'formatUsageReport lists periods, callers and models': () => {
+    const file = freshFile();
+    record(file, WEDNESDAY, 0.03, USAGE_CALLERS.PLAYER_AGENT);
+    const text = formatUsageReport(buildUsageReport({ daily: 1 }, { file, now: WEDNESDAY }));
+    assert.ok(text.includes('Today'));
+    assert.ok(text.includes('$1.00'));
+    assert.ok(text.includes('(no cap)'));
+    assert.ok(text.includes('player-agent'));
+    assert.ok(text.includes('claude-sonnet-4-20250514'));
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  USAGE LEDGER TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Ledger Tests ---');
+const ledger = runTests(ledgerTests);
+
+console.log('\n--- Period Tests ---');
+const periods = runTests(periodTests);
+
+console.log('\n--- Cap Tests ---');
+const caps = runTests(capTests);
+
+console.log('\n--- Report Tests ---');
+const reports = runTests(reportTests);
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+const allPassed = ledger && periods && caps && reports;
+process.exit(allPassed ? 0 : 1);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * UWP Tests
+ *
+ * Tests the shared extended hex and UWP helpers:
+ * - Reading and writing extended hex digits
+ * - Parsing UWPs into digits and numbers
+ * - Every UWP reader using the same parser
+ */
+
+const { strict: assert } = require('assert');
+
+const { EHEX, ehexValue, toEhex, parseUWP, decodeUWP } = require('../src/uwp');
+
+// Simple test runner
+function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === EXTENDED HEX TESTS ===
+
+const ehexTests = {
+  'digits skip I and O': () => {
+    assert.equal(EHEX.length, 34);
+    assert.equal(ehexValue('A'), 10);
+    assert.equal(ehexValue('g'), 16);
+    assert.equal(ehexValue('J'), 18);
+    assert.equal(ehexValue(7), 7);
+  },
+
+  'anything but one extended hex digit is null': () => {
+    assert.equal(ehexValue('I'), null);
+    assert.equal(ehexValue('O'), null);
+    assert.equal(ehexValue('12'), null);
+    assert.equal(ehexValue(''), null);
+    assert.equal(ehexValue(undefined), null);
+  },
+
+  'values write back as digits, clamped': () => {
+    assert.equal(toEhex(10), 'A');
+    assert.equal(toEhex(18), 'J');
+    assert.equal(toEhex(-2), '0');
+    assert.equal(toEhex(99), 'Z');
+  }
+};
+
+// === UWP TESTS ===
+
+const uwpTests = {
+  'a UWP parses into digits': () => {
+    assert.deepEqual(parseUWP('c544338-8'), {
+      starport: 'C', size: '5', atmosphere: '4', hydrographics: '4',
+      population: '3', government: '3', lawLevel: '8', techLevel: '8'
+    });
+  },
+
+  'a UWP decodes into numbers, including tech levels past F': () => {
+    assert.deepEqual(decodeUWP('A788899-G'), {
+      starport: 'A', size: 7, atmosphere: 8, hydrographics: 8,
+      population: 8, government: 9, lawLevel: 9, techLevel: 16
+    });
+  },
+
+  'malformed UWPs are null': () => {
+    for (const bad of [null, '', 'C54433', 'C544338', 'Q544338-8', 'C5443I8-8', 42]) {
+      assert.equal(parseUWP(bad), null, String(bad));
+      assert.equal(decodeUWP(bad), null, String(bad));
+    }
+  },
+
+  'UWP readers share the one parser': () => {
+    assert.equal(require('../src/world-knowledge').parseUWP, parseUWP);
+    assert.equal(require('../src/subsector-data').parseUWP, parseUWP);
+  }
+};
+
+// === RUN ALL TESTS ===
+
+console.log('\n══════════════════════════════════════════');
+console.log('  UWP TESTS');
+console.log('══════════════════════════════════════════\n');
+
+console.log('--- Extended Hex Tests ---');
+const ehex = runTests(ehexTests);
+
+console.log('\n--- UWP Tests ---');
+const uwp = runTests(uwpTests);
+
+process.exit(ehex && uwp ? 0 : 1);
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Wiki Index Tests
+ *
+ * Tests full-text search over the wiki cache:
+ * - BM25 ranking, phrases and field queries (text-search)
+ * - Passages split from system page HTML
+ * - Saved search index, rebuilt when the cache changes
+ * - World summaries, NPC location context and the /lore command
+ */
+
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A small made-up wiki cache in a scratch directory
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-index-'));
+process.env.WIKI_CACHE_DIR = CACHE_DIR;
+
+const PAGES = {
+  '0101': {
+    name: 'Ardent',
+    allegiance: 'Im',
+    rawHtml: [
+      '<h2>Ardent</h2>',
+      '<p>Ardent is a garden world of wide grasslands and shallow seas, listed with UWP B867966-A. Most of its billions live in ' +
+        'arcology cities along the equator, and the starport sits on an island linked to the mainland by a long causeway.</p>',
+      '<p>The Scout Service keeps a way station in high orbit above Ardent. Detached duty scouts put in there to refit their ' +
+        'ships, trade rumours and collect the mail, and the station bar is known for its scout pilots telling tall tales.</p>',
+      '<p>Local law forbids private weapons in the arcologies. Visitors hand firearms to starport customs and collect them ' +
+        'again on departure, and the fines for carrying a concealed blade in the cities are steep and strictly enforced.</p>'
+    ].join('\n')
+  },
+  '0102': {
+    name: 'Brisk',
+    rawHtml: [
+      '<p>Brisk is a cold rock with a thin atmosphere and a handful of mining settlements. The naval base on its larger moon ' +
+        'guards the jump route to the frontier, and the fleet pays well for fresh food shipped in by independent traders.</p>'
+    ].join('\n')
+  },
+  '0103': {
+    name: 'Cinder',
+    rawHtml: [
+      '<p>Cinder is a hot, dry world. Its few towns buy machinery from traders out of Ardent and sell ore in return. A ' +
+        'planetary militia base lies in the desert, though the naval presence in the system amounts to one patrol cutter.</p>'
+    ].join('\n')
+  }
+};
+
+/**
+ * Write a system page into the scratch cache
+ * @param {string} hex - Hex code
+ * @param {Object} page - { name, allegiance, rawHtml }
+ */
+function writePage(hex, page) {
+  fs.writeFileSync(path.join(CACHE_DIR, 'systems', `${hex}.json`), JSON.stringify(page));
+}
+
+fs.mkdirSync(path.join(CACHE_DIR, 'systems'));
+fs.writeFileSync(path.join(CACHE_DIR, 'index.json'), JSON.stringify({
+  byHex: {
+    '0101': { name: 'Ardent', slug: 'ardent' },
+    '0102': { name: 'Brisk', slug: 'brisk', allegiance: 'Zh' },
+    '0103': { name: 'Cinder', slug: 'cinder' },
+    '0104': { name: 'Dunmore', slug: 'dunmore' }
+  }
+}));
+Object.entries(PAGES).forEach(([hex, page]) => writePage(hex, page));
+
+const { tokenize, buildIndex, parseQuery, search } = require('../src/text-search');
+const {
+  SEARCH_INDEX_FILE,
+  splitPassages,
+  getWikiIndex,
+  searchWiki,
+  getPassages,
+  formatLoreResults,
+  reset
+} = require('../src/wiki-index');
+const { getWorldSummary } = require('../src/world-knowledge');
+const { buildExtendedContext } = require('../src/prompt-extensions');
+const { handleAdventureCommand } = require('../src/adventure-player');
+
+// Simple test runner (async tests are awaited)
+async function runTests(tests) {
+  let passed = 0, failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`\x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`\x1b[31m✗\x1b[0m ${name}`);
+      console.log(`    ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\n${passed}/${passed + failed} tests passed`);
+  return failed === 0;
+}
+
+// === TEXT SEARCH TESTS ===
+
+const textSearchTests = {
+  'text is tokenized without stopwords, plurals or possessives': () => {
+    assert.deepEqual(tokenize("The Scouts' way station is the scout's"), ['scout', 'way', 'station', 'scout']);
+    assert.deepEqual(tokenize('Colonies, glass and UWP B867966-A'), ['colony', 'glass', 'uwp', 'b867966']);
+  },
+
+  'queries split into terms, phrases and field clauses': () => {
+    const clauses = parseQuery('scouts "naval base" name:Ardent allegiance:"Zhodani Consulate" colour:red', ['name', 'allegiance', 'body']);
+    assert.deepEqual(clauses.map(c => [c.terms.join(' '), c.field, c.phrase, c.required]), [
+      ['scout', null, false, false],
+      ['naval base', null, true, true],
+      ['ardent', 'name', false, true],
+      ['zhodani consulate', 'allegiance', true, true],
+      ['colour', null, false, false],
+      ['red', null, false, false]
+    ]);
+  },
+
+  'BM25 favours rare terms, repeated terms and short fields': () => {
+    const index = buildIndex([
+      { title: 'Trade', body: 'cargo cargo cargo freight' },
+      { title: 'Ships', body: 'cargo freight freight freight and more words besides to pad the length out further' },
+      { title: 'Cargo', body: 'freight' }
+    ], { fields: ['title', 'body'], weights: { title: 3, body: 1 } });
+
+    assert.deepEqual(search(index, 'cargo').map(hit => hit.doc.title), ['Cargo', 'Trade', 'Ships']);
+    assert.deepEqual(search(index, 'cargo', { limit: 1 }).map(hit => hit.doc.title), ['Cargo']);
+    assert.deepEqual(search(index, 'title:cargo').map(hit => hit.doc.title), ['Cargo']);
+    assert.deepEqual(search(index, '"freight freight"').map(hit => hit.doc.title), ['Ships']);
+    assert.deepEqual(search(index, 'the and'), []);
+  }
+};
+
+// === WIKI INDEX TESTS ===
+
+const wikiIndexTests = {
+  'pages split into passages of whole paragraphs': () => {
+    const passages = splitPassages(PAGES['0101'].rawHtml);
+    assert.equal(passages.length, 3);
+    assert.match(passages[0], /^Ardent Ardent is a garden world/);
+    assert.match(passages[1], /^The Scout Service/);
+
+    const merged = splitPassages('<p>Short one.</p><p>Short two.</p>');
+    assert.deepEqual(merged, ['Short one. Short two.']);
+
+    const long = splitPassages(`<p>${'A sentence of filler text. '.repeat(100)}</p>`);
+    assert.ok(long.length > 1 && long.every(p => p.length <= 1200), 'long paragraphs are cut at sentences');
+  },
+
+  'searches rank passages by name, allegiance and body': () => {
+    const scouts = searchWiki('scout pilots');
+    assert.equal(scouts[0].id, '0101#1');
+    assert.equal(scouts[0].name, 'Ardent');
+    assert.equal(scouts[0].allegiance, 'Im');
+
+    // A world's own page outranks pages that mention it
+    const ardent = searchWiki('ardent');
+    assert.deepEqual([...new Set(ardent.map(r => r.name))], ['Ardent', 'Cinder']);
+    assert.equal(ardent[ardent.length - 1].name, 'Cinder');
+  },
+
+  'phrases and fields narrow the results': () => {
+    assert.deepEqual(searchWiki('"naval base"').map(r => r.name), ['Brisk']);
+    assert.deepEqual(searchWiki('naval base').map(r => r.name).sort(), ['Brisk', 'Cinder']);
+    assert.deepEqual(searchWiki('allegiance:zh').map(r => r.name), ['Brisk']);
+    assert.deepEqual(searchWiki('name:cinder traders').map(r => r.name), ['Cinder']);
+    assert.deepEqual(searchWiki('traders', { hex: '0102' }).map(r => r.id), ['0102#0']);
+    assert.deepEqual(searchWiki('vargr'), []);
+  },
+
+  'the index is saved and rebuilt when pages change': () => {
+    getWikiIndex();
+    assert.equal(SEARCH_INDEX_FILE, path.join(CACHE_DIR, 'search-index.json'));
+    const saved = JSON.parse(fs.readFileSync(SEARCH_INDEX_FILE, 'utf8'));
+    assert.equal(saved.docs.length, 5);
+    assert.equal(saved.source.files, 3);
+
+    reset();
+    assert.equal(getWikiIndex().docs.length, 5);
+
+    writePage('0104', { name: 'Dunmore', rawHtml: '<p>Dunmore is a water world where fishing fleets chase krill.</p>' });
+    reset();
+    assert.deepEqual(searchWiki('krill').map(r => r.name), ['Dunmore']);
+    assert.equal(JSON.parse(fs.readFileSync(SEARCH_INDEX_FILE, 'utf8')).source.files, 4);
+    assert.deepEqual(getPassages('0104'), ['Dunmore is a water world where fishing fleets chase krill.']);
+  }
+};
+
+// === USE TESTS ===
+
+const useTests = {
+  'world summaries carry the passages that match a query': () => {
+    const summary = getWorldSummary('Ardent', { query: 'firearms customs', limit: 1 });
+    assert.equal(summary.uwp, 'B867966-A');
+    assert.match(summary.firstParagraph, /^Ardent Ardent is a garden world/);
+    assert.equal(summary.passages.length, 1);
+    assert.match(summary.passages[0], /^Local law forbids/);
+
+    // No query, or nothing matching, gives the opening passages
+    assert.equal(getWorldSummary('0101').passages.length, 3);
+    assert.match(getWorldSummary('Ardent', { query: 'krill', limit: 1 }).passages[0], /garden world/);
+  },
+
+  'NPCs get passages about their own line of work': () => {
+    const context = buildExtendedContext({ world: 'Ardent', title: 'Detached Duty Scout', archetype: 'crew' }, null, null);
+    assert.match(context, /=== CURRENT LOCATION ===/);
+    assert.match(context, /- The Scout Service keeps a way station/);
+  },
+
+  '/lore searches the cache': async () => {
+    const session = { storyState: { flags: {} } };
+    const { text } = await handleAdventureCommand(session, '/lore "naval base"');
+    assert.match(text, /=== LORE: "naval base" ===/);
+    assert.match(text, /\[Brisk \(0102, Zh\)\]\nBrisk is a cold rock/);
+    assert.match((await handleAdventureCommand(session, '/lore')).text, /Usage: \/lore <query>/);
+    assert.equal(formatLoreResults('vargr', []), 'No lore found for "vargr".');
+  }
+};
+
+// === RUN ALL TESTS ===
+
+async function main() {
+  console.log('\n══════════════════════════════════════════');
+  console.log('  WIKI INDEX TESTS');
+  console.log('══════════════════════════════════════════\n');
+
+  let allPassed = false;
+  try {
+    console.log('--- Text Search Tests ---');
+    const text = await runTests(textSearchTests);
+
+    console.log('\n--- Wiki Index Tests ---');
+    const wiki = await runTests(wikiIndexTests);
+
+    console.log('\n--- Use Tests ---');
+    const use = await runTests(useTests);
+
+    allPassed = text && wiki && use;
+  } finally {
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  }
+  process.exit(allPassed ? 0 : 1);
+}
+
+main();